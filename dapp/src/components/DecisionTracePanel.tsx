@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from 'react';
+import { brainService, BrainDecision, DecisionTraceStep, TraceEffect } from '../services/brainService';
+
+interface DecisionTracePanelProps {
+  tokenSymbol: string;
+  limit?: number;
+}
+
+const ACTION_COLORS: Record<string, string> = {
+  enter_full: '#22c55e',
+  enter_small: '#84cc16',
+  wait: '#f59e0b',
+  block: '#ef4444',
+};
+
+const EFFECT_LABELS: Record<TraceEffect, { label: string; color: string }> = {
+  block: { label: 'BLOCK', color: '#ef4444' },
+  gate: { label: 'GATE', color: '#f59e0b' },
+  override: { label: 'OVERRIDE', color: '#a855f7' },
+  adjust: { label: 'ADJUST', color: '#667eea' },
+  map: { label: 'ACTION', color: '#8B949E' },
+};
+
+// Brain confidence is a 0..1 win probability
+const formatConfidence = (value: number | null) =>
+  value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`;
+
+const formatDelta = (delta: number) =>
+  delta === 0 ? '±0' : `${delta > 0 ? '+' : ''}${(delta * 100).toFixed(1)}`;
+
+const formatInput = (value: any) => {
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(4);
+  if (value === null || value === undefined) return '—';
+  return String(value);
+};
+
+const TraceStep: React.FC<{ step: DecisionTraceStep; decisive: boolean }> = ({ step, decisive }) => {
+  const effect = EFFECT_LABELS[step.effect] || EFFECT_LABELS.map;
+
+  return (
+    <div style={{
+      background: 'rgba(0, 0, 0, 0.3)',
+      borderRadius: '10px',
+      padding: '12px 14px',
+      borderLeft: `4px solid ${effect.color}`,
+      outline: decisive ? `1px solid ${effect.color}` : 'none'
+    }}>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '8px',
+        marginBottom: '8px'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={{
+            color: effect.color,
+            fontSize: '11px',
+            fontWeight: '700',
+            letterSpacing: '0.5px'
+          }}>
+            {effect.label}
+          </span>
+          <span style={{ color: '#E6EDF3', fontSize: '13px', fontFamily: 'monospace' }}>
+            {step.rule}
+          </span>
+        </div>
+        <span style={{
+          color: step.confidence_delta < 0 ? '#ef4444' : step.confidence_delta > 0 ? '#22c55e' : '#6B7280',
+          fontSize: '13px',
+          fontWeight: '600'
+        }}>
+          {formatDelta(step.confidence_delta)} → {formatConfidence(step.confidence)}
+        </span>
+      </div>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '6px 14px',
+        fontSize: '12px',
+        color: '#8B949E'
+      }}>
+        {Object.entries(step.inputs || {}).map(([key, value]) => (
+          <span key={key}>
+            {key}: <span style={{ color: '#C9D1D9' }}>{formatInput(value)}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Recent Galeon Brain decisions for a token, with the ordered ControlSystem
+ * rules that fired — shows why a signal was entered, skipped or blocked
+ */
+const DecisionTracePanel: React.FC<DecisionTracePanelProps> = ({ tokenSymbol, limit = 5 }) => {
+  const [decisions, setDecisions] = useState<BrainDecision[]>([]);
+  const [selected, setSelected] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    brainService.getDecisions({ token: tokenSymbol, limit })
+      .then((result) => {
+        if (cancelled) return;
+        setDecisions(result);
+        setSelected(0);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [tokenSymbol, limit]);
+
+  if (error || decisions.length === 0) {
+    return null;
+  }
+
+  const decision = decisions[selected];
+
+  return (
+    <div style={{
+      background: 'rgba(0, 0, 0, 0.2)',
+      border: '1px solid rgba(102, 126, 234, 0.25)',
+      borderRadius: '16px',
+      padding: '24px',
+      marginBottom: '24px'
+    }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '10px',
+        marginBottom: '16px',
+        paddingBottom: '12px',
+        borderBottom: '1px solid rgba(102, 126, 234, 0.2)'
+      }}>
+        <span style={{ fontSize: '24px' }}>🧭</span>
+        <h3 style={{
+          fontSize: '18px',
+          fontWeight: '700',
+          color: '#E6EDF3',
+          margin: 0,
+          letterSpacing: '-0.3px'
+        }}>
+          Brain Decision Trace
+        </h3>
+      </div>
+
+      {/* Recent decisions */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+        {decisions.map((d, i) => (
+          <button
+            key={d.decision_id}
+            onClick={() => setSelected(i)}
+            style={{
+              background: i === selected ? 'rgba(102, 126, 234, 0.25)' : 'rgba(0, 0, 0, 0.3)',
+              border: `1px solid ${ACTION_COLORS[d.action] || '#6B7280'}`,
+              color: ACTION_COLORS[d.action] || '#C9D1D9',
+              borderRadius: '8px',
+              padding: '4px 10px',
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            {d.action} · {new Date(d.created_at).toLocaleTimeString()}
+          </button>
+        ))}
+      </div>
+
+      {/* Summary */}
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '16px',
+        marginBottom: '16px',
+        fontSize: '13px',
+        color: '#8B949E'
+      }}>
+        <span>
+          Confidence: <span style={{ color: '#9CA3AF' }}>{formatConfidence(decision.original_confidence)}</span>
+          {' → '}
+          <span style={{ color: ACTION_COLORS[decision.action] || '#E6EDF3', fontWeight: '700' }}>
+            {formatConfidence(decision.confidence)}
+          </span>
+        </span>
+        {decision.token_stage && <span>Stage: <span style={{ color: '#C9D1D9' }}>{decision.token_stage}</span></span>}
+        {decision.params_version !== null && <span>Params: <span style={{ color: '#C9D1D9' }}>v{decision.params_version}</span></span>}
+        {decision.shadow && (
+          <span>
+            Shadow candidate:{' '}
+            <span style={{ color: ACTION_COLORS[decision.shadow.action] || '#C9D1D9' }}>{decision.shadow.action}</span>
+          </span>
+        )}
+      </div>
+
+      {/* Ordered rule trace */}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {decision.trace.map((step, i) => (
+          <TraceStep key={`${step.rule}-${i}`} step={step} decisive={step.rule === decision.decisive_rule} />
+        ))}
+      </div>
+
+      {decision.sizing_reason && (
+        <div style={{ marginTop: '12px', fontSize: '12px', color: '#f59e0b' }}>
+          Not entered: {decision.sizing_reason}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DecisionTracePanel;
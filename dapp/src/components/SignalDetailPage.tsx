@@ -6,6 +6,7 @@ import { alphaAgentService } from '../services/alphaAgentService';
 import SignalPriceChart from './SignalPriceChart';
 import TokenNewsFeed from './TokenNewsFeed';
 import FlockInsightPanel from './FlockInsightPanel';
+import DecisionTracePanel from './DecisionTracePanel';
 
 interface FlockInsight {
   source: string;
@@ -768,6 +769,8 @@ ${signal.takeProfit3 ? `🎯 TP3: $${formatPrice(signal.takeProfit3)}` : ''}
             confidenceAdjustment={signal.confidenceAdjustment}
             flockInsight={signal.flockInsight}
           />
+
+          <DecisionTracePanel tokenSymbol={signal.tokenSymbol} />
         </aside>
       </div>
     </div>
@@ -0,0 +1,310 @@
+import axios from 'axios';
+
+// 动态根据当前域名设置API地址，与 api.ts 保持一致
+const host = window.location.host;
+let API_BASE_URL = '';
+if (host.includes('testai.gameland.network')) {
+  API_BASE_URL = 'https://testaiservice.gameland.network/api';
+} else if (host.includes('localhost')) {
+  API_BASE_URL = 'http://localhost:8080/api';
+} else {
+  API_BASE_URL = 'https://galeon.gameland.network/api';
+}
+
+const api = axios.create({
+  baseURL: `${API_BASE_URL}/brain`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add auth token to requests if available
+api.interceptors.request.use((config: any) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export type TokenStage =
+  | 'discovery'
+  | 'accumulation'
+  | 'acceleration'
+  | 'exhaustion'
+  | 'distribution'
+  | 'decline'
+  | 'rug_danger';
+
+// Market-cap bucket used to group tokens for the stage model
+export type TokenKind = 'micro' | 'small' | 'mid' | 'large' | 'unknown';
+
+// One recorded stage change
+export interface StageTransition {
+  from: TokenStage;
+  to: TokenStage;
+  at: string;
+  dwell_minutes: number;     // Time spent in `from` before this transition
+}
+
+export interface StageTimeline {
+  token: string;
+  kind: TokenKind;
+  current: {
+    stage: TokenStage;
+    since: string;
+  };
+  transitions: StageTransition[];
+}
+
+// Current stage vs historical dwell times and next-stage probabilities
+export interface StageOutlook {
+  stage: TokenStage;
+  since: string;
+  elapsed_minutes: number;
+  kind: TokenKind;
+  model_kind: TokenKind | 'all';           // 'all' when the kind has too few samples
+  samples: number;
+  expected_dwell_minutes: number | null;   // Median historical dwell time
+  dwell_progress: number | null;           // elapsed / expected (1.0 = typical length)
+  next_stage_probs: Partial<Record<TokenStage, number>>;
+  most_likely_next: TokenStage | null;
+}
+
+export interface StageModelEntry {
+  samples: number;
+  next: Partial<Record<TokenStage, number>>;
+  dwell_minutes: {
+    avg: number;
+    median: number;
+  };
+}
+
+export interface StageTokenSummary {
+  token: string;
+  kind: TokenKind;
+  stage: TokenStage;
+  since: string;
+  transitions: number;
+}
+
+export type DecisionAction = 'enter_full' | 'enter_small' | 'wait' | 'block';
+
+// block = red-line, gate = stopped before scoring, adjust = confidence moved,
+// override = stage rule replaced the mapped action, map = confidence → action thresholds
+export type TraceEffect = 'block' | 'gate' | 'adjust' | 'override' | 'map';
+
+// One ControlSystem rule that fired, in evaluation order
+export interface DecisionTraceStep {
+  rule: string;                          // e.g. 'redline.honeypot', 'adjust.stage_overstay'
+  effect: TraceEffect;
+  inputs: Record<string, any>;           // Values the rule looked at
+  confidence_delta: number;
+  confidence: number | null;             // Running confidence after this rule
+}
+
+export interface BrainDecision {
+  decision_id: string;
+  created_at: string;
+  token: string;
+  signal_type: 'LONG' | 'SHORT';
+  action: DecisionAction;
+  confidence: number | null;
+  original_confidence: number | null;
+  token_stage: TokenStage | null;
+  reason: string | null;
+  reasons: string[];
+  sizing_reason: string | null;
+  params_version: number | null;
+  decisive_rule: string | null;          // Rule that settled the action
+  trace: DecisionTraceStep[];
+  // What the running shadow trial's candidate params decided (not executed)
+  shadow: {
+    trial_id: string;
+    action: DecisionAction;
+    confidence: number | null;
+    decisive_rule: string | null;
+  } | null;
+}
+
+export interface DecisionQuery {
+  token?: string;
+  action?: DecisionAction | 'enter';     // 'enter' = enter_small + enter_full
+  rule?: string;
+  from?: string;
+  to?: string;
+  limit?: number;
+}
+
+export type PredictionHorizon = 'p1h' | 'p4h' | 'p24h';
+
+// Candidate control-params scored alongside the live ones (never executed)
+export interface ShadowTrial {
+  id: string;
+  status: 'running' | 'stopped' | 'promoted';
+  label: string | null;
+  horizon: PredictionHorizon;              // How long after the decision outcomes are scored
+  base_version: number;                    // Live params version when the trial started
+  params: Record<string, any>;
+  started_at: string;
+  ended_at: string | null;
+  end_reason: string | null;
+  promoted_version: number | null;
+}
+
+export interface ShadowArmStats {
+  entries: number;
+  wins: number;
+  win_rate: number;
+  expectancy: number;                      // Mean return % per entry
+  total_return_pct: number;
+}
+
+export interface ShadowComparison {
+  pairs: number;                           // Decisions scored for both arms
+  disagreements: number;                   // Pairs where only one arm would have entered
+  live: ShadowArmStats;
+  shadow: ShadowArmStats;
+  // Paired test on candidate PnL − live PnL per decision
+  difference: {
+    n: number;
+    mean: number;
+    std: number | null;
+    t: number | null;
+    p_value: number;
+    ci95: [number, number] | null;
+  };
+  verdict: 'insufficient_data' | 'candidate_better' | 'candidate_worse' | 'no_significant_difference';
+  reason: string;
+}
+
+export interface ShadowParamDiff {
+  param: string;
+  live: any;
+  candidate: any;
+}
+
+export interface StartShadowTrialRequest {
+  changes?: Record<string, any>;           // Overrides on top of the live params
+  params?: Record<string, any>;            // Or a full parameter set
+  version?: number;                        // Or a stored params version
+  label?: string;
+  horizon?: PredictionHorizon;
+}
+
+// Operator-only endpoints take an extra token on top of the wallet JWT
+const operatorHeaders = (operatorToken: string) => ({
+  headers: { 'X-Operator-Token': operatorToken },
+});
+
+class BrainService {
+  /**
+   * Get stage transition / dwell-time model and current stage of every tracked token
+   */
+  async getStageModel(kind?: Exclude<TokenKind, 'unknown'>): Promise<{
+    kind: TokenKind | 'all';
+    model: Partial<Record<TokenStage, StageModelEntry>>;
+    tokens: StageTokenSummary[];
+  }> {
+    try {
+      const response = await api.get('/stages', { params: { kind } });
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get stage model');
+    }
+  }
+
+  /**
+   * Get a token's stage lifecycle timeline and current stage outlook
+   */
+  async getStageTimeline(token: string): Promise<{ timeline: StageTimeline; outlook: StageOutlook | null }> {
+    try {
+      const response = await api.get(`/stages/${encodeURIComponent(token)}`);
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get stage timeline');
+    }
+  }
+
+  /**
+   * Get recorded decisions with their ControlSystem rule trace, newest first
+   */
+  async getDecisions(query: DecisionQuery = {}): Promise<BrainDecision[]> {
+    try {
+      const response = await api.get('/decisions', { params: query });
+      return response.data.decisions;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get decisions');
+    }
+  }
+
+  /**
+   * Get one decision with its full trace
+   */
+  async getDecision(decisionId: string): Promise<BrainDecision> {
+    try {
+      const response = await api.get(`/decisions/${encodeURIComponent(decisionId)}`);
+      return response.data.decision;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get decision');
+    }
+  }
+
+  /**
+   * Get the current shadow trial and its live vs candidate comparison
+   */
+  async getShadowTrial(): Promise<{
+    trial: ShadowTrial | null;
+    diff?: ShadowParamDiff[];
+    comparison: ShadowComparison | null;
+  }> {
+    try {
+      const response = await api.get('/shadow');
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to get shadow trial');
+    }
+  }
+
+  /**
+   * Start running candidate params in shadow (replaces a running trial).
+   * The candidate is merged onto the live params; unknown or out-of-range params are rejected.
+   * Shadow start / stop / promote require the operator token.
+   */
+  async startShadowTrial(request: StartShadowTrialRequest, operatorToken: string): Promise<{ trial: ShadowTrial; diff: ShadowParamDiff[] }> {
+    try {
+      const response = await api.post('/shadow', request, operatorHeaders(operatorToken));
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to start shadow trial');
+    }
+  }
+
+  async stopShadowTrial(operatorToken: string, reason?: string): Promise<{ trial: ShadowTrial; comparison: ShadowComparison }> {
+    try {
+      const response = await api.post('/shadow/stop', { reason }, operatorHeaders(operatorToken));
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to stop shadow trial');
+    }
+  }
+
+  /**
+   * Commit the candidate as the new live params version.
+   * Fails unless the verdict is candidate_better, or with a version conflict if live params
+   * changed since the trial started — force overrides both.
+   */
+  async promoteShadowTrial(operatorToken: string, options: { reason?: string; force?: boolean } = {}): Promise<{
+    trial: ShadowTrial;
+    comparison: ShadowComparison;
+  }> {
+    try {
+      const response = await api.post('/shadow/promote', options, operatorHeaders(operatorToken));
+      return response.data;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.error || 'Failed to promote shadow trial');
+    }
+  }
+}
+
+export const brainService = new BrainService();
@@ -0,0 +1,215 @@
+// 动态根据当前域名设置API地址，与 api.ts 保持一致
+const host = window.location.host;
+let API_BASE_URL = '';
+if (host.includes('testai.gameland.network')) {
+  API_BASE_URL = 'https://testaiservice.gameland.network/api';
+} else if (host.includes('localhost')) {
+  API_BASE_URL = 'http://localhost:8080/api';
+} else {
+  API_BASE_URL = 'https://galeon.gameland.network/api';
+}
+
+const WS_URL = `${API_BASE_URL.replace(/^http/, 'ws')}/stream`;
+const SSE_URL = `${API_BASE_URL}/stream/events`;
+
+// Topic names published on the server AgentBus (server/src/autoTrade/core/EventSchemas.js)
+export type StreamTopic =
+  | 'agent.status'
+  | 'llm.health'
+  | 'alpha.signal.created'
+  | 'brain.decision.made'
+  | 'strategy.signal.accepted'
+  | 'trade.entry.submitted'
+  | 'trade.exit.triggered'
+  | 'trade.exit.escalated'
+  | 'position.updated'
+  | 'risk.check.failed'
+  | 'risk.check.passed'
+  | 'risk.block.circuit_breaker';
+
+export interface StreamEvent<T = any> {
+  id: string;
+  offset: number | null;     // null for transient events (position.updated)
+  from: string;              // Publishing agent
+  event: StreamTopic;
+  payload: T;
+  timestamp: string;
+}
+
+export interface SubscribeOptions {
+  // 'all' = public events + your own, 'mine' = only events for your user
+  scope?: 'all' | 'mine';
+  // Called when the transport changes (connecting / open / fallback to SSE / closed)
+  onStatus?: (status: StreamStatus) => void;
+}
+
+export type StreamStatus = 'connecting' | 'open' | 'sse' | 'reconnecting' | 'closed';
+
+const MAX_RECONNECT_DELAY = 30000;
+
+/**
+ * One live subscription: WebSocket first, SSE if the socket can't be opened,
+ * reconnects with backoff and resumes from the last offset it saw.
+ */
+class StreamSubscription {
+  private ws: WebSocket | null = null;
+  private sse: EventSource | null = null;
+  private lastOffset: number | null = null;
+  private attempts = 0;
+  private stopped = false;
+  private useSSE = typeof WebSocket === 'undefined';
+  private timer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(
+    private topics: string[],
+    private handler: (event: StreamEvent) => void,
+    private options: SubscribeOptions
+  ) {
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) clearTimeout(this.timer);
+    this.ws?.close();
+    this.sse?.close();
+    this.options.onStatus?.('closed');
+  }
+
+  private query(): string {
+    const params = new URLSearchParams({
+      token: localStorage.getItem('token') || '',
+      topics: this.topics.join(','),
+      scope: this.options.scope || 'all',
+    });
+    if (this.lastOffset !== null) params.set('from', String(this.lastOffset + 1));
+    return params.toString();
+  }
+
+  private connect() {
+    if (this.stopped) return;
+    this.options.onStatus?.(this.attempts === 0 ? 'connecting' : 'reconnecting');
+    if (this.useSSE) this.connectSSE();
+    else this.connectWebSocket();
+  }
+
+  private connectWebSocket() {
+    let opened = false;
+    const ws = new WebSocket(`${WS_URL}?${this.query()}`);
+    this.ws = ws;
+
+    ws.onopen = () => {
+      opened = true;
+      this.attempts = 0;
+      this.options.onStatus?.('open');
+    };
+    ws.onmessage = (message) => {
+      try {
+        const data = JSON.parse(message.data);
+        if (data.type === 'event') this.deliver(data.event);
+      } catch (error) {
+        console.error('Stream message error:', error);
+      }
+    };
+    ws.onclose = () => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      // Never got a socket (proxy strips upgrades, etc.) → fall back to SSE
+      if (!opened) this.useSSE = true;
+      this.scheduleReconnect();
+    };
+  }
+
+  private connectSSE() {
+    const sse = new EventSource(`${SSE_URL}?${this.query()}`);
+    this.sse = sse;
+
+    sse.onopen = () => {
+      this.attempts = 0;
+      this.options.onStatus?.('sse');
+    };
+    // Server sends named events (event: <topic>); EventSource needs one listener per name
+    const onEvent = (message: MessageEvent) => {
+      try {
+        this.deliver(JSON.parse(message.data));
+      } catch (error) {
+        console.error('Stream message error:', error);
+      }
+    };
+    for (const topic of this.knownTopics()) sse.addEventListener(topic, onEvent as EventListener);
+
+    sse.onerror = () => {
+      // Browser reconnects on its own with Last-Event-ID; we only step in once it gives up
+      if (sse.readyState === EventSource.CLOSED && this.sse === sse) {
+        this.sse = null;
+        this.scheduleReconnect();
+      }
+    };
+  }
+
+  private deliver(event: StreamEvent) {
+    if (event.offset !== null && event.offset !== undefined) {
+      if (this.lastOffset !== null && event.offset <= this.lastOffset) return; // Duplicate after resume
+      this.lastOffset = event.offset;
+    }
+    try {
+      this.handler(event);
+    } catch (error) {
+      console.error('Stream handler error:', error);
+    }
+  }
+
+  private scheduleReconnect() {
+    if (this.stopped) return;
+    const delay = Math.min(1000 * 2 ** this.attempts, MAX_RECONNECT_DELAY);
+    this.attempts++;
+    this.options.onStatus?.('reconnecting');
+    this.timer = setTimeout(() => this.connect(), delay);
+  }
+
+  // EventSource needs concrete event names; expand wildcard patterns against the known topics
+  private knownTopics(): string[] {
+    const all: StreamTopic[] = [
+      'agent.status', 'llm.health', 'alpha.signal.created', 'brain.decision.made',
+      'strategy.signal.accepted', 'trade.entry.submitted', 'trade.exit.triggered', 'trade.exit.escalated',
+      'position.updated', 'risk.check.failed', 'risk.check.passed', 'risk.block.circuit_breaker',
+    ];
+    return all.filter((topic) => this.topics.some((pattern) => matchTopic(pattern, topic)));
+  }
+}
+
+/**
+ * Same rules as the server: '*' = exactly one segment, '#' = zero or more
+ */
+export function matchTopic(pattern: string, topic: string): boolean {
+  const p = pattern.split('.');
+  const t = topic.split('.');
+  const match = (pi: number, ti: number): boolean => {
+    if (pi === p.length) return ti === t.length;
+    if (p[pi] === '#') {
+      for (let skip = ti; skip <= t.length; skip++) if (match(pi + 1, skip)) return true;
+      return false;
+    }
+    if (ti === t.length) return false;
+    return (p[pi] === '*' || p[pi] === t[ti]) && match(pi + 1, ti + 1);
+  };
+  return match(0, 0);
+}
+
+class EventStreamService {
+  /**
+   * Subscribe to live AgentBus events
+   * @param topics - topic names or patterns, e.g. ['alpha.signal.created', 'position.#']
+   * @returns stop function
+   */
+  subscribe<T = any>(
+    topics: string[],
+    handler: (event: StreamEvent<T>) => void,
+    options: SubscribeOptions = {}
+  ): () => void {
+    const subscription = new StreamSubscription(topics.length > 0 ? topics : ['#'], handler, options);
+    return () => subscription.stop();
+  }
+}
+
+export const eventStreamService = new EventStreamService();
@@ -16,6 +16,8 @@
 
 const axios = require('axios');
 const NodeCache = require('node-cache');
+const Logger = require('./src/autoTrade/core/Logger');
+const Metrics = require('./src/autoTrade/core/Metrics');
 
 /**
  * 标准化代币符号:去掉交易对后缀
@@ -112,6 +114,10 @@ class BinanceAlphaService {
     if (limiter.currentRequests >= limiter.maxRequests) {
       const waitTime = limiter.resetTime - now;
       console.warn(`⚠️ Rate limit reached for ${apiType}, waiting ${waitTime}ms`);
+      // 按调用链上的 Agent 统计 (Logger 上下文中的 caller)
+      const labels = { api: `binance_${apiType}`, agent: Logger.context().caller || 'none' };
+      Metrics.inc('galeon_rate_limit_waits_total', labels);
+      Metrics.inc('galeon_rate_limit_wait_seconds_total', labels, waitTime / 1000);
       await new Promise(resolve => setTimeout(resolve, waitTime));
       limiter.currentRequests = 0;
       limiter.resetTime = Date.now() + 60000;
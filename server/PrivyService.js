@@ -4,6 +4,7 @@
  * 1. 验证用户身份
  * 2. 获取用户嵌入式钱包地址
  * 3. 代替用户签名交易(自动交易核心)
+ * 4. EVM 交易经 NonceManager 按钱包串行发送 (显式 nonce，卡住时同 nonce 加速 / 取消)
  */
 
 const { PrivyClient } = require('@privy-io/server-auth');
@@ -218,9 +219,14 @@ class PrivyService {
    * @param {number} txData.chainId - 链 ID (56=BSC, 8453=Base)
    * @param {string} [txData.gas] - Gas limit (可选, hex string)
    * @param {string} [txData.gasPrice] - Gas price (可选, hex string)
-   * @returns {Promise<{hash: string}>}
+   * @param {boolean} [txData.urgent] - 出场交易: 先加速同钱包排在前面的未确认交易
+   * @param {string} [txData.replaceKey] - 同 key 的交易未上链时复用其 nonce 替换 (出场重试)
+   * @param {string} [txData.label] - 日志标识
+   * @returns {Promise<{hash: string, nonce: number}>}
    */
   async signTransaction(userId, txData) {
+    const NonceManager = require('./autoTrade/NonceManager');
+
     try {
       console.log(`🔐 正在为用户 ${userId} 使用 Session Signer 签名交易...`);
 
@@ -244,18 +250,27 @@ class PrivyService {
 
       console.log(`   交易参数:`, JSON.stringify(transaction, null, 2));
 
-      // 2. 使用 Privy walletApi 发送交易
+      // 2. 使用 Privy walletApi 发送交易 (NonceManager 分配 nonce 并在同钱包内排队)
       // 根据 Privy 官方文档, server-side 使用 transaction 字段，不是 params
-      const result = await this.client.walletApi.ethereum.sendTransaction({
-        walletId: walletId,
-        caip2: txData.chainId === 56 ? 'eip155:56' : 'eip155:8453', // BSC or Base
-        transaction: transaction
+      const result = await NonceManager.send({
+        chainId: txData.chainId,
+        address,
+        send: tx => this.client.walletApi.ethereum.sendTransaction({
+          walletId: walletId,
+          caip2: txData.chainId === 56 ? 'eip155:56' : 'eip155:8453', // BSC or Base
+          transaction: tx
+        })
+      }, transaction, {
+        urgent: !!txData.urgent,
+        replaceKey: txData.replaceKey || null,
+        label: txData.label || null
       });
 
-      console.log(`✅ 交易已发送: ${result.hash}`);
+      console.log(`✅ 交易已发送: ${result.hash} (nonce ${result.nonce})`);
 
       return {
-        hash: result.hash
+        hash: result.hash,
+        nonce: result.nonce
       };
 
     } catch (error) {
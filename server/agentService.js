@@ -1,5 +1,5 @@
 const DatabaseService = require('./databaseService');
-const OpenAIService = require('./openaiService');
+const LLMService = require('./src/services/llm/LLMService');
 const LangChainService = require('./langchainService');
 const VectorService = require('./vectorService');
 const FunctionService = require('./functionService');
@@ -171,7 +171,7 @@ class AgentService {
       // 添加当前消息
       messages.push({ role: 'user', content: message });
 
-      // 7. 调用OpenAI（支持Function Calling）
+      // 7. 调用LLM（支持Function Calling）
       let response;
       
       if (instruction === 'Generate code') {
@@ -184,7 +184,7 @@ class AgentService {
         response = await LangChainService.applyCodeReview(code, review);
       } else {
         // 普通对话支持Function Calling
-        response = await this.callOpenAIWithFunctions(messages, openAIFunctions, agentId, userId);
+        response = await this.callLLMWithFunctions(messages, openAIFunctions, agentId, userId);
       }
 
       console.log(`[AgentService] Successfully generated response for agent ${agentId}`);
@@ -197,33 +197,20 @@ class AgentService {
   }
 
   /**
-   * 调用OpenAI并处理Function Calling
+   * 调用LLM并处理Function Calling
+   * 模型 / fallback 链见 src/config/llm.js (agent_chat)，Function Calling 仅 OpenAI 兼容 provider 支持
    */
-  async callOpenAIWithFunctions(messages, functions, agentId, userId, maxIterations = 3) {
+  async callLLMWithFunctions(messages, functions, agentId, userId, maxIterations = 3) {
     let currentMessages = [...messages];
     let iteration = 0;
     
     while (iteration < maxIterations) {
       try {
-        console.log(`[AgentService] OpenAI call iteration ${iteration + 1}/${maxIterations}`);
+        console.log(`[AgentService] LLM call iteration ${iteration + 1}/${maxIterations}`);
         
-        // 构建OpenAI请求参数
-        const requestParams = {
-          model: 'gpt-3.5-turbo',
-          messages: currentMessages,
-          temperature: 0.7,
-          max_tokens: 1000
-        };
-        
-        // 如果有可用函数，添加function calling支持
-        if (functions && functions.length > 0) {
-          requestParams.functions = functions;
-          requestParams.function_call = 'auto';
-        }
-        
-        // 调用OpenAI API
-        const completion = await OpenAIService.createChatCompletionWithFunctions(requestParams);
-        const responseMessage = completion.choices[0].message;
+        // 调用LLM（有可用函数时启用function calling）
+        const completion = await LLMService.complete('agent_chat', currentMessages, { functions });
+        const responseMessage = completion.message;
         
         // 检查是否需要调用函数
         if (responseMessage.function_call) {
@@ -262,7 +249,7 @@ class AgentService {
         }
         
       } catch (error) {
-        console.error(`[AgentService] Error in OpenAI call iteration ${iteration + 1}:`, error);
+        console.error(`[AgentService] Error in LLM call iteration ${iteration + 1}:`, error);
         
         if (iteration === 0) {
           // 第一次就失败，抛出错误
@@ -400,15 +387,15 @@ class AgentService {
   async extractKeywords(content) {
     try {
       const prompt = `Extract 5 key words or phrases from the following text, regardless of language. Ignore common stop words. Separate the keywords with commas:\n\n${content}`;
-      const response = await OpenAIService.createChatCompletion([
+      const response = await LLMService.complete('agent_keywords', [
         { role: "system", content: "You are a helpful assistant that extracts keywords from text, ignoring stop words." },
         { role: "user", content: prompt }
       ]);
 
-      const keywords = response.trim().split(',').map(keyword => keyword.trim());
+      const keywords = response.text.trim().split(',').map(keyword => keyword.trim());
       return keywords;
     } catch (error) {
-      console.error('Error extracting keywords with OpenAI:', error);
+      console.error('Error extracting keywords with LLM:', error);
       return this.fallbackKeywordExtraction(content);
     }
   }
@@ -0,0 +1,36 @@
+/**
+ * Galeon Brain — Offline Replay Runner
+ *
+ * Replays recorded market snapshots (JSONL) through GaleonBrain against a
+ * simulated clock and prints a deterministic trade report.
+ * Usage: node replay_brain.js <snapshots.jsonl> [report.json]
+ * LLM_FIXTURE_DIR=<dir> replays recorded Thinker responses (see src/services/llm/FixtureStore.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ReplayHarness } = require('./src/brain/ReplayHarness');
+
+const [inputFile, outputFile] = process.argv.slice(2);
+if (!inputFile) {
+  console.error('Usage: node replay_brain.js <snapshots.jsonl> [report.json]');
+  process.exit(1);
+}
+
+(async () => {
+  const snapshots = ReplayHarness.loadSnapshots(path.resolve(inputFile));
+  const harness = new ReplayHarness();
+  const report = await harness.run(snapshots);
+
+  console.log(`Replayed ${report.snapshots} snapshots`);
+  console.log(`Decisions: ${JSON.stringify(report.decisions_by_action)}`);
+  console.log(`Trades: ${report.trades} | Win rate: ${report.win_rate}% | Avg PnL: ${report.avg_pnl_pct}% | Total PnL: ${report.total_pnl_pct}%`);
+
+  if (outputFile) {
+    fs.writeFileSync(path.resolve(outputFile), JSON.stringify(report, null, 2));
+    console.log(`Replay report written: ${path.resolve(outputFile)}`);
+  }
+})().catch(err => {
+  console.error(`Replay failed: ${err.message}`);
+  process.exit(1);
+});
@@ -17,6 +17,12 @@ const chatRoutes = require('./src/routes/chatRoutes');
 const ipfsRoutes = require('./src/routes/ipfsRoutes');
 const teamRoutes = require('./src/routes/teamRoutes');
 const creditRoutes = require('./src/routes/creditRoutes');
+const brainRoutes = require('./src/routes/brainRoutes');
+const agentBusRoutes = require('./src/routes/agentBusRoutes');
+const executionRoutes = require('./src/routes/executionRoutes');
+const streamRoutes = require('./src/routes/streamRoutes');
+const EventStreamService = require('./src/services/EventStreamService');
+const metricsController = require('./src/controllers/metricsController');
 
 const app = express();
 
@@ -256,8 +262,18 @@ app.use('/api/chat', authMiddleware, chatRoutes);
 app.use('/api/ipfs', authMiddleware, ipfsRoutes);
 app.use('/api/teams', authMiddleware, teamRoutes);
 app.use('/api/credits', authMiddleware, creditRoutes); 
+app.use('/api/brain', authMiddleware, brainRoutes);
+app.use('/api/agent-bus', authMiddleware, agentBusRoutes);
+app.use('/api/execution', authMiddleware, executionRoutes);
+app.use('/api/stream', streamRoutes);
+
+// Prometheus 抓取 (METRICS_TOKEN 鉴权，不走用户 JWT)
+app.get('/metrics', metricsController.getMetrics);
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
+
+// 实时推送: WebSocket /api/stream (SSE 回退走 /api/stream/events)
+EventStreamService.attach(server);
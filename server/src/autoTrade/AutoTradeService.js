@@ -6,6 +6,8 @@
  * 3. 风险检查
  * 4. 触发批量执行
  * 5. 管理整体流程
+ * 6. 模拟盘 (全局 AUTO_TRADE_PAPER_MODE 或按策略 paper_mode，成交见 PaperExecutor)
+ * 7. 定时检查卡住的链上交易 (NonceManager 同 nonce 加速 / 取消)
  */
 
 const PriceWatcher = require('./PriceWatcher');
@@ -15,13 +17,21 @@ const ExitMonitor = require('./ExitMonitor');
 const TransactionMonitor = require('./TransactionMonitor');
 const DatabaseService = require('../databaseService');
 const RangeSignalService = require('./RangeSignalService');
+const PositionSizer = require('./PositionSizer');
+const PaperExecutor = require('./PaperExecutor');
+const NonceManager = require('./NonceManager');
 const BaseAgent = require('./core/BaseAgent');
 const AgentBus = require('./core/AgentBus');
+const Supervisor = require('./core/Supervisor');
 
 class AutoTradeService extends BaseAgent {
   constructor() {
     super('Strategy Agent', 'strategy');
     AgentBus.register(this);
+    // PositionSizer 也被 GaleonBrain / 回放加载，只在实盘服务里注册
+    AgentBus.register(PositionSizer);
+    this.instrument('handleNewSignal', 'handle_signal', signal => ({ signal_id: signal?.signal_id }));
+    this.instrument('handleSellSignal', 'handle_sell_signal', signal => ({ signal_id: signal?.signal_id }));
 
     this.initialized = false;
     this.monitoring = false;
@@ -89,87 +99,144 @@ class AutoTradeService extends BaseAgent {
 
       this.log(`   ✅ ${table}`);
     }
+
+    // 新增字段 (旧库自动补齐)
+    await this.ensureColumn('auto_trade_config', 'sizing_mode', "VARCHAR(20) NULL COMMENT 'NULL=固定金额, KELLY, FIXED_RISK'");
+    await this.ensureColumn('auto_trade_config', 'paper_mode', "TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1=模拟盘 (PaperExecutor 模拟成交)'");
+    await this.ensureColumn('auto_trade_executions', 'is_paper', "TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1=模拟盘成交'");
+    await this.ensureColumn('auto_trade_executions', 'paper_fill', "JSON NULL COMMENT '模拟成交明细 { entry, exit }'");
+    await this.ensureColumn('auto_trade_positions', 'is_paper', "TINYINT(1) NOT NULL DEFAULT 0 COMMENT '1=模拟盘持仓'");
+    await this.ensureColumn('auto_trade_executions', 'entry_quote_price', "DECIMAL(36,18) NULL COMMENT '提交时的报价成交价'");
+    await this.ensureColumn('auto_trade_batches', 'execution_algorithm', "VARCHAR(20) NULL COMMENT 'TWAP, VOLUME, ADAPTIVE'");
+    await this.ensureColumn('auto_trade_executions', 'entry_execution', "JSON NULL COMMENT '入场执行质量 (信号价/报价/成交价/冲击/Gas/路由)'");
+    await this.ensureColumn('auto_trade_executions', 'exit_execution', "JSON NULL COMMENT '出场执行质量'");
+    await this.ensureColumn('auto_trade_batches', 'fill_quality', "JSON NULL COMMENT '每批报价质量 { algorithm, arrival_price, slices }'");
   }
 
   /**
-   * 恢复中断的监控
-   * (服务重启后恢复价格监控和持仓监控)
+   * 字段不存在时自动添加
    */
-  async recoverInterruptedMonitors() {
-    this.log('🔄 恢复中断的监控...');
+  async ensureColumn(table, column, definition) {
+    const result = await DatabaseService.query(`SHOW COLUMNS FROM ${table} LIKE ?`, [column]);
+    if (result.length > 0) return;
 
+    await DatabaseService.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    this.log(`   🆕 ${table}.${column} 已添加`);
+  }
+
+  /**
+   * 按策略仓位模式计算下单金额 (覆盖 strategy.trade_amount)
+   * @returns {string|null} 拒绝原因，null 表示可以继续
+   */
+  async applyPositionSizing(strategy, signal) {
     try {
-      // 1. 恢复价格监控 (ACTIVE 状态的信号)
-      // 🔧 修复: 添加 is_alpha_token 和 signal_source 字段
-      const activeSignals = await DatabaseService.query(`
-        SELECT
-          signal_id, token_symbol, chain, signal_type,
-          confidence_score, entry_min, entry_max,
-          stop_loss, take_profit_1, current_price,
-          contract_address, expires_at,
-          is_alpha_token, signal_source
-        FROM alpha_signals
-        WHERE status = 'ACTIVE'
-        AND expires_at > NOW()
-        AND signal_type IN ('LONG', 'BUY')
-        ORDER BY created_at DESC
-      `, []);
-
-      this.log(`   找到 ${activeSignals.length} 个活跃信号需要恢复价格监控`);
-
-      for (const signal of activeSignals) {
-        // 转换信号格式
-        // 🔧 修复: 添加 is_alpha_token 和 signal_source 字段
-        const formattedSignal = {
-          signal_id: signal.signal_id,
-          token_symbol: signal.token_symbol,
-          chain: signal.chain,
-          signal_type: signal.signal_type,
-          confidence_score: parseFloat(signal.confidence_score),
-          entry_min: parseFloat(signal.entry_min),
-          entry_max: parseFloat(signal.entry_max),
-          stop_loss_price: parseFloat(signal.stop_loss),
-          take_profit_price: parseFloat(signal.take_profit_1),
-          current_price: parseFloat(signal.current_price),
-          contract_address: signal.contract_address,
-          expires_at: signal.expires_at,
-          dex_name: signal.dex_name || 'Unknown',
-          is_alpha_token: signal.is_alpha_token,
-          signal_source: signal.signal_source
-        };
+      const sizing = await PositionSizer.sizeForStrategy(strategy, signal);
+      if (!sizing) return null;
+      if (sizing.amount <= 0) return `Position sizing: ${sizing.reason}`;
 
-        // 查询匹配的用户策略
-        // 🔧 修复: 必须传递 signal_id 参数，否则会使用错误的策略过滤条件
-        const matchedUsers = await RiskController.getEnabledUsers(signal.signal_id, null);
-        const passedUsers = [];
-
-        // 🔧 改进: 恢复时也进行完整的风险检查 (包括余额检查)
-        // 策略匹配检查已移至 RiskController.checkFollowStrategy
-        for (const strategy of matchedUsers) {
-          const riskCheck = await RiskController.checkTradeRisk(
-            strategy,
-            formattedSignal,
-            parseFloat(strategy.trade_amount)
-          );
+      strategy.trade_amount = sizing.amount;
+      strategy.sizing = sizing;
+      return null;
+    } catch (error) {
+      this.error(`   ⚠️ 仓位计算失败，使用固定金额: ${error.message}`);
+      return null;
+    }
+  }
 
-          if (riskCheck.passed) {
-            passedUsers.push(strategy);
-          } else {
-            // 记录未通过的原因 (帮助调试)
-            if (riskCheck.risks && riskCheck.risks.length > 0) {
-              this.log(`   ⏭️ [恢复] ${strategy.user_id.slice(0,10)}... 风险检查未通过: ${riskCheck.risks[0].reason}`);
-            }
-          }
+  /**
+   * 恢复价格监控: 从数据库加载 ACTIVE 信号，重新匹配策略 + 风险检查后启动 PriceWatcher
+   * @param {string} signalId - 只恢复该信号 (Supervisor 重启用)，不传则恢复全部
+   */
+  async restorePriceMonitors(signalId = null) {
+    // 🔧 修复: 添加 is_alpha_token 和 signal_source 字段
+    const activeSignals = await DatabaseService.query(`
+      SELECT
+        signal_id, token_symbol, chain, signal_type,
+        confidence_score, entry_min, entry_max,
+        stop_loss, take_profit_1, current_price,
+        contract_address, expires_at,
+        is_alpha_token, signal_source
+      FROM alpha_signals
+      WHERE status = 'ACTIVE'
+      AND expires_at > NOW()
+      AND signal_type IN ('LONG', 'BUY')
+      ${signalId ? 'AND signal_id = ?' : ''}
+      ORDER BY created_at DESC
+    `, signalId ? [signalId] : []);
+
+    this.log(`   找到 ${activeSignals.length} 个活跃信号需要恢复价格监控`);
+
+    for (const signal of activeSignals) {
+      // 转换信号格式
+      // 🔧 修复: 添加 is_alpha_token 和 signal_source 字段
+      const formattedSignal = {
+        signal_id: signal.signal_id,
+        token_symbol: signal.token_symbol,
+        chain: signal.chain,
+        signal_type: signal.signal_type,
+        confidence_score: parseFloat(signal.confidence_score),
+        entry_min: parseFloat(signal.entry_min),
+        entry_max: parseFloat(signal.entry_max),
+        stop_loss_price: parseFloat(signal.stop_loss),
+        take_profit_price: parseFloat(signal.take_profit_1),
+        current_price: parseFloat(signal.current_price),
+        contract_address: signal.contract_address,
+        expires_at: signal.expires_at,
+        dex_name: signal.dex_name || 'Unknown',
+        is_alpha_token: signal.is_alpha_token,
+        signal_source: signal.signal_source
+      };
+
+      // 查询匹配的用户策略
+      // 🔧 修复: 必须传递 signal_id 参数，否则会使用错误的策略过滤条件
+      const matchedUsers = await RiskController.getEnabledUsers(signal.signal_id, null);
+      const passedUsers = [];
+
+      // 🔧 改进: 恢复时也进行完整的风险检查 (包括余额检查)
+      // 策略匹配检查已移至 RiskController.checkFollowStrategy
+      for (const strategy of matchedUsers) {
+        const sizingReject = await this.applyPositionSizing(strategy, formattedSignal);
+        if (sizingReject) {
+          this.log(`   ⏭️ [恢复] ${strategy.user_id.slice(0,10)}... ${sizingReject}`);
+          continue;
         }
 
-        if (passedUsers.length > 0) {
-          this.log(`   📊 [恢复] ${signal.token_symbol}: ${passedUsers.length} 个用户通过风险检查`);
-          await PriceWatcher.startMonitoring(formattedSignal, passedUsers);
+        const riskCheck = await RiskController.checkTradeRisk(
+          strategy,
+          formattedSignal,
+          parseFloat(strategy.trade_amount)
+        );
+
+        if (riskCheck.passed) {
+          passedUsers.push(strategy);
         } else {
-          this.log(`   ℹ️ [恢复] ${signal.token_symbol}: 无用户通过风险检查,跳过监控`);
+          // 记录未通过的原因 (帮助调试)
+          if (riskCheck.risks && riskCheck.risks.length > 0) {
+            this.log(`   ⏭️ [恢复] ${strategy.user_id.slice(0,10)}... 风险检查未通过: ${riskCheck.risks[0].reason}`);
+          }
         }
       }
 
+      if (passedUsers.length > 0) {
+        this.log(`   📊 [恢复] ${signal.token_symbol}: ${passedUsers.length} 个用户通过风险检查`);
+        await PriceWatcher.startMonitoring(formattedSignal, passedUsers);
+      } else {
+        this.log(`   ℹ️ [恢复] ${signal.token_symbol}: 无用户通过风险检查,跳过监控`);
+      }
+    }
+  }
+
+  /**
+   * 恢复中断的监控
+   * (服务重启后恢复价格监控和持仓监控)
+   */
+  async recoverInterruptedMonitors() {
+    this.log('🔄 恢复中断的监控...');
+
+    try {
+      // 1. 恢复价格监控 (ACTIVE 状态的信号)
+      await this.restorePriceMonitors();
+
       // 2. 恢复持仓监控 (HOLDING 状态的持仓)
       // 🔧 修复: 从 auto_trade_positions 表恢复,移除7天限制
       const holdingPositions = await DatabaseService.query(`
@@ -220,6 +287,34 @@ class AutoTradeService extends BaseAgent {
       await this.checkCircuitBreakers();
     }, 600000); // 10 分钟
 
+    // 4. 每 15 秒检查卡住的交易 (加速 / 取消)
+    setInterval(async () => {
+      await NonceManager.checkStuck();
+    }, 15000); // 15 秒
+
+    // 5. Agent 心跳 + 监控循环失效自动重启
+    Supervisor.watchMonitors('ExitMonitor', ExitMonitor, {
+      agent: ExitMonitor.name,
+      intervalMs: ExitMonitor.checkInterval,
+      restart: executionId => ExitMonitor.restartMonitoring(executionId)
+    });
+    Supervisor.watchMonitors('PriceWatcher', PriceWatcher, {
+      agent: this.name,
+      intervalMs: 10000,   // PriceWatcher 每 10 秒检查一次
+      restart: async (monitorId, monitor) => {
+        if (monitor.signal?.signal_id && Array.isArray(monitor.users)) {
+          PriceWatcher.stopMonitoring(monitor.signal.signal_id);
+          await PriceWatcher.startMonitoring(monitor.signal, monitor.users);
+          return;
+        }
+        // 监控项缺少 signal / users: 清掉旧循环，从数据库重新加载信号和匹配用户
+        clearInterval(monitor.interval);
+        PriceWatcher.activeMonitors.delete(monitorId);
+        await this.restorePriceMonitors(String(monitorId).replace(/^monitor_/, ''));
+      }
+    });
+    Supervisor.start();
+
     this.log('   ✅ 定时任务已启动');
   }
 
@@ -326,6 +421,13 @@ class AutoTradeService extends BaseAgent {
         // 🔧 策略匹配检查已移至 RiskController.checkFollowStrategy
         // 支持的策略: RANGE, TOP_SIGNALS, WHITELIST, TWITTER_KOL, TELEGRAM, MEME, FUSION
 
+        // 仓位计算 (策略开启 sizing_mode 时按胜率/止损/敞口计算金额)
+        const sizingReject = await this.applyPositionSizing(strategy, signal);
+        if (sizingReject) {
+          rejectReasons.push(`${strategy.strategy_name}: ${sizingReject}`);
+          continue;
+        }
+
         const riskCheck = await RiskController.checkTradeRisk(
           strategy,  // 🔧 传递完整策略对象,而不是只传 user_id
           signal,
@@ -353,7 +455,7 @@ class AutoTradeService extends BaseAgent {
 
       this.log(`   ✅ 通过风险检查: ${validStrategies.length}/${allStrategies.length} 策略`);
 
-      this.publish('strategy:signal_accepted', { signalId: signal.signal_id, token: signal.token_symbol, usersCount: validStrategies.length });
+      this.publish('strategy.signal.accepted', { signalId: signal.signal_id, token: signal.token_symbol, usersCount: validStrategies.length });
 
       // 5. 启动价格监控 (传入策略信息)
       await PriceWatcher.startMonitoring(signal, validStrategies);
@@ -399,7 +501,8 @@ class AutoTradeService extends BaseAgent {
         whitelisted_tokens: config.whitelisted_tokens ? JSON.stringify(config.whitelisted_tokens) : null,
         blacklisted_tokens: config.blacklisted_tokens ? JSON.stringify(config.blacklisted_tokens) : null,
         usdt_balance: config.usdt_balance || 0,
-        gas_balance: config.gas_balance || 0
+        gas_balance: config.gas_balance || 0,
+        paper_mode: config.paper_mode ? 1 : 0
       };
 
       await DatabaseService.query(`
@@ -407,8 +510,8 @@ class AutoTradeService extends BaseAgent {
         (user_id, enabled, wallet_address, supported_chains, max_trade_amount,
          max_slippage_percent, max_positions, take_profit_strategy,
          daily_loss_limit, single_token_max_percent, min_liquidity_required,
-         whitelisted_tokens, blacklisted_tokens, usdt_balance, gas_balance)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         whitelisted_tokens, blacklisted_tokens, usdt_balance, gas_balance, paper_mode)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         ON DUPLICATE KEY UPDATE
           wallet_address = VALUES(wallet_address),
           max_trade_amount = VALUES(max_trade_amount),
@@ -429,7 +532,8 @@ class AutoTradeService extends BaseAgent {
         defaults.whitelisted_tokens,
         defaults.blacklisted_tokens,
         defaults.usdt_balance,
-        defaults.gas_balance
+        defaults.gas_balance,
+        defaults.paper_mode
       ]);
 
       this.log(`   ✅ 配置已创建/更新`);
@@ -463,6 +567,27 @@ class AutoTradeService extends BaseAgent {
     }
   }
 
+  /**
+   * 切换模拟盘 (作用于该用户所有策略，持仓中的交易按开仓时的模式出场)
+   */
+  async setPaperMode(userId, enabled) {
+    try {
+      await DatabaseService.query(`
+        UPDATE auto_trade_config
+        SET paper_mode = ?
+        WHERE user_id = ?
+      `, [enabled ? 1 : 0, userId]);
+
+      this.log(`   ${enabled ? '📝 已切换到模拟盘' : '💰 已切换到实盘'}: ${userId}`);
+
+      return { success: true };
+
+    } catch (error) {
+      this.error(`   ❌ 操作失败: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * 获取用户统计
    */
@@ -574,6 +699,9 @@ class AutoTradeService extends BaseAgent {
 
     this.monitoring = false;
 
+    // 先停 Supervisor，避免把正在关闭的监控当成失效重启
+    Supervisor.stop();
+
     // 停止所有监控
     PriceWatcher.stopAll();
     ExitMonitor.stopAll();
@@ -591,6 +719,8 @@ class AutoTradeService extends BaseAgent {
     return {
       initialized: this.initialized,
       monitoring: this.monitoring,
+      paperMode: PaperExecutor.config.enabled,
+      pendingTransactions: NonceManager.getStatus(),
       priceMonitors: PriceWatcher.getMonitorStatus(),
       exitMonitors: ExitMonitor.getMonitorStatus()
     };
@@ -6,37 +6,68 @@
  * 3. 计算批次策略 (防止滑点)
  * 4. 分批执行交易
  * 5. 处理并发控制 (Redis 分布式锁)
+ * 6. 执行算法 (batchConfig.algorithm / EXECUTION_ALGORITHM):
+ *    TWAP     在 twapHorizonMs (EXECUTION_TWAP_HORIZON_MS) 内等间隔执行，单批不超过流动性的 2%；
+ *             每批之后按剩余时间 / 剩余批数重新计算间隔 (按人切片时实际批数可能多于计划)
+ *    VOLUME   单批金额 = 区间内池子成交量 (volume24h 折算) × participationRate%
+ *    ADAPTIVE 按 batchInterval 起步，每批报价相对信号价的冲击超过阈值就放慢 + 缩小批次，回落后恢复
+ * 7. 成交质量: 每批记录报价均价 vs 信号价 (auto_trade_batches.fill_quality)，
+ *    getFillQuality() 再按确认后的实际成交价计算 实际 vs 报价 / 实际 vs 信号价
+ * 8. 广播前模拟 (TxSimulator): revert / 卖出税 / 输出低于 amountOutMin 的交易不上链，原因写入信号 reject_reason
  */
 
 const DatabaseService = require('../databaseService');
 const LiquidityMonitor = require('./LiquidityMonitor');
 const DEXAggregatorService = require('./DEXAggregatorService');
 const FeeService = require('../FeeService');
+const PaperExecutor = require('./PaperExecutor');
+const ExecutionQuality = require('./ExecutionQuality');
+const TxSimulator = require('./TxSimulator');
 const { v4: uuidv4 } = require('uuid');
 const BaseAgent = require('./core/BaseAgent');
 const AgentBus = require('./core/AgentBus');
+const Metrics = require('./core/Metrics');
 
 class BatchExecutor extends BaseAgent {
   constructor() {
     super('Execution Agent', 'execution');
     AgentBus.register(this);
+    this.instrument('executeBatchTrades', 'batch', signal => ({ signal_id: signal?.signal_id }));
+    this.instrument('executeSingleBatch', 'batch_step', batchId => ({ batch_id: batchId }));
+    this.instrument('executeUserTrade', 'trade', (batchId, signal, user) => ({
+      batch_id: batchId,
+      execution_id: this.executionIdFor(user, signal),
+      user_id: user?.user_id
+    }));
     this.executing = new Map(); // batchId -> executing state
 
     // 批次配置
     this.batchConfig = {
       maxLiquidityPercent: 2.0,  // 单批次最多占流动性的 2%
-      batchInterval: 30000,       // 批次间隔 30 秒
+      batchInterval: 30000,       // 批次间隔 30 秒 (VOLUME / ADAPTIVE 的基础间隔)
       maxBatchSize: 50,           // 单批次最多 50 个用户
       minBatchAmount: 1000,       // 最小批次金额 $1000 (否则不分批)
+
+      // 执行算法
+      algorithm: (process.env.EXECUTION_ALGORITHM || 'TWAP').toUpperCase(),  // TWAP / VOLUME / ADAPTIVE
+      twapHorizonMs: parseInt(process.env.EXECUTION_TWAP_HORIZON_MS, 10) || 5 * 60 * 1000,  // TWAP: 全部批次在该时长内执行完 (默认 5 分钟)
+      minInterval: 5000,              // 批次间隔下限
+      maxInterval: 5 * 60 * 1000,     // 批次间隔上限 (TWAP 按时间窗口排期，不受此限制)
+      participationRate: 5,           // VOLUME: 单批不超过区间内池子成交量的 5%
+      impactThresholdBps: 50,         // ADAPTIVE: 报价冲击超过 0.5% 放慢
+      slowdownFactor: 2,              // ADAPTIVE: 放慢时间隔 ×2、批次金额 ÷2
+      speedupFactor: 0.75             // ADAPTIVE: 冲击回落后间隔 ×0.75 (不低于 batchInterval)
     };
+    this.algorithms = ['TWAP', 'VOLUME', 'ADAPTIVE'];
 
     this.log('✅ BatchExecutor initialized');
   }
 
   /**
    * 执行批量交易 (由 PriceWatcher 触发)
+   * @param {Object} options - { algorithm, twapHorizonMs } 覆盖 batchConfig (单次执行)
    */
-  async executeBatchTrades(signal, users, currentPrice) {
+  async executeBatchTrades(signal, users, currentPrice, options = {}) {
     const batchId = `batch_${signal.signal_id}_${Date.now()}`;
 
     this.log(`\n🚀 启动批量执行: ${signal.token_symbol}`);
@@ -71,39 +102,51 @@ class BatchExecutor extends BaseAgent {
       this.log(`   流动性: $${tvl.toLocaleString()}`);
 
       // 3. 计算批次策略
-      const batchStrategy = this.calculateBatchStrategy(totalAmount, tvl, users.length);
+      const batchStrategy = this.calculateBatchStrategy(totalAmount, tvl, {
+        volume24h: liquidity?.volume24h,
+        algorithm: options.algorithm,
+        twapHorizonMs: options.twapHorizonMs
+      });
 
-      this.log(`   批次策略: ${batchStrategy.batchCount} 批`);
+      this.log(`   执行算法: ${batchStrategy.algorithm}`);
+      this.log(`   批次策略: ${batchStrategy.batchCount} 批, 间隔 ${(batchStrategy.intervalMs / 1000).toFixed(0)} 秒`);
       this.log(`   单批金额: $${batchStrategy.batchAmount.toFixed(2)}`);
-      this.log(`   单批用户: ${batchStrategy.usersPerBatch} 人`);
 
       // 4. 记录批次信息
       await DatabaseService.query(`
         INSERT INTO auto_trade_batches
         (batch_id, signal_id, total_users, total_amount_usdt, batch_count,
-         batch_size, status, started_at)
-        VALUES (?, ?, ?, ?, ?, ?, 'EXECUTING', NOW())
+         batch_size, execution_algorithm, status, started_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'EXECUTING', NOW())
       `, [
         batchId,
         signal.signal_id,
         users.length,
         totalAmount,
         batchStrategy.batchCount,
-        batchStrategy.batchAmount
+        batchStrategy.batchAmount,
+        batchStrategy.algorithm
       ]);
 
-      // 5. 分批执行
-      const batches = this.splitIntoBatches(users, batchStrategy.usersPerBatch);
+      // 5. 分批执行 (按金额切片，ADAPTIVE 每批之后调整下一批的金额和间隔)
+      const queue = [...users];
+      const fillQuality = { algorithm: batchStrategy.algorithm, arrival_price: currentPrice, slices: [] };
+      let schedule = batchStrategy.horizonMs
+        ? { ...batchStrategy, deadline: Date.now() + batchStrategy.horizonMs }
+        : batchStrategy;
+      let batchNum = 0;
 
-      for (let i = 0; i < batches.length; i++) {
-        const batchUsers = batches[i];
-        const batchNum = i + 1;
+      while (queue.length > 0) {
+        const targetAmount = schedule.batchAmount;
+        const batchUsers = this.takeSlice(queue, targetAmount);
+        batchNum++;
 
-        this.log(`\n   📦 执行第 ${batchNum}/${batches.length} 批 (${batchUsers.length} 用户)`);
+        this.log(`\n   📦 执行第 ${batchNum} 批 (${batchUsers.length} 用户, 剩余 ${queue.length} 用户)`);
 
         try {
-          this.publish('execution:trade_submitted', { signalId: signal.signal_id, token: signal.token_symbol, batchSize: batchUsers.length });
+          this.publish('trade.entry.submitted', { signalId: signal.signal_id, token: signal.token_symbol, batchSize: batchUsers.length });
 
+          const startedAt = new Date().toISOString();
           await this.executeSingleBatch(
             batchId,
             signal,
@@ -112,18 +155,24 @@ class BatchExecutor extends BaseAgent {
             batchNum
           );
 
+          // 本批报价质量 → 调整下一批
+          const slice = await this.measureSlice(batchId, batchNum, currentPrice);
+          schedule = this.adaptSchedule(schedule, slice, fillQuality.slices[fillQuality.slices.length - 1]);
+          schedule = this.replanTwap(schedule, queue);
+          fillQuality.slices.push({
+            ...slice,
+            started_at: startedAt,
+            users: batchUsers.length,
+            target_amount: Math.round(targetAmount * 100) / 100,
+            next_interval_ms: queue.length > 0 ? schedule.intervalMs : null
+          });
+
           // 更新批次进度
           await DatabaseService.query(`
             UPDATE auto_trade_batches
-            SET current_batch = ?, completed_batches = completed_batches + 1
+            SET current_batch = ?, completed_batches = completed_batches + 1, fill_quality = ?
             WHERE batch_id = ?
-          `, [batchNum, batchId]);
-
-          // 批次间隔
-          if (i < batches.length - 1) {
-            this.log(`   ⏳ 等待 ${this.batchConfig.batchInterval / 1000} 秒...`);
-            await this.sleep(this.batchConfig.batchInterval);
-          }
+          `, [batchNum, JSON.stringify(fillQuality), batchId]);
 
         } catch (error) {
           this.error(`   ❌ 第 ${batchNum} 批执行失败: ${error.message}`);
@@ -134,16 +183,22 @@ class BatchExecutor extends BaseAgent {
             WHERE batch_id = ?
           `, [batchId]);
         }
+
+        // 批次间隔
+        if (queue.length > 0) {
+          this.log(`   ⏳ 等待 ${(schedule.intervalMs / 1000).toFixed(0)} 秒...`);
+          await this.sleep(schedule.intervalMs);
+        }
       }
 
-      // 6. 完成
+      // 6. 完成 (ADAPTIVE 的实际批数可能与计划不同)
       await DatabaseService.query(`
         UPDATE auto_trade_batches
-        SET status = 'COMPLETED', completed_at = NOW()
+        SET status = 'COMPLETED', completed_at = NOW(), batch_count = ?
         WHERE batch_id = ?
-      `, [batchId]);
+      `, [batchNum, batchId]);
 
-      this.log(`\n   ✅ 批量执行完成!`);
+      this.log(`\n   ✅ 批量执行完成! (${batchNum} 批)`);
 
     } catch (error) {
       this.error(`   ❌ 批量执行失败: ${error.message}`);
@@ -158,50 +213,247 @@ class BatchExecutor extends BaseAgent {
 
   /**
    * 计算批次策略
+   * @param {Object} market - { volume24h, algorithm, twapHorizonMs } — algorithm / twapHorizonMs 覆盖 batchConfig
+   * @returns {Object} { algorithm, batchCount, batchAmount, intervalMs, initialBatchAmount, horizonMs (TWAP) }
    */
-  calculateBatchStrategy(totalAmount, liquidityTVL, userCount) {
+  calculateBatchStrategy(totalAmount, liquidityTVL, market = {}) {
     // 流动性太小，不允许交易
     if (liquidityTVL < 50000) {
       throw new Error('Liquidity too low (< $50K)');
     }
 
+    let algorithm = (market.algorithm || this.batchConfig.algorithm).toUpperCase();
+    if (!this.algorithms.includes(algorithm)) {
+      this.warn(`   ⚠️ 未知执行算法 ${algorithm}，使用 TWAP`);
+      algorithm = 'TWAP';
+    }
+
     // 计算最大单批金额 (流动性的 2%)
     const maxBatchAmount = liquidityTVL * (this.batchConfig.maxLiquidityPercent / 100);
 
     // 总金额小于最小批次，不分批
     if (totalAmount < this.batchConfig.minBatchAmount) {
       return {
+        algorithm,
         batchCount: 1,
         batchAmount: totalAmount,
-        usersPerBatch: userCount
+        intervalMs: 0,
+        initialBatchAmount: totalAmount
       };
     }
 
-    // 计算需要几批
-    const batchCount = Math.ceil(totalAmount / maxBatchAmount);
+    let batchAmount = maxBatchAmount;
+    let intervalMs = this.batchConfig.batchInterval;
+
+    if (algorithm === 'VOLUME') {
+      // 区间内池子成交量 × 参与率 (无成交量数据时退回流动性上限)
+      const volumePerInterval = (parseFloat(market.volume24h) || 0) / (24 * 60 * 60 * 1000) * intervalMs;
+      const participationCap = volumePerInterval * (this.batchConfig.participationRate / 100);
+      if (participationCap > 0) {
+        batchAmount = Math.min(maxBatchAmount, participationCap);
+      }
+    }
 
-    // 平均分配
+    // 计算需要几批，平均分配
+    const batchCount = Math.ceil(totalAmount / batchAmount);
     const avgBatchAmount = totalAmount / batchCount;
-    const avgUsersPerBatch = Math.ceil(userCount / batchCount);
+
+    // TWAP: 间隔由时间窗口决定，只保留下限
+    let horizonMs = null;
+    if (algorithm === 'TWAP' && batchCount > 1) {
+      horizonMs = market.twapHorizonMs > 0 ? market.twapHorizonMs : this.batchConfig.twapHorizonMs;
+      intervalMs = Math.round(Math.max(this.batchConfig.minInterval, horizonMs / (batchCount - 1)));
+    }
 
     return {
+      algorithm,
       batchCount,
       batchAmount: avgBatchAmount,
-      usersPerBatch: Math.min(avgUsersPerBatch, this.batchConfig.maxBatchSize)
+      intervalMs,
+      initialBatchAmount: avgBatchAmount,
+      horizonMs
     };
   }
 
   /**
-   * 将用户分组
+   * 从队列取出下一批用户: 累计金额达到 targetAmount 为止 (至少 1 人，最多 maxBatchSize 人)
+   */
+  takeSlice(queue, targetAmount) {
+    const slice = [];
+    let amount = 0;
+
+    while (queue.length > 0 && slice.length < this.batchConfig.maxBatchSize) {
+      const tradeAmount = parseFloat(queue[0].trade_amount || 100);
+      if (slice.length > 0 && amount + tradeAmount > targetAmount) break;
+      slice.push(queue.shift());
+      amount += tradeAmount;
+    }
+
+    return slice;
+  }
+
+  /**
+   * 本批报价质量: 报价均价 (按金额加权) vs 信号价
+   * impact_bps > 0 表示报价比信号价差 (买入更贵)
    */
-  splitIntoBatches(users, usersPerBatch) {
-    const batches = [];
+  async measureSlice(batchId, batchNum, arrivalPrice) {
+    const rows = await DatabaseService.query(`
+      SELECT
+        COUNT(*) AS trades,
+        SUM(entry_amount_usdt) AS amount_usdt,
+        SUM(entry_amount_usdt) / SUM(entry_amount_usdt / entry_quote_price) AS expected_price
+      FROM auto_trade_executions
+      WHERE batch_id = ? AND batch_position = ?
+      AND entry_quote_price > 0
+    `, [batchId, batchNum]);
+
+    const expectedPrice = parseFloat(rows[0]?.expected_price) || null;
+    return {
+      slice: batchNum,
+      quoted_trades: parseInt(rows[0]?.trades || 0),
+      amount_usdt: parseFloat(rows[0]?.amount_usdt || 0),
+      expected_price: expectedPrice,
+      impact_bps: expectedPrice && arrivalPrice > 0 ? this.bps(expectedPrice, arrivalPrice) : null
+    };
+  }
 
-    for (let i = 0; i < users.length; i += usersPerBatch) {
-      batches.push(users.slice(i, i + usersPerBatch));
+  /**
+   * ADAPTIVE: 冲击超过阈值 (或比上一批明显上升) 就放慢并缩小批次，冲击回落后逐步恢复
+   * 其他算法保持计划不变
+   */
+  adaptSchedule(schedule, slice, previousSlice = null) {
+    if (schedule.algorithm !== 'ADAPTIVE' || slice.impact_bps === null) return schedule;
+
+    const threshold = this.batchConfig.impactThresholdBps;
+    const rising = previousSlice?.impact_bps !== null && previousSlice?.impact_bps !== undefined
+      && slice.impact_bps - previousSlice.impact_bps > threshold / 2;
+
+    if (slice.impact_bps > threshold || rising) {
+      const next = {
+        ...schedule,
+        intervalMs: this.clampInterval(schedule.intervalMs * this.batchConfig.slowdownFactor),
+        batchAmount: schedule.batchAmount / this.batchConfig.slowdownFactor
+      };
+      this.log(`   🐢 [ADAPTIVE] 冲击 ${slice.impact_bps}bps${rising ? ' (上升)' : ''}，间隔 → ${(next.intervalMs / 1000).toFixed(0)} 秒，批次 → $${next.batchAmount.toFixed(2)}`);
+      return next;
+    }
+
+    if (slice.impact_bps < threshold / 2 && schedule.intervalMs > this.batchConfig.batchInterval) {
+      const next = {
+        ...schedule,
+        intervalMs: Math.max(this.batchConfig.batchInterval, schedule.intervalMs * this.batchConfig.speedupFactor),
+        batchAmount: Math.min(schedule.initialBatchAmount, schedule.batchAmount / this.batchConfig.speedupFactor)
+      };
+      this.log(`   🐇 [ADAPTIVE] 冲击回落 ${slice.impact_bps}bps，间隔 → ${(next.intervalMs / 1000).toFixed(0)} 秒`);
+      return next;
     }
 
-    return batches;
+    return schedule;
+  }
+
+  /**
+   * TWAP: 按剩余时间 / 剩余批数 (按剩余金额估算) 重新计算下一次间隔，
+   * 让最后一批在 deadline 前开始；已超时则不再等待
+   */
+  replanTwap(schedule, queue) {
+    if (schedule.algorithm !== 'TWAP' || !schedule.deadline || queue.length === 0) return schedule;
+
+    const remainingAmount = queue.reduce((sum, user) => sum + parseFloat(user.trade_amount || 100), 0);
+    const slicesLeft = Math.max(1, Math.ceil(remainingAmount / schedule.batchAmount));
+    const timeLeft = Math.max(0, schedule.deadline - Date.now());
+    return { ...schedule, intervalMs: Math.round(timeLeft / slicesLeft) };
+  }
+
+  clampInterval(ms) {
+    return Math.round(Math.min(this.batchConfig.maxInterval, Math.max(this.batchConfig.minInterval, ms)));
+  }
+
+  /**
+   * 买入方向的价差 (bps)，正数 = price 比 reference 贵
+   */
+  bps(price, reference) {
+    return Math.round((price - reference) / reference * 10000 * 100) / 100;
+  }
+
+  /**
+   * 成交质量报告 (按批)
+   * expected = 报价均价, realized = 确认后的实际成交价 (entry_amount_usdt / entry_amount_token)
+   *   realized_vs_expected_bps: 实际 vs 报价 (执行滑点)
+   *   shortfall_bps:            实际 vs 信号价 (含批次间价格漂移和冲击)
+   * 只统计有报价的成交，保证三个价格口径一致
+   */
+  async getFillQuality(batchId) {
+    const batch = await this.getBatchStatus(batchId);
+    if (!batch) return null;
+
+    const stored = typeof batch.fill_quality === 'string' ? JSON.parse(batch.fill_quality) : (batch.fill_quality || { slices: [] });
+    const arrivalPrice = parseFloat(stored.arrival_price) || null;
+
+    const rows = await DatabaseService.query(`
+      SELECT
+        batch_position,
+        COUNT(*) AS trades,
+        SUM(CASE WHEN entry_amount_token > 0 THEN 1 ELSE 0 END) AS filled,
+        SUM(entry_amount_usdt) AS amount_usdt,
+        SUM(entry_amount_usdt) / SUM(entry_amount_usdt / entry_quote_price) AS expected_price,
+        SUM(CASE WHEN entry_amount_token > 0 THEN entry_amount_usdt ELSE 0 END) AS filled_usdt,
+        SUM(CASE WHEN entry_amount_token > 0 THEN entry_amount_token ELSE 0 END) AS filled_token,
+        SUM(CASE WHEN entry_amount_token > 0 THEN entry_amount_usdt / entry_quote_price ELSE 0 END) AS filled_expected_token
+      FROM auto_trade_executions
+      WHERE batch_id = ? AND entry_quote_price > 0
+      GROUP BY batch_position
+      ORDER BY batch_position
+    `, [batchId]);
+
+    const summarize = (row, slice = {}) => {
+      const filledUsdt = parseFloat(row.filled_usdt || 0);
+      const realizedPrice = parseFloat(row.filled_token) > 0 ? filledUsdt / parseFloat(row.filled_token) : null;
+      // 实际 vs 报价只比较已成交的那部分
+      const filledExpectedPrice = parseFloat(row.filled_expected_token) > 0 ? filledUsdt / parseFloat(row.filled_expected_token) : null;
+      const expectedPrice = parseFloat(row.expected_price) || null;
+      return {
+        ...slice,
+        trades: parseInt(row.trades || 0),
+        filled: parseInt(row.filled || 0),
+        amount_usdt: parseFloat(row.amount_usdt || 0),
+        expected_price: expectedPrice,
+        realized_price: realizedPrice,
+        quote_impact_bps: expectedPrice && arrivalPrice ? this.bps(expectedPrice, arrivalPrice) : null,
+        realized_vs_expected_bps: realizedPrice && filledExpectedPrice ? this.bps(realizedPrice, filledExpectedPrice) : null,
+        shortfall_bps: realizedPrice && arrivalPrice ? this.bps(realizedPrice, arrivalPrice) : null
+      };
+    };
+
+    const slices = rows.map(row => {
+      const planned = (stored.slices || []).find(s => s.slice === row.batch_position) || {};
+      return summarize(row, {
+        slice: row.batch_position,
+        started_at: planned.started_at || null,
+        users: planned.users ?? null,
+        next_interval_ms: planned.next_interval_ms ?? null
+      });
+    });
+
+    const sum = key => rows.reduce((s, r) => s + parseFloat(r[key] || 0), 0);
+    const amount = sum('amount_usdt');
+    const total = summarize({
+      trades: sum('trades'),
+      filled: sum('filled'),
+      amount_usdt: amount,
+      expected_price: amount > 0 ? amount / rows.reduce((s, r) => s + parseFloat(r.amount_usdt || 0) / parseFloat(r.expected_price), 0) : null,
+      filled_usdt: sum('filled_usdt'),
+      filled_token: sum('filled_token'),
+      filled_expected_token: sum('filled_expected_token')
+    });
+
+    return {
+      batch_id: batchId,
+      algorithm: batch.execution_algorithm || stored.algorithm || null,
+      status: batch.status,
+      arrival_price: arrivalPrice,
+      slices,
+      total
+    };
   }
 
   /**
@@ -220,6 +472,10 @@ class BatchExecutor extends BaseAgent {
     const skipped = results.filter(r => r.status === 'fulfilled' && r.value?.result === 'skipped').length;
     const failed = results.filter(r => r.status === 'rejected').length;
 
+    Metrics.inc('galeon_agent_trades_total', { agent: this.name, result: 'executed' }, executed);
+    Metrics.inc('galeon_agent_trades_total', { agent: this.name, result: 'skipped' }, skipped);
+    Metrics.inc('galeon_agent_trades_total', { agent: this.name, result: 'failed' }, failed);
+
     if (executed > 0) {
       this.log(`      ✅ 执行成功: ${executed} 笔`);
     }
@@ -233,11 +489,18 @@ class BatchExecutor extends BaseAgent {
     return { succeeded: executed, skipped, failed };
   }
 
+  /**
+   * 同一用户同一信号只会有一笔执行 (幂等键)
+   */
+  executionIdFor(user, signal) {
+    return `exec_${user?.user_id}_${signal?.signal_id}`;
+  }
+
   /**
    * 执行单个用户的交易
    */
   async executeUserTrade(batchId, signal, user, currentPrice, batchNum) {
-    const executionId = `exec_${user.user_id}_${signal.signal_id}`;
+    const executionId = this.executionIdFor(user, signal);
 
     try {
       this.log(`         - ${user.user_id}: $${user.trade_amount}`);
@@ -355,9 +618,12 @@ class BatchExecutor extends BaseAgent {
         WHERE execution_id = ? AND status = 'FAILED'
       `, [executionId]);
 
+      // 📝 模拟盘: 不查链上余额、不需要 Privy，成交由 PaperExecutor 模拟
+      const paper = PaperExecutor.isPaper(user);
+
       // 🆕 2. 执行前再次检查余额 (防止从风险检查到实际执行期间余额被消耗)
       const RiskController = require('./RiskController');
-      const balanceCheck = await RiskController.checkBalance(
+      const balanceCheck = paper ? { passed: true } : await RiskController.checkBalance(
         user.user_id,
         parseFloat(user.trade_amount),
         signal.chain
@@ -392,27 +658,29 @@ class BatchExecutor extends BaseAgent {
         return { result: 'skipped', reason: `余额不足: ${balanceCheck.reason}` };
       }
 
-      // 🔧 获取 Privy User ID (后续手续费和交易都需要)
+      // 🔧 获取 Privy User ID (后续手续费和交易都需要，模拟盘不签名)
       let privyUserId = null;
-      const configRecord = await DatabaseService.query(`
-        SELECT privy_user_id FROM auto_trade_config
-        WHERE user_id = ? OR wallet_address = ?
-        LIMIT 1
-      `, [user.user_id, user.wallet_address]);
-
-      if (configRecord.length > 0 && configRecord[0].privy_user_id) {
-        privyUserId = configRecord[0].privy_user_id;
-      } else {
-        const userRecord = await DatabaseService.query(`
-          SELECT id FROM users WHERE address = ? OR address = ?
+      if (!paper) {
+        const configRecord = await DatabaseService.query(`
+          SELECT privy_user_id FROM auto_trade_config
+          WHERE user_id = ? OR wallet_address = ?
+          LIMIT 1
         `, [user.user_id, user.wallet_address]);
-        if (userRecord.length > 0) {
-          privyUserId = userRecord[0].id;
+
+        if (configRecord.length > 0 && configRecord[0].privy_user_id) {
+          privyUserId = configRecord[0].privy_user_id;
+        } else {
+          const userRecord = await DatabaseService.query(`
+            SELECT id FROM users WHERE address = ? OR address = ?
+          `, [user.user_id, user.wallet_address]);
+          if (userRecord.length > 0) {
+            privyUserId = userRecord[0].id;
+          }
         }
-      }
 
-      if (!privyUserId) {
-        throw new Error(`无法找到 Privy User ID`);
+        if (!privyUserId) {
+          throw new Error(`无法找到 Privy User ID`);
+        }
       }
 
       // 🔧 保存 privyUserId 到执行记录，供 TransactionMonitor 交易成功后收取手续费使用
@@ -422,8 +690,8 @@ class BatchExecutor extends BaseAgent {
       await DatabaseService.query(`
         INSERT INTO auto_trade_executions
         (execution_id, user_id, signal_id, token_symbol, chain, dex_name,
-         entry_amount_usdt, contract_address, status, batch_id, batch_position, follow_strategy, strategy_id, is_alpha_token, signal_source, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'PENDING', ?, ?, ?, ?, ?, ?, NOW())
+         entry_amount_usdt, contract_address, status, batch_id, batch_position, follow_strategy, strategy_id, is_alpha_token, signal_source, is_paper, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'PENDING', ?, ?, ?, ?, ?, ?, ?, NOW())
       `, [
         executionId,
         user.user_id,
@@ -438,13 +706,14 @@ class BatchExecutor extends BaseAgent {
         user.follow_strategy || 'UNKNOWN',
         user.strategy_id || null,
         isAlphaToken ? 1 : 0,
-        signalSource  // 🔧 修复：使用从数据库获取的 signalSource
+        signalSource,  // 🔧 修复：使用从数据库获取的 signalSource
+        paper ? 1 : 0
       ]);
 
       // 3. 构建 DEX 交易 (支持 four.meme + pump.fun + Jupiter)
       // 🔧 2026-02-06 修复: 传递 Solana 特有参数 (isPumpFun/isBondingCurve/pumpFunInfo)
       // 🔧 备份: 原始代码不传递 isPumpFun/isBondingCurve/pumpFunInfo, Solana bonding curve 代币无法正确路由
-      const txData = await DEXAggregatorService.buildSwapTx({
+      const swapParams = {
         chain: signal.chain,
         tokenIn: signal.chain === 'BSC' ? 'USDT' : (signal.chain === 'Solana' ? 'SOL' : 'USDC'),
         tokenOut: signal.token_symbol,
@@ -463,31 +732,75 @@ class BatchExecutor extends BaseAgent {
         pumpFunInfo: signal.pump_fun_info || null,
         // 🔧 传递 isAlphaToken 用于价格验证优化
         isAlphaToken: isAlphaToken
-      });
+      };
+      // 📝 模拟盘只用作报价，报价失败时按 currentPrice 模拟
+      const txData = paper
+        ? await PaperExecutor.quote(swapParams)
+        : await DEXAggregatorService.buildSwapTx(swapParams);
 
-      // 4. 更新状态为 SUBMITTING
+      // 4. 更新状态为 SUBMITTING (记录报价成交价，用于成交质量统计)
       // 🔧 修复：Solana 的 JupiterService/PumpFunService 返回值中没有 tokenAddress，
       //    使用 signal.contract_address 作为 fallback
       await DatabaseService.query(`
         UPDATE auto_trade_executions
-        SET status = 'SUBMITTING', contract_address = ?
+        SET status = 'SUBMITTING', contract_address = ?, entry_quote_price = ?
         WHERE execution_id = ?
-      `, [txData.tokenAddress || signal.contract_address, executionId]);
+      `, [
+        txData?.tokenAddress || signal.contract_address,
+        ExecutionQuality.quotePrice('BUY', user.trade_amount, txData, signal.chain),
+        executionId
+      ]);
 
-      // 5. 提交交易 (使用 Privy 签名)
-      const txHash = await this.submitTransaction(user, txData, privyUserId);
+      let txHash;
+      if (paper) {
+        // 5. 模拟成交 (直接 CONFIRMED → 持仓 → 出场监控)
+        txHash = await PaperExecutor.fillEntry(executionId, signal, user, txData, currentPrice);
+      } else {
+        // 5. 广播前模拟 (Approval + Swap + 卖回探测)，不通过就不上链
+        const simulation = await TxSimulator.simulateEntry({
+          chain: signal.chain,
+          from: user.wallet_address,
+          txData
+        });
+        if (!simulation.passed) {
+          const reason = TxSimulator.formatReason(simulation);
+          await DatabaseService.query(`
+            UPDATE auto_trade_executions
+            SET status = 'FAILED', error_message = ?
+            WHERE execution_id = ?
+          `, [reason, executionId]);
+          const AutoTradeService = require('./AutoTradeService');
+          await AutoTradeService.updateRejectReason(signal.signal_id, reason);
+          return { result: 'skipped', reason, simulation };
+        }
 
-      // 6. 更新状态为 SUBMITTED
-      await DatabaseService.query(`
-        UPDATE auto_trade_executions
-        SET status = 'SUBMITTED',
-            entry_tx_hash = ?,
-            entry_price = ?,
-            entry_slippage = ?
-        WHERE execution_id = ?
-      `, [txHash, currentPrice, txData.estimatedSlippage, executionId]);
+        // 6. 提交交易 (使用 Privy 签名)
+        txHash = await this.submitTransaction(user, txData, privyUserId);
 
-      this.log(`         ✅ 已提交: ${txHash.slice(0, 10)}...`);
+        // 7. 更新状态为 SUBMITTED
+        await DatabaseService.query(`
+          UPDATE auto_trade_executions
+          SET status = 'SUBMITTED',
+              entry_tx_hash = ?,
+              entry_price = ?,
+              entry_slippage = ?
+          WHERE execution_id = ?
+        `, [txHash, currentPrice, txData.estimatedSlippage, executionId]);
+
+        this.log(`         ✅ 已提交: ${txHash.slice(0, 10)}...`);
+      }
+
+      // 执行质量 (价格冲击要查链上储备，不阻塞批次)
+      ExecutionQuality.recordSubmission(executionId, 'entry', {
+        side: 'BUY',
+        chain: signal.chain,
+        token: signal.token_symbol,
+        tokenAddress: signal.contract_address,
+        amountIn: parseFloat(user.trade_amount),
+        signalPrice: currentPrice,
+        txData,
+        paper
+      });
 
       // 🔧 修改: 买入成功后，标记该 token 的所有 ACTIVE 信号为 TRIGGERED
       // 这样可以防止同一 token 的多个信号重复触发交易
@@ -503,7 +816,7 @@ class BatchExecutor extends BaseAgent {
         this.log(`         ⚠️ Failed to update signal status: ${updateErr.message}`);
       }
 
-      return { result: 'executed', executionId, txHash };
+      return { result: 'executed', executionId, txHash, paper };
 
     } catch (error) {
       this.error(`         ❌ 失败: ${error.message}`);
@@ -597,7 +910,8 @@ class BatchExecutor extends BaseAgent {
           value: dexTxData.approvalTx.value || '0x0',
           chainId: chainId,
           gas: '0x15f90', // 90000 gas for approval
-          gasPrice: dexTxData.gasPrice
+          gasPrice: dexTxData.gasPrice,
+          label: 'entry-approve'
         });
 
         this.log(`         ✅ Approval 交易已发送: ${approvalResult.hash.slice(0, 10)}...`);
@@ -618,7 +932,8 @@ class BatchExecutor extends BaseAgent {
         value: dexTxData.value || '0x0',
         chainId: chainId,
         gas: dexTxData.gasLimit,
-        gasPrice: dexTxData.gasPrice
+        gasPrice: dexTxData.gasPrice,
+        label: 'entry'
       });
 
       this.log(`         ✅ 主交易已通过 Privy 发送: ${result.hash.slice(0, 10)}...`);
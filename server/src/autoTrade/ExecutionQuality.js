@@ -0,0 +1,412 @@
+/**
+ * 执行质量统计
+ * 功能:
+ * 1. 每笔入场 / 出场提交时记录: 信号价、报价成交价、价格冲击 (DEXAggregatorService.calculatePriceImpact)、
+ *    预估 Gas、路由 / DEX、流动性等级 (auto_trade_executions.entry_execution / exit_execution)
+ * 2. 成交确认后补记实际成交价和实际 Gas
+ *    入场: entry_amount_usdt / entry_amount_token (TransactionMonitor / PaperExecutor 写入)
+ *    出场: recordExitFill() 在 calculateProfitLoss 覆盖 exit_amount_usdt 之前读取
+ * 3. 报告: 按 链 / DEX / 流动性等级 / 时段 (UTC 小时) 汇总滑点、冲击、Gas 和执行成本
+ *    分页读取，逐行累加，不在内存里保留整段时间的明细
+ *
+ * 口径 (bps，正数 = 对我们不利):
+ *   slippage_bps  实际成交价 vs 报价成交价
+ *   shortfall_bps 实际成交价 vs 信号价 (含提交前的价格漂移)
+ *   买入: (成交 − 基准) / 基准，卖出: (基准 − 成交) / 基准
+ */
+
+const { ethers } = require('ethers');
+const DatabaseService = require('../databaseService');
+const DEXAggregatorService = require('./DEXAggregatorService');
+const LiquidityMonitor = require('./LiquidityMonitor');
+const rpcProvider = require('../../utils/rpcProvider');
+const BaseAgent = require('./core/BaseAgent');
+const AgentBus = require('./core/AgentBus');
+
+const PAIR_ABI = [
+  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)'
+];
+const ERC20_ABI = ['function decimals() external view returns (uint8)'];
+const DIMENSIONS = ['chain', 'dex', 'liquidity_grade', 'hour'];
+const REPORT_PAGE_SIZE = 500;
+const AVERAGED = ['slippage_bps', 'shortfall_bps', 'price_impact_pct'];
+const SUMMED = ['notional', 'gas_usd', 'shortfall_usd'];
+
+// 链上 Gas 按原生币记账 (BNB / ETH / SOL)，换算美元用的现货交易对
+const NATIVE_PAIRS = { BSC: 'BNBUSDT', Base: 'ETHUSDT', Solana: 'SOLUSDT' };
+// 模拟盘费用按计价币种记账 (PaperExecutor.gasCost)，这些链本身就是美元
+const PAPER_USD_QUOTED = ['BSC', 'Base'];
+const NATIVE_PRICE_TTL_MS = 60 * 1000;
+
+class ExecutionQuality extends BaseAgent {
+  constructor() {
+    super('Execution Quality Agent', 'execution');
+    AgentBus.register(this);
+
+    this.nativePrices = new Map();   // chain → { price, at }
+
+    this.log('✅ ExecutionQuality initialized');
+  }
+
+  /**
+   * 报价成交价 (计价币种 / 代币)
+   * amountOutMin 按 estimatedSlippage 还原成报价输出；Solana 的 amountOutMin 单位不统一，返回 null
+   * @param {string} side - BUY (amountIn 为计价币种) / SELL (amountIn 为代币数量)
+   */
+  quotePrice(side, amountIn, txData, chain) {
+    if (!txData || chain === 'Solana') return null;
+    const quotedOut = parseFloat(txData.amountOutMin) / (1 - (parseFloat(txData.estimatedSlippage) || 0) / 100);
+    if (!(quotedOut > 0) || !Number.isFinite(quotedOut)) return null;
+    return side === 'BUY' ? parseFloat(amountIn) / quotedOut : quotedOut / parseFloat(amountIn);
+  }
+
+  /**
+   * 成交价相对基准价的成本 (bps)，正数 = 不利
+   */
+  costBps(side, price, reference) {
+    if (!(price > 0) || !(reference > 0)) return null;
+    const diff = side === 'BUY' ? price - reference : reference - price;
+    return Math.round(diff / reference * 10000 * 100) / 100;
+  }
+
+  /**
+   * 记录一笔提交 (入场 / 出场)，失败只记日志，不影响交易
+   * @param {string} executionId
+   * @param {string} leg - entry / exit
+   * @param {Object} order
+   *   - side: BUY / SELL, chain, token, tokenAddress
+   *   - amountIn: BUY 为计价币种金额，SELL 为代币数量
+   *   - signalPrice: 触发时的价格 (入场为 PriceWatcher 触发价，出场为监控最后一次价格)
+   *   - txData: buildSwapTx 结果 (模拟盘报价失败时为 null)
+   *   - paper
+   */
+  async recordSubmission(executionId, leg, { side, chain, token, tokenAddress, amountIn, signalPrice, txData, paper = false }) {
+    try {
+      const pool = await this.getPoolInfo(token, chain);
+      const quotePrice = this.quotePrice(side, amountIn, txData, chain);
+      const quotedOut = quotePrice ? (side === 'BUY' ? amountIn / quotePrice : amountIn * quotePrice) : null;
+
+      const record = {
+        side,
+        submitted_at: new Date().toISOString(),
+        amount_in: parseFloat(amountIn),
+        signal_price: parseFloat(signalPrice) || null,
+        quote_price: quotePrice,
+        quote_vs_signal_bps: this.costBps(side, quotePrice, parseFloat(signalPrice)),
+        price_impact_pct: await this.measurePriceImpact({
+          chain,
+          poolAddress: pool?.pool_address,
+          tokenAddress: txData?.tokenAddress || tokenAddress,
+          side,
+          amountIn: parseFloat(amountIn),
+          amountOut: quotedOut
+        }),
+        gas_estimate_native: parseFloat(txData?.estimatedGasCost) || null,
+        route: {
+          dex: txData?.dex || pool?.dex_name || null,
+          version: txData?.version || null,
+          router: txData?.routerAddress || null
+        },
+        liquidity_grade: pool?.grade || null,
+        paper: !!paper,
+        fill_price: null,
+        gas_usd: null
+      };
+
+      const column = leg === 'exit' ? 'exit_execution' : 'entry_execution';
+      await DatabaseService.query(`
+        UPDATE auto_trade_executions SET ${column} = ? WHERE execution_id = ?
+      `, [JSON.stringify(record), executionId]);
+
+      return record;
+    } catch (error) {
+      this.warn(`   ⚠️ [ExecQuality] 记录失败 ${executionId}/${leg}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 出场成交确认后补记实际成交价 (必须在 calculateProfitLoss 之前调用，
+   * 之后 exit_amount_usdt 会被改成包含部分止盈的总额)
+   */
+  async recordExitFill(executionId) {
+    try {
+      const rows = await DatabaseService.query(`
+        SELECT chain, exit_execution, exit_amount_usdt, exit_gas_fee
+        FROM auto_trade_executions
+        WHERE execution_id = ?
+      `, [executionId]);
+      const record = this.parse(rows[0]?.exit_execution);
+      if (!record) return null;
+
+      const amountOut = parseFloat(rows[0].exit_amount_usdt);
+      const chain = rows[0].chain;
+      record.fill_price = amountOut > 0 && record.amount_in > 0 ? amountOut / record.amount_in : null;
+      record.gas_native = parseFloat(rows[0].exit_gas_fee) || null;
+      record.gas_usd = await this.gasToUsd(record.gas_native, chain, record.paper);
+      record.filled_at = new Date().toISOString();
+
+      await DatabaseService.query(`
+        UPDATE auto_trade_executions SET exit_execution = ? WHERE execution_id = ?
+      `, [JSON.stringify(record), executionId]);
+
+      return record;
+    } catch (error) {
+      this.warn(`   ⚠️ [ExecQuality] 出场成交记录失败 ${executionId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Gas 费用换算成美元
+   * 实盘为原生币数量，按现货价换算；BSC / Base 模拟盘已按计价币种 (USDT / USDC) 记账
+   * @returns {number|null} 拿不到原生币价格时为 null
+   */
+  async gasToUsd(amount, chain, paper = false) {
+    if (!(amount > 0)) return null;
+    if (paper && PAPER_USD_QUOTED.includes(chain)) return amount;
+
+    const price = await this.getNativePrice(chain);
+    return price ? Math.round(amount * price * 10000) / 10000 : null;
+  }
+
+  /**
+   * 原生币美元价格 (BinanceAlphaService 现货行情，缓存 60 秒)
+   */
+  async getNativePrice(chain) {
+    const cached = this.nativePrices.get(chain);
+    if (cached && Date.now() - cached.at < NATIVE_PRICE_TTL_MS) return cached.price;
+    if (!NATIVE_PAIRS[chain]) return null;
+
+    try {
+      const BinanceAlphaService = require('../BinanceAlphaService');
+      const price = chain === 'BSC'
+        ? await BinanceAlphaService.getBNBPrice()
+        : parseFloat((await BinanceAlphaService.getCurrentPrice(NATIVE_PAIRS[chain]))?.price);
+      if (!(price > 0)) return cached?.price ?? null;
+
+      this.nativePrices.set(chain, { price, at: Date.now() });
+      return price;
+    } catch (error) {
+      this.warn(`   ⚠️ [ExecQuality] ${chain} 原生币价格获取失败: ${error.message}`);
+      return cached?.price ?? null;
+    }
+  }
+
+  /**
+   * 白名单里的池子和流动性 (DEX / pool_address / 等级)
+   */
+  async getPoolInfo(token, chain) {
+    const rows = await DatabaseService.query(`
+      SELECT dex_name, pool_address, liquidity_usd, volume_24h_usd
+      FROM auto_trade_token_whitelist
+      WHERE token_symbol = ? AND chain = ?
+      LIMIT 1
+    `, [token, chain]);
+    if (rows.length === 0) return null;
+
+    const { grade } = LiquidityMonitor.assessLiquidity({
+      tvl: parseFloat(rows[0].liquidity_usd) || 0,
+      volume24h: parseFloat(rows[0].volume_24h_usd) || 0
+    });
+    return { ...rows[0], grade };
+  }
+
+  /**
+   * V2 池子的价格冲击 (%): 池子储备 + 报价输入输出 → DEXAggregatorService.calculatePriceImpact
+   * V3 / Solana / 无池子地址时返回 null
+   */
+  async measurePriceImpact({ chain, poolAddress, tokenAddress, side, amountIn, amountOut }) {
+    if (chain === 'Solana' || !poolAddress || !tokenAddress || !(amountIn > 0) || !(amountOut > 0)) return null;
+
+    try {
+      const [token0, token1, reserves] = await Promise.all([
+        rpcProvider.callContract(chain, poolAddress, PAIR_ABI, 'token0', []),
+        rpcProvider.callContract(chain, poolAddress, PAIR_ABI, 'token1', []),
+        rpcProvider.callContract(chain, poolAddress, PAIR_ABI, 'getReserves', [])
+      ]);
+      const [decimals0, decimals1] = await Promise.all([
+        rpcProvider.callContract(chain, token0, ERC20_ABI, 'decimals', []),
+        rpcProvider.callContract(chain, token1, ERC20_ABI, 'decimals', [])
+      ]);
+
+      // 代币在池子哪一侧: 买入时代币是输出，卖出时代币是输入
+      const tokenIs0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+      const tokenSide = { reserve: tokenIs0 ? reserves[0] : reserves[1], decimals: Number(tokenIs0 ? decimals0 : decimals1) };
+      const quoteSide = { reserve: tokenIs0 ? reserves[1] : reserves[0], decimals: Number(tokenIs0 ? decimals1 : decimals0) };
+      const input = side === 'BUY' ? quoteSide : tokenSide;
+      const output = side === 'BUY' ? tokenSide : quoteSide;
+
+      const impact = DEXAggregatorService.calculatePriceImpact(
+        input.reserve,
+        output.reserve,
+        ethers.parseUnits(amountIn.toFixed(input.decimals), input.decimals),
+        ethers.parseUnits(amountOut.toFixed(output.decimals), output.decimals),
+        input.decimals,
+        output.decimals
+      );
+
+      return Number.isFinite(impact?.priceImpact) ? Math.round(impact.priceImpact * 100 * 10000) / 10000 : null;
+    } catch (error) {
+      this.warn(`   ⚠️ [ExecQuality] 价格冲击计算失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 执行质量报告
+   * @param {Object} filter - { from, to, leg (entry / exit / all), chain, paper (true / false，默认 false = 实盘) }
+   * @returns {Object} { range, paper, total, by: { chain, dex, liquidity_grade, hour } }
+   */
+  async getReport(filter = {}) {
+    const to = filter.to ? new Date(filter.to) : new Date();
+    const from = filter.from ? new Date(filter.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const paper = filter.paper === true;
+    const params = [from, to, paper ? 1 : 0];
+    let chainFilter = '';
+    if (filter.chain) {
+      chainFilter = 'AND chain = ?';
+      params.push(filter.chain);
+    }
+
+    const total = this.createBucket();
+    const groups = Object.fromEntries(DIMENSIONS.map(d => [d, new Map()]));
+    const addLeg = leg => {
+      this.addToBucket(total, leg);
+      for (const dimension of DIMENSIONS) {
+        const key = leg[dimension] ?? 'UNKNOWN';
+        if (!groups[dimension].has(key)) groups[dimension].set(key, this.createBucket());
+        this.addToBucket(groups[dimension].get(key), leg);
+      }
+    };
+
+    // 按 (created_at, execution_id) 翻页
+    let cursor = null;
+    for (;;) {
+      const pageFilter = cursor ? 'AND (created_at > ? OR (created_at = ? AND execution_id > ?))' : '';
+      const pageParams = cursor ? [cursor.created_at, cursor.created_at, cursor.execution_id] : [];
+      const rows = await DatabaseService.query(`
+        SELECT execution_id, created_at, chain, entry_execution, exit_execution,
+               entry_amount_usdt, entry_amount_token, entry_gas_fee
+        FROM auto_trade_executions
+        WHERE created_at BETWEEN ? AND ?
+        AND (entry_execution IS NOT NULL OR exit_execution IS NOT NULL)
+        AND COALESCE(is_paper, 0) = ?
+        ${chainFilter}
+        ${pageFilter}
+        ORDER BY created_at, execution_id
+        LIMIT ${REPORT_PAGE_SIZE}
+      `, [...params, ...pageParams]);
+
+      for (const row of rows) {
+        if (filter.leg !== 'exit') {
+          const entry = this.parse(row.entry_execution);
+          if (entry) {
+            // 入场实际成交价由确认流程写入 entry_amount_*，Gas 只有原生币数量
+            const token = parseFloat(row.entry_amount_token);
+            addLeg(this.scoreLeg('entry', row.chain, {
+              ...entry,
+              fill_price: entry.fill_price || (token > 0 ? parseFloat(row.entry_amount_usdt) / token : null),
+              gas_usd: entry.gas_usd ?? await this.gasToUsd(parseFloat(row.entry_gas_fee), row.chain, paper)
+            }));
+          }
+        }
+        if (filter.leg !== 'entry') {
+          const exit = this.parse(row.exit_execution);
+          if (exit) addLeg(this.scoreLeg('exit', row.chain, exit));
+        }
+      }
+
+      if (rows.length < REPORT_PAGE_SIZE) break;
+      cursor = rows[rows.length - 1];
+    }
+
+    const by = {};
+    for (const dimension of DIMENSIONS) {
+      by[dimension] = [...groups[dimension].entries()]
+        .map(([key, bucket]) => ({ key, ...this.summarize(bucket) }))
+        .sort((a, b) => dimension === 'hour' ? a.key - b.key : b.legs - a.legs);
+    }
+
+    return {
+      range: { from: from.toISOString(), to: to.toISOString() },
+      paper,
+      total: this.summarize(total),
+      by
+    };
+  }
+
+  /**
+   * 单腿: 计算成本指标并展开分组字段
+   */
+  scoreLeg(leg, chain, record) {
+    const notional = record.side === 'BUY' ? record.amount_in : (record.fill_price ? record.amount_in * record.fill_price : null);
+    const shortfallBps = this.costBps(record.side, record.fill_price, record.signal_price);
+    return {
+      leg,
+      chain,
+      dex: record.route?.dex || null,
+      liquidity_grade: record.liquidity_grade || null,
+      hour: new Date(record.submitted_at).getUTCHours(),
+      paper: !!record.paper,
+      filled: record.fill_price > 0,
+      notional,
+      slippage_bps: this.costBps(record.side, record.fill_price, record.quote_price),
+      shortfall_bps: shortfallBps,
+      price_impact_pct: record.price_impact_pct ?? null,
+      gas_usd: record.gas_usd ?? null,
+      // 相对信号价损失的金额
+      shortfall_usd: shortfallBps !== null && notional ? notional * shortfallBps / 10000 : null
+    };
+  }
+
+  /**
+   * 分组累加器: 滑点 / 冲击为算术平均，成本为合计
+   */
+  createBucket() {
+    const bucket = { legs: 0, filled: 0, sums: {}, counts: {} };
+    for (const key of [...AVERAGED, ...SUMMED]) {
+      bucket.sums[key] = 0;
+      bucket.counts[key] = 0;
+    }
+    return bucket;
+  }
+
+  addToBucket(bucket, leg) {
+    bucket.legs++;
+    if (leg.filled) bucket.filled++;
+    for (const key of [...AVERAGED, ...SUMMED]) {
+      const value = leg[key];
+      if (value === null || value === undefined) continue;
+      bucket.sums[key] += value;
+      bucket.counts[key]++;
+    }
+  }
+
+  summarize(bucket) {
+    const avg = key => bucket.counts[key] > 0 ? Math.round(bucket.sums[key] / bucket.counts[key] * 100) / 100 : null;
+    const sum = key => Math.round(bucket.sums[key] * 100) / 100;
+
+    return {
+      legs: bucket.legs,
+      filled: bucket.filled,
+      notional_usd: sum('notional'),
+      avg_slippage_bps: avg('slippage_bps'),
+      avg_shortfall_bps: avg('shortfall_bps'),
+      avg_price_impact_pct: avg('price_impact_pct'),
+      gas_usd: sum('gas_usd'),
+      shortfall_usd: sum('shortfall_usd'),
+      execution_cost_usd: Math.round((sum('shortfall_usd') + sum('gas_usd')) * 100) / 100
+    };
+  }
+
+  parse(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return value;
+    try { return JSON.parse(value); } catch { return null; }
+  }
+}
+
+module.exports = new ExecutionQuality();
@@ -6,23 +6,40 @@
  * 3. 触发止盈 (Take Profit)
  * 4. 信号过期自动出场
  * 5. 手动出场
+ * 6. 出场交易广播前模拟 (TxSimulator)，不通过不上链:
+ *    - 回滚 (revert / approve 失败): 保持持仓稍后重试
+ *    - 卖出税 / 输出低于 amountOutMin: 逐级放宽滑点重新报价，到上限仍不通过则升级告警 (trade.exit.escalated)，不再自动重试
  */
 
 const DatabaseService = require('../databaseService');
 const DEXAggregatorService = require('./DEXAggregatorService');
 const DynamicStopLoss = require('./DynamicStopLoss');
 const FeeService = require('../FeeService');
+const PaperExecutor = require('./PaperExecutor');
+const ExecutionQuality = require('./ExecutionQuality');
+const NonceManager = require('./NonceManager');
+const TxSimulator = require('./TxSimulator');
 const { ethers } = require('ethers');
 const BaseAgent = require('./core/BaseAgent');
 const AgentBus = require('./core/AgentBus');
+const Metrics = require('./core/Metrics');
 
 class ExitMonitor extends BaseAgent {
   constructor() {
     super('Portfolio Agent', 'portfolio');
     AgentBus.register(this);
+    this.instrument('checkExitConditions', 'exit_check', executionId => ({ execution_id: executionId }));
+    this.instrument('executeExit', 'exit', executionId => ({ execution_id: executionId }));
     this.activeMonitors = new Map(); // executionId -> { interval, position }
     this.checkInterval = 15000; // 每 15 秒检查一次
 
+    // 出场模拟失败 (卖出税 / 输出不足) 时的滑点放宽
+    this.exitSimConfig = {
+      slippageStepFactor: 2,      // 每次 ×2 重新报价
+      maxSlippage: 30             // 上限 30%，仍不通过则升级
+    };
+    this.exitSimReasons = new Map(); // executionId -> 上次写入信号的模拟失败原因
+
     this.log('✅ ExitMonitor initialized');
   }
 
@@ -65,6 +82,10 @@ class ExitMonitor extends BaseAgent {
           await this.checkExitConditions(executionId, position);
         } catch (error) {
           this.error(`   ❌ 检查失败: ${error.message}`);
+        } finally {
+          // Supervisor 按 lastTickAt 判断循环是否卡住
+          const monitor = this.activeMonitors.get(executionId);
+          if (monitor && monitor.interval === interval) monitor.lastTickAt = Date.now();
         }
       }, this.checkInterval);
 
@@ -72,7 +93,8 @@ class ExitMonitor extends BaseAgent {
       this.activeMonitors.set(executionId, {
         interval,
         position,
-        startedAt: new Date()
+        startedAt: new Date(),
+        lastTickAt: null
       });
 
     } catch (error) {
@@ -188,6 +210,15 @@ class ExitMonitor extends BaseAgent {
         `, [currentPrice, unrealizedPnlUsdt, profitPercent, executionId]);
       }
 
+      this.publish('position.updated', {
+        executionId,
+        userId: position.user_id,
+        token: position.token_symbol,
+        price: currentPrice,
+        pnlPercent: profitPercent,
+        pnlUsdt: unrealizedPnlUsdt
+      });
+
       // 3. 检查止损 (使用更新后的止损价)
       const stopLossPrice = parseFloat(position.stop_loss_price);
       if (stopLossPrice && currentPrice <= stopLossPrice) {
@@ -447,7 +478,7 @@ class ExitMonitor extends BaseAgent {
 
       // 3. 构建卖出交易
       // 🔧 2026-02-06 修复: Solana 卖出输出 SOL，备份: tokenOut: position.chain === 'BSC' ? 'USDT' : 'USDC'
-      const sellTxData = await DEXAggregatorService.buildSwapTx({
+      const sellSwapParams = {
         chain: position.chain,
         tokenIn: position.token_symbol,
         tokenInAddress: position.contract_address,
@@ -457,7 +488,21 @@ class ExitMonitor extends BaseAgent {
         userAddress: position.wallet_address,
         // 🔧 传递 isAlphaToken 用于价格验证优化
         isAlphaToken: position.is_alpha_token === 1
-      });
+      };
+
+      // 📝 模拟盘: 按报价模拟成交，partial_sells 直接 SUCCESS
+      if (position.is_paper) {
+        const fill = await PaperExecutor.fillPartialSell(partialSellId, position, sellSwapParams, currentPrice);
+        return {
+          success: true,
+          txHash: fill.tx_hash,
+          soldAmount: sellAmount,
+          soldUsdt: fill.amount_out,
+          gasFee: fill.fees
+        };
+      }
+
+      const sellTxData = await this.preflightExit(position, await DEXAggregatorService.buildSwapTx(sellSwapParams), sellSwapParams);
 
       // 4. 如果需要授权，先执行 approve
       if (sellTxData.needsApproval && sellTxData.approvalTx) {
@@ -468,12 +513,12 @@ class ExitMonitor extends BaseAgent {
           value: sellTxData.approvalTx.value,
           gasLimit: '0x15f90',
           gasPrice: sellTxData.gasPrice
-        });
+        }, { label: 'partial-approve' });
         await new Promise(resolve => setTimeout(resolve, 5000));
       }
 
       // 5. 提交卖出交易
-      const txHash = await this.submitExitTransaction(position, sellTxData);
+      const txHash = await this.submitExitTransaction(position, sellTxData, { label: 'partial-sell' });
 
       this.log(`   ✅ [PartialTP] 交易已提交: ${txHash.slice(0, 10)}...`);
 
@@ -599,7 +644,7 @@ class ExitMonitor extends BaseAgent {
   async executeExit(executionId, exitType, reason) {
     try {
       this.log(`\n🚪 执行出场: ${executionId} (${exitType})`);
-      this.publish('portfolio:exit_triggered', { executionId, exitType, reason });
+      Metrics.inc('galeon_agent_exits_total', { agent: this.name, exit_type: exitType });
 
       // 1. 停止监控
       if (this.activeMonitors.has(executionId)) {
@@ -610,6 +655,7 @@ class ExitMonitor extends BaseAgent {
 
       // 2. 查询持仓 (🔧 修复：使用 getPositionWithStopLoss 获取 positions 表数据)
       const position = await this.getPositionWithStopLoss(executionId);
+      this.publish('trade.exit.triggered', { executionId, userId: position?.user_id, exitType, reason });
 
       if (!position) {
         throw new Error('Position not found');
@@ -652,7 +698,7 @@ class ExitMonitor extends BaseAgent {
 
       // 5. 构建卖出交易（🔧 修复：使用 position 表里存的合约地址 + 剩余数量）
       // 🔧 2026-02-06 修复: Solana 卖出输出 SOL，备份: tokenOut: position.chain === 'BSC' ? 'USDT' : 'USDC'
-      const exitTxData = await DEXAggregatorService.buildSwapTx({
+      const exitSwapParams = {
         chain: position.chain,
         tokenIn: position.token_symbol,
         tokenInAddress: position.contract_address, // 🔧 使用持仓时的实际合约地址
@@ -662,12 +708,36 @@ class ExitMonitor extends BaseAgent {
         userAddress: position.wallet_address,
         // 🔧 传递 isAlphaToken 用于价格验证优化
         isAlphaToken: position.is_alpha_token === 1
-      });
+      };
+
+      // 📝 模拟盘: 按报价模拟成交，直接 EXITED，不收手续费 (费用已计入 exit_gas_fee)
+      if (position.is_paper) {
+        const paperQuote = await PaperExecutor.quote(exitSwapParams);
+        const fill = await PaperExecutor.fillExit(executionId, position, exitType, exitSwapParams, paperQuote);
+        await ExecutionQuality.recordSubmission(executionId, 'exit', {
+          side: 'SELL',
+          chain: position.chain,
+          token: position.token_symbol,
+          tokenAddress: position.contract_address,
+          amountIn: remainingTokens,
+          signalPrice: parseFloat(position.current_price),
+          txData: paperQuote,
+          paper: true
+        });
+        await ExecutionQuality.recordExitFill(executionId);
+        await this.calculateProfitLoss(executionId);
+        return { success: true, txHash: fill.tx_hash, paper: true };
+      }
+
+      let exitTxData = await DEXAggregatorService.buildSwapTx(exitSwapParams);
 
       this.log(`   🚪 最终卖出数量: ${remainingTokens.toFixed(8)} ${position.token_symbol}`);
       this.log(`   预期获得: ${exitTxData.amountOutMin} USDT/USDC`);
       this.log(`   🔧 [DEBUG] needsApproval: ${exitTxData.needsApproval}, approvalTx: ${exitTxData.approvalTx ? 'EXISTS' : 'NULL'}`);
 
+      // 4.4. 广播前模拟 (卖出税 / 输出不足时放宽滑点重新报价；回滚时回到 HOLDING，30 秒后重新监控)
+      exitTxData = await this.preflightExit(position, exitTxData, exitSwapParams);
+
       // 4.5. 如果需要授权,先执行approve
       if (exitTxData.needsApproval && exitTxData.approvalTx) {
         this.log(`   🔑 需要授权,先执行 approve...`);
@@ -677,7 +747,7 @@ class ExitMonitor extends BaseAgent {
           value: exitTxData.approvalTx.value,
           gasLimit: '0x15f90', // 90000 gas for approve
           gasPrice: exitTxData.gasPrice
-        });
+        }, { replaceKey: `exit-approve:${executionId}`, label: 'exit-approve' });
         this.log(`   ✅ Approve 交易已提交: ${approveTxHash.slice(0, 10)}...`);
 
         // 等待5秒让approve交易确认
@@ -689,7 +759,8 @@ class ExitMonitor extends BaseAgent {
       let submitError = null;
 
       try {
-        exitTxHash = await this.submitExitTransaction(position, exitTxData);
+        // 上一次出场交易仍卡在内存池时，同 nonce 替换而不是在后面再排一笔
+        exitTxHash = await this.submitExitTransaction(position, exitTxData, { replaceKey: `exit:${executionId}`, label: 'exit' });
       } catch (error) {
         submitError = error;
         // 检查错误消息中是否包含transaction hash (Privy可能在抛出错误的同时返回了hash)
@@ -716,6 +787,17 @@ class ExitMonitor extends BaseAgent {
         WHERE execution_id = ?
       `, [exitTxHash, exitType, executionId]);
 
+      // 7. 执行质量 (报价 / 信号价 / 冲击 / 路由，成交价在确认后补记)
+      await ExecutionQuality.recordSubmission(executionId, 'exit', {
+        side: 'SELL',
+        chain: position.chain,
+        token: position.token_symbol,
+        tokenAddress: position.contract_address,
+        amountIn: remainingTokens,
+        signalPrice: parseFloat(position.current_price),
+        txData: exitTxData
+      });
+
       // 8. 启动TransactionMonitor监控交易确认状态 (🔧 传入 'EXIT' 类型 + exitInfo)
       const TransactionMonitor = require('./TransactionMonitor');
       this.log(`   🔍 启动TransactionMonitor监控: ${exitTxHash.slice(0, 10)}...`);
@@ -740,7 +822,8 @@ class ExitMonitor extends BaseAgent {
               WHERE execution_id = ?
             `, [executionId]);
 
-            // 计算最终盈亏
+            // 计算最终盈亏 (先补记出场成交价，calculateProfitLoss 会改写 exit_amount_usdt)
+            await ExecutionQuality.recordExitFill(executionId);
             await this.calculateProfitLoss(executionId);
 
             // 💰 收取卖出手续费 (在 DEX swap 确认后)
@@ -816,10 +899,12 @@ class ExitMonitor extends BaseAgent {
               this.log(`   🔄 保持 EXITING 状态，60秒后重试确认`);
               setTimeout(async () => {
                 try {
-                  // 🔧 重试时也传递 exitInfo
-                  const retryResult = await TransactionMonitor.monitorTransaction(executionId, exitTxHash, position.chain, 'EXIT', exitInfo);
+                  // 🔧 重试时也传递 exitInfo; 卡住被加速过的交易要跟踪替换后的 hash
+                  const currentTxHash = NonceManager.latestHash(exitTxHash);
+                  const retryResult = await TransactionMonitor.monitorTransaction(executionId, currentTxHash, position.chain, 'EXIT', exitInfo);
                   if (retryResult.success) {
                     await DatabaseService.query(`UPDATE auto_trade_executions SET status = 'EXITED' WHERE execution_id = ?`, [executionId]);
+                    await ExecutionQuality.recordExitFill(executionId);
                     await this.calculateProfitLoss(executionId);
                     const DataSyncService = require('./DataSyncService');
                     await DataSyncService.onTradeExit(executionId);
@@ -856,6 +941,19 @@ class ExitMonitor extends BaseAgent {
         WHERE execution_id = ?
       `, [error.message, executionId]);
 
+      // 滑点上限仍卖不出去: 重试也只会得到相同结果，升级给人工处理
+      if (error.escalate) {
+        this.error(`   🚨 出场模拟在 ${error.slippage}% 滑点仍失败，停止自动重试: ${executionId}`);
+        this.publish('trade.exit.escalated', {
+          executionId,
+          userId: error.userId,
+          code: error.simulation.code,
+          slippage: error.slippage,
+          reason: error.message
+        });
+        return { success: false, error: error.message, escalated: true };
+      }
+
       // 重新启动监控
       setTimeout(() => {
         this.startMonitoring(executionId);
@@ -1004,12 +1102,57 @@ class ExitMonitor extends BaseAgent {
     }
   }
 
+  /**
+   * 出场交易广播前模拟 (Approval + Swap)
+   * 卖出税 / 输出低于 amountOutMin 时按 exitSimConfig 放宽滑点重新报价再模拟；回滚直接失败
+   * 不通过时抛出 (err.code = SIMULATION_FAILED)，放宽到上限仍是卖出税 / 输出不足时 err.escalate = true
+   * 信号 reject_reason 只在该持仓的失败原因变化时写入，避免每次重试覆盖
+   * @param {Object} swapParams - buildSwapTx 参数 (重新报价用)
+   * @returns {Object} 通过模拟的 txData (可能是放宽滑点后重新报价的)
+   */
+  async preflightExit(position, txData, swapParams) {
+    const simulate = tx => TxSimulator.simulateExit({ chain: position.chain, from: position.wallet_address, txData: tx });
+    const relaxable = code => code === 'SIM_SELL_TAX' || code === 'SIM_OUTPUT_BELOW_MIN';
+    const { slippageStepFactor, maxSlippage } = this.exitSimConfig;
+
+    let slippage = parseFloat(swapParams.slippage) || 0;
+    let simulation = await simulate(txData);
+    while (!simulation.passed && relaxable(simulation.code) && slippage < maxSlippage) {
+      slippage = Math.min(maxSlippage, Math.max(slippage, 1) * slippageStepFactor);
+      this.warn(`   ⚠️ 出场模拟 ${simulation.code}，滑点放宽到 ${slippage}% 重新报价`);
+      txData = await DEXAggregatorService.buildSwapTx({ ...swapParams, slippage });
+      simulation = await simulate(txData);
+    }
+
+    if (simulation.passed) {
+      this.exitSimReasons.delete(position.execution_id);
+      return txData;
+    }
+
+    const reason = TxSimulator.formatReason(simulation);
+    if (this.exitSimReasons.get(position.execution_id) !== reason) {
+      this.exitSimReasons.set(position.execution_id, reason);
+      const AutoTradeService = require('./AutoTradeService');
+      await AutoTradeService.updateRejectReason(position.signal_id, reason);
+    }
+
+    const err = new Error(reason);
+    err.code = 'SIMULATION_FAILED';
+    err.simulation = simulation;
+    err.slippage = slippage;
+    err.userId = position.user_id;
+    err.escalate = relaxable(simulation.code);
+    throw err;
+  }
+
   /**
    * 提交出场交易 (🆕 使用 Privy Session Signer)
    * 🔧 2026-02-06 修复: 新增 Solana 链签名支持 (PrivyService.signSolanaTransaction)
    * 🔧 备份: 原始代码只有 EVM 签名 (chainId = BSC 56 / Base 8453), 无 Solana 分支
+   * EVM 出场交易都标记为 urgent: NonceManager 会先加速同钱包排在前面的未确认交易
+   * @param {Object} options - { replaceKey, label } 见 PrivyService.signTransaction
    */
-  async submitExitTransaction(position, txData) {
+  async submitExitTransaction(position, txData, { replaceKey = null, label = null } = {}) {
     const PrivyService = require('../PrivyService');
     const DatabaseService = require('../databaseService');
 
@@ -1074,7 +1217,10 @@ class ExitMonitor extends BaseAgent {
         value: txData.value || '0x0',
         chainId: chainId,                // 根据链计算 chainId
         gas: txData.gasLimit,            // DEXAggregator 返回的是 gasLimit
-        gasPrice: txData.gasPrice
+        gasPrice: txData.gasPrice,
+        urgent: true,
+        replaceKey,
+        label
       });
 
       this.log(`         ✅ 出场交易已通过 Privy 发送: ${result.hash.slice(0, 10)}...`);
@@ -1201,6 +1347,7 @@ class ExitMonitor extends BaseAgent {
         e.follow_strategy,
         COALESCE(p.is_alpha_token, e.is_alpha_token) AS is_alpha_token,
         COALESCE(p.signal_source, e.signal_source, s.signal_source) AS signal_source,
+        COALESCE(p.is_paper, e.is_paper, 0) AS is_paper,
         c.wallet_address
       FROM auto_trade_positions p
       LEFT JOIN auto_trade_executions e ON p.execution_id = e.execution_id
@@ -1254,6 +1401,14 @@ class ExitMonitor extends BaseAgent {
     return false;
   }
 
+  /**
+   * 重启单个监控 (Supervisor 发现循环失效 / 卡住时调用，重新读取持仓)
+   */
+  async restartMonitoring(executionId) {
+    this.stopMonitoring(executionId);
+    await this.startMonitoring(executionId);
+  }
+
   /**
    * 停止所有监控
    */
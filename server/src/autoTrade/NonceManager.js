@@ -0,0 +1,408 @@
+/**
+ * 钱包 Nonce 管理
+ * 功能:
+ * 1. 按钱包 (链 + 地址) 串行发送: 同一钱包同时只有一笔在分配 nonce / 签名，nonce 显式指定，不再由 Privy 隐式分配
+ * 2. 跟踪已发送未上链的交易，最低的未确认 nonce 超过 stuckAfterMs 未打包 → 同 nonce 提高 Gas 加速 (speed-up)，
+ *    加速 maxSpeedUps 次仍未打包 → 0 值自转账取消 (cancel)。出场交易只加速不取消
+ * 3. 紧急交易 (出场 / 止损, urgent): 发送前把同钱包排在前面的未确认交易立即加速到不低于出场的 Gas，
+ *    卡住的授权或买入不会挡住止损
+ * 4. 同一 replaceKey 的交易重发 (出场重试) 复用原 nonce 替换，不会在卡住的原交易后面再排一笔
+ * 5. 替换后同步 auto_trade_executions / auto_trade_partial_sells 中的 tx hash，TransactionMonitor 跟踪实际会上链的 hash
+ *
+ * Gas 按 legacy gasPrice (与 DEXAggregatorService 一致)，每次替换至少提高 replaceBumpPercent (节点要求 ≥ 10%)
+ */
+
+const DatabaseService = require('../databaseService');
+const rpcProvider = require('../../utils/rpcProvider');
+const BaseAgent = require('./core/BaseAgent');
+const AgentBus = require('./core/AgentBus');
+const Metrics = require('./core/Metrics');
+
+// 该 nonce 已被占用 (已上链或已在内存池)
+const NONCE_USED = /nonce too low|already known|nonce has already been used/i;
+const SETTLED_TTL = 3600000;   // 已上链记录保留 1 小时，供 latestHash() 查询
+
+class NonceManager extends BaseAgent {
+  constructor() {
+    super('Nonce Manager Agent', 'execution');
+    AgentBus.register(this);
+    Metrics.counter('galeon_tx_replacements_total', 'Same-nonce replacement transactions sent by the nonce manager', ['chain', 'kind']);
+
+    this.config = {
+      stuckAfterMs: 45000,        // 发出后 45 秒未打包视为卡住
+      maxSpeedUps: 3,             // 非紧急交易最多加速 3 次，之后取消
+      replaceBumpPercent: 20,     // 每次替换 Gas 提高 20%
+      cancelGasLimit: 21000
+    };
+
+    this.wallets = new Map();     // `${chainId}:${address}` → { chain, chainId, address, nextNonce, queue, pending: Map<nonce, entry> }
+    this.byHash = new Map();      // 每个发出过的 hash → entry
+
+    this.log('✅ NonceManager initialized');
+  }
+
+  /**
+   * 发送交易 (PrivyService.signTransaction 调用)
+   * @param {Object} signer - { chainId, address, send } send(transaction) → { hash }
+   * @param {Object} transaction - { to, data, value, chainId, gas, gasPrice }
+   * @param {Object} options
+   *   - urgent: 出场交易，先加速排在前面的未确认交易
+   *   - replaceKey: 同 key 的未确认交易存在时复用其 nonce 替换 (如 exit:<executionId>)
+   *   - label: 日志标识
+   * @returns {Promise<{hash: string, nonce: number}>}
+   */
+  async send(signer, transaction, { urgent = false, replaceKey = null, label = null } = {}) {
+    const wallet = this.wallet(signer.chainId, signer.address);
+
+    return this.serialize(wallet, async () => {
+      await this.sync(wallet);
+
+      const previous = replaceKey && [...wallet.pending.values()].find(e => e.replaceKey === replaceKey && e.cancelHashes.length === 0);
+      if (previous) {
+        this.log(`   🔁 [Nonce] ${replaceKey} 原交易 (nonce ${previous.nonce}) 未上链，同 nonce 替换`);
+        const hash = await this.replace(wallet, previous, { ...transaction, nonce: previous.nonce }, 'resend', { send: signer.send });
+        return { hash, nonce: previous.nonce };
+      }
+
+      let gasPrice = BigInt(transaction.gasPrice || await this.networkGasPrice(wallet));
+      if (urgent) {
+        // 加速失败也要发出场交易 (止损不能被前面的交易卡住)
+        try {
+          gasPrice = await this.unblock(wallet, gasPrice);
+        } catch (error) {
+          this.warn(`   ⚠️ [Nonce] 出场前加速失败，直接发送出场: ${error.message}`);
+        }
+      }
+
+      try {
+        return await this.sendNew(wallet, signer.send, { ...transaction, gasPrice: toHex(gasPrice) }, { urgent, replaceKey, label });
+      } catch (error) {
+        if (!NONCE_USED.test(error.message || '')) throw error;
+
+        // 本地 nonce 落后 (同一钱包在别处发过交易)，按链上重新同步后重试一次
+        this.warn(`   ⚠️ [Nonce] ${wallet.address.slice(0, 10)}... nonce ${wallet.nextNonce} 已被占用，重新同步`);
+        wallet.nextNonce = null;
+        await this.sync(wallet);
+        return this.sendNew(wallet, signer.send, { ...transaction, gasPrice: toHex(gasPrice) }, { urgent, replaceKey, label });
+      }
+    });
+  }
+
+  /**
+   * 按当前 nextNonce 发送并登记
+   */
+  async sendNew(wallet, send, transaction, { urgent, replaceKey, label }) {
+    const nonce = wallet.nextNonce;
+    const entry = {
+      nonce,
+      tx: { ...transaction, nonce },
+      hashes: [],
+      swapHash: null,
+      cancelHashes: [],
+      final: null,
+      sentAt: Date.now(),
+      speedUps: 0,
+      urgent,
+      replaceKey,
+      label,
+      send,
+      chain: wallet.chain
+    };
+
+    let hash;
+    try {
+      hash = (await send(entry.tx)).hash;
+    } catch (error) {
+      // Privy 可能报错但交易已广播 (错误信息里带 hash)，仍占用该 nonce
+      const hashMatch = (error.message || '').match(/0x[a-fA-F0-9]{64}/);
+      if (hashMatch) {
+        this.track(wallet, entry, hashMatch[0]);
+      }
+      throw error;
+    }
+
+    this.track(wallet, entry, hash);
+    this.log(`   🔢 [Nonce] ${label || 'tx'} nonce ${nonce} → ${hash.slice(0, 10)}...${urgent ? ' (urgent)' : ''}`);
+    return { hash, nonce };
+  }
+
+  track(wallet, entry, hash) {
+    entry.hashes.push(hash);
+    entry.swapHash = hash;
+    wallet.pending.set(entry.nonce, entry);
+    wallet.nextNonce = entry.nonce + 1;
+    this.byHash.set(hash, entry);
+  }
+
+  /**
+   * 定时检查卡住的交易 (AutoTradeService 定时任务调用)
+   * 每个钱包只处理最低的未确认 nonce: 后面的交易只是在排队，前面的打包后自然跟上
+   */
+  async checkStuck() {
+    this.prune();
+
+    for (const wallet of this.wallets.values()) {
+      if (wallet.pending.size === 0) continue;
+
+      try {
+        await this.serialize(wallet, async () => {
+          await this.sync(wallet);
+
+          const [head] = [...wallet.pending.values()].sort((a, b) => a.nonce - b.nonce);
+          if (!head || Date.now() - head.sentAt < this.config.stuckAfterMs) return;
+
+          // 已取消的再次卡住: 继续提高取消交易的 Gas
+          if (head.cancelHashes.length === 0 && (head.urgent || head.speedUps < this.config.maxSpeedUps)) {
+            await this.speedUp(wallet, head);
+          } else {
+            await this.cancel(wallet, head);
+          }
+        });
+      } catch (error) {
+        this.warn(`   ⚠️ [Nonce] 检查卡住交易失败 ${wallet.address.slice(0, 10)}...: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 出场前: 排在前面的未确认交易加速到不低于 gasPrice
+   * 单笔加速失败只记录，继续处理后面的交易
+   * @returns {BigInt} 出场交易应使用的 gasPrice (不低于前面任何一笔)
+   */
+  async unblock(wallet, gasPrice) {
+    let highest = gasPrice;
+
+    for (const entry of [...wallet.pending.values()].sort((a, b) => a.nonce - b.nonce)) {
+      if (BigInt(entry.tx.gasPrice) < gasPrice) {
+        this.log(`   🚑 [Nonce] 出场前加速 ${entry.label || 'tx'} (nonce ${entry.nonce})`);
+        try {
+          if (entry.cancelHashes.length > 0) {
+            await this.cancel(wallet, entry, gasPrice);
+          } else {
+            await this.speedUp(wallet, entry, gasPrice);
+          }
+        } catch (error) {
+          this.warn(`   ⚠️ [Nonce] 加速 ${entry.label || 'tx'} (nonce ${entry.nonce}) 失败: ${error.message}`);
+        }
+      }
+      if (BigInt(entry.tx.gasPrice) > highest) highest = BigInt(entry.tx.gasPrice);
+    }
+
+    return highest;
+  }
+
+  async speedUp(wallet, entry, floor = 0n) {
+    const gasPrice = await this.bumpedGasPrice(wallet, entry.tx.gasPrice, floor);
+    return this.replace(wallet, entry, { ...entry.tx, gasPrice: toHex(gasPrice) }, 'speed_up');
+  }
+
+  /**
+   * 0 值自转账占掉该 nonce。买入被取消时，在确认取消交易上链后 (settle) 才标记执行失败
+   */
+  async cancel(wallet, entry, floor = 0n) {
+    const gasPrice = await this.bumpedGasPrice(wallet, entry.tx.gasPrice, floor);
+    const cancelTx = {
+      to: wallet.address,
+      data: '0x',
+      value: '0x0',
+      chainId: wallet.chainId,
+      nonce: entry.nonce,
+      gas: toHex(BigInt(this.config.cancelGasLimit)),
+      gasPrice: toHex(gasPrice)
+    };
+
+    try {
+      const { hash } = await entry.send(cancelTx);
+      entry.hashes.push(hash);
+      entry.cancelHashes.push(hash);
+      entry.tx.gasPrice = cancelTx.gasPrice;
+      entry.sentAt = Date.now();
+      this.byHash.set(hash, entry);
+      Metrics.inc('galeon_tx_replacements_total', { chain: wallet.chain, kind: 'cancel' });
+      this.warn(`   🛑 [Nonce] ${entry.label || 'tx'} (nonce ${entry.nonce}) 加速 ${entry.speedUps} 次仍未上链，已发送取消: ${hash.slice(0, 10)}...`);
+      return hash;
+    } catch (error) {
+      if (NONCE_USED.test(error.message || '')) return null;   // 原交易刚好上链
+      throw error;
+    }
+  }
+
+  /**
+   * 同 nonce 替换
+   * @param {string} kind - speed_up / resend
+   * @param {Object} options - { send } resend 时用新的签名函数
+   */
+  async replace(wallet, entry, transaction, kind, { send = entry.send } = {}) {
+    // 替换必须比原交易至少高 replaceBumpPercent，否则节点拒绝 (replacement transaction underpriced)
+    const minimum = await this.bumpedGasPrice(wallet, entry.tx.gasPrice);
+    const gasPrice = BigInt(transaction.gasPrice || 0) > minimum ? BigInt(transaction.gasPrice) : minimum;
+    const tx = { ...transaction, nonce: entry.nonce, gasPrice: toHex(gasPrice) };
+
+    let hash;
+    try {
+      hash = (await send(tx)).hash;
+    } catch (error) {
+      if (!NONCE_USED.test(error.message || '')) throw error;
+      this.log(`   ℹ️ [Nonce] nonce ${entry.nonce} 已上链，无需${kind === 'resend' ? '重发' : '加速'}`);
+      return entry.swapHash;
+    }
+
+    const previousHash = entry.swapHash;
+    entry.tx = tx;
+    entry.send = send;
+    entry.hashes.push(hash);
+    entry.swapHash = hash;
+    entry.sentAt = Date.now();
+    if (kind === 'speed_up') entry.speedUps++;
+    this.byHash.set(hash, entry);
+
+    Metrics.inc('galeon_tx_replacements_total', { chain: wallet.chain, kind });
+    this.log(`   ⛽ [Nonce] ${kind} ${entry.label || 'tx'} nonce ${entry.nonce}: ${previousHash?.slice(0, 10)}... → ${hash.slice(0, 10)}... (gasPrice ${gasPrice})`);
+
+    await this.syncHash(previousHash, hash);
+    return hash;
+  }
+
+  /**
+   * 按链上 nonce 清理已上链的交易，校正 nextNonce
+   */
+  async sync(wallet) {
+    const provider = rpcProvider.getProvider(wallet.chain);
+    const [latest, pending] = await Promise.all([
+      provider.getTransactionCount(wallet.address, 'latest'),
+      provider.getTransactionCount(wallet.address, 'pending')
+    ]);
+
+    for (const [nonce, entry] of wallet.pending) {
+      if (nonce < latest) {
+        wallet.pending.delete(nonce);
+        await this.settle(wallet, entry);
+      }
+    }
+
+    wallet.nextNonce = Math.max(wallet.nextNonce ?? 0, latest, pending);
+  }
+
+  /**
+   * nonce 已上链: 找出实际上链的是哪一笔
+   *   取消交易上链 → 对应的买入标记 FAILED
+   *   更早的版本上链 (加速没赶上) → 把数据库里的 hash 改回实际上链的那笔
+   */
+  async settle(wallet, entry) {
+    entry.settledAt = Date.now();
+    if (entry.hashes.length === 1) {
+      entry.final = entry.hashes[0];
+      return;
+    }
+
+    const provider = rpcProvider.getProvider(wallet.chain);
+    for (const hash of entry.hashes) {
+      const receipt = await provider.getTransactionReceipt(hash).catch(() => null);
+      if (receipt) {
+        entry.final = hash;
+        break;
+      }
+    }
+    if (!entry.final) return;
+
+    if (entry.cancelHashes.includes(entry.final)) {
+      this.warn(`   🛑 [Nonce] ${entry.label || 'tx'} (nonce ${entry.nonce}) 已取消`);
+      await DatabaseService.query(`
+        UPDATE auto_trade_executions
+        SET status = 'FAILED', error_message = ?
+        WHERE entry_tx_hash = ? AND status = 'SUBMITTED'
+      `, [`Transaction stuck and cancelled (nonce ${entry.nonce})`, entry.swapHash]);
+    } else if (entry.final !== entry.swapHash) {
+      await this.syncHash(entry.swapHash, entry.final);
+    }
+  }
+
+  async syncHash(oldHash, newHash) {
+    if (!oldHash || oldHash === newHash) return;
+
+    try {
+      await DatabaseService.query(`UPDATE auto_trade_executions SET entry_tx_hash = ? WHERE entry_tx_hash = ?`, [newHash, oldHash]);
+      await DatabaseService.query(`UPDATE auto_trade_executions SET exit_tx_hash = ? WHERE exit_tx_hash = ?`, [newHash, oldHash]);
+      await DatabaseService.query(`UPDATE auto_trade_partial_sells SET tx_hash = ? WHERE tx_hash = ?`, [newHash, oldHash]);
+    } catch (error) {
+      this.warn(`   ⚠️ [Nonce] 同步 tx hash 失败 ${oldHash.slice(0, 10)}... → ${newHash.slice(0, 10)}...: ${error.message}`);
+    }
+  }
+
+  /**
+   * 该交易当前 (或最终上链) 的 hash — 被加速 / 重发替换后，原 hash 永远不会上链
+   */
+  latestHash(hash) {
+    const entry = this.byHash.get(hash);
+    if (!entry) return hash;
+    return entry.final || entry.swapHash;
+  }
+
+  async bumpedGasPrice(wallet, current, floor = 0n) {
+    const network = await this.networkGasPrice(wallet);
+    const base = current ? BigInt(current) : network;
+    const bumped = base * BigInt(100 + this.config.replaceBumpPercent) / 100n;
+    return [bumped, network, BigInt(floor)].reduce((a, b) => (b > a ? b : a));
+  }
+
+  async networkGasPrice(wallet) {
+    const feeData = await rpcProvider.getProvider(wallet.chain).getFeeData();
+    return feeData.gasPrice ?? 0n;
+  }
+
+  wallet(chainId, address) {
+    const key = `${chainId}:${address.toLowerCase()}`;
+    if (!this.wallets.has(key)) {
+      this.wallets.set(key, {
+        chain: chainId === 56 ? 'BSC' : 'Base',
+        chainId,
+        address,
+        nextNonce: null,
+        queue: Promise.resolve(),
+        pending: new Map()
+      });
+    }
+    return this.wallets.get(key);
+  }
+
+  /**
+   * 同一钱包的操作排队执行
+   */
+  serialize(wallet, fn) {
+    const run = wallet.queue.then(fn, fn);
+    wallet.queue = run.catch(() => {});
+    return run;
+  }
+
+  prune() {
+    const cutoff = Date.now() - SETTLED_TTL;
+    for (const [hash, entry] of this.byHash) {
+      if (entry.settledAt && entry.settledAt < cutoff) this.byHash.delete(hash);
+    }
+  }
+
+  getStatus() {
+    return [...this.wallets.values()]
+      .filter(w => w.pending.size > 0)
+      .map(w => ({
+        chain: w.chain,
+        address: w.address,
+        nextNonce: w.nextNonce,
+        pending: [...w.pending.values()].map(e => ({
+          nonce: e.nonce,
+          label: e.label,
+          hash: e.swapHash,
+          urgent: e.urgent,
+          speedUps: e.speedUps,
+          cancelled: e.cancelHashes.length > 0,
+          ageMs: Date.now() - e.sentAt
+        }))
+      }));
+  }
+}
+
+function toHex(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+module.exports = new NonceManager();
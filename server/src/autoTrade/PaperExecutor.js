@@ -0,0 +1,239 @@
+/**
+ * 模拟盘执行器
+ * 功能:
+ * 1. 模拟盘开关: 全局 (AUTO_TRADE_PAPER_MODE=true) 或按策略 (auto_trade_config.paper_mode)
+ * 2. 按 DEXAggregatorService 报价模拟成交，叠加滑点模型 (基础滑点 + 按金额的冲击成本) 和费用 (Gas + 平台手续费)
+ * 3. 写入与实盘相同的 auto_trade_executions / auto_trade_positions (is_paper = 1)，不签名、不上链
+ *
+ * 信号 → 风控 → 批量执行 → 出场监控 全流程不变，只在提交交易的地方分流:
+ *   买入: BatchExecutor.executeUserTrade → fillEntry (直接 CONFIRMED → 持仓 → 出场监控)
+ *   卖出: ExitMonitor.executeExit / executePartialSell → fillExit / fillPartialSell
+ *
+ * 成交价:
+ *   报价价 = 报价输出 / 输入 (amountOutMin 按 estimatedSlippage 还原成报价输出，已含 DEX 池子费率)
+ *   无报价时用参考价 ± dexFeeBps
+ *   买入 = 报价价 × (1 + 滑点)，卖出 = 报价价 × (1 − 滑点)
+ */
+
+const DatabaseService = require('../databaseService');
+const DEXAggregatorService = require('./DEXAggregatorService');
+const BaseAgent = require('./core/BaseAgent');
+const AgentBus = require('./core/AgentBus');
+const Metrics = require('./core/Metrics');
+const ExecutionQuality = require('./ExecutionQuality');
+
+class PaperExecutor extends BaseAgent {
+  constructor() {
+    super('Paper Execution Agent', 'execution');
+    AgentBus.register(this);
+    Metrics.counter('galeon_paper_fills_total', 'Simulated fills by the paper executor', ['chain', 'side', 'source']);
+
+    this.config = {
+      enabled: process.env.AUTO_TRADE_PAPER_MODE === 'true',   // 全局模拟盘
+
+      // 滑点模型 (bps)
+      baseSlippageBps: 20,          // 每笔最少 0.2%
+      impactBpsPer1k: 15,           // 每 $1000 成交额再加 0.15%
+      maxSlippageBps: 500,          // 最多 5%
+
+      // 费用
+      dexFeeBps: 25,                // 无报价时按参考价成交，补上 DEX 池子费率
+      platformFeeBps: 10,           // 对应 FeeService 实盘收取的手续费
+      gasCost: {                    // 每笔 Gas (按计价币种: BSC=USDT, Base=USDC, Solana=SOL)
+        BSC: 0.15,
+        Base: 0.05,
+        Solana: 0.00005
+      }
+    };
+
+    this.log(`✅ PaperExecutor initialized${this.config.enabled ? ' (全局模拟盘已开启)' : ''}`);
+  }
+
+  /**
+   * 该用户/策略是否走模拟盘
+   */
+  isPaper(user) {
+    return this.config.enabled || Number(user?.paper_mode) === 1;
+  }
+
+  /**
+   * 获取 DEX 报价 (复用实盘的 buildSwapTx)，失败返回 null 按参考价成交
+   */
+  async quote(swapParams) {
+    try {
+      return await DEXAggregatorService.buildSwapTx(swapParams);
+    } catch (error) {
+      this.warn(`   ⚠️ [Paper] 报价失败，按参考价模拟: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 模拟成交
+   * @param {Object} order
+   *   - side: BUY (amountIn 为计价币种) / SELL (amountIn 为代币数量)
+   *   - chain, amountIn
+   *   - txData: quote() 的结果 (可为 null)
+   *   - referencePrice: 参考价 (无报价时使用)
+   * @returns {Object} { side, price, quote_price, amount_in, amount_out, notional, slippage_bps, gas, platform_fee, fees, source, tx_hash }
+   */
+  simulateFill({ side, chain, amountIn, txData = null, referencePrice = null }) {
+    const amount = parseFloat(amountIn);
+    if (!(amount > 0)) {
+      throw new Error(`模拟成交数量无效: ${amountIn}`);
+    }
+
+    // Solana (Jupiter / pump.fun) 的 amountOutMin 不是统一的可读单位，没有报价价，直接用参考价
+    let quotePrice = ExecutionQuality.quotePrice(side, amount, txData, chain);
+    let source = 'quote';
+
+    if (!quotePrice) {
+      const reference = parseFloat(referencePrice);
+      if (!(reference > 0)) {
+        throw new Error('无报价且无参考价，无法模拟成交');
+      }
+      const feeFactor = this.config.dexFeeBps / 10000;
+      quotePrice = side === 'BUY' ? reference * (1 + feeFactor) : reference * (1 - feeFactor);
+      source = 'reference';
+    }
+
+    const notional = side === 'BUY' ? amount : amount * quotePrice;
+    const slippageBps = Math.min(
+      this.config.maxSlippageBps,
+      this.config.baseSlippageBps + this.config.impactBpsPer1k * notional / 1000
+    );
+    const price = side === 'BUY'
+      ? quotePrice * (1 + slippageBps / 10000)
+      : quotePrice * (1 - slippageBps / 10000);
+    const amountOut = side === 'BUY' ? amount / price : amount * price;
+
+    const gas = this.config.gasCost[chain] ?? this.config.gasCost.BSC;
+    const platformFee = (side === 'BUY' ? amount : amountOut) * this.config.platformFeeBps / 10000;
+
+    return {
+      side,
+      price,
+      quote_price: quotePrice,
+      amount_in: amount,
+      amount_out: amountOut,
+      notional,
+      slippage_bps: Math.round(slippageBps * 100) / 100,
+      gas,
+      platform_fee: platformFee,
+      fees: gas + platformFee,
+      source,
+      tx_hash: `paper_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`
+    };
+  }
+
+  /**
+   * 模拟买入成交 (BatchExecutor 在 PENDING 记录创建后调用)
+   * @returns {string} 模拟交易 hash
+   */
+  async fillEntry(executionId, signal, user, txData, referencePrice) {
+    const fill = this.simulateFill({
+      side: 'BUY',
+      chain: signal.chain,
+      amountIn: user.trade_amount,
+      txData,
+      referencePrice
+    });
+
+    // 费用记入 entry_gas_fee，calculateProfitLoss 会从盈亏中扣除
+    await DatabaseService.query(`
+      UPDATE auto_trade_executions
+      SET status = 'CONFIRMED',
+          entry_tx_hash = ?,
+          entry_price = ?,
+          entry_amount_token = ?,
+          entry_slippage = ?,
+          entry_gas_fee = ?,
+          entry_executed_at = NOW(),
+          paper_fill = ?
+      WHERE execution_id = ?
+    `, [fill.tx_hash, fill.price, fill.amount_out, fill.slippage_bps / 100, fill.fees, JSON.stringify({ entry: fill }), executionId]);
+
+    this.log(`         📝 [Paper] 模拟买入: ${fill.amount_out.toFixed(8)} ${signal.token_symbol} @ $${fill.price} (滑点 ${fill.slippage_bps}bps, ${fill.source})`);
+    this.recordFill(signal.chain, fill);
+
+    // 与实盘确认后相同: 同步持仓 → 出场监控
+    const DataSyncService = require('./DataSyncService');
+    await DataSyncService.onTradeEntry(executionId);
+    // 持仓表的标记只用于统计; 出场路由以 executions.is_paper 为准 (ExitMonitor 会 COALESCE)
+    await DatabaseService.query(`
+      UPDATE auto_trade_positions SET is_paper = 1 WHERE execution_id = ?
+    `, [executionId]);
+
+    const ExitMonitor = require('./ExitMonitor');
+    await ExitMonitor.startMonitoring(executionId);
+
+    return fill.tx_hash;
+  }
+
+  /**
+   * 模拟全部卖出 (ExitMonitor.executeExit 调用，之后由 ExitMonitor 计算盈亏)
+   * @param {Object} txData - quote(swapParams) 的结果
+   */
+  async fillExit(executionId, position, exitType, swapParams, txData) {
+    const fill = this.simulateFill({
+      side: 'SELL',
+      chain: position.chain,
+      amountIn: swapParams.amountIn,
+      txData,
+      referencePrice: parseFloat(position.current_price) || parseFloat(position.entry_price)
+    });
+
+    await DatabaseService.query(`
+      UPDATE auto_trade_executions
+      SET status = 'EXITED',
+          exit_tx_hash = ?,
+          exit_type = ?,
+          exit_executed_at = NOW(),
+          exit_price = ?,
+          exit_amount_usdt = ?,
+          exit_gas_fee = ?,
+          paper_fill = JSON_SET(COALESCE(paper_fill, JSON_OBJECT()), '$.exit', CAST(? AS JSON))
+      WHERE execution_id = ?
+    `, [fill.tx_hash, exitType, fill.price, fill.amount_out, fill.fees, JSON.stringify(fill), executionId]);
+
+    this.log(`   📝 [Paper] 模拟卖出: ${fill.amount_in.toFixed(8)} ${position.token_symbol} @ $${fill.price} → ${fill.amount_out.toFixed(4)} (滑点 ${fill.slippage_bps}bps, ${fill.source})`);
+    this.recordFill(position.chain, fill);
+
+    return fill;
+  }
+
+  /**
+   * 模拟部分止盈卖出 (partial_sells 记录直接标记 SUCCESS)
+   */
+  async fillPartialSell(partialSellId, position, swapParams, referencePrice) {
+    const txData = await this.quote(swapParams);
+    const fill = this.simulateFill({
+      side: 'SELL',
+      chain: position.chain,
+      amountIn: swapParams.amountIn,
+      txData,
+      referencePrice
+    });
+
+    await DatabaseService.query(`
+      UPDATE auto_trade_partial_sells
+      SET tx_hash = ?, tx_status = 'SUCCESS', confirmed_at = NOW(), sell_amount_usdt = ?
+      WHERE id = ?
+    `, [fill.tx_hash, fill.amount_out, partialSellId]);
+
+    this.log(`   📝 [Paper] 模拟部分卖出: ${fill.amount_in.toFixed(8)} ${position.token_symbol} → ${fill.amount_out.toFixed(4)} (滑点 ${fill.slippage_bps}bps)`);
+    this.recordFill(position.chain, fill);
+
+    return fill;
+  }
+
+  recordFill(chain, fill) {
+    Metrics.inc('galeon_paper_fills_total', { chain, side: fill.side, source: fill.source });
+  }
+
+  getStatus() {
+    return { ...this.config };
+  }
+}
+
+module.exports = new PaperExecutor();
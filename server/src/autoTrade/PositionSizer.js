@@ -0,0 +1,365 @@
+/**
+ * 仓位计算服务
+ * 功能:
+ * 1. 分数 Kelly 仓位 (按校准后胜率 + 阶段历史盈亏比)
+ * 2. 固定风险仓位 (每笔风险 = 权益 × riskPerTradePct)
+ * 3. 止损距离: ATR (DynamicStopLoss.calculateATR) 或用户固定止损
+ * 4. 组合敞口限制 + 硬性上限 (单笔金额 / 单笔占比 / 总敞口)
+ *
+ * 两种模式都先算"可承受亏损金额"，再除以止损距离得到仓位:
+ *   KELLY:      风险金额 = 权益 × kellyFraction × f*,  f* = p − (1 − p) / b
+ *   FIXED_RISK: 风险金额 = 权益 × riskPerTradePct%
+ *
+ * 实盘跟单 (sizeForStrategy) 的输入:
+ *   胜率 = Alpha 信号置信度 (confidence_score) 按该类信号的历史结果单独校准
+ *          (与大脑 cognition 置信度的校准曲线不通用)；样本不足时 KELLY 退回 FIXED_RISK
+ *   阶段 = 大脑 StageTimeline 记录的代币阶段 (历史交易按入场时的阶段)
+ *   ATR  = Alpha 代币 1h K线；MEME 代币无 K线，用用户固定止损
+ *
+ * GaleonBrain / 回放只调用 calculateSize()，因此不在构造时注册到 AgentBus
+ * (由 AutoTradeService 注册)
+ */
+
+const BaseAgent = require('./core/BaseAgent');
+
+class PositionSizer extends BaseAgent {
+  constructor() {
+    super('Sizing Agent', 'risk');
+
+    this.config = {
+      mode: 'FIXED_RISK',           // KELLY / FIXED_RISK
+
+      // Kelly 配置
+      kellyFraction: 0.25,          // 只下 1/4 Kelly
+      defaultPayoffRatio: 1.5,      // 样本不足时的默认盈亏比
+      minPayoffSamples: 10,         // 阶段盈亏比最少样本数
+
+      // 固定风险配置
+      riskPerTradePct: 1,           // 每笔最多亏权益的 1%
+
+      // 止损距离
+      atrPeriod: 14,
+      atrMultiplier: 2.0,           // 止损 = 2 × ATR
+      klineInterval: '1h',          // Alpha 代币 ATR 用的 K线周期
+      defaultStopLossPct: 10,       // 无 ATR 时的止损距离
+      minStopLossPct: 3,
+      maxStopLossPct: 20,
+
+      // 硬性上限
+      minTradeAmount: 10,           // 低于此金额不下单 (USD)
+      maxTradeAmount: 1000,         // 单笔最大金额 (USD)
+      maxPositionPct: 20,           // 单笔最大占权益 (%)
+      maxTotalExposurePct: 60,      // 总持仓最大占权益 (%)
+
+      // 信号置信度校准 (按信号聚合的已平仓结果)
+      calibrationLookbackDays: 90,
+      calibrationRefreshMs: 60 * 60 * 1000
+    };
+
+    this.signalCalibrators = new Map(); // paper(0/1) -> { calibrator, fit, fittedAt }
+
+    this.log('✅ PositionSizer initialized');
+  }
+
+  /**
+   * 计算仓位
+   * @param {Object} input
+   *   - equity: 账户权益 (USD)
+   *   - openExposure: 当前持仓总额 (USD)
+   *   - confidence: 校准后胜率 (0-1)，KELLY 模式必需
+   *   - payoffRatio: 平均盈利 / 平均亏损 (可选，默认 defaultPayoffRatio)
+   *   - entryPrice, klines / atr: 用于 ATR 止损距离 (可选)
+   *   - stopLossPct: 固定止损距离 (可选)
+   *   - maxTradeAmount: 用户单笔上限 (可选，与全局上限取小)
+   *   - mode: KELLY / FIXED_RISK (可选，默认 config.mode)
+   * @returns {Object} { amount, mode, risk_amount, stop_loss_pct, stop_source, kelly, capped_by, reason }
+   */
+  calculateSize(input) {
+    const mode = (input.mode || this.config.mode).toUpperCase();
+    const equity = parseFloat(input.equity) || 0;
+    const openExposure = parseFloat(input.openExposure) || 0;
+
+    const result = {
+      amount: 0,
+      mode,
+      equity,
+      open_exposure: openExposure,
+      risk_amount: 0,
+      stop_loss_pct: null,
+      stop_source: null,
+      kelly: null,
+      capped_by: [],
+      reason: null
+    };
+
+    if (equity <= 0) {
+      result.reason = '账户权益为 0';
+      return result;
+    }
+
+    // 1. 止损距离
+    const stop = this.getStopDistance(input);
+    result.stop_loss_pct = stop.pct;
+    result.stop_source = stop.source;
+
+    // 2. 风险金额
+    if (mode === 'KELLY') {
+      const p = parseFloat(input.confidence);
+      const b = parseFloat(input.payoffRatio) || this.config.defaultPayoffRatio;
+      if (!Number.isFinite(p)) {
+        result.reason = 'KELLY 模式缺少胜率';
+        return result;
+      }
+
+      const fullKelly = p - (1 - p) / b;
+      result.kelly = {
+        win_prob: p,
+        payoff_ratio: Math.round(b * 100) / 100,
+        full: Math.round(fullKelly * 10000) / 10000,
+        fraction: this.config.kellyFraction
+      };
+
+      if (fullKelly <= 0) {
+        result.reason = `无正期望: p=${p.toFixed(2)}, b=${b.toFixed(2)}`;
+        return result;
+      }
+      result.risk_amount = equity * fullKelly * this.config.kellyFraction;
+    } else {
+      result.risk_amount = equity * this.config.riskPerTradePct / 100;
+    }
+
+    // 3. 仓位 = 风险金额 / 止损距离
+    let amount = result.risk_amount / (stop.pct / 100);
+
+    // 4. 硬性上限
+    const caps = {
+      max_trade_amount: Math.min(this.config.maxTradeAmount, parseFloat(input.maxTradeAmount) || Infinity),
+      max_position_pct: equity * this.config.maxPositionPct / 100,
+      max_total_exposure: Math.max(0, equity * this.config.maxTotalExposurePct / 100 - openExposure)
+    };
+    for (const [name, cap] of Object.entries(caps)) {
+      if (amount > cap) {
+        amount = cap;
+        result.capped_by.push(name);
+      }
+    }
+
+    if (amount < this.config.minTradeAmount) {
+      result.reason = result.capped_by.includes('max_total_exposure')
+        ? `总敞口已满: $${openExposure.toFixed(2)} / $${(equity * this.config.maxTotalExposurePct / 100).toFixed(2)}`
+        : `仓位 $${amount.toFixed(2)} 低于最小金额 $${this.config.minTradeAmount}`;
+      return result;
+    }
+
+    result.amount = Math.floor(amount * 100) / 100;
+    result.risk_amount = Math.round(result.amount * stop.pct) / 100;
+    return result;
+  }
+
+  /**
+   * 止损距离 (%): ATR 优先，其次用户固定止损，最后默认值
+   */
+  getStopDistance(input) {
+    let atr = parseFloat(input.atr);
+    if (!Number.isFinite(atr) && input.klines) {
+      const DynamicStopLoss = require('./DynamicStopLoss');
+      atr = DynamicStopLoss.calculateATR(input.klines, this.config.atrPeriod);
+    }
+
+    const entryPrice = parseFloat(input.entryPrice);
+    let pct, source;
+    if (atr > 0 && entryPrice > 0) {
+      pct = atr * this.config.atrMultiplier / entryPrice * 100;
+      source = 'ATR';
+    } else if (parseFloat(input.stopLossPct) > 0) {
+      pct = parseFloat(input.stopLossPct);
+      source = 'FIXED';
+    } else {
+      pct = this.config.defaultStopLossPct;
+      source = 'DEFAULT';
+    }
+
+    pct = Math.max(this.config.minStopLossPct, Math.min(this.config.maxStopLossPct, pct));
+    return { pct: Math.round(pct * 100) / 100, source };
+  }
+
+  /**
+   * 历史盈亏比 (平均盈利% / 平均亏损%)
+   * 优先使用同阶段样本，样本不足时用全部样本，再不足用默认值
+   * @param {Array} trades - [{ stage, pnl_pct }]
+   * @param {string} stage - 代币阶段 (可选)
+   */
+  getPayoffRatio(trades, stage = null) {
+    const ratio = list => {
+      const wins = list.filter(t => t.pnl_pct > 0);
+      const losses = list.filter(t => t.pnl_pct < 0);
+      if (list.length < this.config.minPayoffSamples || wins.length === 0 || losses.length === 0) return null;
+      const avgWin = wins.reduce((s, t) => s + t.pnl_pct, 0) / wins.length;
+      const avgLoss = Math.abs(losses.reduce((s, t) => s + t.pnl_pct, 0) / losses.length);
+      return avgWin / avgLoss;
+    };
+
+    return (stage && ratio(trades.filter(t => t.stage === stage)))
+      || ratio(trades)
+      || this.config.defaultPayoffRatio;
+  }
+
+  /**
+   * 为跟单策略计算下单金额
+   * 策略未开启仓位计算 (sizing_mode 为空) 时返回 null，沿用 max_trade_amount 固定金额
+   * @param {Object} strategy - getEnabledUsers() 返回的策略
+   * @param {Object} signal - 交易信号
+   * @param {Object} options - { klines, atr } (可选，不传时 Alpha 代币自动拉取 K线)
+   */
+  async sizeForStrategy(strategy, signal, options = {}) {
+    if (!strategy.sizing_mode) return null;
+
+    // 延迟加载 — calculateSize() 不依赖数据库 (GaleonBrain / 回放也会调用)
+    const DatabaseService = require('../databaseService');
+    const PaperExecutor = require('./PaperExecutor');
+    const StageTimeline = require('../brain/StageTimeline');
+
+    // 与 brain 进程共享 data 目录，每次读取最新的阶段记录
+    const stageTimeline = new StageTimeline();
+
+    // 模拟盘策略只用模拟盘的敞口和盈亏，实盘 Kelly 不受模拟成交影响
+    const paper = PaperExecutor.isPaper(strategy) ? 1 : 0;
+
+    // 权益 = 可用余额 + 当前持仓
+    const config = await DatabaseService.query(`
+      SELECT usdt_balance FROM auto_trade_config WHERE user_id = ? LIMIT 1
+    `, [strategy.user_id]);
+
+    const exposure = await DatabaseService.query(`
+      SELECT COALESCE(SUM(entry_amount_usdt), 0) as open_exposure
+      FROM auto_trade_positions
+      WHERE user_id = ? AND status = 'HOLDING' AND COALESCE(is_paper, 0) = ?
+    `, [strategy.user_id, paper]);
+
+    const openExposure = parseFloat(exposure[0]?.open_exposure || 0);
+    const equity = parseFloat(config[0]?.usdt_balance || 0) + openExposure;
+
+    // 该用户最近已平仓交易 → 盈亏比
+    const history = await DatabaseService.query(`
+      SELECT token_symbol, entry_executed_at, profit_loss_usdt, entry_amount_usdt
+      FROM auto_trade_executions
+      WHERE user_id = ? AND status = 'EXITED' AND entry_amount_usdt > 0
+      AND COALESCE(is_paper, 0) = ?
+      ORDER BY exit_executed_at DESC
+      LIMIT 200
+    `, [strategy.user_id, paper]);
+
+    const trades = history.map(t => ({
+      stage: t.entry_executed_at ? stageTimeline.stageAt(t.token_symbol, t.entry_executed_at) : null,
+      pnl_pct: parseFloat(t.profit_loss_usdt) / parseFloat(t.entry_amount_usdt) * 100
+    }));
+
+    const stage = signal.token_stage || stageTimeline.getTimeline(signal.token_symbol)?.current.stage || null;
+
+    // 信号置信度为 0-100，经信号结果校准为胜率；没有校准曲线时不能当作胜率用于 Kelly
+    const { calibrator, fit } = await this.getSignalCalibrator(paper);
+    const rawConfidence = parseFloat(signal.confidence_score ?? signal.confidence) / 100;
+    const confidence = calibrator && Number.isFinite(rawConfidence) ? calibrator.calibrate(rawConfidence) : null;
+    let mode = strategy.sizing_mode.toUpperCase();
+    if (mode === 'KELLY' && confidence === null) mode = 'FIXED_RISK';
+
+    const klines = options.klines
+      || (options.atr === undefined ? await this.fetchKlines(signal) : null);
+
+    const sizing = this.calculateSize({
+      mode,
+      equity,
+      openExposure,
+      confidence,
+      payoffRatio: this.getPayoffRatio(trades, stage),
+      entryPrice: signal.current_price || signal.entry_max,
+      klines,
+      atr: options.atr,
+      stopLossPct: strategy.stop_loss_percent,
+      maxTradeAmount: strategy.trade_amount
+    });
+
+    sizing.stage = stage;
+    sizing.requested_mode = strategy.sizing_mode.toUpperCase();
+    sizing.calibration = fit ? { sample_size: fit.sample_size, brier: fit.brier, fitted_at: fit.fitted_at } : null;
+    if (sizing.mode !== sizing.requested_mode) {
+      this.log(`   ⚠️ [PositionSizer] 信号置信度尚无校准曲线，KELLY 退回 FIXED_RISK`);
+    }
+
+    this.log(`   📐 仓位计算 [${strategy.strategy_name}] ${sizing.mode}: $${sizing.amount} (权益 $${equity.toFixed(2)}, 阶段 ${stage || '未知'}, 止损 ${sizing.stop_loss_pct}% ${sizing.stop_source}${sizing.capped_by.length ? `, 上限: ${sizing.capped_by.join('/')}` : ''})${sizing.reason ? ` - ${sizing.reason}` : ''}`);
+    return sizing;
+  }
+
+  /**
+   * Alpha 信号置信度 → 胜率的校准曲线
+   * 按信号聚合已平仓结果 (同一信号多个跟单用户只算一次，合计盈亏 > 0 为胜)，
+   * 缓存 calibrationRefreshMs；样本不足或留出集上不优于原始分数时 calibrator 为 null
+   * @param {number} paper - 1 = 模拟盘结果，0 = 实盘结果
+   * @returns {Promise<Object>} { calibrator, fit }
+   */
+  async getSignalCalibrator(paper) {
+    const cached = this.signalCalibrators.get(paper);
+    if (cached && Date.now() - cached.fittedAt < this.config.calibrationRefreshMs) return cached;
+
+    const DatabaseService = require('../databaseService');
+    const ConfidenceCalibrator = require('../brain/ConfidenceCalibrator');
+
+    const rows = await DatabaseService.query(`
+      SELECT MAX(s.confidence_score) AS confidence_score, SUM(e.profit_loss_usdt) AS pnl
+      FROM auto_trade_executions e
+      JOIN alpha_signals s ON e.signal_id = s.signal_id
+      WHERE e.status = 'EXITED'
+      AND e.exit_executed_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+      AND s.confidence_score IS NOT NULL
+      AND COALESCE(e.is_paper, 0) = ?
+      GROUP BY e.signal_id
+      ORDER BY MAX(e.exit_executed_at)
+    `, [this.config.calibrationLookbackDays, paper]);
+
+    const samples = rows
+      .map(r => ({ confidence: parseFloat(r.confidence_score) / 100, correct: parseFloat(r.pnl) > 0 }))
+      .filter(s => Number.isFinite(s.confidence));
+
+    // 内存中拟合，不写 brain 的 calibration.json；留出集上不优于原始分数时不采用
+    const calibrator = new ConfidenceCalibrator(null);
+    const fit = calibrator.fit(samples);
+    const entry = { calibrator: calibrator.model ? calibrator : null, fit, fittedAt: Date.now() };
+    this.signalCalibrators.set(paper, entry);
+    return entry;
+  }
+
+  /**
+   * ATR 用的 K线 — 只有 Alpha 代币有 (Binance Alpha API)，失败或 MEME 代币返回 null
+   */
+  async fetchKlines(signal) {
+    const isAlphaToken = signal.is_alpha_token === 1 || /ALPHA/i.test(signal.signal_source || '');
+    if (!isAlphaToken) return null;
+
+    try {
+      const BinanceAlphaService = require('../BinanceAlphaService');
+      const klines = await BinanceAlphaService.getAlphaKlines(signal.token_symbol, this.config.klineInterval, this.config.atrPeriod * 2);
+      return klines && klines.length > 0 ? klines : null;
+    } catch (error) {
+      this.warn(`   ⚠️ [PositionSizer] ${signal.token_symbol} K线获取失败，使用固定止损: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 获取配置
+   */
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * 更新配置
+   * @param {Object} newConfig - 新配置
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+    this.log('   ✅ [PositionSizer] 配置已更新');
+  }
+}
+
+module.exports = new PositionSizer();
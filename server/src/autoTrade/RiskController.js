@@ -11,6 +11,7 @@
 
 const DatabaseService = require('../databaseService');
 const LiquidityMonitor = require('./LiquidityMonitor');
+const PaperExecutor = require('./PaperExecutor');
 const { ethers } = require('ethers');
 const rpcProvider = require('../../utils/rpcProvider');
 const BaseAgent = require('./core/BaseAgent');
@@ -20,6 +21,10 @@ class RiskController extends BaseAgent {
   constructor() {
     super('Risk Agent', 'risk');
     AgentBus.register(this);
+    this.instrument('checkTradeRisk', 'risk_check', (strategyOrUserId, signal) => ({
+      signal_id: signal?.signal_id,
+      user_id: typeof strategyOrUserId === 'object' ? strategyOrUserId?.user_id : strategyOrUserId
+    }));
     // 默认风控参数 (可被用户配置覆盖)
     this.defaults = {
       maxPositions: 3,                    // 最大持仓数
@@ -70,14 +75,14 @@ class RiskController extends BaseAgent {
       if (!userConfig) {
         const failReason = '用户配置不存在';
         risks.push({ level: 'CRITICAL', reason: failReason });
-        this.publish('risk:check_failed', { userId, token: signal.token_symbol, reason: failReason });
+        this.publish('risk.check.failed', { userId, token: signal.token_symbol, reason: failReason });
         return { passed: false, risks };
       }
 
       if (!userConfig.enabled) {
         const failReason = '自动交易未启用';
         risks.push({ level: 'CRITICAL', reason: failReason });
-        this.publish('risk:check_failed', { userId, token: signal.token_symbol, reason: failReason });
+        this.publish('risk.check.failed', { userId, token: signal.token_symbol, reason: failReason });
         return { passed: false, risks };
       }
 
@@ -107,22 +112,27 @@ class RiskController extends BaseAgent {
         }
       }
 
-      // 3. 检查余额
-      const balanceCheck = await this.checkBalance(userId, tradeAmount, signal.chain);
+      // 模拟盘与实盘的持仓 / 亏损 / 熔断分开统计，互不影响
+      const paper = this.paperFlag(userConfig);
+
+      // 3. 检查余额 (模拟盘不查链上余额)
+      const balanceCheck = paper
+        ? { passed: true }
+        : await this.checkBalance(userId, tradeAmount, signal.chain);
       if (!balanceCheck.passed) {
         risks.push({ level: 'CRITICAL', reason: balanceCheck.reason });
         return { passed: false, risks };
       }
 
       // 4. 检查持仓限制
-      const positionCheck = await this.checkPositionLimits(userId, userConfig);
+      const positionCheck = await this.checkPositionLimits(userId, userConfig, paper);
       if (!positionCheck.passed) {
         risks.push({ level: 'CRITICAL', reason: positionCheck.reason });
         return { passed: false, risks };
       }
 
       // 4.5 🆕 检查是否已持有该代币 (防止重复买入)
-      const duplicateCheck = await this.checkDuplicatePosition(userId, signal.token_symbol);
+      const duplicateCheck = await this.checkDuplicatePosition(userId, signal.token_symbol, paper);
       if (!duplicateCheck.passed) {
         risks.push({ level: 'CRITICAL', reason: duplicateCheck.reason });
         return { passed: false, risks };
@@ -138,7 +148,7 @@ class RiskController extends BaseAgent {
       }
 
       // 6. 检查单日亏损
-      const lossCheck = await this.checkDailyLoss(userId, userConfig);
+      const lossCheck = await this.checkDailyLoss(userId, userConfig, paper);
       if (!lossCheck.passed) {
         risks.push({ level: 'CRITICAL', reason: lossCheck.reason });
         return { passed: false, risks };
@@ -159,13 +169,13 @@ class RiskController extends BaseAgent {
       }
 
       // 9. 检查单代币仓位占比
-      const concentrationCheck = await this.checkConcentration(userId, signal.token_symbol, tradeAmount, userConfig);
+      const concentrationCheck = await this.checkConcentration(userId, signal.token_symbol, tradeAmount, userConfig, paper);
       if (!concentrationCheck.passed) {
         risks.push({ level: 'MEDIUM', reason: concentrationCheck.reason });
       }
 
       this.log(`   ✅ 风险检查通过 (${risks.length} 个警告)`);
-      this.publish('risk:check_passed', { userId, token: signal.token_symbol, tradeAmount });
+      this.publish('risk.check.passed', { userId, token: signal.token_symbol, tradeAmount });
 
       return {
         passed: true,
@@ -182,6 +192,13 @@ class RiskController extends BaseAgent {
     }
   }
 
+  /**
+   * 模拟盘标记 (1 / 0)，用于 is_paper 过滤
+   */
+  paperFlag(userConfig) {
+    return PaperExecutor.isPaper(userConfig) ? 1 : 0;
+  }
+
   /**
    * 🆕 P1.2: 检查信号类型 (仅支持 LONG/BUY)
    * 作为 AutoTradeService 信号过滤的额外安全层
@@ -642,15 +659,17 @@ class RiskController extends BaseAgent {
    * 🆕 检查是否已持有该代币 (Twitter Signal 专用去重)
    * @param {string} userId - 用户ID
    * @param {string} tokenSymbol - 代币符号
+   * @param {number} paper - 1 = 只看模拟盘持仓, 0 = 只看实盘持仓
    * @returns {Promise<Object>} - { passed: boolean, reason: string }
    */
-  async checkDuplicatePosition(userId, tokenSymbol) {
+  async checkDuplicatePosition(userId, tokenSymbol, paper = 0) {
     try {
       const existing = await DatabaseService.query(`
         SELECT execution_id, token_symbol
         FROM auto_trade_positions
         WHERE user_id = ? AND token_symbol = ? AND status = 'HOLDING'
-      `, [userId, tokenSymbol]);
+        AND COALESCE(is_paper, 0) = ?
+      `, [userId, tokenSymbol, paper]);
 
       if (existing.length > 0) {
         this.log(`   ⏭️ 已持有 ${tokenSymbol}, 拒绝重复买入`);
@@ -671,13 +690,14 @@ class RiskController extends BaseAgent {
    * 检查持仓限制
    * 🔧 修复: 从 auto_trade_positions 表查询实际持仓数量
    */
-  async checkPositionLimits(userId, userConfig) {
+  async checkPositionLimits(userId, userConfig, paper = 0) {
     try {
       const currentPositions = await DatabaseService.query(`
         SELECT COUNT(*) as count
         FROM auto_trade_positions
         WHERE user_id = ? AND status = 'HOLDING'
-      `, [userId]);
+        AND COALESCE(is_paper, 0) = ?
+      `, [userId, paper]);
 
       const positionCount = currentPositions[0].count;
       const maxPositions = userConfig.max_positions || this.defaults.maxPositions;
@@ -701,7 +721,7 @@ class RiskController extends BaseAgent {
   /**
    * 检查单日亏损
    */
-  async checkDailyLoss(userId, userConfig) {
+  async checkDailyLoss(userId, userConfig, paper = 0) {
     try {
       // ✅ 修复: 使用今日交易总入场金额作为分母，而不是 usdt_balance
       const todayTrades = await DatabaseService.query(`
@@ -712,7 +732,8 @@ class RiskController extends BaseAgent {
         WHERE user_id = ?
         AND status = 'EXITED'
         AND DATE(exit_executed_at) = CURDATE()
-      `, [userId]);
+        AND COALESCE(is_paper, 0) = ?
+      `, [userId, paper]);
 
       const dailyPnL = parseFloat(todayTrades[0].daily_pnl || 0);
       const totalEntryAmount = parseFloat(todayTrades[0].total_entry_amount || 0);
@@ -880,7 +901,7 @@ class RiskController extends BaseAgent {
   /**
    * 检查单代币仓位占比
    */
-  async checkConcentration(userId, tokenSymbol, tradeAmount, userConfig) {
+  async checkConcentration(userId, tokenSymbol, tradeAmount, userConfig, paper = 0) {
     try {
       const usdtBalance = parseFloat(userConfig.usdt_balance || 100);
       const maxPercent = userConfig.single_token_max_percent || this.defaults.singleTokenMaxPercent;
@@ -890,7 +911,8 @@ class RiskController extends BaseAgent {
         SELECT COALESCE(SUM(entry_amount_usdt), 0) as existing_amount
         FROM auto_trade_executions
         WHERE user_id = ? AND token_symbol = ? AND status IN ('CONFIRMED', 'HOLDING')
-      `, [userId, tokenSymbol]);
+        AND COALESCE(is_paper, 0) = ?
+      `, [userId, tokenSymbol, paper]);
 
       const existingAmount = parseFloat(existingPosition[0].existing_amount || 0);
       const totalAmount = existingAmount + tradeAmount;
@@ -917,22 +939,25 @@ class RiskController extends BaseAgent {
    * @param {string} userId - 用户ID
    * @param {string} reason - 熔断原因
    * @param {Object} userConfig - 用户配置 (可选，用于获取自定义熔断时长)
+   * 只暂停同一模式的策略: 模拟盘亏损不会暂停实盘 (全局模拟盘时全部策略都是模拟盘)
    */
   async triggerCircuitBreaker(userId, reason, userConfig = null) {
     try {
       // 使用用户配置的熔断时长，否则使用默认值
       const duration = userConfig?.circuit_breaker_duration || this.defaults.circuitBreakerDuration;
       const pausedUntil = new Date(Date.now() + duration);
+      const paper = this.paperFlag(userConfig);
 
       await DatabaseService.query(`
         UPDATE auto_trade_config
         SET paused_until = ?, pause_reason = ?
         WHERE user_id = ?
-      `, [pausedUntil, reason, userId]);
+        AND (? = 1 OR COALESCE(paper_mode, 0) = ?)
+      `, [pausedUntil, paper ? `[Paper] ${reason}` : reason, userId, PaperExecutor.config.enabled ? 1 : 0, paper]);
 
       this.log(`   ⚠️ 熔断触发: ${userId} 暂停至 ${pausedUntil.toLocaleTimeString()}`);
       this.log(`   原因: ${reason}`);
-      this.publish('risk:circuit_breaker', { userId, reason, pausedUntil: pausedUntil.toISOString() });
+      this.publish('risk.block.circuit_breaker', { userId, reason, pausedUntil: pausedUntil.toISOString() });
 
       // 发送通知给用户
       await this.notifyCircuitBreaker(userId, reason, pausedUntil);
@@ -976,9 +1001,10 @@ class RiskController extends BaseAgent {
         FROM auto_trade_executions
         WHERE user_id = ?
         AND status = 'EXITED'
+        AND COALESCE(is_paper, 0) = ?
         ORDER BY exit_executed_at DESC
         LIMIT 10
-      `, [userId]);
+      `, [userId, this.paperFlag(userConfig)]);
 
       let consecutiveLosses = 0;
 
@@ -1081,7 +1107,9 @@ class RiskController extends BaseAgent {
             c.stop_loss_percent,
             c.take_profit_percent,
             c.max_positions,
-            c.stop_loss_mode
+            c.stop_loss_mode,
+            c.sizing_mode,
+            c.paper_mode
           FROM auto_trade_config c
           WHERE c.strategy_id = ?
           AND c.is_active = 1
@@ -1132,7 +1160,9 @@ class RiskController extends BaseAgent {
           c.stop_loss_percent,
           c.take_profit_percent,
           c.max_positions,
-          c.stop_loss_mode
+          c.stop_loss_mode,
+          c.sizing_mode,
+          c.paper_mode
         FROM auto_trade_config c
         WHERE c.is_active = 1
         AND (c.paused_until IS NULL OR c.paused_until < NOW())
@@ -0,0 +1,345 @@
+/**
+ * 交易预执行 (广播前模拟)
+ * 功能:
+ * 1. 广播前用 eth_call (pending 区块) 从用户钱包模拟 Approval 和 Swap，revert 的交易不上链、不烧 Gas
+ * 2. 模拟输出低于 minAmountOut (amountOutMin / amountOutMinimum) → 拒绝
+ * 3. 貔貅 / 卖出税检测:
+ *    卖出 (出场) 直接模拟真实卖单；买入 (入场) 再模拟一笔 "买到的代币原路卖回" (sell probe)
+ *    收税代币转入池子的数量少于路由预算 → V2 报 "K"、V3 报 "IIA"；禁止卖出的代币转账直接 revert
+ * 4. Approval 尚未上链时，Swap 用 state override 写入 allowance (按常见 ERC20 存储布局探测 slot) 模拟；
+ *    探测不到 slot 且只因 allowance 失败 → 视为无法验证，放行
+ *
+ * 失败返回结构化结果 { passed: false, code, leg, stage, message, details }，
+ * 由 BatchExecutor / ExitMonitor 写入 reject_reason (AutoTradeService.updateRejectReason)
+ *
+ * 仅 EVM (BSC / Base)；Solana 和 ParaSwap 等无法解码的路由只检查是否 revert
+ */
+
+const { ethers } = require('ethers');
+const rpcProvider = require('../../utils/rpcProvider');
+const BaseAgent = require('./core/BaseAgent');
+const AgentBus = require('./core/AgentBus');
+const Metrics = require('./core/Metrics');
+
+const ROUTER_ABI = [
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline) external returns (uint256[] memory amounts)',
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountOut)'
+];
+const ERC20_ABI = [
+  'function approve(address spender, uint256 amount) external returns (bool)',
+  'function allowance(address owner, address spender) external view returns (uint256)',
+  'function balanceOf(address account) external view returns (uint256)'
+];
+
+const routerIface = new ethers.Interface(ROUTER_ABI);
+const erc20Iface = new ethers.Interface(ERC20_ABI);
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// revert 原因归类
+const OUTPUT_BELOW_MIN = /INSUFFICIENT_OUTPUT_AMOUNT|Too little received|\bTLR\b/i;
+const TRANSFER_TAX = /: K\b|\bIIA\b|TRANSFER_FAILED|TRANSFER_FROM_FAILED|\bSTF\b|\bTF\b|transfer amount exceeds/i;
+const ALLOWANCE = /allowance|TRANSFER_FROM_FAILED|\bSTF\b/i;
+
+class TxSimulator extends BaseAgent {
+  constructor() {
+    super('Transaction Simulation Agent', 'execution');
+    AgentBus.register(this);
+    Metrics.counter('galeon_tx_simulations_total', 'Pre-broadcast eth_call simulations', ['chain', 'leg', 'result']);
+
+    this.config = {
+      enabled: process.env.AUTO_TRADE_SIMULATION !== 'false',
+      sellProbe: true,            // 入场时模拟卖回
+      maxSlotScan: 20,            // 探测 balance / allowance mapping 的 slot 范围
+      probeDeadlineSec: 600
+    };
+
+    this.slotCache = new Map();   // `${chain}:${token}:${kind}` → slot (null = 探测失败)
+
+    this.log(`✅ TxSimulator initialized${this.config.enabled ? '' : ' (已关闭)'}`);
+  }
+
+  /**
+   * 入场 (买入) 模拟: Approval → Swap → 卖回探测
+   * @param {Object} params - { chain, from, txData } txData 为 DEXAggregatorService.buildSwapTx 的结果
+   */
+  async simulateEntry({ chain, from, txData }) {
+    return this.simulate({ leg: 'entry', chain, from, txData, sellProbe: this.config.sellProbe });
+  }
+
+  /**
+   * 出场 (卖出) 模拟: Approval → Swap (卖单本身就会暴露卖出税)
+   */
+  async simulateExit({ chain, from, txData }) {
+    return this.simulate({ leg: 'exit', chain, from, txData, sellProbe: false });
+  }
+
+  async simulate({ leg, chain, from, txData, sellProbe }) {
+    if (!this.config.enabled || chain === 'Solana' || chain === 'SOLANA' || !txData?.routerAddress || !txData?.txData) {
+      return { passed: true, skipped: true };
+    }
+
+    let result;
+    try {
+      result = await this.run({ leg, chain, from, txData, sellProbe });
+    } catch (error) {
+      // 模拟本身出错 (RPC 故障) 不拦截交易，退回到原有行为
+      this.warn(`   ⚠️ [Simulation] ${leg} 模拟出错，跳过: ${error.message}`);
+      result = { passed: true, skipped: true, error: error.message };
+    }
+
+    Metrics.inc('galeon_tx_simulations_total', {
+      chain,
+      leg,
+      result: result.passed ? (result.skipped ? 'skipped' : (result.unverified ? 'unverified' : 'passed')) : result.code
+    });
+
+    if (result.passed) {
+      this.log(`         🧪 [Simulation] ${leg} 通过${result.unverified ? ' (allowance 未能覆盖，Swap 未完整验证)' : ''}`);
+    } else {
+      this.warn(`         🧪 [Simulation] ${leg} 未通过: ${TxSimulator.formatReason(result)}`);
+    }
+    return result;
+  }
+
+  async run({ leg, chain, from, txData, sellProbe }) {
+    const provider = rpcProvider.getProvider(chain);
+    const fail = (code, stage, message, details = {}) => ({ passed: false, code, leg, stage, message, details });
+
+    // 1. Approval
+    let allowanceOverride = null;
+    let approvalPending = false;
+    if (txData.needsApproval && txData.approvalTx) {
+      approvalPending = true;
+      const approval = await this.call(provider, {
+        from,
+        to: txData.approvalTx.to,
+        data: txData.approvalTx.data,
+        value: txData.approvalTx.value
+      });
+      if (!approval.ok) {
+        return fail('SIM_APPROVAL_REVERTED', 'approval', approval.reason);
+      }
+      if (approval.data && approval.data !== '0x' && !abiCoder.decode(['bool'], approval.data)[0]) {
+        return fail('SIM_APPROVAL_REVERTED', 'approval', 'approve() returned false');
+      }
+
+      // Approval 还没上链: 用 state override 让 Swap 按已授权模拟
+      const [spender] = erc20Iface.decodeFunctionData('approve', txData.approvalTx.data);
+      allowanceOverride = await this.allowanceOverride(provider, chain, txData.approvalTx.to, from, spender, ethers.MaxUint256);
+    }
+
+    // 2. Swap
+    const swapTx = { from, to: txData.routerAddress, data: txData.txData, value: txData.value };
+    const swap = await this.call(provider, swapTx, allowanceOverride);
+    const decoded = TxSimulator.decodeSwap(txData.txData);
+
+    if (!swap.ok) {
+      if (approvalPending && !allowanceOverride && ALLOWANCE.test(swap.reason)) {
+        return { passed: true, unverified: true, leg, reason: swap.reason };
+      }
+      if (OUTPUT_BELOW_MIN.test(swap.reason)) {
+        return fail('SIM_OUTPUT_BELOW_MIN', 'swap', swap.reason, { amountOutMin: decoded?.amountOutMin?.toString() });
+      }
+      if (leg === 'exit' && TRANSFER_TAX.test(swap.reason)) {
+        return fail('SIM_SELL_TAX', 'swap', `Sell reverted on token transfer (honeypot / sell tax): ${swap.reason}`);
+      }
+      return fail('SIM_REVERTED', 'swap', swap.reason);
+    }
+
+    const amountOut = decoded ? TxSimulator.decodeAmountOut(decoded, swap.data) : null;
+    if (amountOut !== null && amountOut < decoded.amountOutMin) {
+      return fail('SIM_OUTPUT_BELOW_MIN', 'swap', 'Simulated output below amountOutMin', {
+        amountOut: amountOut.toString(),
+        amountOutMin: decoded.amountOutMin.toString()
+      });
+    }
+
+    // 3. 卖回探测 (入场)
+    if (sellProbe && decoded && amountOut > 0n) {
+      const probe = await this.probeSell(provider, chain, from, txData.routerAddress, decoded, amountOut);
+      if (probe && !probe.ok) {
+        return fail('SIM_SELL_TAX', 'sell_probe', `Token cannot be sold back through ${txData.dex || 'router'} (honeypot / sell tax): ${probe.reason}`, {
+          probeAmount: amountOut.toString()
+        });
+      }
+    }
+
+    return { passed: true, leg, amountOut: amountOut?.toString() ?? null };
+  }
+
+  /**
+   * 模拟把买到的代币原路卖回 (minOut = 0，只看能不能卖)
+   * @returns {Object|null} { ok, reason }，无法构造探测 (slot 探测失败) 返回 null
+   */
+  async probeSell(provider, chain, from, router, decoded, amount) {
+    const token = decoded.tokenOut;
+    const balanceSlot = await this.findSlot(provider, chain, token, 'balance', from);
+    const allowanceSlot = await this.findSlot(provider, chain, token, 'allowance', from, router);
+    if (balanceSlot === null || allowanceSlot === null) {
+      this.log(`         ℹ️ [Simulation] ${token.slice(0, 10)}... 存储布局未知，跳过卖回探测`);
+      return null;
+    }
+
+    const deadline = Math.floor(Date.now() / 1000) + this.config.probeDeadlineSec;
+    const data = decoded.method === 'exactInputSingle'
+      ? routerIface.encodeFunctionData('exactInputSingle', [{
+        tokenIn: decoded.tokenOut,
+        tokenOut: decoded.tokenIn,
+        fee: decoded.fee,
+        recipient: from,
+        amountIn: amount,
+        amountOutMinimum: 0,
+        sqrtPriceLimitX96: 0
+      }])
+      : routerIface.encodeFunctionData('swapExactTokensForTokens', [amount, 0, [...decoded.path].reverse(), from, deadline]);
+
+    const overrides = {
+      [token]: {
+        stateDiff: {
+          [TxSimulator.balanceKey(from, balanceSlot)]: ethers.toBeHex(amount, 32),
+          [TxSimulator.allowanceKey(from, router, allowanceSlot)]: ethers.toBeHex(ethers.MaxUint256, 32)
+        }
+      }
+    };
+
+    return this.call(provider, { from, to: router, data, value: '0x0' }, overrides);
+  }
+
+  /**
+   * allowance(owner, spender) 的 state override，找不到 slot 返回 null
+   */
+  async allowanceOverride(provider, chain, token, owner, spender, value) {
+    const slot = await this.findSlot(provider, chain, token, 'allowance', owner, spender);
+    if (slot === null) return null;
+    return {
+      [token]: { stateDiff: { [TxSimulator.allowanceKey(owner, spender, slot)]: ethers.toBeHex(value, 32) } }
+    };
+  }
+
+  /**
+   * 探测 Solidity mapping 的 slot: 逐个 slot 写入标记值，balanceOf / allowance 读回标记值即命中
+   */
+  async findSlot(provider, chain, token, kind, owner, spender = null) {
+    const cacheKey = `${chain}:${token.toLowerCase()}:${kind}`;
+    if (this.slotCache.has(cacheKey)) return this.slotCache.get(cacheKey);
+
+    const marker = 0x5157a7e5n;
+    const data = kind === 'balance'
+      ? erc20Iface.encodeFunctionData('balanceOf', [owner])
+      : erc20Iface.encodeFunctionData('allowance', [owner, spender]);
+
+    let found = null;
+    for (let slot = 0; slot < this.config.maxSlotScan; slot++) {
+      const key = kind === 'balance' ? TxSimulator.balanceKey(owner, slot) : TxSimulator.allowanceKey(owner, spender, slot);
+      const result = await this.call(provider, { to: token, data }, {
+        [token]: { stateDiff: { [key]: ethers.toBeHex(marker, 32) } }
+      });
+      if (result.ok && result.data && result.data !== '0x' && BigInt(result.data) === marker) {
+        found = slot;
+        break;
+      }
+    }
+
+    this.slotCache.set(cacheKey, found);
+    return found;
+  }
+
+  /**
+   * eth_call @ pending
+   * @returns {Object} { ok, data } / { ok: false, reason }
+   */
+  async call(provider, tx, overrides = null) {
+    const request = {
+      ...(tx.from ? { from: tx.from } : {}),
+      to: tx.to,
+      data: tx.data,
+      value: tx.value ? ethers.toBeHex(BigInt(tx.value)) : '0x0'
+    };
+    const params = overrides ? [request, 'pending', overrides] : [request, 'pending'];
+
+    try {
+      return { ok: true, data: await provider.send('eth_call', params) };
+    } catch (error) {
+      const reason = TxSimulator.revertReason(error);
+      if (reason === null) throw error;   // 不是 revert (网络 / RPC 错误)
+      return { ok: false, reason };
+    }
+  }
+
+  /**
+   * 从 eth_call 错误中取 revert 原因，不是 revert 返回 null
+   */
+  static revertReason(error) {
+    if (error.reason) return error.reason;
+
+    const data = error.data || error.info?.error?.data;
+    if (typeof data === 'string' && data.startsWith('0x08c379a0')) {
+      try { return abiCoder.decode(['string'], '0x' + data.slice(10))[0]; } catch { /* fall through */ }
+    }
+
+    const message = error.info?.error?.message || error.shortMessage || error.message || '';
+    if (error.code === 'CALL_EXCEPTION' || /revert/i.test(message)) {
+      return message.replace(/^execution reverted:?\s*/i, '') || 'execution reverted';
+    }
+    return null;
+  }
+
+  /**
+   * 解码 V2 swapExactTokensForTokens / V3 exactInputSingle，其他路由返回 null
+   */
+  static decodeSwap(data) {
+    let parsed;
+    try { parsed = routerIface.parseTransaction({ data }); } catch { return null; }
+    if (!parsed) return null;
+
+    if (parsed.name === 'swapExactTokensForTokens') {
+      const path = [...parsed.args.path];
+      return {
+        method: parsed.name,
+        amountIn: parsed.args.amountIn,
+        amountOutMin: parsed.args.amountOutMin,
+        path,
+        tokenIn: path[0],
+        tokenOut: path[path.length - 1]
+      };
+    }
+
+    const p = parsed.args[0];
+    return {
+      method: parsed.name,
+      amountIn: p.amountIn,
+      amountOutMin: p.amountOutMinimum,
+      tokenIn: p.tokenIn,
+      tokenOut: p.tokenOut,
+      fee: p.fee
+    };
+  }
+
+  static decodeAmountOut(decoded, returnData) {
+    try {
+      const result = routerIface.decodeFunctionResult(decoded.method, returnData);
+      return decoded.method === 'exactInputSingle' ? result[0] : result[0][result[0].length - 1];
+    } catch {
+      return null;
+    }
+  }
+
+  static balanceKey(owner, slot) {
+    return ethers.keccak256(abiCoder.encode(['address', 'uint256'], [owner, slot]));
+  }
+
+  static allowanceKey(owner, spender, slot) {
+    const inner = ethers.keccak256(abiCoder.encode(['address', 'uint256'], [owner, slot]));
+    return ethers.keccak256(abiCoder.encode(['address', 'bytes32'], [spender, inner]));
+  }
+
+  /**
+   * 写入 reject_reason / error_message 的文本 (reject_reason 最长 255)
+   */
+  static formatReason(result) {
+    const details = Object.entries(result.details || {}).map(([k, v]) => `${k}=${v}`).join(', ');
+    return `Simulation failed [${result.code}] ${result.leg}/${result.stage}: ${result.message}${details ? ` (${details})` : ''}`.substring(0, 255);
+  }
+}
+
+module.exports = new TxSimulator();
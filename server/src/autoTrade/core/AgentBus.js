@@ -1,19 +1,67 @@
-const EventEmitter = require('events');
+const EventLog = require('./EventLog');
+const EventSchemas = require('./EventSchemas');
+const Metrics = require('./Metrics');
+const Logger = require('./Logger');
 
-class AgentBus extends EventEmitter {
+const SOURCE = { agent: 'AgentBus', role: 'bus' };
+const { matches } = EventSchemas.EventSchemas;
+
+class AgentBus {
   constructor() {
-    super();
-    this.setMaxListeners(50);
     this.eventLog = [];
     this.agents = new Map();
+
+    // 事件类型注册表 — publish 时校验 topic 和 payload
+    this.schemas = EventSchemas;
+    this.strictSchemas = process.env.AGENT_BUS_STRICT_SCHEMAS === 'true';
+    this.rejected = { count: 0, last: null };
+
+    // 进程内监听器 (pattern 通配，异常互相隔离)
+    this.listeners = [];
+
+    // 持久化事件日志 — 每个事件分配单调递增 offset，重启不丢
+    this.log = new EventLog(process.env.AGENT_BUS_DIR || undefined);
+    this.subscribers = new Map();
+    this.maxDeliveryAttempts = 3;
+
+    // Supervisor.start() 时挂上，getStatus() 带出健康状态
+    this.supervisor = null;
+
+    Metrics.counter('galeon_agent_bus_events_total', 'Events published on the AgentBus', ['topic', 'from']);
+    Metrics.counter('galeon_agent_bus_rejected_total', 'Events rejected by schema validation', ['topic']);
+    Metrics.collect(() => this._collectMetrics());
   }
 
   register(agent) {
     this.agents.set(agent.name, agent);
-    console.log(`[AgentBus] ${agent.name} registered (role: ${agent.role})`);
+    Logger.write('info', SOURCE, `${agent.name} registered (role: ${agent.role})`);
   }
 
+  /**
+   * 发布事件
+   * topic 必须在 EventSchemas 中登记且 payload 通过校验，否则不落盘不投递
+   * (AGENT_BUS_STRICT_SCHEMAS=true 时直接抛错，方便开发时发现问题)
+   * @returns {Object|null} 事件，校验失败时为 null
+   */
   publish(fromAgent, eventName, payload) {
+    const errors = this.schemas.validate(eventName, payload);
+    if (errors.length > 0) {
+      this.rejected.count++;
+      Metrics.inc('galeon_agent_bus_rejected_total', { topic: eventName });
+      this.rejected.last = { from: fromAgent, event: eventName, errors, at: new Date().toISOString() };
+      const message = `Rejected ${eventName} from ${fromAgent}: ${errors.join('; ')}`;
+      if (this.strictSchemas) {
+        const err = new Error(message);
+        err.code = 'EVENT_SCHEMA_INVALID';
+        err.errors = errors;
+        throw err;
+      }
+      Logger.write('error', SOURCE, message);
+      return null;
+    }
+
+    Metrics.inc('galeon_agent_bus_events_total', { topic: eventName, from: fromAgent });
+
     const event = {
       id: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
       from: fromAgent,
@@ -22,22 +70,275 @@ class AgentBus extends EventEmitter {
       timestamp: new Date().toISOString()
     };
 
+    // 高频事件只投递给在线监听器
+    if (this.schemas.isTransient(eventName)) {
+      event.offset = null;
+      this._dispatch(event);
+      return event;
+    }
+
+    try {
+      event.offset = this.log.append(event);
+    } catch (error) {
+      // 写盘失败不影响进程内投递
+      event.offset = null;
+      Logger.write('error', SOURCE, `Failed to persist ${eventName}: ${error.message}`);
+    }
+
     this.eventLog.push(event);
     if (this.eventLog.length > 100) this.eventLog.shift();
 
-    this.emit(eventName, event);
-    this.emit('*', event);
+    this._dispatch(event);
+
+    for (const sub of this.subscribers.values()) this._drain(sub);
+    return event;
+  }
+
+  /**
+   * 进程内监听 (不持久化，不补投)
+   * 监听器抛错 / 返回的 Promise reject 只记到该监听器的统计里，不影响发布方和其他监听器
+   * @param {string} pattern - topic 或通配 pattern: trade.entry.* / risk.block.# / #
+   * @param {Function} handler - (event) => {}
+   * @param {Object} options - { name } 状态页里显示的监听器名
+   * @returns {Function} 取消监听
+   */
+  on(pattern, handler, options = {}) {
+    const listener = {
+      name: options.name || handler.name || `listener_${this.listeners.length + 1}`,
+      pattern,
+      handler,
+      delivered: 0,
+      failed: 0,
+      lastError: null
+    };
+    this.listeners.push(listener);
+    return () => this.off(pattern, handler);
   }
 
-  getStatus() {
+  off(pattern, handler) {
+    this.listeners = this.listeners.filter(l => !(l.pattern === pattern && l.handler === handler));
+  }
+
+  _dispatch(event) {
+    for (const listener of this.listeners) {
+      if (!matches(listener.pattern, event.event)) continue;
+      try {
+        const result = listener.handler(event);
+        if (result && typeof result.then === 'function') {
+          result.catch(error => this._listenerFailed(listener, event, error));
+        }
+        listener.delivered++;
+      } catch (error) {
+        this._listenerFailed(listener, event, error);
+      }
+    }
+  }
+
+  _listenerFailed(listener, event, error) {
+    listener.failed++;
+    listener.lastError = { event: event.event, offset: event.offset, message: error.message, at: new Date().toISOString() };
+    Logger.write('error', SOURCE, `Listener ${listener.name} failed on ${event.event}: ${error.message}`);
+  }
+
+  /**
+   * 持久订阅 — 按 offset 顺序投递，处理完提交游标，重启后从游标继续 (至少一次)
+   * @param {string} name - 订阅者名 (游标按名字保存)
+   * @param {Function} handler - async (event) => {}，抛错时停在该事件，下次有新事件时重试；
+   *   同一事件连续失败 maxDeliveryAttempts 次后跳过并记入 dead_letters，不再卡住后续事件
+   * @param {Object} options - { fromOffset, topics }
+   *   fromOffset: 起始 offset (默认: 已保存游标之后；新订阅者从最新开始)
+   *   topics: 只投递匹配这些 pattern 的事件 (默认全部)
+   */
+  subscribe(name, handler, options = {}) {
+    const saved = this.log.getCursor(name);
+    const start = options.fromOffset ?? (saved !== null ? saved + 1 : this.log.nextOffset);
+
+    const sub = {
+      name,
+      handler,
+      topics: options.topics || null,
+      cursor: start - 1,
+      draining: false,
+      attempts: 0,
+      lastError: null,
+      deadLetters: []
+    };
+    this.subscribers.set(name, sub);
+    this._drain(sub);
+    return () => this.unsubscribe(name);
+  }
+
+  unsubscribe(name) {
+    this.subscribers.delete(name);
+  }
+
+  /**
+   * 按 offset 回放历史事件 (排查问题 / 重建状态)
+   * @param {number} fromOffset
+   * @param {Function} handler - async (event) => {}
+   * @param {Object} options - { toOffset, topics }
+   * @returns {Promise<number>} 回放的事件数
+   */
+  async replay(fromOffset, handler, options = {}) {
+    const toOffset = options.toOffset ?? this.log.nextOffset - 1;
+    let offset = fromOffset;
+    let count = 0;
+
+    while (offset <= toOffset) {
+      const batch = this.log.read(offset, 500);
+      if (batch.length === 0) break;
+      for (const event of batch) {
+        if (event.offset > toOffset) return count;
+        if (this._wants(options.topics, event)) {
+          await handler(event);
+          count++;
+        }
+      }
+      offset = batch[batch.length - 1].offset + 1;
+    }
+    return count;
+  }
+
+  /**
+   * 读取日志 (API 查询用)
+   */
+  readEvents(fromOffset, limit = 100) {
+    return this.log.read(fromOffset, limit);
+  }
+
+  async _drain(sub) {
+    if (sub.draining) return;
+    sub.draining = true;
+    try {
+      while (this.subscribers.get(sub.name) === sub && sub.cursor + 1 < this.log.nextOffset) {
+        const batch = this.log.read(sub.cursor + 1, 500);
+        if (batch.length === 0) break;
+
+        for (const event of batch) {
+          if (this._wants(sub.topics, event)) {
+            await sub.handler(event);
+          }
+          sub.cursor = event.offset;
+          sub.attempts = 0;
+        }
+        this.log.commitCursor(sub.name, sub.cursor);
+        sub.lastError = null;
+      }
+    } catch (error) {
+      const offset = sub.cursor + 1;
+      sub.attempts++;
+      sub.lastError = { offset, attempts: sub.attempts, message: error.message, at: new Date().toISOString() };
+      Logger.write('error', SOURCE, `Subscriber ${sub.name} failed at offset ${offset} (${sub.attempts}/${this.maxDeliveryAttempts}): ${error.message}`);
+
+      if (sub.attempts >= this.maxDeliveryAttempts) {
+        // 毒消息: 跳过，避免一个坏事件永久卡住该订阅者
+        sub.deadLetters.push(sub.lastError);
+        if (sub.deadLetters.length > 20) sub.deadLetters.shift();
+        sub.cursor = offset;
+        sub.attempts = 0;
+      }
+      // 否则游标停在失败事件之前，下次投递时重试
+      this.log.commitCursor(sub.name, sub.cursor);
+    } finally {
+      sub.draining = false;
+    }
+  }
+
+  _wants(topics, event) {
+    return !topics || topics.some(pattern => matches(pattern, event.event));
+  }
+
+  /**
+   * 抓取时计算: Agent 决策数 / 运行时间、订阅者积压、监听器失败数、健康状态
+   */
+  _collectMetrics() {
+    const agents = [...this.agents.values()];
+    const families = [
+      {
+        name: 'galeon_agent_decisions_total',
+        help: 'Decisions made per agent',
+        type: 'counter',
+        samples: agents.map(a => ({ labels: { agent: a.name, role: a.role }, value: a.stats.decisions }))
+      },
+      {
+        name: 'galeon_agent_uptime_seconds',
+        help: 'Seconds since the agent was created',
+        type: 'gauge',
+        samples: agents.map(a => ({ labels: { agent: a.name, role: a.role }, value: (Date.now() - a.startTime) / 1000 }))
+      },
+      {
+        name: 'galeon_agent_bus_subscriber_lag',
+        help: 'Events not yet processed by a durable subscriber',
+        type: 'gauge',
+        samples: [...this.subscribers.values()].map(sub => ({ labels: { subscriber: sub.name }, value: this.log.nextOffset - 1 - sub.cursor }))
+      },
+      {
+        name: 'galeon_agent_bus_listener_failures_total',
+        help: 'In-process listener errors (isolated from the publisher)',
+        type: 'counter',
+        samples: this.listeners.map(l => ({ labels: { listener: l.name, pattern: l.pattern }, value: l.failed }))
+      }
+    ];
+
+    if (this.supervisor) {
+      const severity = { healthy: 0, degraded: 1, critical: 2 };
+      const health = this.supervisor.getHealth();
+      // 按组件汇总 — loop id 含 executionId / 钱包，作标签会泄露且基数无限
+      const restarts = {};
+      for (const l of health.loops) restarts[l.component] = (restarts[l.component] || 0) + l.restarts;
+      families.push({
+        name: 'galeon_agent_health',
+        help: 'Supervisor health per agent (0 healthy, 1 degraded, 2 critical)',
+        type: 'gauge',
+        samples: Object.entries(health.agents).map(([agent, h]) => ({ labels: { agent }, value: severity[h.health] }))
+      }, {
+        name: 'galeon_supervisor_loop_restarts',
+        help: 'Monitor loop restarts within the supervisor restart window',
+        type: 'gauge',
+        samples: Object.entries(restarts).map(([component, value]) => ({ labels: { component }, value }))
+      });
+    }
+    return families;
+  }
+
+  /**
+   * 总线状态 — recentEvents 只含 userId 可见的事件 (公共 topic + 自己的)
+   */
+  getStatus(userId) {
     const agentStatuses = {};
     for (const [name, agent] of this.agents) {
       agentStatuses[name] = agent.getAgentStatus();
     }
+
+    const subscribers = {};
+    for (const [name, sub] of this.subscribers) {
+      subscribers[name] = {
+        cursor: sub.cursor,
+        lag: this.log.nextOffset - 1 - sub.cursor,
+        topics: sub.topics,
+        last_error: sub.lastError,
+        dead_letters: sub.deadLetters
+      };
+    }
+
+    const listeners = this.listeners.map(l => ({
+      name: l.name,
+      pattern: l.pattern,
+      delivered: l.delivered,
+      failed: l.failed,
+      last_error: l.lastError
+    }));
+
     return {
       agents: agentStatuses,
-      recentEvents: this.eventLog.slice(-20),
-      totalEvents: this.eventLog.length
+      recentEvents: this.eventLog.filter(e => this.schemas.isVisibleTo(e, userId)).slice(-20),
+      totalEvents: this.log.nextOffset - 1,
+      log: this.log.getStatus(),
+      subscribers,
+      listeners,
+      rejected: this.rejected,
+      event_types: this.schemas.list(),
+      health: this.supervisor ? this.supervisor.getHealth() : null
     };
   }
 }
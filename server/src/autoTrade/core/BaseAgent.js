@@ -1,4 +1,6 @@
 const EventEmitter = require('events');
+const Logger = require('./Logger');
+const Metrics = require('./Metrics');
 
 class BaseAgent extends EventEmitter {
   constructor(name, role) {
@@ -11,33 +13,36 @@ class BaseAgent extends EventEmitter {
   }
 
   log(message, data = null) {
-    const timestamp = new Date().toISOString();
-    const prefix = `[${this.name}]`;
-    if (data !== null && data !== undefined) {
-      console.log(`${timestamp} ${prefix} ${message}`, data);
-    } else {
-      console.log(`${timestamp} ${prefix} ${message}`);
-    }
+    Logger.write('info', { agent: this.name, role: this.role }, message, data);
   }
 
   warn(message, data = null) {
-    const timestamp = new Date().toISOString();
-    const prefix = `[${this.name}]`;
-    if (data !== null && data !== undefined) {
-      console.warn(`${timestamp} ${prefix} ${message}`, data);
-    } else {
-      console.warn(`${timestamp} ${prefix} ${message}`);
-    }
+    Logger.write('warn', { agent: this.name, role: this.role }, message, data);
   }
 
   error(message, data = null) {
-    const timestamp = new Date().toISOString();
-    const prefix = `[${this.name}]`;
-    if (data !== null && data !== undefined) {
-      console.error(`${timestamp} ${prefix} ${message}`, data);
-    } else {
-      console.error(`${timestamp} ${prefix} ${message}`);
-    }
+    Metrics.inc('galeon_agent_errors_total', { agent: this.name, role: this.role });
+    Logger.write('error', { agent: this.name, role: this.role }, message, data);
+  }
+
+  /**
+   * 在关联 id 上下文中执行 (期间本 Agent 及其调用的其他 Agent 的日志都带上这些 id)
+   * @param {Object} fields - { signal_id, execution_id, batch_id, ... }
+   */
+  withContext(fields, fn) {
+    return Logger.withContext(fields, fn);
+  }
+
+  /**
+   * 包装实例方法: 调用时进入关联 id 上下文 (caller = 本 Agent) + 记录耗时直方图 (构造函数里调用)
+   * @param {string} method - 方法名
+   * @param {string} operation - 直方图 operation 标签
+   * @param {Function} contextFn - (...args) => { signal_id, execution_id, batch_id }
+   */
+  instrument(method, operation, contextFn = () => ({})) {
+    const original = this[method].bind(this);
+    this[method] = (...args) => Logger.withContext({ caller: this.name, ...contextFn(...args) },
+      () => Metrics.time(this.name, operation, () => original(...args)));
   }
 
   publish(eventName, payload) {
@@ -47,7 +52,15 @@ class BaseAgent extends EventEmitter {
 
   setStatus(status) {
     this.status = status;
-    this.publish('agent:status', { agent: this.name, status });
+    this.publish('agent.status', { agent: this.name, status });
+  }
+
+  /**
+   * Supervisor 心跳 — 子类可覆盖做更深的自检 (抛错或超时视为不健康)
+   */
+  async heartbeat() {
+    this.lastHeartbeatAt = Date.now();
+    return { status: this.status, errors: this.stats.errors };
   }
 
   getAgentStatus() {
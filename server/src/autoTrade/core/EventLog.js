@@ -0,0 +1,186 @@
+/**
+ * AgentBus 持久化事件日志
+ * 功能:
+ * 1. 追加写入 JSONL 分段文件，offset 单调递增 (重启后从最后一段继续)
+ * 2. 按 offset 读取 (最近的事件走内存缓存，不读盘)
+ * 3. 订阅者游标 (cursors.json)，重启后从上次处理的位置继续
+ * 4. 按段保留: 超过 maxSegments 删除最旧的段
+ *
+ * 文件:
+ *   data/agent-bus/segment-<起始offset>.jsonl
+ *   data/agent-bus/cursors.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../../config/dataDir');
+
+const DEFAULT_DIR = dataPath('agent-bus');
+const SEGMENT_PREFIX = 'segment-';
+const OFFSET_WIDTH = 16;
+
+class EventLog {
+  /**
+   * @param {string} dir
+   * @param {Object} options - { maxSegmentBytes, maxSegments, tailSize }
+   */
+  constructor(dir = DEFAULT_DIR, options = {}) {
+    this.dir = dir;
+    this.cursorFile = path.join(dir, 'cursors.json');
+    this.maxSegmentBytes = options.maxSegmentBytes || 10 * 1024 * 1024;
+    this.maxSegments = options.maxSegments || 20;
+    this.tailSize = options.tailSize || 1000;
+
+    // 目录在第一次写入时才创建，require AgentBus 不在磁盘上留下任何东西
+    this.segments = this._listSegments();
+    this.tail = [];
+    this.nextOffset = 1;
+    this.activeBytes = 0;
+
+    // 从最后一段恢复 offset
+    const last = this.segments[this.segments.length - 1];
+    if (last !== undefined) {
+      const events = this._readSegment(last);
+      this.tail = events.slice(-this.tailSize);
+      this.nextOffset = events.length > 0 ? events[events.length - 1].offset + 1 : last;
+      this.activeBytes = fs.statSync(this._segmentFile(last)).size;
+
+      // 上次崩溃留下的半行补换行，避免和下一条粘在一起
+      if (this.activeBytes > 0 && !fs.readFileSync(this._segmentFile(last), 'utf8').endsWith('\n')) {
+        fs.appendFileSync(this._segmentFile(last), '\n');
+        this.activeBytes++;
+      }
+    }
+
+    this.cursors = this._loadCursors();
+  }
+
+  /**
+   * 追加事件
+   * @returns {number} offset
+   */
+  append(event) {
+    const offset = this.nextOffset;
+    const record = { offset, ...event };
+    const line = JSON.stringify(record) + '\n';
+    const bytes = Buffer.byteLength(line);
+
+    if (this.segments.length === 0 || this.activeBytes + bytes > this.maxSegmentBytes) {
+      this._roll(offset);
+    }
+
+    fs.appendFileSync(this._segmentFile(this.segments[this.segments.length - 1]), line);
+    this.activeBytes += bytes;
+    this.nextOffset++;
+
+    this.tail.push(record);
+    if (this.tail.length > this.tailSize) this.tail.shift();
+    return offset;
+  }
+
+  /**
+   * 从 fromOffset (含) 开始读取最多 limit 条
+   */
+  read(fromOffset, limit = 500) {
+    const from = Math.max(fromOffset, this.firstOffset());
+    if (from >= this.nextOffset) return [];
+
+    if (this.tail.length > 0 && from >= this.tail[0].offset) {
+      const start = from - this.tail[0].offset;
+      return this.tail.slice(start, start + limit);
+    }
+
+    const result = [];
+    let i = this.segments.findIndex((base, idx) => base <= from && (this.segments[idx + 1] === undefined || this.segments[idx + 1] > from));
+    for (; i >= 0 && i < this.segments.length && result.length < limit; i++) {
+      for (const event of this._readSegment(this.segments[i])) {
+        if (event.offset < from) continue;
+        result.push(event);
+        if (result.length >= limit) break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 最早仍保留的 offset
+   */
+  firstOffset() {
+    return this.segments.length > 0 ? this.segments[0] : this.nextOffset;
+  }
+
+  getCursor(name) {
+    return this.cursors[name] ?? null;
+  }
+
+  /**
+   * 保存订阅者已处理到的 offset
+   */
+  commitCursor(name, offset) {
+    this.cursors[name] = offset;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const tmp = `${this.cursorFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.cursors, null, 2));
+      fs.renameSync(tmp, this.cursorFile);
+    } catch (e) {
+      console.error(`[EventLog] 保存游标失败 ${name}: ${e.message}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      first_offset: this.firstOffset(),
+      next_offset: this.nextOffset,
+      segments: this.segments.length,
+      active_segment_bytes: this.activeBytes
+    };
+  }
+
+  /**
+   * 开新段，超出保留数量时删除最旧的段
+   */
+  _roll(baseOffset) {
+    this.segments.push(baseOffset);
+    this.activeBytes = 0;
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this._segmentFile(baseOffset), '');
+
+    while (this.segments.length > this.maxSegments) {
+      const oldest = this.segments.shift();
+      try { fs.unlinkSync(this._segmentFile(oldest)); }
+      catch (e) { console.error(`[EventLog] 删除旧段失败 ${oldest}: ${e.message}`); }
+    }
+  }
+
+  _segmentFile(baseOffset) {
+    return path.join(this.dir, `${SEGMENT_PREFIX}${String(baseOffset).padStart(OFFSET_WIDTH, '0')}.jsonl`);
+  }
+
+  _listSegments() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(f => f.startsWith(SEGMENT_PREFIX) && f.endsWith('.jsonl'))
+      .map(f => parseInt(f.substring(SEGMENT_PREFIX.length), 10))
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b);
+  }
+
+  _readSegment(baseOffset) {
+    try {
+      return fs.readFileSync(this._segmentFile(baseOffset), 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })   // 崩溃时可能留下半行
+        .filter(Boolean);
+    } catch { return []; }
+  }
+
+  _loadCursors() {
+    try {
+      return JSON.parse(fs.readFileSync(this.cursorFile, 'utf8'));
+    } catch { return {}; }
+  }
+}
+
+module.exports = EventLog;
@@ -0,0 +1,245 @@
+/**
+ * AgentBus 事件类型注册表
+ * 功能:
+ * 1. 登记每种事件的 topic 和 payload schema，publish 时校验
+ * 2. topic 用 . 分段: <域>.<对象>.<动作>，如 trade.entry.submitted
+ * 3. 订阅 pattern 通配: * 匹配一段，# 匹配零或多段 (trade.entry.* / risk.block.# / #)
+ * 4. 可见范围: PUBLIC_TOPICS 推送给所有前端连接，其余只推给 payload.userId 对应的用户
+ * 5. TRANSIENT_TOPICS 为高频事件，只投递给在线监听器，不写入持久化日志
+ *
+ * schema 字段规则: { type, required }
+ *   type: string / number / boolean / object / array，或多个类型的数组
+ */
+
+const ID = { type: ['string', 'number'], required: true };
+
+const EVENT_TYPES = {
+  'agent.status': {
+    agent: { type: 'string', required: true },
+    status: { type: 'string', required: true }
+  },
+
+  'risk.check.failed': {
+    userId: ID,
+    token: { type: 'string' },
+    reason: { type: 'string', required: true }
+  },
+  'risk.check.passed': {
+    userId: ID,
+    token: { type: 'string' },
+    tradeAmount: { type: 'number', required: true }
+  },
+  'risk.block.circuit_breaker': {
+    userId: ID,
+    reason: { type: 'string', required: true },
+    pausedUntil: { type: 'string', required: true }
+  },
+
+  'strategy.signal.accepted': {
+    signalId: ID,
+    token: { type: 'string' },
+    usersCount: { type: 'number', required: true }
+  },
+
+  'trade.entry.submitted': {
+    signalId: ID,
+    token: { type: 'string' },
+    batchSize: { type: 'number', required: true }
+  },
+  'trade.exit.triggered': {
+    executionId: ID,
+    userId: { type: ['string', 'number'] },
+    exitType: { type: 'string', required: true },
+    reason: { type: 'string' }
+  },
+  // 出场模拟在滑点上限仍不通过 (卖出税 / 输出不足)，停止自动重试，需人工处理
+  'trade.exit.escalated': {
+    executionId: ID,
+    userId: { type: ['string', 'number'] },
+    code: { type: 'string', required: true },
+    slippage: { type: 'number' },
+    reason: { type: 'string' }
+  },
+
+  'position.updated': {
+    executionId: ID,
+    userId: ID,
+    token: { type: 'string', required: true },
+    price: { type: 'number', required: true },
+    pnlPercent: { type: 'number', required: true },
+    pnlUsdt: { type: 'number' }
+  },
+
+  'alpha.signal.created': {
+    signalId: ID,
+    tokenSymbol: { type: 'string', required: true },
+    signalType: { type: 'string', required: true },
+    confidence: { type: 'number', required: true },
+    riskLevel: { type: 'string' },
+    currentPrice: { type: 'number' },
+    status: { type: 'string' },
+    createdAt: { type: 'string' },
+    expiresAt: { type: 'string' }
+  },
+
+  'brain.decision.made': {
+    decisionId: ID,
+    token: { type: 'string', required: true },
+    action: { type: 'string', required: true },
+    confidence: { type: 'number' },
+    tokenStage: { type: 'string' },
+    reason: { type: 'string' },
+    rule: { type: 'string' }      // 决定最终动作的 ControlSystem 规则
+  },
+
+  'supervisor.agent.health': {
+    agent: { type: 'string', required: true },
+    health: { type: 'string', required: true },
+    reasons: { type: 'array' }
+  },
+  'supervisor.loop.restarted': {
+    component: { type: 'string', required: true },
+    loopId: ID,
+    reason: { type: 'string' },
+    attempt: { type: 'number', required: true },
+    nextRetryMs: { type: 'number' }
+  },
+  'supervisor.loop.escalated': {
+    component: { type: 'string', required: true },
+    loopId: ID,
+    reason: { type: 'string' },
+    restarts: { type: 'number', required: true }
+  },
+
+  'llm.health': {
+    caller: { type: 'string', required: true },
+    degraded: { type: 'boolean', required: true },
+    failure_rate: { type: 'number', required: true }
+  }
+};
+
+// 不含用户数据，所有已登录连接都可订阅
+const PUBLIC_TOPICS = ['agent.#', 'supervisor.#', 'llm.#', 'alpha.#', 'brain.#', 'strategy.#', 'trade.entry.#'];
+
+// 每个价格 tick 一条，只推送不落盘
+const TRANSIENT_TOPICS = ['position.updated'];
+
+class EventSchemas {
+  constructor() {
+    this.types = new Map(Object.entries(EVENT_TYPES));
+    this.publicTopics = [...PUBLIC_TOPICS];
+    this.transientTopics = new Set(TRANSIENT_TOPICS);
+  }
+
+  /**
+   * 登记新的事件类型 (重复登记同一 topic 会抛错，避免两处定义互相覆盖)
+   * @param {Object} options - { public, transient }
+   */
+  register(topic, schema = {}, options = {}) {
+    if (!EventSchemas.isTopic(topic)) {
+      const err = new Error(`Invalid event topic: ${topic}`);
+      err.code = 'EVENT_TOPIC_INVALID';
+      throw err;
+    }
+    if (this.types.has(topic)) {
+      const err = new Error(`Event type ${topic} already registered`);
+      err.code = 'EVENT_TYPE_EXISTS';
+      throw err;
+    }
+    this.types.set(topic, schema);
+    if (options.public) this.publicTopics.push(topic);
+    if (options.transient) this.transientTopics.add(topic);
+  }
+
+  isPublic(topic) {
+    return this.publicTopics.some(pattern => EventSchemas.matches(pattern, topic));
+  }
+
+  /**
+   * 用户能否看到该事件: 公共 topic，或 payload.userId 是自己
+   */
+  isVisibleTo(event, userId) {
+    const owner = event.payload?.userId;
+    const own = owner !== undefined && owner !== null && userId !== undefined && userId !== null && String(owner) === String(userId);
+    return own || this.isPublic(event.event);
+  }
+
+  isTransient(topic) {
+    return this.transientTopics.has(topic);
+  }
+
+  has(topic) {
+    return this.types.has(topic);
+  }
+
+  list() {
+    return [...this.types.keys()].sort();
+  }
+
+  /**
+   * 校验 payload
+   * @returns {string[]} 错误列表，空数组表示通过
+   */
+  validate(topic, payload) {
+    const schema = this.types.get(topic);
+    if (!schema) return [`unknown event type ${topic}`];
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+      return ['payload must be an object'];
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+      const value = payload[field];
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push(`${field} is required`);
+        continue;
+      }
+      const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+      if (rule.type && !types.includes(EventSchemas.typeOf(value))) {
+        errors.push(`${field} must be ${types.join('|')}, got ${EventSchemas.typeOf(value)}`);
+      }
+    }
+    return errors;
+  }
+
+  static typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'NaN';
+    return typeof value;
+  }
+
+  /**
+   * 具体 topic (不含通配符)
+   */
+  static isTopic(topic) {
+    return typeof topic === 'string' && /^[a-z0-9_]+(\.[a-z0-9_]+)*$/.test(topic);
+  }
+
+  /**
+   * pattern 是否匹配 topic
+   *   * 匹配恰好一段，# 匹配零或多段
+   */
+  static matches(pattern, topic) {
+    if (pattern === '#' || pattern === topic) return true;
+    return matchSegments(pattern.split('.'), 0, topic.split('.'), 0);
+  }
+}
+
+function matchSegments(pattern, pi, topic, ti) {
+  if (pi === pattern.length) return ti === topic.length;
+
+  if (pattern[pi] === '#') {
+    // # 吃掉 0..n 段
+    for (let skip = ti; skip <= topic.length; skip++) {
+      if (matchSegments(pattern, pi + 1, topic, skip)) return true;
+    }
+    return false;
+  }
+
+  if (ti === topic.length) return false;
+  if (pattern[pi] !== '*' && pattern[pi] !== topic[ti]) return false;
+  return matchSegments(pattern, pi + 1, topic, ti + 1);
+}
+
+module.exports = new EventSchemas();
+module.exports.EventSchemas = EventSchemas;
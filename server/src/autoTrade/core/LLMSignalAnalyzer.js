@@ -1,31 +1,105 @@
-const DeepSeekService = require('../../deepseekService');
+/**
+ * LLM 信号分析
+ * 功能:
+ * 1. 跟单信号质量评分 (模型 / fallback 链见 src/config/llm.js signal_analyzer)
+ * 2. 响应按 schema 校验，不合格时本地修复 / 把错误发回模型重试 (有上限)
+ * 3. 每次调用标记为 valid / repaired / failed，计入 stats
+ * 4. 近期失败率过高时进入降级状态，暂停调用 LLM，结果标记为不可信
+ *
+ * 返回: { score, risk_level, analysis, suggestion, status }
+ *   status 为 failed / degraded / unavailable 时 score 为 null —— 与模型给出的中性判断区分开
+ */
 
-class LLMSignalAnalyzer {
+const BaseAgent = require('./BaseAgent');
+const AgentBus = require('./AgentBus');
+const LLMService = require('../../services/llm/LLMService');
+const StructuredOutput = require('../../services/llm/StructuredOutput');
+
+const RESPONSE_SCHEMA = {
+  score: { type: 'number', min: 0, max: 1, required: true },
+  risk_level: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH'], default: 'MEDIUM' },
+  analysis: { type: 'string', default: '' },
+  suggestion: { type: 'string', enum: ['BUY', 'SKIP', 'NEUTRAL'], required: true }
+};
+
+class LLMSignalAnalyzer extends BaseAgent {
   constructor() {
-    this.model = 'deepseek-chat';
+    super('Signal Analyst Agent', 'analysis');
+    AgentBus.register(this);
+    this.instrument('analyzeSignal', 'llm_analyze', signal => ({ signal_id: signal?.signal_id }));
+
+    this.caller = 'signal_analyzer';
     this.cache = new Map();
+
+    this.config = {
+      maxRepairAttempts: 1,        // 校验失败后最多让模型重答几次
+      windowSize: 50,              // 失败率统计窗口 (最近 N 次调用)
+      minSamples: 10,              // 至少 N 次调用才判断降级
+      degradeFailureRate: 0.3,     // 失败率超过 30% 进入降级
+      degradeCooldownMs: 10 * 60 * 1000  // 降级 10 分钟后再试探调用
+    };
+
+    this.stats = {
+      ...this.stats,
+      llm_calls: 0,
+      llm_valid: 0,
+      llm_repaired: 0,
+      llm_failed: 0,
+      llm_failure_rate: 0,
+      llm_degraded: false
+    };
+    this.recentOutcomes = [];
+    this.degradedUntil = 0;
   }
 
   async analyzeSignal(signal, rawMessage) {
-    if (!DeepSeekService.isAvailable) {
-      return { score: 0.5, suggestion: 'NEUTRAL' };
+    if (!LLMService.isAvailable(this.caller)) {
+      return this._untrusted('unavailable');
+    }
+    if (this.isDegraded()) {
+      return this._untrusted('degraded');
     }
 
     const cacheKey = `${signal.token_symbol}_${signal.chain}_${Math.floor(Date.now() / 300000)}`;
     if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
 
+    this.stats.decisions++;
+    const messages = [
+      { role: 'system', content: this.getSystemPrompt() },
+      { role: 'user', content: this.buildPrompt(signal, rawMessage) }
+    ];
+
+    let parsed;
     try {
-      const response = await DeepSeekService.createChatCompletion([
-        { role: 'system', content: this.getSystemPrompt() },
-        { role: 'user', content: this.buildPrompt(signal, rawMessage) }
-      ], this.model, 500);
-
-      const result = this.parseResponse(response);
-      this.cache.set(cacheKey, result);
-      return result;
+      let response = await LLMService.complete(this.caller, messages);
+      parsed = this.parseResponse(response.text);
+
+      // 把校验错误发回模型重答
+      for (let attempt = 0; parsed.status === 'failed' && attempt < this.config.maxRepairAttempts; attempt++) {
+        this.warn(`⚠️ ${signal.token_symbol} LLM 响应不合格 (${parsed.errors.join('; ')})，请求修复 ${attempt + 1}/${this.config.maxRepairAttempts}`);
+        messages.push(
+          { role: 'assistant', content: response.text },
+          { role: 'user', content: StructuredOutput.repairPrompt(parsed.errors) }
+        );
+        response = await LLMService.complete(this.caller, messages);
+        parsed = this.parseResponse(response.text);
+        if (parsed.status === 'valid') parsed = { ...parsed, status: 'repaired', repairs: ['model retry'] };
+      }
     } catch (error) {
-      return { score: 0.5, suggestion: 'NEUTRAL' };
+      this.stats.errors++;
+      parsed = { status: 'failed', value: null, errors: [error.message], repairs: [] };
+    }
+
+    this._recordOutcome(parsed.status);
+
+    if (parsed.status === 'failed') {
+      this.error(`❌ ${signal.token_symbol} LLM 分析失败: ${parsed.errors.join('; ')}`);
+      return { ...this._untrusted('failed'), errors: parsed.errors };
     }
+
+    const result = { ...parsed.value, status: parsed.status };
+    this.cache.set(cacheKey, result);
+    return result;
   }
 
   getSystemPrompt() {
@@ -57,20 +131,54 @@ ${(rawMessage || '').substring(0, 500)}
 Analyze this signal quality and risk.`;
   }
 
+  /**
+   * 按 RESPONSE_SCHEMA 校验
+   * @returns {Object} { status: valid|repaired|failed, value, errors, repairs }
+   */
   parseResponse(response) {
-    try {
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          score: Math.max(0, Math.min(1, parsed.score || 0.5)),
-          risk_level: parsed.risk_level || 'MEDIUM',
-          analysis: parsed.analysis || '',
-          suggestion: parsed.suggestion || 'NEUTRAL'
-        };
+    return StructuredOutput.parse(response, RESPONSE_SCHEMA);
+  }
+
+  /**
+   * 降级中不调用 LLM；冷却结束后清空统计窗口重新评估
+   */
+  isDegraded() {
+    if (!this.stats.llm_degraded) return false;
+    if (Date.now() < this.degradedUntil) return true;
+    this.recentOutcomes = [];
+    return false;
+  }
+
+  /**
+   * 更新失败率窗口，超过阈值进入降级并广播
+   */
+  _recordOutcome(status) {
+    this.stats.llm_calls++;
+    this.stats[`llm_${status}`]++;
+
+    this.recentOutcomes.push(status);
+    if (this.recentOutcomes.length > this.config.windowSize) this.recentOutcomes.shift();
+
+    const failed = this.recentOutcomes.filter(s => s === 'failed').length;
+    const rate = failed / this.recentOutcomes.length;
+    this.stats.llm_failure_rate = Math.round(rate * 1000) / 1000;
+
+    const degraded = this.recentOutcomes.length >= this.config.minSamples && rate > this.config.degradeFailureRate;
+    if (degraded) this.degradedUntil = Date.now() + this.config.degradeCooldownMs;
+
+    if (degraded !== this.stats.llm_degraded) {
+      this.stats.llm_degraded = degraded;
+      if (degraded) {
+        this.warn(`🚨 LLM 失败率 ${(rate * 100).toFixed(1)}% (${failed}/${this.recentOutcomes.length})，暂停 LLM 分析 ${this.config.degradeCooldownMs / 60000} 分钟`);
+      } else {
+        this.log('✅ LLM 失败率恢复正常，重新启用 LLM 分析');
       }
-    } catch (e) { /* parse error */ }
-    return { score: 0.5, suggestion: 'NEUTRAL' };
+      this.publish('llm.health', { caller: this.caller, degraded, failure_rate: this.stats.llm_failure_rate });
+    }
+  }
+
+  _untrusted(status) {
+    return { score: null, risk_level: null, analysis: '', suggestion: 'NEUTRAL', status };
   }
 }
 
@@ -0,0 +1,82 @@
+/**
+ * 结构化日志
+ * 功能:
+ * 1. 每行一个 JSON: { ts, level, agent, role, msg, signal_id, execution_id, batch_id, ..., data }
+ * 2. 关联 id 通过 AsyncLocalStorage 沿异步调用链传递 —— withContext() 里的所有日志 (含嵌套的 await) 自动带上
+ * 3. LOG_FORMAT=text 时输出原来的 "<时间> [Agent] 消息" 格式 (本地调试)
+ * 4. LOG_LEVEL=debug|info|warn|error 过滤
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+class Logger {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.format = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+    this.minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+  }
+
+  /**
+   * 在关联 id 上下文中执行 fn (嵌套时合并外层上下文)
+   * @param {Object} fields - { signal_id, execution_id, batch_id, user_id, ... }
+   */
+  withContext(fields, fn) {
+    const merged = { ...this.context() };
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (value !== undefined && value !== null) merged[key] = value;
+    }
+    return this.storage.run(merged, fn);
+  }
+
+  /**
+   * 当前异步调用链上的关联 id
+   */
+  context() {
+    return this.storage.getStore() || {};
+  }
+
+  /**
+   * @param {string} level - debug / info / warn / error
+   * @param {Object} source - { agent, role }
+   * @param {string} message
+   * @param {*} data - 附加数据 (Error 会展开为 message + stack)
+   */
+  write(level, source, message, data = null) {
+    if (LEVELS[level] < this.minLevel) return;
+    const stream = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+    const ts = new Date().toISOString();
+
+    if (this.format === 'text') {
+      const prefix = source.agent ? `[${source.agent}]` : '';
+      if (data !== null && data !== undefined) stream(`${ts} ${prefix} ${message}`, data);
+      else stream(`${ts} ${prefix} ${message}`);
+      return;
+    }
+
+    const entry = {
+      ts,
+      level,
+      agent: source.agent || null,
+      role: source.role || null,
+      msg: String(message).trim(),
+      ...this.context()
+    };
+    if (data !== null && data !== undefined) entry.data = Logger.serialize(data);
+
+    try {
+      stream(JSON.stringify(entry));
+    } catch {
+      // 循环引用等无法序列化的 data
+      stream(JSON.stringify({ ...entry, data: String(data) }));
+    }
+  }
+
+  static serialize(data) {
+    if (data instanceof Error) return { message: data.message, code: data.code, stack: data.stack };
+    return data;
+  }
+}
+
+module.exports = new Logger();
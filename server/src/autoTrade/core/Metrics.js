@@ -0,0 +1,148 @@
+/**
+ * Prometheus 指标
+ * 功能:
+ * 1. counter / histogram 注册与累加 (进程内，重启清零 —— Prometheus 按 counter reset 处理)
+ * 2. collect(): 抓取时才计算的指标 (Agent stats、AgentBus 积压、健康状态)
+ * 3. render(): Prometheus 文本格式 (GET /metrics)
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+class Metrics {
+  constructor() {
+    this.metrics = new Map();   // name → { type, help, labelNames, buckets, series: Map<labelKey, value> }
+    this.collectors = [];
+
+    this.counter('galeon_agent_errors_total', 'Error log lines per agent', ['agent', 'role']);
+    this.counter('galeon_agent_trades_total', 'User trades handled by the execution agent', ['agent', 'result']);
+    this.counter('galeon_agent_exits_total', 'Position exits triggered', ['agent', 'exit_type']);
+    this.counter('galeon_rate_limit_waits_total', 'Times a caller waited on an API rate limit', ['api', 'agent']);
+    this.counter('galeon_rate_limit_wait_seconds_total', 'Seconds spent waiting on API rate limits', ['api', 'agent']);
+    this.histogram('galeon_agent_operation_duration_seconds', 'Agent operation latency', ['agent', 'operation', 'outcome']);
+  }
+
+  counter(name, help, labelNames = []) {
+    return this._define(name, { type: 'counter', help, labelNames });
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this._define(name, { type: 'histogram', help, labelNames, buckets });
+  }
+
+  inc(name, labels = {}, value = 1) {
+    const metric = this._get(name, 'counter');
+    const key = this._key(metric, labels);
+    metric.series.set(key, (metric.series.get(key) || 0) + value);
+  }
+
+  observe(name, labels, seconds) {
+    const metric = this._get(name, 'histogram');
+    const key = this._key(metric, labels);
+    let h = metric.series.get(key);
+    if (!h) {
+      h = { buckets: metric.buckets.map(() => 0), sum: 0, count: 0 };
+      metric.series.set(key, h);
+    }
+    metric.buckets.forEach((le, i) => { if (seconds <= le) h.buckets[i]++; });
+    h.sum += seconds;
+    h.count++;
+  }
+
+  /**
+   * 计时执行 fn (同步或 async)，结果记到 galeon_agent_operation_duration_seconds
+   */
+  time(agent, operation, fn) {
+    const start = process.hrtime.bigint();
+    const done = outcome => this.observe('galeon_agent_operation_duration_seconds',
+      { agent, operation, outcome }, Number(process.hrtime.bigint() - start) / 1e9);
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      done('error');
+      throw error;
+    }
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        value => { done('ok'); return value; },
+        error => { done('error'); throw error; }
+      );
+    }
+    done('ok');
+    return result;
+  }
+
+  /**
+   * 注册抓取时计算的指标
+   * @param {Function} fn - () => [{ name, help, type: 'counter'|'gauge', samples: [{ labels, value }] }]
+   */
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  render() {
+    const lines = [];
+
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+      for (const [key, value] of metric.series) {
+        const labels = JSON.parse(key);
+        if (metric.type === 'histogram') {
+          metric.buckets.forEach((le, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${value.buckets[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+        } else {
+          lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+      }
+    }
+
+    for (const collector of this.collectors) {
+      let families;
+      try {
+        families = collector();
+      } catch (error) {
+        console.error(`[Metrics] collector failed: ${error.message}`);
+        continue;
+      }
+      for (const family of families) {
+        lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+        for (const sample of family.samples) {
+          lines.push(`${family.name}${formatLabels(sample.labels || {})} ${Number(sample.value) || 0}`);
+        }
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  _define(name, spec) {
+    if (!this.metrics.has(name)) this.metrics.set(name, { ...spec, series: new Map() });
+    return this.metrics.get(name);
+  }
+
+  _get(name, type) {
+    const metric = this.metrics.get(name);
+    if (!metric || metric.type !== type) throw new Error(`Unknown ${type} metric ${name}`);
+    return metric;
+  }
+
+  // label 按定义顺序序列化，同一组 label 落到同一序列
+  _key(metric, labels) {
+    const ordered = {};
+    for (const label of metric.labelNames) ordered[label] = labels[label] === undefined ? '' : String(labels[label]);
+    return JSON.stringify(ordered);
+  }
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels)
+    .map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+module.exports = new Metrics();
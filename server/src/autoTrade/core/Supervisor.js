@@ -0,0 +1,274 @@
+/**
+ * Agent 监督
+ * 功能:
+ * 1. 定时对每个注册到 AgentBus 的 Agent 做心跳 (超时 / 抛错 / 状态为 error / 错误数暴增 → 不健康)
+ * 2. 检查监控循环 (ExitMonitor / PriceWatcher 的 activeMonitors):
+ *    - dead: 定时器已被清掉但监控项还在 (持仓无人监控)
+ *    - stalled: 超过 stallFactor 个周期没有完成一次检查 (lastTickAt)
+ * 3. 不健康的循环按指数退避重启；窗口内重启次数用完后升级告警 (supervisor.loop.escalated)，不再自动重启
+ * 4. 健康状态通过 AgentBus.getStatus().health 暴露
+ */
+
+const BaseAgent = require('./BaseAgent');
+const AgentBus = require('./AgentBus');
+
+const SEVERITY = { healthy: 0, degraded: 1, critical: 2 };
+
+class Supervisor extends BaseAgent {
+  constructor(options = {}) {
+    super('Supervisor Agent', 'supervisor');
+    AgentBus.register(this);
+
+    this.config = {
+      checkIntervalMs: 30000,          // 心跳 / 循环检查周期
+      heartbeatTimeoutMs: 5000,        // 单个 Agent 心跳超时
+      stallFactor: 3,                  // 超过 N 个周期没完成检查视为卡住
+      errorBurst: 10,                  // 两次心跳之间新增错误数超过 N → degraded
+      backoffBaseMs: 5000,             // 重启退避: 5s, 10s, 20s ...
+      backoffMaxMs: 5 * 60 * 1000,
+      maxRestarts: 5,                  // 窗口内最多自动重启 N 次，之后升级告警
+      restartWindowMs: 30 * 60 * 1000,
+      ...options
+    };
+
+    this.watched = new Map();      // 组件名 → { owner, agent, intervalMs, restart }
+    this.agentHealth = new Map();  // Agent 名 → { health, reasons, last_heartbeat_at, heartbeat_ms, errors }
+    this.loops = new Map();        // `${组件}:${id}` → { component, id, state, reason, restarts, next_retry_at, escalated }
+    this.timer = null;
+    this.checking = false;
+    this.lastCheckAt = null;
+  }
+
+  /**
+   * 登记一个持有 activeMonitors (Map: id → { interval, startedAt, lastTickAt }) 的组件
+   * @param {string} name - 组件名 (ExitMonitor / PriceWatcher)
+   * @param {Object} owner - 组件实例
+   * @param {Object} options
+   *   - intervalMs: 循环周期 (判断 stalled 用)
+   *   - restart: async (id, monitor) => {} 重启单个循环
+   *   - agent: 归属的 Agent 名，循环不健康会反映到该 Agent 的健康状态
+   */
+  watchMonitors(name, owner, options) {
+    this.watched.set(name, { owner, ...options });
+  }
+
+  start() {
+    if (this.timer) return;
+    AgentBus.supervisor = this;
+    this.timer = setInterval(() => this.check(), this.config.checkIntervalMs);
+    this.timer.unref();
+    this.setStatus('running');
+    this.log(`✅ Supervisor 启动 (每 ${this.config.checkIntervalMs / 1000}s 检查 ${this.watched.size} 个监控组件)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.setStatus('idle');
+  }
+
+  /**
+   * 一轮检查: 先看循环 (结果会影响 Agent 健康)，再心跳
+   */
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+    try {
+      const loopIssues = await this._checkLoops();
+      await this._heartbeatAgents(loopIssues);
+      this.lastCheckAt = new Date().toISOString();
+    } catch (error) {
+      this.stats.errors++;
+      this.error(`❌ 健康检查失败: ${error.message}`);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async _heartbeatAgents(loopIssues) {
+    for (const [name, agent] of AgentBus.agents) {
+      if (agent === this) continue;
+
+      const previous = this.agentHealth.get(name);
+      const reasons = [];
+      const startedAt = Date.now();
+      let beat = null;
+
+      try {
+        beat = await withTimeout(agent.heartbeat(), this.config.heartbeatTimeoutMs);
+      } catch (error) {
+        reasons.push({ severity: 'critical', reason: `heartbeat failed: ${error.message}` });
+      }
+
+      if (beat) {
+        if (beat.status === 'error') reasons.push({ severity: 'critical', reason: 'agent status is error' });
+        const newErrors = previous ? beat.errors - previous.errors : 0;
+        if (newErrors >= this.config.errorBurst) {
+          reasons.push({ severity: 'degraded', reason: `${newErrors} errors since last heartbeat` });
+        }
+      }
+      reasons.push(...(loopIssues.get(name) || []));
+
+      const health = reasons.reduce((worst, r) => SEVERITY[r.severity] > SEVERITY[worst] ? r.severity : worst, 'healthy');
+      const entry = {
+        health,
+        reasons: reasons.map(r => r.reason),
+        last_heartbeat_at: beat ? new Date().toISOString() : previous?.last_heartbeat_at || null,
+        heartbeat_ms: Date.now() - startedAt,
+        errors: beat ? beat.errors : previous?.errors ?? 0
+      };
+      this.agentHealth.set(name, entry);
+
+      if (!previous || previous.health !== health) {
+        if (health !== 'healthy') this.warn(`⚠️ ${name} ${health}: ${entry.reasons.join('; ')}`);
+        else if (previous) this.log(`✅ ${name} 恢复健康`);
+        if (previous || health !== 'healthy') {
+          this.publish('supervisor.agent.health', { agent: name, health, reasons: entry.reasons });
+        }
+      }
+    }
+  }
+
+  /**
+   * @returns {Map} Agent 名 → [{ severity, reason }] (循环问题)
+   */
+  async _checkLoops() {
+    const now = Date.now();
+    const issues = new Map();
+    const seen = new Set();
+
+    for (const [component, watch] of this.watched) {
+      for (const [id, monitor] of [...watch.owner.activeMonitors]) {
+        const key = `${component}:${id}`;
+        seen.add(key);
+
+        const problem = this._diagnose(monitor, watch.intervalMs, now);
+        const loop = this.loops.get(key);
+
+        if (!problem) {
+          // 恢复后保留重启记录，窗口过期后清理
+          if (loop) {
+            loop.state = 'healthy';
+            loop.reason = null;
+            loop.escalated = false;
+            loop.restarts = loop.restarts.filter(t => now - t < this.config.restartWindowMs);
+            if (loop.restarts.length === 0) this.loops.delete(key);
+          }
+          continue;
+        }
+
+        const state = loop || { component, id, restarts: [], next_retry_at: 0, escalated: false };
+        state.state = problem.state;
+        state.reason = problem.reason;
+        this.loops.set(key, state);
+
+        await this._recover(state, watch, monitor, now);
+
+        const agentIssues = issues.get(watch.agent) || [];
+        agentIssues.push({ severity: state.escalated ? 'critical' : 'degraded', reason: `${component} ${id} ${problem.reason}` });
+        issues.set(watch.agent, agentIssues);
+      }
+    }
+
+    // 已正常结束的监控项不再跟踪
+    for (const key of this.loops.keys()) {
+      if (!seen.has(key)) this.loops.delete(key);
+    }
+    return issues;
+  }
+
+  _diagnose(monitor, intervalMs, now) {
+    if (!monitor.interval || monitor.interval._destroyed) {
+      return { state: 'dead', reason: 'interval cleared while still registered' };
+    }
+    // 没有 lastTickAt 字段的组件只做 dead 检查
+    if (!('lastTickAt' in monitor) || !intervalMs) return null;
+
+    const startedAt = monitor.startedAt instanceof Date ? monitor.startedAt.getTime() : monitor.startedAt;
+    const last = monitor.lastTickAt || startedAt;
+    const silentMs = now - last;
+    if (silentMs > intervalMs * this.config.stallFactor) {
+      return { state: 'stalled', reason: `no completed check for ${Math.round(silentMs / 1000)}s` };
+    }
+    return null;
+  }
+
+  /**
+   * 退避重启；窗口内次数用完 → 升级告警
+   */
+  async _recover(state, watch, monitor, now) {
+    if (state.escalated || now < state.next_retry_at) return;
+
+    state.restarts = state.restarts.filter(t => now - t < this.config.restartWindowMs);
+    if (state.restarts.length >= this.config.maxRestarts) {
+      state.escalated = true;
+      this.error(`🚨 ${state.component} ${state.id} 重启 ${state.restarts.length} 次仍${state.state === 'dead' ? '失效' : '卡住'}，需要人工处理`);
+      this.publish('supervisor.loop.escalated', {
+        component: state.component,
+        loopId: state.id,
+        reason: state.reason,
+        restarts: state.restarts.length
+      });
+      return;
+    }
+
+    const attempt = state.restarts.length + 1;
+    const backoffMs = Math.min(this.config.backoffBaseMs * 2 ** (attempt - 1), this.config.backoffMaxMs);
+    state.restarts.push(now);
+    state.next_retry_at = now + backoffMs;
+
+    this.warn(`🔄 重启 ${state.component} ${state.id} (${state.reason}，第 ${attempt}/${this.config.maxRestarts} 次)`);
+    try {
+      await watch.restart(state.id, monitor);
+      this.stats.decisions++;
+    } catch (error) {
+      this.stats.errors++;
+      this.error(`❌ 重启 ${state.component} ${state.id} 失败: ${error.message}`);
+    }
+    this.publish('supervisor.loop.restarted', {
+      component: state.component,
+      loopId: state.id,
+      reason: state.reason,
+      attempt,
+      nextRetryMs: backoffMs
+    });
+  }
+
+  /**
+   * AgentBus.getStatus().health
+   */
+  getHealth() {
+    const agents = Object.fromEntries(this.agentHealth);
+    const loops = [...this.loops.values()].map(l => ({
+      component: l.component,
+      id: l.id,
+      state: l.state,
+      reason: l.reason,
+      restarts: l.restarts.length,
+      next_retry_at: l.next_retry_at ? new Date(l.next_retry_at).toISOString() : null,
+      escalated: l.escalated
+    }));
+    const overall = Object.values(agents)
+      .reduce((worst, a) => SEVERITY[a.health] > SEVERITY[worst] ? a.health : worst, 'healthy');
+
+    return {
+      overall,
+      running: this.timer !== null,
+      last_check_at: this.lastCheckAt,
+      agents,
+      loops
+    };
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    Promise.resolve(promise),
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = new Supervisor();
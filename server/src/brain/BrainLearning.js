@@ -6,16 +6,26 @@
  * 2. Detect systematic biases
  * 3. Generate calibration adjustments
  * 4. Apply validated changes to control-params
+ * 5. Let RuleEvolver propose rule-parameter changes from trade verifications
+ *    and apply the ones that pass its walk-forward gate
  *
  * Open-source showcase version — analysis thresholds redacted.
  */
 
-const fs = require('fs');
-const path = require('path');
+const ParamStore = require('./ParamStore');
+const ConfidenceCalibrator = require('./ConfidenceCalibrator');
+const RuleEvolver = require('./RuleEvolver');
 
 class BrainLearning {
-  constructor(dataDir) {
+  /**
+   * @param {string} dataDir
+   * @param {Object} options - { calibrator, ruleEvolver } — pass GaleonBrain's calibrator so refits apply live
+   */
+  constructor(dataDir, options = {}) {
     this.dataDir = dataDir;
+    this.paramStore = new ParamStore(dataDir);
+    this.calibrator = options.calibrator || new ConfidenceCalibrator(dataDir);
+    this.ruleEvolver = options.ruleEvolver || new RuleEvolver(dataDir);
     this.reports = [];
     this.adjustmentHistory = [];
   }
@@ -23,27 +33,39 @@ class BrainLearning {
   /**
    * Run a full learning cycle
    * @param {Array} predictions - All verified predictions
-   * @returns {Object} report - { accuracy, adjustments, calibration }
+   * @param {Array} verifications - Closed-trade verifications (GaleonBrain.verifications) for RuleEvolver
+   * @returns {Promise<Object>} report - { accuracy, adjustments, calibration, rule_adjustments }
    */
-  runLearningCycle(predictions) {
+  async runLearningCycle(predictions, verifications = []) {
     const verified = predictions.filter(p => p.status === 'verified');
     if (verified.length < 10) return null;
 
     const overall = this._analyzeOverall(verified);
     const byStage = this._analyzeByStage(verified);
     const byDirection = this._analyzeByDirection(verified);
+    const calibration = this.calibrator.fit(this._calibrationSamples(verified));
     const byConfidence = this._analyzeByConfidence(verified);
     const worstPatterns = this._findWorstPatterns(verified);
 
     const adjustments = this._generateAdjustments(verified);
 
+    const proposals = this.ruleEvolver.analyzeAndPropose(verifications, {
+      overall, by_stage: byStage, by_direction: byDirection, by_confidence: byConfidence
+    });
+    const ruleAdjustments = proposals.length > 0
+      ? await this.ruleEvolver.applyAdjustments(proposals, verifications)
+      : [];
+
     const report = {
       timestamp: new Date().toISOString(),
       sample_size: verified.length,
       direction_accuracy: overall.directionAccuracy,
       stage_accuracy: overall.stageAccuracy,
       avg_bias: overall.bias,
+      by_confidence: byConfidence,
+      calibration,
       adjustments,
+      rule_adjustments: ruleAdjustments,
       worst_patterns: worstPatterns
     };
 
@@ -55,37 +77,35 @@ class BrainLearning {
    * Apply validated adjustments to control-params
    * Maps learning insights → concrete parameter changes
    */
-  applyAdjustments(report) {
+  async applyAdjustments(report) {
     if (!report.adjustments || report.adjustments.length === 0) return [];
 
-    const applied = [];
-    const paramsFile = path.join(this.dataDir, 'control-params.json');
-    let paramsData;
-    try { paramsData = JSON.parse(fs.readFileSync(paramsFile, 'utf8')); }
-    catch { paramsData = { params: {}, version: 0 }; }
-
-    let paramsChanged = false;
-
-    for (const adj of report.adjustments) {
-      if (adj.auto_apply && adj.confidence >= 0.7) {
-        // Map learning parameter to control-params
-        /* proprietary — parameter mapping logic */
-
-        this.adjustmentHistory.push({
-          timestamp: new Date().toISOString(),
-          parameter: adj.parameter,
-          old_value: adj.current_value,
-          new_value: adj.suggested_value,
-          reason: adj.reason
-        });
-        applied.push(adj);
+    let applied = [];
+
+    // Mapped onto the latest committed params; re-run if RuleEvolver commits first
+    await this.paramStore.update(params => {
+      applied = [];
+      let paramsChanged = false;
+
+      for (const adj of report.adjustments) {
+        if (adj.auto_apply && adj.confidence >= 0.7) {
+          // Map learning parameter to control-params
+          /* proprietary — parameter mapping logic */
+          applied.push(adj);
+        }
       }
-    }
 
-    if (paramsChanged) {
-      paramsData.version = (paramsData.version || 0) + 1;
-      paramsData.updated_at = new Date().toISOString();
-      fs.writeFileSync(paramsFile, JSON.stringify(paramsData, null, 2));
+      return paramsChanged ? { params, report } : null;
+    }, 'brain_learning');
+
+    for (const adj of applied) {
+      this.adjustmentHistory.push({
+        timestamp: new Date().toISOString(),
+        parameter: adj.parameter,
+        old_value: adj.current_value,
+        new_value: adj.suggested_value,
+        reason: adj.reason
+      });
     }
 
     return applied;
@@ -116,9 +136,39 @@ class BrainLearning {
     return {};
   }
 
+  /**
+   * Direction accuracy per confidence band, on raw and calibrated confidence —
+   * scored on the held-out recent slice the calibrator did not train on
+   */
   _analyzeByConfidence(verified) {
-    /* proprietary — confidence band accuracy analysis */
-    return {};
+    const { holdout: samples } = ConfidenceCalibrator.split(this._calibrationSamples(verified), this.calibrator.holdoutFraction);
+    if (samples.length === 0) return {};
+    const calibrated = c => this.calibrator.calibrate(c);
+
+    return {
+      sample_size: samples.length,
+      raw: {
+        bands: ConfidenceCalibrator.reliabilityCurve(samples),
+        brier: ConfidenceCalibrator.brierScore(samples),
+        ece: ConfidenceCalibrator.expectedCalibrationError(samples)
+      },
+      calibrated: {
+        bands: ConfidenceCalibrator.reliabilityCurve(samples, 10, calibrated),
+        brier: ConfidenceCalibrator.brierScore(samples, calibrated),
+        ece: ConfidenceCalibrator.expectedCalibrationError(samples, 10, calibrated)
+      }
+    };
+  }
+
+  /**
+   * Calibration works on the raw rules confidence — predictions recorded after
+   * calibration was introduced carry both values. Oldest first, for the held-out split
+   */
+  _calibrationSamples(verified) {
+    return [...verified]
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map(p => ({ confidence: p.raw_confidence ?? p.confidence, correct: !!p.direction_correct }))
+      .filter(s => typeof s.confidence === 'number');
   }
 
   _findWorstPatterns(verified) {
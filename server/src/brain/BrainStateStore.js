@@ -0,0 +1,87 @@
+/**
+ * BrainStateStore — GaleonBrain Snapshot / Restore
+ *
+ * Persists positions, cooldowns, verifications, predictions and stats to
+ * data/brain/brain-state.json so a restart doesn't forget open positions or
+ * re-enter a token right after a loss. Writes are debounced after each
+ * mutation and replaced atomically (tmp + rename).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../config/dataDir');
+
+const DEFAULT_DATA_DIR = dataPath('brain');
+const STATE_VERSION = 1;
+
+class BrainStateStore {
+  /**
+   * @param {string} dataDir
+   * @param {Object} options - { debounceMs }
+   */
+  constructor(dataDir = DEFAULT_DATA_DIR, options = {}) {
+    this.file = path.join(dataDir, 'brain-state.json');
+    this.debounceMs = options.debounceMs ?? 1000;
+    this.timer = null;
+    this.pending = null;
+    this.exitHandler = null;
+  }
+
+  load() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return state && typeof state === 'object' ? state : null;
+    } catch { return null; }
+  }
+
+  save(state) {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ state_version: STATE_VERSION, ...state, saved_at: new Date().toISOString() }, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      console.error(`[BrainStateStore] Save failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Debounced save — getState is called once when the timer fires
+   */
+  schedule(getState) {
+    this.pending = getState;
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Write any pending snapshot now (call on shutdown)
+   */
+  flush() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.pending) return;
+    const getState = this.pending;
+    this.pending = null;
+    this.save(getState());
+  }
+
+  /**
+   * Flush on SIGTERM / SIGINT / exit — the debounce timer is unref()'d, so a
+   * shutdown inside the window would otherwise lose the last mutations
+   */
+  flushOnExit() {
+    if (this.exitHandler) return;
+    this.exitHandler = signal => {
+      this.flush();
+      // No other shutdown handler — re-raise so the process still terminates
+      if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+    };
+    process.once('SIGTERM', this.exitHandler);
+    process.once('SIGINT', this.exitHandler);
+    process.once('exit', () => this.flush());
+  }
+}
+
+module.exports = BrainStateStore;
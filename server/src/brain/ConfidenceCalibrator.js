@@ -0,0 +1,249 @@
+/**
+ * ConfidenceCalibrator — Confidence → Win Probability
+ *
+ * DataDrivenCognition confidence is a score, not a probability. This fits a
+ * reliability curve from verified predictions (isotonic / pool-adjacent-violators
+ * or Platt-style logistic) so a calibrated 0.7 means ~70% of such calls were right.
+ * Each fit trains on the older samples and scores on a held-out recent slice:
+ * Brier score and expected calibration error (ECE) for raw confidence, the live
+ * model and the candidate. The candidate only replaces the live model when it
+ * scores better on the held-out slice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../config/dataDir');
+
+const DEFAULT_DATA_DIR = dataPath('brain');
+// Small isotonic blocks hit exactly 0 or 1 — never report certainty
+const MIN_PROBABILITY = 0.02;
+const MAX_PROBABILITY = 0.98;
+
+class ConfidenceCalibrator {
+  /**
+   * @param {string|null} dataDir - where calibration.json lives; null = in-memory only (replay)
+   * @param {Object} options - { method: 'isotonic'|'platt', minSamples, minHoldout, holdoutFraction, bins, model }
+   *   minSamples: training samples required; minHoldout: held-out samples required
+   *   model: fitted model to use instead of the saved one (replaying an audited call)
+   */
+  constructor(dataDir = DEFAULT_DATA_DIR, options = {}) {
+    this.file = dataDir ? path.join(dataDir, 'calibration.json') : null;
+    this.method = options.method || 'isotonic';
+    this.minSamples = options.minSamples || 30;
+    this.minHoldout = options.minHoldout || 10;
+    this.holdoutFraction = options.holdoutFraction ?? 0.3;
+    this.bins = options.bins || 10;
+    this.maxHistory = 500;
+
+    const saved = this._load();
+    this.model = options.model !== undefined ? options.model : saved.model;
+    this.history = saved.history;
+  }
+
+  /**
+   * Map raw confidence to calibrated probability — identity until a model is fitted,
+   * clamped to [MIN_PROBABILITY, MAX_PROBABILITY] after that
+   */
+  calibrate(confidence) {
+    return ConfidenceCalibrator.apply(this.model, confidence);
+  }
+
+  /**
+   * Apply a fitted model (or none) to a raw confidence
+   */
+  static apply(model, confidence) {
+    if (!model || typeof confidence !== 'number') return confidence;
+    const p = model.method === 'platt'
+      ? 1 / (1 + Math.exp(model.a * confidence + model.b))
+      : ConfidenceCalibrator._interpolate(model.points, confidence);
+    const clamped = Math.min(MAX_PROBABILITY, Math.max(MIN_PROBABILITY, p));
+    return Math.round(clamped * 10000) / 10000;
+  }
+
+  /**
+   * Fit from verified outcomes — train on the older samples, score on the most recent
+   * holdoutFraction, and swap the candidate in only if it beats the live model there
+   * (raw confidence when nothing is fitted yet)
+   * @param {Array} samples - [{ confidence, correct }] with raw (uncalibrated) confidence, oldest first
+   * @returns {Object|null} fit record { method, sample_size, train_size, holdout_size, brier_raw, brier_live, brier,
+   *   ece_raw, ece_live, ece, applied, fitted_at } (scores on the held-out slice), null if too few samples
+   */
+  fit(samples) {
+    const data = samples.filter(s => typeof s.confidence === 'number' && typeof s.correct === 'boolean');
+    const { train, holdout } = ConfidenceCalibrator.split(data, this.holdoutFraction);
+    if (train.length < this.minSamples || holdout.length < this.minHoldout) return null;
+
+    const candidate = this.method === 'platt'
+      ? { method: 'platt', ...ConfidenceCalibrator._fitPlatt(train) }
+      : { method: 'isotonic', points: ConfidenceCalibrator._fitIsotonic(train) };
+
+    const live = c => ConfidenceCalibrator.apply(this.model, c);
+    const calibrated = c => ConfidenceCalibrator.apply(candidate, c);
+    const record = {
+      method: this.method,
+      sample_size: data.length,
+      train_size: train.length,
+      holdout_size: holdout.length,
+      brier_raw: ConfidenceCalibrator.brierScore(holdout),
+      brier_live: ConfidenceCalibrator.brierScore(holdout, live),
+      brier: ConfidenceCalibrator.brierScore(holdout, calibrated),
+      ece_raw: ConfidenceCalibrator.expectedCalibrationError(holdout, this.bins),
+      ece_live: ConfidenceCalibrator.expectedCalibrationError(holdout, this.bins, live),
+      ece: ConfidenceCalibrator.expectedCalibrationError(holdout, this.bins, calibrated),
+      applied: false,
+      fitted_at: new Date().toISOString()
+    };
+
+    if (record.brier < record.brier_live) {
+      this.model = candidate;
+      record.applied = true;
+    }
+
+    this.history.push(record);
+    if (this.history.length > this.maxHistory) this.history = this.history.slice(-this.maxHistory);
+    this._save();
+    return record;
+  }
+
+  /**
+   * Chronological split — the last `fraction` of samples is held out
+   * @returns {Object} { train, holdout }
+   */
+  static split(samples, fraction = 0.3) {
+    const cut = samples.length - Math.round(samples.length * fraction);
+    return { train: samples.slice(0, cut), holdout: samples.slice(cut) };
+  }
+
+  /**
+   * Mean squared error between predicted probability and outcome (0 = perfect)
+   */
+  static brierScore(samples, map = c => c) {
+    if (samples.length === 0) return null;
+    const sum = samples.reduce((s, x) => s + (map(x.confidence) - (x.correct ? 1 : 0)) ** 2, 0);
+    return Math.round(sum / samples.length * 10000) / 10000;
+  }
+
+  /**
+   * Sample-weighted gap between average confidence and hit rate per bin
+   */
+  static expectedCalibrationError(samples, bins = 10, map = c => c) {
+    if (samples.length === 0) return null;
+    const curve = ConfidenceCalibrator.reliabilityCurve(samples, bins, map);
+    const ece = curve.reduce((s, b) => s + b.count / samples.length * Math.abs(b.avg_confidence - b.win_rate), 0);
+    return Math.round(ece * 10000) / 10000;
+  }
+
+  /**
+   * Reliability diagram — equal-width confidence bins (empty bins omitted)
+   * @returns {Array} [{ lo, hi, count, avg_confidence, win_rate }]
+   */
+  static reliabilityCurve(samples, bins = 10, map = c => c) {
+    const buckets = Array.from({ length: bins }, (_, i) => ({ lo: i / bins, hi: (i + 1) / bins, count: 0, conf: 0, wins: 0 }));
+    for (const s of samples) {
+      const p = map(s.confidence);
+      const b = buckets[Math.min(bins - 1, Math.max(0, Math.floor(p * bins)))];
+      b.count++;
+      b.conf += p;
+      if (s.correct) b.wins++;
+    }
+    return buckets
+      .filter(b => b.count > 0)
+      .map(b => ({
+        lo: b.lo, hi: b.hi, count: b.count,
+        avg_confidence: Math.round(b.conf / b.count * 10000) / 10000,
+        win_rate: Math.round(b.wins / b.count * 10000) / 10000
+      }));
+  }
+
+  getStatus() {
+    return {
+      method: this.model?.method || null,
+      fitted: !!this.model,
+      latest: this.history[this.history.length - 1] || null,
+      history: this.history
+    };
+  }
+
+  // ==================== Fitting ====================
+
+  /**
+   * Pool-adjacent-violators — monotone non-decreasing step curve
+   * (end blocks are often pure wins / losses; calibrate() clamps them)
+   * @returns {Array} [{ x: mean confidence, y: hit rate }] per pooled block
+   */
+  static _fitIsotonic(data) {
+    const sorted = [...data].sort((a, b) => a.confidence - b.confidence);
+    const blocks = [];
+    for (const s of sorted) {
+      blocks.push({ sumX: s.confidence, sumY: s.correct ? 1 : 0, n: 1 });
+      while (blocks.length > 1) {
+        const last = blocks[blocks.length - 1], prev = blocks[blocks.length - 2];
+        if (prev.sumY / prev.n <= last.sumY / last.n) break;
+        prev.sumX += last.sumX; prev.sumY += last.sumY; prev.n += last.n;
+        blocks.pop();
+      }
+    }
+    return blocks.map(b => ({ x: b.sumX / b.n, y: b.sumY / b.n }));
+  }
+
+  /**
+   * Platt scaling — p = 1 / (1 + exp(a·c + b)), Newton's method on log-loss
+   * with Platt's smoothed targets
+   */
+  static _fitPlatt(data) {
+    const pos = data.filter(s => s.correct).length, neg = data.length - pos;
+    const hi = (pos + 1) / (pos + 2), lo = 1 / (neg + 2);
+    let a = 0, b = Math.log((neg + 1) / (pos + 1));
+
+    for (let iter = 0; iter < 100; iter++) {
+      let g1 = 0, g2 = 0, h11 = 1e-12, h22 = 1e-12, h21 = 0;
+      for (const s of data) {
+        const t = s.correct ? hi : lo;
+        const p = 1 / (1 + Math.exp(a * s.confidence + b));
+        const d = t - p, w = p * (1 - p);
+        g1 += s.confidence * d; g2 += d;
+        h11 += s.confidence * s.confidence * w; h22 += w; h21 += s.confidence * w;
+      }
+      const det = h11 * h22 - h21 * h21;
+      if (Math.abs(det) < 1e-12) break;
+      const da = -(h22 * g1 - h21 * g2) / det;
+      const db = -(-h21 * g1 + h11 * g2) / det;
+      a += da; b += db;
+      if (Math.abs(da) < 1e-8 && Math.abs(db) < 1e-8) break;
+    }
+    return { a, b };
+  }
+
+  static _interpolate(points, x) {
+    if (x <= points[0].x) return points[0].y;
+    const last = points[points.length - 1];
+    if (x >= last.x) return last.y;
+    for (let i = 1; i < points.length; i++) {
+      if (x <= points[i].x) {
+        const p0 = points[i - 1], p1 = points[i];
+        return p0.y + (p1.y - p0.y) * (x - p0.x) / (p1.x - p0.x);
+      }
+    }
+    return last.y;
+  }
+
+  _load() {
+    if (!this.file) return { model: null, history: [] };
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return { model: data.model || null, history: Array.isArray(data.history) ? data.history : [] };
+    } catch { return { model: null, history: [] }; }
+  }
+
+  _save() {
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ model: this.model, history: this.history, updated_at: new Date().toISOString() }, null, 2));
+    } catch (e) {
+      console.error(`[ConfidenceCalibrator] Save failed: ${e.message}`);
+    }
+  }
+}
+
+module.exports = ConfidenceCalibrator;
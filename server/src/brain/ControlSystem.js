@@ -5,6 +5,10 @@
  * Enforces red-line risk checks, adjusts confidence with market rules,
  * and determines final action: enter / wait / block.
  *
+ * Every decision carries an ordered `trace` of the rules that fired:
+ *   { rule, effect: block|gate|adjust|override|map, inputs, confidence_delta, confidence }
+ * GaleonBrain persists it with the decision (DecisionLog) for the dashboard.
+ *
  * All parameters are dynamically tunable by RuleEvolver.
  *
  * Open-source showcase version — thresholds and rules redacted.
@@ -18,10 +22,20 @@ function getParams() {
     confidence_min: '***',
     enter_small_threshold: '***',
     enter_full_threshold: '***',
+    stage_min_samples: '***',
+    stage_overstay_ratio: '***',
+    stage_overstay_penalty: '***',
     /* proprietary — 20+ tunable parameters */
   };
 }
 
+/**
+ * One trace step — `confidence` is the running confidence after the rule applied
+ */
+function traceStep(rule, effect, inputs, confidenceDelta = 0, confidence = null) {
+  return { rule, effect, inputs, confidence_delta: confidenceDelta, confidence };
+}
+
 class ControlSystem {
 
   /**
@@ -42,12 +56,18 @@ class ControlSystem {
   static checkRedlines(marketData, cognition) {
     // Honeypot detection
     if (marketData.risk?.honeypot === true) {
-      return { blocked: true, action: 'block', reason: 'honeypot detected' };
+      return {
+        blocked: true, action: 'block', reason: 'honeypot detected',
+        trace: [traceStep('redline.honeypot', 'block', { honeypot: true })]
+      };
     }
 
     // Rug score too high
     if (marketData.risk?.rug_score > 0.7) {
-      return { blocked: true, action: 'block', reason: `rug_score too high` };
+      return {
+        blocked: true, action: 'block', reason: `rug_score too high`,
+        trace: [traceStep('redline.rug_score', 'block', { rug_score: marketData.risk.rug_score, max: 0.7 })]
+      };
     }
 
     // Price crash detection (token may be rugging/delisting)
@@ -59,21 +79,26 @@ class ControlSystem {
     // Self-learned stage+direction blocks (from trade data)
     /* proprietary — auto-discovered blocking rules */
 
-    return { blocked: false };
+    return { blocked: false, trace: [] };
   }
 
   /**
    * Main decision logic — confidence adjustment + action mapping
+   * @param {Object} params - optional parameter set to decide with (defaults to live params);
+   *   used by walk-forward validation to re-score candidate params
    */
-  static decide(marketData, cognition) {
+  static decide(marketData, cognition, params = null) {
     // 1. Red-line check
     const redline = this.checkRedlines(marketData, cognition);
     if (redline.blocked) return redline;
+    const trace = redline.trace || [];
 
     // 2. Minimum confidence gate
-    const P = getParams();
+    const P = params || getParams();
     if (cognition.confidence < P.confidence_min) {
-      return { action: 'wait', confidence: cognition.confidence, reason: 'confidence too low' };
+      trace.push(traceStep('gate.confidence_min', 'gate',
+        { confidence: cognition.confidence, confidence_min: P.confidence_min }, 0, cognition.confidence));
+      return { action: 'wait', confidence: cognition.confidence, reason: 'confidence too low', trace };
     }
 
     // 3. Dynamic confidence adjustment based on market conditions
@@ -88,18 +113,50 @@ class ControlSystem {
      * - Stage penalties
      * - Risk-off environment
      * - Experience-based boost/penalty
+     * each fired rule pushes traceStep('adjust.<rule>', 'adjust', inputs, delta, adjustedConf)
      */
 
+    // Stage lifecycle — a stage that has outlived its usual dwell time (StageTimeline) is due to turn
+    const outlook = cognition.stage_context;
+    if (outlook?.dwell_progress != null && outlook.samples >= P.stage_min_samples && outlook.dwell_progress > P.stage_overstay_ratio) {
+      adjustedConf -= P.stage_overstay_penalty;
+      trace.push(traceStep('adjust.stage_overstay', 'adjust', {
+        stage: outlook.stage,
+        elapsed_minutes: outlook.elapsed_minutes,
+        expected_dwell_minutes: outlook.expected_dwell_minutes,
+        dwell_progress: outlook.dwell_progress,
+        samples: outlook.samples,
+        stage_overstay_ratio: P.stage_overstay_ratio
+      }, -P.stage_overstay_penalty, adjustedConf));
+      reasons.push(`${outlook.stage} ${outlook.elapsed_minutes}m vs usual ${outlook.expected_dwell_minutes}m (${outlook.model_kind}) → likely ${outlook.most_likely_next || 'unknown'} next`);
+    }
+
     // 4. Map adjusted confidence to action
     let action = 'wait';
     if (adjustedConf >= P.enter_full_threshold) action = 'enter_full';
     else if (adjustedConf >= P.enter_small_threshold) action = 'enter_small';
-
-    // 5. Stage-based overrides
+    trace.push(traceStep('map.action', 'map', {
+      confidence: adjustedConf,
+      enter_small_threshold: P.enter_small_threshold,
+      enter_full_threshold: P.enter_full_threshold,
+      action
+    }, 0, adjustedConf));
+
+    // 5. Stage-based overrides (trace effect 'override' / 'block')
     /* proprietary — force reduce/block for dangerous stage+direction combos */
 
-    return { action, confidence: adjustedConf, original_confidence: cognition.confidence, reasons };
+    return { action, confidence: adjustedConf, original_confidence: cognition.confidence, reasons, trace };
   }
 }
 
-module.exports = { ControlSystem, setDynamicParams, getParams };
+/**
+ * The rule that settled the action — first block / override / gate, else the threshold mapping
+ */
+function decisiveRule(trace) {
+  if (!Array.isArray(trace) || trace.length === 0) return null;
+  const step = trace.find(t => t.effect === 'block' || t.effect === 'override' || t.effect === 'gate')
+    || trace[trace.length - 1];
+  return step.rule;
+}
+
+module.exports = { ControlSystem, setDynamicParams, getParams, decisiveRule };
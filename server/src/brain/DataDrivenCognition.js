@@ -78,6 +78,14 @@ class DataDrivenCognition {
     return { direction: 'neutral', strength: 'flat', chg5m, chg1h, chg4h, chg24h };
   }
 
+  /**
+   * Market state classification from momentum and macro context
+   */
+  static _classifyMarketState(momentum, macro) {
+    /* proprietary — regime classification (trending / ranging / risk-off) */
+    return 'neutral';
+  }
+
   /**
    * Token lifecycle stage detection
    * Stages: discovery → accumulation → acceleration → exhaustion → distribution → decline
@@ -0,0 +1,130 @@
+/**
+ * DecisionLog — Persisted ControlSystem Decisions
+ *
+ * Append-only record of every think-cycle decision with its ControlSystem
+ * trace (which red-line / gate / adjustment rule fired, on what inputs, and
+ * by how much it moved confidence), so the dashboard can show why a signal
+ * was entered, skipped or blocked.
+ *
+ * Files: data/brain/decisions-YYYY-MM-DD.jsonl (one per UTC day — range queries
+ * only read the days they cover).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../config/dataDir');
+const { decisiveRule } = require('./ControlSystem');
+
+const DEFAULT_DATA_DIR = dataPath('brain');
+const FILE_PREFIX = 'decisions-';
+
+class DecisionLog {
+  /**
+   * @param {string} dataDir
+   */
+  constructor(dataDir = DEFAULT_DATA_DIR) {
+    this.dir = dataDir;
+  }
+
+  /**
+   * Append a decision
+   * @param {Object} entry - { decision_id, created_at, token, action, confidence, trace, ... }
+   * @returns {Object} stored record (with decisive_rule)
+   */
+  record(entry) {
+    const createdAt = entry.created_at || new Date().toISOString();
+    const full = {
+      ...entry,
+      created_at: createdAt,
+      trace: entry.trace || [],
+      decisive_rule: decisiveRule(entry.trace)
+    };
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(this._fileFor(createdAt), JSON.stringify(full) + '\n');
+    } catch (e) {
+      console.error(`[DecisionLog] Write failed ${full.decision_id}: ${e.message}`);
+    }
+    return full;
+  }
+
+  /**
+   * Query, newest first
+   * @param {Object} filter - { token, action, rule, from, to, limit }
+   *   action: exact action, or 'enter' for enter_small + enter_full
+   *   rule: only decisions whose trace contains this rule id
+   */
+  query(filter = {}) {
+    const from = filter.from ? new Date(filter.from).getTime() : -Infinity;
+    const to = filter.to ? new Date(filter.to).getTime() : Infinity;
+    const limit = filter.limit || 100;
+    const token = filter.token ? filter.token.toUpperCase() : null;
+
+    const results = [];
+    for (const file of this._filesInRange(from, to)) {
+      for (const entry of this._readFile(file).reverse()) {
+        const at = Date.parse(entry.created_at);
+        if (at < from || at > to) continue;
+        if (token && (entry.token || '').toUpperCase() !== token) continue;
+        if (filter.action && !DecisionLog.actionMatches(filter.action, entry.action)) continue;
+        if (filter.rule && !(entry.trace || []).some(t => t.rule === filter.rule)) continue;
+        results.push(entry);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Look up by decision id (dec_<ms>_<rand> — the timestamp picks the day file)
+   */
+  get(decisionId) {
+    const at = parseInt((decisionId || '').split('_')[1], 10);
+    const files = Number.isFinite(at) ? [this._fileFor(new Date(at).toISOString())] : this._filesInRange(-Infinity, Infinity);
+    for (const file of files) {
+      const entry = this._readFile(file).find(e => e.decision_id === decisionId);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  static actionMatches(filter, action) {
+    return filter === 'enter' ? (action || '').startsWith('enter') : filter === action;
+  }
+
+  _fileFor(isoTime) {
+    return path.join(this.dir, `${FILE_PREFIX}${isoTime.substring(0, 10)}.jsonl`);
+  }
+
+  /**
+   * Day files overlapping the range, newest first
+   */
+  _filesInRange(from, to) {
+    let files;
+    try {
+      files = fs.readdirSync(this.dir).filter(f => f.startsWith(FILE_PREFIX) && f.endsWith('.jsonl'));
+    } catch { return []; }
+
+    return files
+      .filter(f => {
+        const dayStart = Date.parse(f.substring(FILE_PREFIX.length, FILE_PREFIX.length + 10));
+        return dayStart + 24 * 60 * 60 * 1000 > from && dayStart <= to;
+      })
+      .sort()
+      .reverse()
+      .map(f => path.join(this.dir, f));
+  }
+
+  _readFile(file) {
+    try {
+      return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })
+        .filter(Boolean);
+    } catch { return []; }
+  }
+}
+
+module.exports = DecisionLog;
@@ -0,0 +1,145 @@
+/**
+ * ExperienceStore — Trading Memory
+ *
+ * Persists every verified trade (entry stage, confidence, derivatives
+ * snapshot, outcome) and retrieves the most similar past situations across
+ * all tokens by feature distance — so brand-new tokens still get
+ * experience-based cognition.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../config/dataDir');
+
+const DEFAULT_DATA_DIR = dataPath('brain');
+
+// Similarity features — scale ≈ one "typical move" so dimensions are comparable
+const FEATURES = {
+  chg1h: { get: md => md.market?.price_change_1h, scale: 10 },
+  chg4h: { get: md => md.market?.price_change_4h, scale: 20 },
+  chg24h: { get: md => md.market?.price_change_24h, scale: 50 },
+  funding_rate: { get: md => md.derivatives?.funding_rate, scale: 0.001 },
+  oi_change: { get: md => md.derivatives?.oi_change_pct, scale: 20 },
+  taker_ratio: { get: md => md.derivatives?.taker_ratio, scale: 0.5 },
+  btc_chg24h: { get: md => md.macro?.btc_change_24h, scale: 5 }
+};
+
+const MIN_SHARED_FEATURES = 2;
+
+class ExperienceStore {
+  /**
+   * @param {string|null} dataDir - where experiences.json lives; null = in-memory only (replay)
+   */
+  constructor(dataDir = DEFAULT_DATA_DIR) {
+    this.file = dataDir ? path.join(dataDir, 'experiences.json') : null;
+    this.maxExperiences = 5000;
+    this.experiences = this._load();
+  }
+
+  /**
+   * Extract numeric similarity features from a marketData snapshot
+   */
+  static extractFeatures(marketData) {
+    const features = {};
+    for (const [name, def] of Object.entries(FEATURES)) {
+      const v = parseFloat(def.get(marketData || {}));
+      if (Number.isFinite(v)) features[name] = v;
+    }
+    return features;
+  }
+
+  /**
+   * Normalized RMS distance over features both sides have
+   * @returns {number} distance, Infinity if too few shared features
+   */
+  static distance(a, b) {
+    let sum = 0, shared = 0;
+    for (const [name, def] of Object.entries(FEATURES)) {
+      if (a[name] === undefined || b[name] === undefined) continue;
+      const d = (a[name] - b[name]) / def.scale;
+      sum += d * d;
+      shared++;
+    }
+    return shared >= MIN_SHARED_FEATURES ? Math.sqrt(sum / shared) : Infinity;
+  }
+
+  /**
+   * Store a verified trade
+   * @param {Object} experience - { token, signal_type, entry_stage, entry_confidence, market_at_entry, outcome }
+   */
+  add(experience) {
+    const market = experience.market_at_entry || {};
+    const record = {
+      id: `exp_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      token: experience.token,
+      signal_type: experience.signal_type,
+      entry_stage: experience.entry_stage,
+      entry_confidence: experience.entry_confidence,
+      features: ExperienceStore.extractFeatures(market),
+      derivatives: market.derivatives || null,
+      outcome: experience.outcome,
+      verified_at: experience.verified_at || new Date().toISOString()
+    };
+
+    this.experiences.push(record);
+    if (this.experiences.length > this.maxExperiences) {
+      this.experiences = this.experiences.slice(-this.maxExperiences);
+    }
+    this._save();
+    return record;
+  }
+
+  /**
+   * Retrieve relevant experiences
+   * With marketData: nearest neighbours across all tokens (same direction), closest first.
+   * Without: this token's experiences, newest first.
+   * @returns {Array} experiences with { distance, same_token }
+   */
+  getRelevant(token, marketData = null, limit = 10) {
+    if (!marketData) {
+      return this.experiences
+        .filter(e => e.token === token)
+        .slice(-limit).reverse()
+        .map(e => ({ ...e, distance: null, same_token: true }));
+    }
+
+    const query = ExperienceStore.extractFeatures(marketData);
+    const direction = marketData.signal_type;
+
+    return this.experiences
+      .filter(e => !direction || !e.signal_type || e.signal_type === direction)
+      .map(e => ({ ...e, distance: ExperienceStore.distance(query, e.features), same_token: e.token === token }))
+      .filter(e => Number.isFinite(e.distance))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  getStats() {
+    const wins = this.experiences.filter(e => e.outcome?.correct).length;
+    return {
+      total: this.experiences.length,
+      tokens: new Set(this.experiences.map(e => e.token)).size,
+      win_rate: this.experiences.length > 0 ? Math.round(wins / this.experiences.length * 100) : 0
+    };
+  }
+
+  _load() {
+    if (!this.file) return [];
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(data.experiences) ? data.experiences : [];
+    } catch { return []; }
+  }
+
+  _save() {
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ experiences: this.experiences, updated_at: new Date().toISOString() }));
+    } catch (e) {
+      console.error(`[ExperienceStore] Save failed: ${e.message}`);
+    }
+  }
+}
+
+module.exports = ExperienceStore;
@@ -8,12 +8,36 @@
  */
 
 const DataDrivenCognition = require('./DataDrivenCognition');
-const ControlSystem = require('./ControlSystem');
+const { ControlSystem, decisiveRule } = require('./ControlSystem');
 const ExperienceStore = require('./ExperienceStore');
 const PaperTraderBridge = require('./PaperTraderBridge');
+const ParamStore = require('./ParamStore');
+const ConfidenceCalibrator = require('./ConfidenceCalibrator');
+const PositionSizer = require('../autoTrade/PositionSizer');
+const BrainStateStore = require('./BrainStateStore');
+const BrainLearning = require('./BrainLearning');
+const DecisionLog = require('./DecisionLog');
+const ShadowTrial = require('./ShadowTrial');
+const PredictionVerifier = require('./PredictionVerifier');
+const StageTimeline = require('./StageTimeline');
+const LLMService = require('../services/llm/LLMService');
+const LLMAuditLog = require('../services/llm/LLMAuditLog');
 
 class GaleonBrain {
-  constructor() {
+  /**
+   * @param {Object} options - { now, experienceStore, ptBridge, paramStore, calibrator, stateStore, predictionVerifier, stageTimeline, llm, auditLog, decisionLog, shadowTrial, bus, learning, equityUsd, sizingMode }
+   *   now: clock function (defaults to Date.now; ReplayHarness injects a simulated clock)
+   *   paramStore: control-params source to hot-reload from; null = keep params set by the caller
+   *   stateStore: where positions/cooldowns/stats are persisted; null = memory only
+   *   llm: LLM provider layer for the Thinker (ReplayHarness injects one in fixture replay mode)
+   *   auditLog: where Thinker prompts/responses and their effect are recorded; null = not audited
+   *   decisionLog: where decisions and their ControlSystem trace are recorded; null = not recorded
+   *   shadowTrial: candidate params scored alongside the live ones (never executed); null = no shadow A/B
+   *   bus: where decisions are broadcast for the dashboard stream (AgentBus); null = not broadcast
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+
     this.positions = [];
     this.verifications = [];
     this.predictions = [];
@@ -23,69 +47,454 @@ class GaleonBrain {
       total_blocks: 0, total_exits: 0, verified_correct: 0, verified_wrong: 0
     };
 
-    this.experienceStore = new ExperienceStore();
-    this.ptBridge = new PaperTraderBridge();
+    this.experienceStore = options.experienceStore || new ExperienceStore();
+    this.ptBridge = options.ptBridge || new PaperTraderBridge();
+    // Refitted by BrainLearning from verified predictions
+    this.calibrator = options.calibrator || new ConfidenceCalibrator();
+
+    // Learning cycle (calibration refit + RuleEvolver) — only runs from startLearningLoop(); null = never
+    this.learning = options.learning === undefined ? new BrainLearning(undefined, { calibrator: this.calibrator }) : options.learning;
+    this.learnTimer = null;
+
+    // Multi-horizon prediction verification (live prices by default; ReplayHarness injects recorded ones)
+    this.predictionVerifier = options.predictionVerifier || new PredictionVerifier({ now: () => this.now() });
+    this.lastStages = {};
+    this.verifyTimer = null;
+
+    // Per-token stage history → transition / dwell-time outlook for ControlSystem
+    this.stageTimeline = options.stageTimeline || new StageTimeline();
+
+    // Thinker model / fallback chain: config/llm.js (brain_thinker)
+    this.llm = options.llm || LLMService;
+    this.auditLog = options.auditLog === undefined ? new LLMAuditLog() : options.auditLog;
+
+    // Every decision + ControlSystem rule trace, for "why was this skipped" in the dashboard
+    this.decisionLog = options.decisionLog === undefined ? new DecisionLog() : options.decisionLog;
+
+    // Shadow A/B — candidate decisions wait here until their horizon, then get scored on the same price move
+    this.shadowTrial = options.shadowTrial === undefined ? new ShadowTrial() : options.shadowTrial;
+    this.shadowPending = [];
+    this.maxShadowPending = 5000;
+
+    // Decisions → brain.decision.made on the AgentBus
+    this.bus = options.bus === undefined ? require('../autoTrade/core/AgentBus') : options.bus;
+
+    // Snapshot on every mutation — start() restores it on boot and flushes it on shutdown
+    this.stateStore = options.stateStore === undefined ? new BrainStateStore() : options.stateStore;
+
+    // ControlSystem follows every committed params version (evolvers, API rollbacks)
+    this.paramStore = options.paramStore === undefined ? new ParamStore() : options.paramStore;
+    if (this.paramStore) this.paramStore.watch();
+
+    // Position sizing — calibrated confidence + stage payoff ratio → USD size
+    this.equityUsd = options.equityUsd || 10000;
+    this.sizingMode = options.sizingMode || 'KELLY';
 
     this.MAX_POSITIONS = 20;
     this.COOLDOWN_MS = 30 * 60 * 1000;
     this.maxVerifications = 200;
+    this.maxPredictions = 2000;
+    this.PREDICTION_INTERVAL_MS = 15 * 60 * 1000;
   }
 
   /**
    * Core think cycle — called for each signal
    * @param {Object} marketData - Multi-dimensional market snapshot
-   * @returns {Object} { decision, cognition, elapsed_ms }
+   * @returns {Object} { token, decision_id, decision, cognition, elapsed_ms }
    */
   async think(marketData) {
-    const startTime = Date.now();
+    const startTime = this.now();
     const token = marketData.token_symbol;
+    const decisionId = `dec_${startTime}_${Math.random().toString(36).substr(2, 6)}`;
     this.stats.total_thinks++;
 
     // Cooldown check — skip if recently traded, but monitor existing positions
     const hasPosition = this.positions.some(p => p.token === token);
-    if (!hasPosition && this.cooldowns[token] && Date.now() < this.cooldowns[token]) {
-      return this._makeDecision(token, marketData, null, { action: 'wait', confidence: 0, reason: 'cooldown active' }, Date.now() - startTime);
+    if (!hasPosition && this.cooldowns[token] && this.now() < this.cooldowns[token]) {
+      const decision = {
+        action: 'wait', confidence: 0, reason: 'cooldown active',
+        trace: [{ rule: 'brain.cooldown', effect: 'gate', inputs: { until: new Date(this.cooldowns[token]).toISOString() }, confidence_delta: 0, confidence: null }]
+      };
+      const result = this._makeDecision(token, decisionId, null, decision, this.now() - startTime);
+      this._recordDecision(marketData, result);
+      return result;
     }
 
     // Step 1: Cognition — analyze market state, token stage, confidence
-    const cognition = await this._buildCognition(marketData);
+    const trace = {};
+    const cognition = await this._buildCognition(marketData, trace);
 
     // Step 2: Control System — apply red-line checks, adjust confidence, map to action
     const decision = ControlSystem.decide(marketData, cognition);
+    if (trace.llm) this._auditLLM(decisionId, marketData, cognition, decision, trace.llm);
+
+    // Step 2b: Shadow — same cognition through the candidate params, recorded only
+    const shadow = this._shadowDecide(decisionId, marketData, cognition, decision);
 
     // Step 3: Record prediction for future verification
     this._recordPrediction(token, marketData, cognition);
 
     // Step 4: Execute decision (enter/wait/block)
-    /* proprietary — position management, sizing, cooldown logic */
+    if (decision.action?.startsWith('enter') && !hasPosition && this.positions.length < this.MAX_POSITIONS) {
+      this._openPosition(token, marketData, cognition, decision);
+    }
+    /* proprietary — cooldown logic */
+
+    const result = this._makeDecision(token, decisionId, cognition, decision, this.now() - startTime);
+    if (shadow) result.shadow = shadow;
+    this._persist();
+    this._recordDecision(marketData, result);
+    this._broadcast(result);
+    return result;
+  }
+
+  /**
+   * Open a position from an enter decision, sized by PositionSizer
+   * When sizing leaves no room (no edge / exposure full) the decision becomes a wait,
+   * with the sizing step in its trace so it is not counted, logged or broadcast as an entry
+   * @returns {Object|null} position, null if nothing was opened
+   */
+  _openPosition(token, marketData, cognition, decision) {
+    const sizing = this._sizePosition(marketData, cognition);
+    if (sizing.amount <= 0) {
+      decision.trace = [...(decision.trace || []), {
+        rule: 'brain.sizing',
+        effect: 'override',
+        inputs: { action: decision.action, mode: sizing.mode, reason: sizing.reason },
+        confidence_delta: 0,
+        confidence: decision.confidence ?? null
+      }];
+      decision.action = 'wait';
+      decision.sizing_reason = sizing.reason;
+      return null;
+    }
+
+    const position = {
+      token,
+      signal_type: marketData.signal_type || 'LONG',
+      entry_price: marketData.market.price,
+      entered_at: new Date(this.now()).toISOString(),
+      entry_action: decision.action,
+      size_usd: sizing.amount,
+      sizing,
+      cognition_at_entry: cognition,
+      market_at_entry: this._snapshotMarket(marketData)
+    };
+    this.positions.push(position);
+    return position;
+  }
+
+  /**
+   * Size from calibrated confidence, historical payoff ratio for the stage and
+   * current exposure — ATR from market.atr when the snapshot carries it
+   */
+  _sizePosition(marketData, cognition) {
+    const outcomes = this.experienceStore.experiences
+      .filter(e => e.outcome && typeof e.outcome.pnl_pct === 'number')
+      .map(e => ({ stage: e.entry_stage, pnl_pct: e.outcome.pnl_pct }));
+
+    return PositionSizer.calculateSize({
+      mode: this.sizingMode,
+      equity: this.equityUsd,
+      openExposure: this.positions.reduce((s, p) => s + (p.size_usd || 0), 0),
+      confidence: cognition.confidence,
+      payoffRatio: PositionSizer.getPayoffRatio(outcomes, cognition.token_stage),
+      entryPrice: marketData.market.price,
+      atr: marketData.market.atr,
+      klines: marketData.klines
+    });
+  }
+
+  /**
+   * Trim marketData to the perception layers worth keeping with a position
+   */
+  _snapshotMarket(marketData) {
+    const { token_symbol, signal_type, market, derivatives, macro, onchain, risk } = marketData;
+    return { token_symbol, signal_type, market, derivatives, macro, onchain, risk };
+  }
+
+  /**
+   * Package decision output and update think stats
+   */
+  _makeDecision(token, decisionId, cognition, decision, elapsedMs) {
+    if (decision.action?.startsWith('enter')) this.stats.total_enters++;
+    else if (decision.action === 'block') this.stats.total_blocks++;
+    else this.stats.total_waits++;
 
-    return this._makeDecision(token, marketData, cognition, decision, Date.now() - startTime);
+    return { token, decision_id: decisionId, decision, cognition, elapsed_ms: elapsedMs };
+  }
+
+  /**
+   * Publish a full think-cycle decision (cooldown skips are not broadcast)
+   */
+  _broadcast(result) {
+    if (!this.bus) return;
+    this.bus.publish('GaleonBrain', 'brain.decision.made', {
+      decisionId: result.decision_id,
+      token: result.token,
+      action: result.decision.action,
+      confidence: result.decision.confidence,
+      tokenStage: result.cognition?.token_stage,
+      reason: result.decision.reason || (result.decision.reasons || []).join('; '),
+      rule: decisiveRule(result.decision.trace)
+    });
+  }
+
+  /**
+   * Persist the decision with its ControlSystem trace (DecisionLog)
+   */
+  _recordDecision(marketData, result) {
+    if (!this.decisionLog) return;
+    const { decision, cognition } = result;
+    this.decisionLog.record({
+      decision_id: result.decision_id,
+      created_at: new Date(this.now()).toISOString(),
+      token: result.token,
+      signal_type: marketData.signal_type || 'LONG',
+      action: decision.action,
+      confidence: decision.confidence ?? null,
+      original_confidence: decision.original_confidence ?? cognition?.confidence ?? null,
+      token_stage: cognition?.token_stage || null,
+      reason: decision.reason || null,
+      reasons: decision.reasons || [],
+      sizing_reason: decision.sizing_reason || null,
+      params_version: this.paramStore?.lastLoadedVersion ?? null,
+      trace: decision.trace || [],
+      shadow: result.shadow || null
+    });
+  }
+
+  /**
+   * Score the decision with the running shadow trial's candidate params
+   * @returns {Object|null} { trial_id, action, confidence, decisive_rule }
+   */
+  _shadowDecide(decisionId, marketData, cognition, decision) {
+    const trial = this.shadowTrial?.active();
+    if (!trial) return null;
+
+    const shadowDecision = ControlSystem.decide(marketData, cognition, trial.params);
+    const shadow = {
+      trial_id: trial.id,
+      action: shadowDecision.action,
+      confidence: shadowDecision.confidence ?? null,
+      decisive_rule: decisiveRule(shadowDecision.trace)
+    };
+
+    // Without a price there is no outcome to score either arm on
+    if (!marketData.market?.price) return shadow;
+
+    this.shadowPending.push({
+      trial_id: trial.id,
+      decision_id: decisionId,
+      token: marketData.token_symbol,
+      chain: marketData.chain || null,
+      contract_address: marketData.contract_address || null,
+      signal_type: marketData.signal_type || 'LONG',
+      created_at: new Date(this.now()).toISOString(),
+      due_at: new Date(this.now() + PredictionVerifier.HORIZONS[trial.horizon]).toISOString(),
+      horizon: trial.horizon,
+      price: marketData.market.price,
+      live: {
+        action: decision.action,
+        confidence: decision.confidence ?? null,
+        decisive_rule: decisiveRule(decision.trace),
+        params_version: this.paramStore?.lastLoadedVersion ?? null
+      },
+      shadow: { action: shadow.action, confidence: shadow.confidence, decisive_rule: shadow.decisive_rule }
+    });
+    if (this.shadowPending.length > this.maxShadowPending) {
+      this.shadowPending = this.shadowPending.slice(-this.maxShadowPending);
+    }
+    return shadow;
+  }
+
+  /**
+   * Score due shadow pairs on the realized move since the decision (direction-aware)
+   * @returns {Object} { scored, expired, failed }
+   */
+  async verifyShadow() {
+    const result = { scored: 0, expired: 0, failed: 0 };
+    if (!this.shadowTrial || this.shadowPending.length === 0) return result;
+
+    const now = this.now();
+    const priceCache = new Map();
+    const remaining = [];
+
+    for (const obs of this.shadowPending) {
+      const dueAt = new Date(obs.due_at).getTime();
+      if (now < dueAt) { remaining.push(obs); continue; }
+      if (now - dueAt > PredictionVerifier.HORIZONS[obs.horizon] * this.predictionVerifier.maxLagRatio) {
+        result.expired++;
+        continue;
+      }
+
+      if (!priceCache.has(obs.token)) {
+        let price = null;
+        try { price = await this.predictionVerifier.priceFetcher(obs); }
+        catch (e) { console.error(`[GaleonBrain] Shadow price fetch failed for ${obs.token}: ${e.message}`); }
+        priceCache.set(obs.token, price);
+      }
+      const price = priceCache.get(obs.token);
+      if (!price) { result.failed++; remaining.push(obs); continue; }
+
+      const raw = (price - obs.price) / obs.price * 100;
+      this.shadowTrial.recordOutcome({
+        ...obs,
+        verified_at: new Date(now).toISOString(),
+        exit_price: price,
+        return_pct: Math.round((obs.signal_type === 'SHORT' ? -raw : raw) * 100) / 100
+      });
+      result.scored++;
+    }
+
+    this.shadowPending = remaining;
+    if (result.scored > 0 || result.expired > 0) this._persist();
+    return result;
   }
 
   /**
    * Build cognition from multi-dimensional data
    * Uses Rules Engine (DataDrivenCognition) + optional LLM (Thinker)
+   * @param {Object} trace - filled with the Thinker call (trace.llm) when the LLM was consulted
    */
-  async _buildCognition(marketData) {
+  async _buildCognition(marketData, trace = {}) {
     const token = marketData.token_symbol;
 
     // Get PT context for this token
     const ptContext = await this.ptBridge.buildPromptContext(token);
     if (ptContext) marketData._pt_context = ptContext;
 
-    // Get prior experiences for this token
-    const experiences = this.experienceStore.getRelevant(token);
+    // Get most similar prior experiences (across all tokens)
+    const experiences = this.experienceStore.getRelevant(token, marketData);
 
     // Rules Engine cognition (deterministic, always available)
     const rulesCognition = DataDrivenCognition.analyze(marketData, { experiences });
 
     // LLM cognition (optional, for complex scenarios)
     let llmCognition = null;
-    if (rulesCognition.needs_llm) {
-      /* proprietary — LLM prompt construction and parsing */
+    if (rulesCognition.needs_llm && this.llm.isAvailable('brain_thinker')) {
+      const messages = this._buildThinkerMessages(marketData, rulesCognition, experiences);
+      trace.llm = { messages, rules_cognition: rulesCognition, response: null, error: null };
+      try {
+        const response = await this.llm.complete('brain_thinker', messages);
+        trace.llm.response = response;
+        llmCognition = GaleonBrain.parseThinkerResponse(response.text);
+        if (llmCognition) llmCognition.model = `${response.provider}:${response.model}`;
+      } catch (e) {
+        trace.llm.error = e.message;
+        console.error(`[GaleonBrain] LLM cognition failed for ${token}: ${e.message}`);
+      }
     }
 
-    return this._mergeCognition(rulesCognition, llmCognition);
+    const cognition = this._mergeCognition(rulesCognition, llmCognition);
+
+    // Raw score → calibrated win probability, the scale ControlSystem thresholds are set on
+    cognition.raw_confidence = cognition.confidence;
+    cognition.confidence = this.calibrator.calibrate(cognition.confidence);
+
+    // Where this token is in its lifecycle — how long the stage usually lasts, what tends to follow
+    this.stageTimeline.observe(token, cognition.token_stage, this.now(), StageTimeline.classifyKind(marketData));
+    cognition.stage_context = this.stageTimeline.getOutlook(token, this.now());
+    return cognition;
+  }
+
+  /**
+   * Thinker prompt — market snapshot, rules cognition and similar experiences
+   */
+  _buildThinkerMessages(marketData, rulesCognition, experiences) {
+    /* proprietary — Thinker system prompt and context formatting */
+    return [
+      { role: 'system', content: 'You are the Galeon Thinker. Respond in JSON only: {"token_stage","confidence","direction","reasoning"}' },
+      { role: 'user', content: JSON.stringify({ market: marketData, rules: rulesCognition, experiences: experiences.slice(0, 5) }) }
+    ];
+  }
+
+  /**
+   * Parse Thinker JSON — null if unusable (rules cognition is used alone)
+   */
+  static parseThinkerResponse(text) {
+    try {
+      const match = (text || '').match(/\{[\s\S]*\}/);
+      const parsed = match ? JSON.parse(match[0]) : null;
+      if (!parsed || typeof parsed.confidence !== 'number' || !parsed.token_stage) return null;
+      return parsed;
+    } catch { return null; }
+  }
+
+  /**
+   * Audit a Thinker call — prompt, raw response, parsed cognition, and what it did to
+   * confidence and the final action. Context is kept so the call can be replayed on another model.
+   */
+  _auditLLM(decisionId, marketData, cognition, decision, llm) {
+    if (!this.auditLog) return;
+    this.auditLog.record({
+      decision_id: decisionId,
+      created_at: new Date(this.now()).toISOString(),
+      source: 'GaleonBrain',
+      caller: 'brain_thinker',
+      token: marketData.token_symbol,
+      request: { messages: llm.messages },
+      response: LLMAuditLog.summarizeResponse(llm.response),
+      error: llm.error,
+      parsed: cognition.llm_cognition || null,
+      effect: GaleonBrain.llmEffect(llm.rules_cognition, cognition, decision),
+      params_version: this.paramStore?.lastLoadedVersion ?? null,
+      context: {
+        market: this._snapshotMarket(marketData),
+        rules_cognition: llm.rules_cognition,
+        stage_context: cognition.stage_context,
+        calibration: this.calibrator.model || null
+      }
+    });
+  }
+
+  /**
+   * Rules-only confidence vs confidence after the LLM merge, and the resulting action
+   */
+  static llmEffect(rulesCognition, cognition, decision) {
+    return {
+      rules_confidence: rulesCognition.confidence,
+      raw_confidence: cognition.raw_confidence,
+      confidence: cognition.confidence,
+      decision_confidence: decision.confidence ?? null,
+      token_stage: cognition.token_stage,
+      action: decision.action
+    };
+  }
+
+  /**
+   * Interpret a replayed Thinker response for an audited decision — same market snapshot,
+   * rules cognition and calibration model as the original call (LLMAuditLog.replay interpreter).
+   * Pass the params of entry.params_version; entries recorded before the calibration
+   * model was audited fall back to the current calibration.
+   * @param {Object} options - { params, calibrator }
+   */
+  static replayThinkerResponse(entry, text, options = {}) {
+    const { market, rules_cognition, stage_context, calibration } = entry.context;
+    const calibrator = options.calibrator || (calibration === undefined
+      ? new ConfidenceCalibrator()
+      : new ConfidenceCalibrator(null, { model: calibration }));
+
+    const llmCognition = GaleonBrain.parseThinkerResponse(text);
+    // _mergeCognition uses no instance state
+    const cognition = GaleonBrain.prototype._mergeCognition(rules_cognition, llmCognition);
+    cognition.raw_confidence = cognition.confidence;
+    cognition.confidence = calibrator.calibrate(cognition.confidence);
+    cognition.stage_context = stage_context;
+
+    const decision = ControlSystem.decide(market, cognition, options.params || null);
+    return { parsed: llmCognition, effect: GaleonBrain.llmEffect(rules_cognition, cognition, decision) };
+  }
+
+  /**
+   * Merge Rules Engine and LLM cognition — rules output is the base
+   */
+  _mergeCognition(rulesCognition, llmCognition) {
+    if (!llmCognition) return rulesCognition;
+
+    /* proprietary — rules/LLM confidence blending */
+
+    return { ...rulesCognition, llm_cognition: llmCognition };
   }
 
   /**
@@ -101,7 +510,7 @@ class GaleonBrain {
 
       const currentPrice = marketData.market.price;
       const pnlPct = this._positionPnlPct(pos, currentPrice);
-      const holdMinutes = (Date.now() - new Date(pos.entered_at).getTime()) / 60000;
+      const holdMinutes = (this.now() - new Date(pos.entered_at).getTime()) / 60000;
 
       // Assess position — deterministic exit rules
       const guidance = this.assessPosition(pos, currentPrice, null, holdMinutes);
@@ -120,7 +529,7 @@ class GaleonBrain {
    */
   assessPosition(pos, currentPrice, cognition, holdMinutes) {
     const pnlPct = this._positionPnlPct(pos, currentPrice);
-    const ageMinutes = holdMinutes || (Date.now() - new Date(pos.entered_at).getTime()) / 60000;
+    const ageMinutes = holdMinutes || (this.now() - new Date(pos.entered_at).getTime()) / 60000;
 
     /* proprietary — exit thresholds, time-decay logic, stage-based exits */
 
@@ -140,6 +549,8 @@ class GaleonBrain {
     // Loss-based cooldown — larger loss = longer cooldown
     /* proprietary — cooldown duration logic */
 
+    this._persist();
+
     return { token: pos.token, action: 'exit', pnl_pct: pnlPct, reason };
   }
 
@@ -153,14 +564,112 @@ class GaleonBrain {
     if (correct) this.stats.verified_correct++;
     else this.stats.verified_wrong++;
 
-    this.verifications.unshift({
+    const verification = {
       token: pos.token, signal_type: pos.signal_type,
       entry_price: pos.entry_price, verify_price: currentPrice,
       pnl_pct: Math.round(pnlPct * 100) / 100, correct,
       entry_stage: pos.cognition_at_entry.token_stage,
       entry_confidence: pos.cognition_at_entry.confidence,
-      hold_minutes: Math.round((Date.now() - new Date(pos.entered_at).getTime()) / 60000)
+      hold_minutes: Math.round((this.now() - new Date(pos.entered_at).getTime()) / 60000),
+      entered_at: pos.entered_at,
+      verified_at: new Date(this.now()).toISOString(),
+      // Entry inputs — lets WalkForwardValidator re-run ControlSystem.decide() with other params
+      market_at_entry: pos.market_at_entry,
+      cognition_at_entry: pos.cognition_at_entry
+    };
+    this.verifications.unshift(verification);
+    if (this.verifications.length > this.maxVerifications) this.verifications.length = this.maxVerifications;
+
+    // Persist as experience — retrievable for similar situations on any token
+    this.experienceStore.add({
+      token: pos.token, signal_type: pos.signal_type,
+      entry_stage: verification.entry_stage,
+      entry_confidence: verification.entry_confidence,
+      market_at_entry: pos.market_at_entry,
+      outcome: { pnl_pct: verification.pnl_pct, correct, hold_minutes: verification.hold_minutes },
+      verified_at: verification.verified_at
+    });
+  }
+
+  // ==================== State Persistence ====================
+
+  getState() {
+    return {
+      positions: this.positions,
+      cooldowns: this.cooldowns,
+      verifications: this.verifications,
+      predictions: this.predictions,
+      shadow_pending: this.shadowPending,
+      stats: this.stats
+    };
+  }
+
+  _persist() {
+    if (this.stateStore) this.stateStore.schedule(() => this.getState());
+  }
+
+  /**
+   * Restore state saved before a restart, then reconcile positions with the
+   * Paper Trader's live positions (the source of truth for what is really open):
+   * - brain position PT no longer holds → dropped (closed while down), cooldown applied
+   * - PT position the brain doesn't know → adopted
+   * Without PT live data the saved positions are kept as-is.
+   * @returns {Object} summary { restored, saved_at, kept, dropped, adopted, reconciled }
+   */
+  async restore() {
+    const saved = this.stateStore ? this.stateStore.load() : null;
+    const summary = { restored: !!saved, saved_at: saved?.saved_at || null, kept: [], dropped: [], adopted: [], reconciled: false };
+
+    if (saved) {
+      this.positions = Array.isArray(saved.positions) ? saved.positions : [];
+      this.verifications = Array.isArray(saved.verifications) ? saved.verifications : [];
+      this.predictions = Array.isArray(saved.predictions) ? saved.predictions : [];
+      this.shadowPending = Array.isArray(saved.shadow_pending) ? saved.shadow_pending : [];
+      this.stats = { ...this.stats, ...saved.stats };
+
+      // Expired cooldowns are dropped
+      const now = this.now();
+      this.cooldowns = Object.fromEntries(Object.entries(saved.cooldowns || {}).filter(([, until]) => until > now));
+    }
+
+    const live = await this.ptBridge.getLiveData?.();
+    if (!Array.isArray(live?.positions)) {
+      summary.kept = this.positions.map(p => p.token);
+      this._persist();
+      return summary;
+    }
+
+    summary.reconciled = true;
+    const ptBySymbol = new Map(live.positions.map(p => [(p.token_symbol || '').toUpperCase(), p]));
+
+    this.positions = this.positions.filter(pos => {
+      if (ptBySymbol.has(pos.token.toUpperCase())) {
+        summary.kept.push(pos.token);
+        return true;
+      }
+      summary.dropped.push(pos.token);
+      this.cooldowns[pos.token] = this.now() + this.COOLDOWN_MS;
+      return false;
     });
+
+    const known = new Set(this.positions.map(p => p.token.toUpperCase()));
+    for (const [symbol, pt] of ptBySymbol) {
+      if (!symbol || known.has(symbol) || !pt.entry_price) continue;
+      this.positions.push({
+        token: pt.token_symbol,
+        signal_type: pt.direction === 'SHORT' ? 'SHORT' : 'LONG',
+        entry_price: pt.entry_price,
+        entered_at: pt.entered_at || new Date(this.now()).toISOString(),
+        entry_action: 'adopted',
+        adopted_from_pt: true,
+        cognition_at_entry: { token_stage: pt._oiStage || 'unknown', confidence: null },
+        market_at_entry: null
+      });
+      summary.adopted.push(pt.token_symbol);
+    }
+
+    this._persist();
+    return summary;
   }
 
   /**
@@ -172,17 +681,92 @@ class GaleonBrain {
   }
 
   /**
-   * Record prediction for 4h verification
+   * Record the multi-timeframe forecast for later verification
+   * (at most one per token per PREDICTION_INTERVAL_MS so samples stay independent)
    */
   _recordPrediction(token, marketData, cognition) {
-    /* proprietary — prediction recording with multi-timeframe forecasts */
+    this.lastStages[token] = { stage: cognition.token_stage, at: this.now() };
+
+    const last = this.predictions.findLast(p => p.token === token);
+    if (last && this.now() - new Date(last.created_at).getTime() < this.PREDICTION_INTERVAL_MS) return null;
+    if (!marketData.market?.price) return null;
+
+    const prediction = this.predictionVerifier.record(token, marketData, cognition);
+    this.predictions.push(prediction);
+    if (this.predictions.length > this.maxPredictions) {
+      this.predictions = this.predictions.slice(-this.maxPredictions);
+    }
+    return prediction;
   }
 
   /**
-   * Verify past predictions against actual outcomes
+   * Verify past predictions against actual outcomes — every due horizon
+   * gets the realized price, direction and stage correctness
+   * @returns {Object} { checked, verified, expired, failed }
    */
   async verifyPredictions() {
-    /* proprietary — direction accuracy check, stage accuracy, bias calculation */
+    const result = await this.predictionVerifier.verify(this.predictions, (token, at) => {
+      // Stage observed by a think cycle close to the horizon
+      const seen = this.lastStages[token];
+      return seen && Math.abs(at - seen.at) <= this.PREDICTION_INTERVAL_MS ? seen.stage : null;
+    });
+    if (result.verified > 0 || result.expired > 0) this._persist();
+    return result;
+  }
+
+  /**
+   * Verification scheduler — checks due prediction horizons and shadow pairs on an interval
+   */
+  startVerificationLoop(intervalMs = 5 * 60 * 1000) {
+    if (this.verifyTimer) return;
+    this.verifyTimer = setInterval(() => {
+      this.verifyPredictions().catch(e => console.error(`[GaleonBrain] Prediction verification failed: ${e.message}`));
+      this.verifyShadow().catch(e => console.error(`[GaleonBrain] Shadow verification failed: ${e.message}`));
+    }, intervalMs);
+    this.verifyTimer.unref();
+  }
+
+  stopVerificationLoop() {
+    if (this.verifyTimer) clearInterval(this.verifyTimer);
+    this.verifyTimer = null;
+  }
+
+  /**
+   * Learning scheduler — refits calibration and lets RuleEvolver tune params
+   * from the verified predictions and closed trades
+   */
+  startLearningLoop(intervalMs = 6 * 60 * 60 * 1000) {
+    if (this.learnTimer || !this.learning) return;
+    this.learnTimer = setInterval(() => {
+      this.learning.runLearningCycle(this.predictions, this.verifications)
+        .catch(e => console.error(`[GaleonBrain] Learning cycle failed: ${e.message}`));
+    }, intervalMs);
+    this.learnTimer.unref();
+  }
+
+  stopLearningLoop() {
+    if (this.learnTimer) clearInterval(this.learnTimer);
+    this.learnTimer = null;
+  }
+
+  /**
+   * Boot — restore the saved state, flush pending snapshots on SIGTERM/SIGINT,
+   * then start the verification and learning loops
+   * @param {Object} options - { verify, learn } — set false to skip a loop
+   * @returns {Promise<Object>} restore() summary
+   */
+  async start({ verify = true, learn = true } = {}) {
+    const summary = await this.restore();
+    if (this.stateStore) this.stateStore.flushOnExit();
+    if (verify) this.startVerificationLoop();
+    if (learn) this.startLearningLoop();
+    return summary;
+  }
+
+  stop() {
+    this.stopVerificationLoop();
+    this.stopLearningLoop();
+    if (this.stateStore) this.stateStore.flush();
   }
 }
 
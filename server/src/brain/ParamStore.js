@@ -0,0 +1,311 @@
+/**
+ * ParamStore — Versioned Control Parameters
+ *
+ * Every change to control-params is kept as an immutable snapshot
+ * (data/brain/param-versions/v<N>.json) together with the report that triggered
+ * it. control-params.json always holds the current version.
+ * Rollback never rewrites history — it commits the old params as a new version
+ * and pushes them live into ControlSystem.
+ *
+ * BrainLearning and RuleEvolver both write through here: commits are
+ * compare-and-swap on the version number under a lock file, files are replaced
+ * atomically (tmp + rename), every version lands in param-journal.jsonl, and
+ * watch() hot-reloads ControlSystem when another process commits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../config/dataDir');
+const { setDynamicParams } = require('./ControlSystem');
+
+const DEFAULT_DATA_DIR = dataPath('brain');
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 25;
+const MAX_CAS_RETRIES = 5;
+
+class ParamStore {
+  constructor(dataDir = DEFAULT_DATA_DIR) {
+    this.paramsFile = path.join(dataDir, 'control-params.json');
+    this.versionsDir = path.join(dataDir, 'param-versions');
+    this.journalFile = path.join(dataDir, 'param-journal.jsonl');
+    this.lockFile = path.join(dataDir, 'control-params.lock');
+    this.watcher = null;
+    this.watchListener = null;
+    this.lastLoadedVersion = 0;
+  }
+
+  /**
+   * Current params — { params, version, updated_at }
+   */
+  current() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.paramsFile, 'utf8'));
+      return { params: data.params || {}, version: data.version || 0, updated_at: data.updated_at || null };
+    } catch { return { params: {}, version: 0, updated_at: null }; }
+  }
+
+  /**
+   * Commit a new params version
+   * @param {Object} params - full parameter set
+   * @param {Object} meta - { source, report, rollback_of, expectedVersion }
+   *   expectedVersion: version the params were derived from — if another writer
+   *   committed since, throws with code PARAM_VERSION_CONFLICT instead of clobbering it
+   * @returns {Promise<Object>} the new snapshot
+   */
+  commit(params, meta = {}) {
+    return this._withLock(() => {
+      const cur = this.current();
+      if (meta.expectedVersion !== undefined && meta.expectedVersion !== cur.version) {
+        const err = new Error(`params version conflict: expected v${meta.expectedVersion}, current v${cur.version}`);
+        err.code = 'PARAM_VERSION_CONFLICT';
+        throw err;
+      }
+      this._ensureSnapshot(cur);
+
+      const snapshot = {
+        version: cur.version + 1,
+        parent_version: cur.version || null,
+        params: { ...params },
+        created_at: new Date().toISOString(),
+        source: meta.source || 'manual',
+        report: meta.report || null,
+        rollback_of: meta.rollback_of || null
+      };
+
+      // A vN.json left by a writer that crashed before updating control-params.json
+      // was never live — replace it rather than failing every later commit
+      fs.mkdirSync(this.versionsDir, { recursive: true });
+      this._writeAtomic(this._versionFile(snapshot.version), JSON.stringify(snapshot, null, 2));
+      this._writeAtomic(this.paramsFile, JSON.stringify({
+        params: snapshot.params, updated_at: snapshot.created_at, version: snapshot.version
+      }, null, 2));
+      this._appendJournal(cur, snapshot);
+
+      this.lastLoadedVersion = snapshot.version;
+      setDynamicParams(snapshot.params);
+      return snapshot;
+    });
+  }
+
+  /**
+   * Read-modify-write with compare-and-swap, retried on conflict
+   * @param {Function} mutate - (params copy, version) => { params, report } to commit, or null to skip.
+   *   Runs again against the newer version on conflict — keep side effects out of it.
+   * @param {string} source - writer name recorded on the version
+   * @returns {Promise<Object|null>} the new snapshot, null if mutate skipped
+   */
+  async update(mutate, source) {
+    for (let attempt = 1; ; attempt++) {
+      const cur = this.current();
+      const next = mutate({ ...cur.params }, cur.version);
+      if (!next) return null;
+
+      try {
+        return await this.commit(next.params, { source, report: next.report, expectedVersion: cur.version });
+      } catch (e) {
+        if (e.code !== 'PARAM_VERSION_CONFLICT' || attempt >= MAX_CAS_RETRIES) throw e;
+        console.log(`[ParamStore] ${e.message} — retrying (${attempt}/${MAX_CAS_RETRIES})`);
+      }
+    }
+  }
+
+  /**
+   * Hot reload — push every new version into ControlSystem, including ones
+   * committed by other processes (e.g. a rollback through the API)
+   * @returns {Object} current params
+   */
+  watch(intervalMs = 2000) {
+    const cur = this.current();
+    this.lastLoadedVersion = cur.version;
+    if (cur.version > 0) setDynamicParams(cur.params);
+    if (this.watcher) return cur;
+
+    this.watchListener = () => {
+      const next = this.current();
+      if (next.version === this.lastLoadedVersion) return;
+      this.lastLoadedVersion = next.version;
+      setDynamicParams(next.params);
+      console.log(`[ParamStore] Hot-reloaded control-params v${next.version}`);
+    };
+    this.watcher = fs.watchFile(this.paramsFile, { interval: intervalMs }, this.watchListener);
+    this.watcher.unref();
+    return cur;
+  }
+
+  /**
+   * Stop hot reload — removes only this store's listener, other watchers on the file keep running
+   */
+  unwatch() {
+    if (!this.watcher) return;
+    fs.unwatchFile(this.paramsFile, this.watchListener);
+    this.watcher = null;
+    this.watchListener = null;
+  }
+
+  /**
+   * Change journal, newest first
+   */
+  journal(limit = 50) {
+    try {
+      return fs.readFileSync(this.journalFile, 'utf8')
+        .split('\n').filter(l => l.trim())
+        .map(l => JSON.parse(l))
+        .reverse()
+        .slice(0, limit);
+    } catch { return []; }
+  }
+
+  /**
+   * Version summaries, newest first (params and reports omitted)
+   */
+  list() {
+    this._ensureSnapshot(this.current());
+    let files;
+    try { files = fs.readdirSync(this.versionsDir); } catch { return []; }
+
+    return files
+      .map(f => /^v(\d+)\.json$/.exec(f))
+      .filter(Boolean)
+      .map(m => this.get(parseInt(m[1], 10)))
+      .filter(Boolean)
+      .sort((a, b) => b.version - a.version)
+      .map(s => ({
+        version: s.version,
+        parent_version: s.parent_version,
+        created_at: s.created_at,
+        source: s.source,
+        rollback_of: s.rollback_of,
+        param_count: Object.keys(s.params || {}).length
+      }));
+  }
+
+  get(version) {
+    try { return JSON.parse(fs.readFileSync(this._versionFile(version), 'utf8')); }
+    catch { return null; }
+  }
+
+  /**
+   * Param-level diff between two versions
+   * @returns {Object} { from, to, changes: [{ param, from, to, delta, type: added|removed|changed }] }
+   */
+  diff(fromVersion, toVersion) {
+    const from = this.get(fromVersion);
+    const to = this.get(toVersion);
+    if (!from) throw new Error(`params version ${fromVersion} not found`);
+    if (!to) throw new Error(`params version ${toVersion} not found`);
+
+    const keys = new Set([...Object.keys(from.params), ...Object.keys(to.params)]);
+    const changes = [];
+    for (const param of keys) {
+      const a = from.params[param], b = to.params[param];
+      if (JSON.stringify(a) === JSON.stringify(b)) continue;
+      changes.push({
+        param,
+        from: a === undefined ? null : a,
+        to: b === undefined ? null : b,
+        delta: typeof a === 'number' && typeof b === 'number' ? Math.round((b - a) * 1e6) / 1e6 : null,
+        type: a === undefined ? 'added' : b === undefined ? 'removed' : 'changed'
+      });
+    }
+
+    return { from: fromVersion, to: toVersion, changes };
+  }
+
+  /**
+   * Roll back to a previous version — committed as a new version and applied live
+   * @param {number} version - version to restore
+   * @param {string} reason - why (stored as the new version's report)
+   * @returns {Promise<Object>} the new snapshot
+   */
+  rollback(version, reason = null) {
+    const target = this.get(version);
+    if (!target) throw new Error(`params version ${version} not found`);
+
+    return this.commit(target.params, {
+      source: 'rollback',
+      report: { reason },
+      rollback_of: version
+    });
+  }
+
+  _versionFile(version) {
+    return path.join(this.versionsDir, `v${version}.json`);
+  }
+
+  _writeAtomic(file, content) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  }
+
+  _appendJournal(prev, snapshot) {
+    const changes = {};
+    const keys = new Set([...Object.keys(prev.params), ...Object.keys(snapshot.params)]);
+    for (const k of keys) {
+      if (JSON.stringify(prev.params[k]) !== JSON.stringify(snapshot.params[k])) {
+        changes[k] = { from: prev.params[k] ?? null, to: snapshot.params[k] ?? null };
+      }
+    }
+    fs.appendFileSync(this.journalFile, JSON.stringify({
+      version: snapshot.version,
+      parent_version: snapshot.parent_version,
+      source: snapshot.source,
+      rollback_of: snapshot.rollback_of,
+      at: snapshot.created_at,
+      pid: process.pid,
+      changes
+    }) + '\n');
+  }
+
+  /**
+   * Exclusive lock file across processes — stale locks (crashed writer) are broken.
+   * Waits with timers so a busy lock never blocks the event loop.
+   */
+  async _withLock(fn) {
+    await fs.promises.mkdir(path.dirname(this.lockFile), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let handle;
+    while (handle === undefined) {
+      try {
+        handle = await fs.promises.open(this.lockFile, 'wx');
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        try {
+          const stat = await fs.promises.stat(this.lockFile);
+          if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+            await fs.promises.unlink(this.lockFile);
+            continue;
+          }
+        } catch { continue; }
+        if (Date.now() > deadline) throw new Error(`control-params lock busy: ${this.lockFile}`);
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      await handle.writeFile(String(process.pid));
+      return await fn();
+    } finally {
+      await handle.close();
+      try { await fs.promises.unlink(this.lockFile); } catch { /* already broken as stale */ }
+    }
+  }
+
+  // control-params.json written before versioning existed has no snapshot — keep it as the baseline
+  _ensureSnapshot(cur) {
+    if (!cur.version || fs.existsSync(this._versionFile(cur.version))) return;
+    fs.mkdirSync(this.versionsDir, { recursive: true });
+    this._writeAtomic(this._versionFile(cur.version), JSON.stringify({
+      version: cur.version,
+      parent_version: null,
+      params: cur.params,
+      created_at: cur.updated_at || new Date().toISOString(),
+      source: 'baseline',
+      report: null,
+      rollback_of: null
+    }, null, 2));
+  }
+}
+
+module.exports = ParamStore;
@@ -0,0 +1,203 @@
+/**
+ * PredictionVerifier — Multi-Horizon Prediction Scheduler
+ *
+ * Stores every _predictMultiTimeframe forecast (p1h / p4h / p24h) with the
+ * price at prediction time, then — once each horizon is due — fetches the
+ * realized price (BinanceAlphaService, falling back to DexScreenerService)
+ * and marks the horizon with direction / stage correctness.
+ *
+ * Top-level prediction fields (status, direction_correct, stage_correct,
+ * predicted_change_pct, actual_change_pct) mirror the primary 4h horizon —
+ * the shape BrainLearning.runLearningCycle() consumes.
+ */
+
+const HORIZONS = {
+  p1h: 60 * 60 * 1000,
+  p4h: 4 * 60 * 60 * 1000,
+  p24h: 24 * 60 * 60 * 1000
+};
+const PRIMARY_HORIZON = 'p4h';
+
+// |change| below this counts as flat (%)
+const FLAT_BAND_PCT = { p1h: 0.5, p4h: 1, p24h: 2 };
+
+const UP = ['up', 'bullish', 'long', 'rise'];
+const DOWN = ['down', 'bearish', 'short', 'fall', 'dump'];
+
+class PredictionVerifier {
+  /**
+   * @param {Object} options - { now, priceFetcher, maxLagRatio }
+   *   priceFetcher: async (prediction) => price | null (defaults to live Binance Alpha / DexScreener)
+   *   maxLagRatio: a horizon checked later than due + ratio × horizon is marked expired, not scored
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.priceFetcher = options.priceFetcher || PredictionVerifier.fetchLivePrice;
+    this.maxLagRatio = options.maxLagRatio ?? 0.25;
+  }
+
+  /**
+   * Build a prediction record from a think cycle
+   */
+  record(token, marketData, cognition) {
+    const createdAt = this.now();
+    const forecasts = cognition.predictions || {};
+    const horizons = {};
+
+    for (const [key, ms] of Object.entries(HORIZONS)) {
+      const f = forecasts[key] || {};
+      horizons[key] = {
+        due_at: new Date(createdAt + ms).toISOString(),
+        predicted_direction: PredictionVerifier.normalizeDirection(f.direction, f.change_pct, FLAT_BAND_PCT[key]),
+        predicted_change_pct: typeof f.change_pct === 'number' ? f.change_pct : null,
+        predicted_stage: f.stage || cognition.token_stage || null,
+        status: 'pending'
+      };
+    }
+
+    return {
+      id: `pred_${createdAt}_${Math.random().toString(36).substr(2, 6)}`,
+      token,
+      chain: marketData.chain || null,
+      contract_address: marketData.contract_address || null,
+      signal_type: marketData.signal_type || null,
+      created_at: new Date(createdAt).toISOString(),
+      price_at_prediction: marketData.market?.price || null,
+      stage_at_prediction: cognition.token_stage || null,
+      confidence: cognition.confidence,
+      raw_confidence: cognition.raw_confidence ?? cognition.confidence,
+      horizons,
+      status: 'pending'
+    };
+  }
+
+  /**
+   * Verify every due horizon of every pending prediction
+   * @param {Array} predictions - mutated in place
+   * @param {Function} stageOf - (token, atMs) => observed stage near that time, or null
+   * @returns {Object} { checked, verified, expired, failed }
+   */
+  async verify(predictions, stageOf = () => null) {
+    const now = this.now();
+    const result = { checked: 0, verified: 0, expired: 0, failed: 0 };
+    const priceCache = new Map();
+
+    for (const pred of predictions) {
+      if (!pred.price_at_prediction) continue;
+
+      for (const [key, h] of Object.entries(pred.horizons || {})) {
+        if (h.status !== 'pending') continue;
+        const dueAt = new Date(h.due_at).getTime();
+        if (now < dueAt) continue;
+        result.checked++;
+
+        if (now - dueAt > HORIZONS[key] * this.maxLagRatio) {
+          h.status = 'expired';
+          result.expired++;
+          continue;
+        }
+
+        if (!priceCache.has(pred.token)) {
+          let price = null;
+          try { price = await this.priceFetcher(pred); }
+          catch (e) { console.error(`[PredictionVerifier] Price fetch failed for ${pred.token}: ${e.message}`); }
+          priceCache.set(pred.token, price);
+        }
+        const price = priceCache.get(pred.token);
+        if (!price) { result.failed++; continue; }
+
+        this._scoreHorizon(pred, key, h, price, now, stageOf(pred.token, now));
+        result.verified++;
+      }
+
+      this._updateSummary(pred);
+    }
+
+    return result;
+  }
+
+  _scoreHorizon(pred, key, h, price, now, observedStage) {
+    const actualChange = (price - pred.price_at_prediction) / pred.price_at_prediction * 100;
+    const actualDirection = PredictionVerifier.normalizeDirection(null, actualChange, FLAT_BAND_PCT[key]);
+
+    Object.assign(h, {
+      status: 'verified',
+      verified_at: new Date(now).toISOString(),
+      lag_minutes: Math.round((now - new Date(h.due_at).getTime()) / 60000),
+      actual_price: price,
+      actual_change_pct: Math.round(actualChange * 100) / 100,
+      actual_direction: actualDirection,
+      direction_correct: h.predicted_direction ? h.predicted_direction === actualDirection : null,
+      observed_stage: observedStage || null,
+      stage_correct: observedStage && h.predicted_stage ? observedStage === h.predicted_stage : null
+    });
+  }
+
+  /**
+   * Mirror the primary horizon onto the prediction; status follows it
+   */
+  _updateSummary(pred) {
+    const primary = pred.horizons?.[PRIMARY_HORIZON];
+    if (!primary || primary.status === 'pending') return;
+
+    if (primary.status === 'expired') {
+      pred.status = 'expired';
+      return;
+    }
+
+    Object.assign(pred, {
+      status: 'verified',
+      verified_at: primary.verified_at,
+      direction_correct: primary.direction_correct,
+      stage_correct: primary.stage_correct,
+      predicted_change_pct: primary.predicted_change_pct,
+      actual_change_pct: primary.actual_change_pct
+    });
+  }
+
+  /**
+   * Per-horizon accuracy over verified horizons
+   */
+  static summarize(predictions) {
+    const summary = {};
+    for (const key of Object.keys(HORIZONS)) {
+      const done = predictions.map(p => p.horizons?.[key]).filter(h => h?.status === 'verified');
+      const scored = done.filter(h => h.direction_correct !== null);
+      const staged = done.filter(h => h.stage_correct !== null);
+      summary[key] = {
+        verified: done.length,
+        direction_accuracy: scored.length > 0 ? Math.round(scored.filter(h => h.direction_correct).length / scored.length * 100) : null,
+        stage_accuracy: staged.length > 0 ? Math.round(staged.filter(h => h.stage_correct).length / staged.length * 100) : null
+      };
+    }
+    return summary;
+  }
+
+  static normalizeDirection(direction, changePct, flatBand) {
+    const d = typeof direction === 'string' ? direction.toLowerCase() : null;
+    if (d && UP.includes(d)) return 'up';
+    if (d && DOWN.includes(d)) return 'down';
+    if (d) return 'flat';
+    if (typeof changePct !== 'number') return null;
+    if (Math.abs(changePct) < flatBand) return 'flat';
+    return changePct > 0 ? 'up' : 'down';
+  }
+
+  /**
+   * Live realized price — Binance Alpha / CEX first, DexScreener pool price as fallback
+   */
+  static async fetchLivePrice(prediction) {
+    const BinanceAlphaService = require('../services/BinanceAlphaService');
+    const price = await BinanceAlphaService.getTokenRealtimePrice(prediction.token, prediction.chain || 'BSC');
+    if (price > 0) return price;
+
+    const DexScreenerService = require('../services/DexScreenerService');
+    const pool = await DexScreenerService.getPoolInfo(prediction.token, prediction.contract_address);
+    return pool?.priceUsd > 0 ? pool.priceUsd : null;
+  }
+}
+
+PredictionVerifier.HORIZONS = HORIZONS;
+PredictionVerifier.PRIMARY_HORIZON = PRIMARY_HORIZON;
+
+module.exports = PredictionVerifier;
@@ -0,0 +1,173 @@
+/**
+ * ReplayHarness — Offline Historical Replay
+ *
+ * Feeds recorded market snapshots through the full
+ * think → monitorPositions → exitPosition → _verify loop against a
+ * simulated clock. Same input always produces the same report, so rule
+ * changes to DataDrivenCognition / ControlSystem can be regression-tested
+ * before they touch real capital.
+ *
+ * Input: JSONL file, one marketData snapshot per line
+ *   { timestamp, token_symbol, signal_type, market, derivatives, macro, onchain, risk }
+ *   timestamp — ISO string or epoch ms
+ */
+
+const fs = require('fs');
+const GaleonBrain = require('./GaleonBrain');
+const ExperienceStore = require('./ExperienceStore');
+const ConfidenceCalibrator = require('./ConfidenceCalibrator');
+const PredictionVerifier = require('./PredictionVerifier');
+const StageTimeline = require('./StageTimeline');
+const { LLMService } = require('../services/llm/LLMService');
+
+// PT live API is not available offline — replay runs without PT context
+const OFFLINE_PT_BRIDGE = { buildPromptContext: async () => null };
+
+class SimulatedClock {
+  constructor(start = 0) {
+    this.current = start;
+  }
+
+  now() { return this.current; }
+
+  advanceTo(ts) {
+    if (ts > this.current) this.current = ts;
+  }
+}
+
+class ReplayHarness {
+  /**
+   * @param {Object} options - { brainOptions, closeOpenAtEnd, llmFixtureDir }
+   *   llmFixtureDir: recorded LLM responses for the Thinker (LLM_FIXTURE_MODE=record); without fixtures replay is rules-only
+   */
+  constructor(options = {}) {
+    this.clock = new SimulatedClock();
+    // In-memory experience store — replays never write to the live experiences.json.
+    // No param hot reload, saved calibration or state persistence — replays run with whatever the caller passes.
+    this.brain = new GaleonBrain({
+      ptBridge: OFFLINE_PT_BRIDGE,
+      experienceStore: new ExperienceStore(null),
+      paramStore: null,
+      stateStore: null,
+      calibrator: new ConfidenceCalibrator(null),
+      stageTimeline: new StageTimeline(null),
+      // Thinker answers from recorded fixtures — never calls a live model
+      llm: new LLMService({ fixtureMode: 'replay', fixtureDir: options.llmFixtureDir }),
+      auditLog: null,
+      decisionLog: null,
+      shadowTrial: null,
+      bus: null,
+      learning: null,
+      // Realized prices come from the recorded snapshots, not live APIs
+      predictionVerifier: new PredictionVerifier({
+        now: () => this.clock.now(),
+        priceFetcher: async pred => this.latest[pred.token]?.market?.price || null
+      }),
+      ...options.brainOptions,
+      now: () => this.clock.now()
+    });
+    this.closeOpenAtEnd = options.closeOpenAtEnd !== false;
+
+    this.latest = {};
+    this.decisions = [];
+    this.exits = [];
+  }
+
+  /**
+   * Load snapshots from a JSONL file, sorted by timestamp (stable)
+   */
+  static loadSnapshots(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    const snapshots = [];
+
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      let snap;
+      try { snap = JSON.parse(line); }
+      catch (e) { throw new Error(`${file}:${i + 1} invalid JSON — ${e.message}`); }
+
+      if (!snap.token_symbol) throw new Error(`${file}:${i + 1} missing token_symbol`);
+      if (Number.isNaN(ReplayHarness._timestampOf(snap))) throw new Error(`${file}:${i + 1} missing or invalid timestamp`);
+      snapshots.push(snap);
+    });
+
+    return snapshots
+      .map((snap, i) => ({ snap, i }))
+      .sort((a, b) => ReplayHarness._timestampOf(a.snap) - ReplayHarness._timestampOf(b.snap) || a.i - b.i)
+      .map(x => x.snap);
+  }
+
+  static _timestampOf(snap) {
+    return typeof snap.timestamp === 'number' ? snap.timestamp : new Date(snap.timestamp).getTime();
+  }
+
+  /**
+   * Replay snapshots in order — exits are checked before each new think
+   * @param {Array} snapshots - marketData snapshots, sorted by timestamp
+   * @returns {Object} report
+   */
+  async run(snapshots) {
+    for (const snap of snapshots) {
+      this.clock.advanceTo(ReplayHarness._timestampOf(snap));
+      this.latest[snap.token_symbol] = snap;
+      const at = new Date(this.clock.now()).toISOString();
+
+      const exits = await this.brain.monitorPositions(async token => this.latest[token] || null);
+      exits.forEach(e => this.exits.push({ ...e, at }));
+
+      const result = await this.brain.think(snap);
+      this.decisions.push({
+        at, token: snap.token_symbol,
+        action: result.decision.action,
+        confidence: result.decision.confidence,
+        reason: result.decision.reason || null
+      });
+
+      // After think, so horizons due now see this snapshot's price and stage
+      await this.brain.verifyPredictions();
+    }
+
+    if (this.closeOpenAtEnd) this._closeOpenPositions();
+
+    return this.report();
+  }
+
+  /**
+   * Force-close positions still open at the end of the replay at their last seen price
+   */
+  _closeOpenPositions() {
+    const at = new Date(this.clock.now()).toISOString();
+    for (const pos of [...this.brain.positions]) {
+      const price = this.latest[pos.token]?.market?.price;
+      if (!price) continue;
+      const holdMinutes = (this.clock.now() - new Date(pos.entered_at).getTime()) / 60000;
+      this.exits.push({ ...this.brain.exitPosition(pos, price, 'replay end', holdMinutes), at });
+    }
+  }
+
+  report() {
+    const verifications = [...this.brain.verifications].reverse();
+    const wins = verifications.filter(v => v.correct);
+    const totalPnl = verifications.reduce((s, v) => s + v.pnl_pct, 0);
+
+    const byAction = {};
+    this.decisions.forEach(d => { byAction[d.action] = (byAction[d.action] || 0) + 1; });
+
+    return {
+      snapshots: this.decisions.length,
+      decisions_by_action: byAction,
+      trades: verifications.length,
+      win_rate: verifications.length > 0 ? Math.round(wins.length / verifications.length * 100) : 0,
+      avg_pnl_pct: verifications.length > 0 ? Math.round(totalPnl / verifications.length * 100) / 100 : 0,
+      total_pnl_pct: Math.round(totalPnl * 100) / 100,
+      open_positions: this.brain.positions.length,
+      stats: { ...this.brain.stats },
+      predictions: PredictionVerifier.summarize(this.brain.predictions),
+      exits: this.exits,
+      verifications,
+      decisions: this.decisions
+    };
+  }
+}
+
+module.exports = { ReplayHarness, SimulatedClock };
@@ -7,8 +7,8 @@
  * Open-source showcase version — bounds and adjustment logic redacted.
  */
 
-const fs = require('fs');
-const path = require('path');
+const WalkForwardValidator = require('./WalkForwardValidator');
+const ParamStore = require('./ParamStore');
 
 const PARAM_BOUNDS = {
   /* proprietary — min/max bounds for each tunable parameter */
@@ -17,9 +17,10 @@ const PARAM_BOUNDS = {
 class RuleEvolver {
   constructor(dataDir) {
     this.dataDir = dataDir;
-    this.paramsFile = path.join(dataDir, 'control-params.json');
+    this.paramStore = new ParamStore(dataDir);
     this.params = this._loadParams();
     this.history = { adjustments: [] };
+    this.validator = new WalkForwardValidator();
   }
 
   /**
@@ -47,42 +48,70 @@ class RuleEvolver {
    * Apply proposed adjustments with safety checks
    * - Overfitting protection: block same-direction adjustments after 3 consecutive
    * - Bounded optimization: all params clamped to safe ranges
+   * - Walk-forward gate: each change is re-scored on a held-out window of
+   *   verifications and applied only when accepted — a degraded out-of-sample
+   *   win rate or expectancy, or a held-out window too small to judge, blocks it
+   * @param {Array} adjustments - Proposed changes from analyzeAndPropose()
+   * @param {Array} verifications - Trade verifications to validate against
    */
-  applyAdjustments(adjustments) {
-    const applied = [];
-
-    for (const adj of adjustments) {
-      // Overfitting check: same direction 3x in a row → block
-      const recentSameParam = this.history.adjustments
-        .filter(h => h.param === adj.param)
-        .slice(-3);
-
-      if (recentSameParam.length >= 3) {
-        const allSameDir = recentSameParam.every(h =>
-          (h.new_value - h.old_value > 0) === (adj.delta > 0)
-        );
-        if (allSameDir) {
-          console.log(`[RuleEvolver] Blocked ${adj.param}: same direction 3x in a row (overfitting protection)`);
-          continue;
+  async applyAdjustments(adjustments, verifications = []) {
+    let applied = [], entries = [];
+
+    // Evaluated against the latest committed params; re-run if another writer commits first
+    const snapshot = await this.paramStore.update(params => {
+      applied = [];
+      entries = [];
+
+      for (const adj of adjustments) {
+        // Overfitting check: same direction 3x in a row → block
+        const recentSameParam = this.history.adjustments
+          .filter(h => h.param === adj.param && h.applied !== false)
+          .slice(-3);
+
+        if (recentSameParam.length >= 3) {
+          const allSameDir = recentSameParam.every(h =>
+            (h.new_value - h.old_value > 0) === (adj.delta > 0)
+          );
+          if (allSameDir) {
+            console.log(`[RuleEvolver] Blocked ${adj.param}: same direction 3x in a row (overfitting protection)`);
+            continue;
+          }
         }
-      }
 
-      // Apply with bounds
-      const oldVal = this.params[adj.param];
-      const newVal = this._applyBounded(adj.param, oldVal, adj.delta);
+        // Apply with bounds
+        const oldVal = params[adj.param];
+        const newVal = this._applyBounded(adj.param, oldVal, adj.delta);
+        if (newVal === oldVal) continue;
 
-      if (newVal !== oldVal) {
-        this.params[adj.param] = newVal;
-        this.history.adjustments.push({
+        // Walk-forward validation against the current params
+        const validation = verifications.length > 0
+          ? this.validator.validate(verifications, params, { ...params, [adj.param]: newVal })
+          : { verdict: 'insufficient_data', reason: 'no verifications supplied' };
+        const accepted = validation.verdict === 'accepted';
+
+        entries.push({
           timestamp: new Date().toISOString(),
           param: adj.param, old_value: oldVal, new_value: newVal,
-          reason: adj.reason
+          reason: adj.reason,
+          proposal: adj,
+          validation,
+          applied: accepted
         });
-        applied.push(adj);
+
+        if (!accepted) {
+          console.log(`[RuleEvolver] Not applied ${adj.param} ${oldVal} → ${newVal}: ${validation.verdict} — ${validation.reason} (walk-forward)`);
+          continue;
+        }
+
+        params[adj.param] = newVal;
+        applied.push({ ...adj, validation });
       }
-    }
 
-    if (applied.length > 0) this._saveParams();
+      return applied.length > 0 ? { params, report: { adjustments: applied } } : null;
+    }, 'rule_evolver');
+
+    this.history.adjustments.push(...entries);
+    this.params = snapshot ? { ...snapshot.params } : this._loadParams();
     return applied;
   }
 
@@ -93,28 +122,19 @@ class RuleEvolver {
   }
 
   _loadParams() {
-    try {
-      const data = JSON.parse(fs.readFileSync(this.paramsFile, 'utf8'));
-      return data.params || {};
-    } catch { return {}; }
-  }
-
-  _saveParams() {
-    const data = { params: this.params, updated_at: new Date().toISOString(), version: (this._loadVersion() + 1) };
-    fs.writeFileSync(this.paramsFile, JSON.stringify(data, null, 2));
-  }
-
-  _loadVersion() {
-    try { return JSON.parse(fs.readFileSync(this.paramsFile, 'utf8')).version || 0; } catch { return 0; }
+    return { ...this.paramStore.current().params };
   }
 
   getStatus() {
     return {
-      total_adjustments: this.history.adjustments.length,
+      total_adjustments: this.history.adjustments.filter(h => h.applied !== false).length,
+      rejected_adjustments: this.history.adjustments.filter(h => h.applied === false).length,
       current_params: this.params,
       last_adjustment: this.history.adjustments[this.history.adjustments.length - 1] || null
     };
   }
 }
 
+RuleEvolver.PARAM_BOUNDS = PARAM_BOUNDS;
+
 module.exports = RuleEvolver;
@@ -0,0 +1,321 @@
+/**
+ * ShadowTrial — A/B Testing of Control Parameters in Shadow Mode
+ *
+ * A candidate control-params set runs alongside the live one: every think()
+ * scores the same cognition with both through ControlSystem.decide(), only
+ * the live decision executes. Each pair is held until its horizon is due and
+ * then scored on the same realized price move, so both arms are judged on
+ * identical outcomes. compare() reports per-arm entries / win rate /
+ * expectancy and a paired test on the per-decision PnL difference;
+ * promote() commits the candidate through ParamStore.
+ *
+ * Files:
+ *   data/brain/shadow-trial.json        current trial (written by the API, read by the brain)
+ *   data/brain/shadow-<trial id>.jsonl  scored decision pairs (appended by the brain)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../config/dataDir');
+const ParamStore = require('./ParamStore');
+const PredictionVerifier = require('./PredictionVerifier');
+const RuleEvolver = require('./RuleEvolver');
+const { getParams } = require('./ControlSystem');
+
+const DEFAULT_DATA_DIR = dataPath('brain');
+const MIN_DISAGREEMENTS = 20;   // Decision pairs where the arms differ before a verdict is given
+const SIGNIFICANCE = 0.05;
+
+class ShadowTrial {
+  /**
+   * @param {string} dataDir
+   * @param {Object} options - { paramStore }
+   */
+  constructor(dataDir = DEFAULT_DATA_DIR, options = {}) {
+    this.dir = dataDir;
+    this.file = path.join(dataDir, 'shadow-trial.json');
+    this.paramStore = options.paramStore || new ParamStore(dataDir);
+    this.cached = null;
+    this.cachedMtime = null;
+  }
+
+  /**
+   * Current trial (any status), null if none was ever started
+   */
+  current() {
+    let mtime;
+    try { mtime = fs.statSync(this.file).mtimeMs; } catch { return null; }
+    if (mtime !== this.cachedMtime) {
+      try { this.cached = JSON.parse(fs.readFileSync(this.file, 'utf8')); } catch { this.cached = null; }
+      this.cachedMtime = mtime;
+    }
+    return this.cached;
+  }
+
+  /**
+   * Running trial, null if none — what think() checks on every call
+   */
+  active() {
+    const trial = this.current();
+    return trial?.status === 'running' ? trial : null;
+  }
+
+  /**
+   * Start a trial (replaces any running one)
+   * @param {Object} candidate
+   *   - params: candidate parameter set, or
+   *   - changes: overrides
+   *   - label, horizon (p1h / p4h / p24h, default p4h)
+   *   Either way the candidate is merged onto the current live params, so a
+   *   partial set never drops live params. Unknown keys, type changes and
+   *   values outside RuleEvolver's bounds throw with code SHADOW_INVALID_PARAMS.
+   */
+  start({ params, changes, label = null, horizon = PredictionVerifier.PRIMARY_HORIZON } = {}) {
+    if (!PredictionVerifier.HORIZONS[horizon]) {
+      const err = new Error(`horizon must be one of: ${Object.keys(PredictionVerifier.HORIZONS).join(', ')}`);
+      err.code = 'SHADOW_INVALID_HORIZON';
+      throw err;
+    }
+    if (!params && !changes) {
+      const err = new Error('params or changes is required');
+      err.code = 'SHADOW_NO_CANDIDATE';
+      throw err;
+    }
+
+    const live = this.paramStore.current();
+    const overrides = params || changes;
+    this._validate(overrides, live.params);
+
+    const previous = this.active();
+    if (previous) this._write({ ...previous, status: 'stopped', ended_at: new Date().toISOString(), end_reason: 'replaced' });
+
+    const trial = {
+      id: `shadow_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      status: 'running',
+      label,
+      horizon,
+      base_version: live.version,
+      params: { ...live.params, ...overrides },
+      started_at: new Date().toISOString(),
+      ended_at: null,
+      end_reason: null,
+      promoted_version: null
+    };
+    this._write(trial);
+    return trial;
+  }
+
+  stop(reason = null) {
+    const trial = this._requireActive();
+    const stopped = { ...trial, status: 'stopped', ended_at: new Date().toISOString(), end_reason: reason };
+    this._write(stopped);
+    return stopped;
+  }
+
+  /**
+   * Commit the candidate as the new live params version and end the trial
+   * @param {Object} options - { force, reason }
+   *   force: promote even if the verdict is not candidate_better (otherwise
+   *   throws with code SHADOW_NOT_BETTER) or live params changed since the
+   *   trial started (otherwise throws with code PARAM_VERSION_CONFLICT)
+   */
+  async promote({ force = false, reason = null } = {}) {
+    const trial = this._requireActive();
+    const comparison = this.compare(trial.id);
+    if (!force && comparison.verdict !== 'candidate_better') {
+      const err = new Error(`shadow trial verdict is ${comparison.verdict} — promote with force to override`);
+      err.code = 'SHADOW_NOT_BETTER';
+      err.comparison = comparison;
+      throw err;
+    }
+
+    const snapshot = await this.paramStore.commit(trial.params, {
+      source: 'shadow_promotion',
+      report: { trial_id: trial.id, label: trial.label, reason, comparison },
+      expectedVersion: force ? undefined : trial.base_version
+    });
+
+    const promoted = {
+      ...trial,
+      status: 'promoted',
+      ended_at: new Date().toISOString(),
+      end_reason: reason,
+      promoted_version: snapshot.version
+    };
+    this._write(promoted);
+    return { trial: promoted, snapshot, comparison };
+  }
+
+  /**
+   * Append a scored decision pair (brain process)
+   * @param {Object} observation - { trial_id, decision_id, token, created_at, return_pct, live: { action, ... }, shadow: { action, ... } }
+   */
+  recordOutcome(observation) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(this._observationsFile(observation.trial_id), JSON.stringify(observation) + '\n');
+    } catch (e) {
+      console.error(`[ShadowTrial] Write failed ${observation.decision_id}: ${e.message}`);
+    }
+  }
+
+  observations(trialId) {
+    try {
+      return fs.readFileSync(this._observationsFile(trialId), 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })
+        .filter(Boolean);
+    } catch { return []; }
+  }
+
+  /**
+   * Live vs candidate on the scored pairs of a trial
+   */
+  compare(trialId) {
+    return ShadowTrial.compareObservations(this.observations(trialId));
+  }
+
+  /**
+   * @returns {Object} { pairs, disagreements, live, shadow, difference, verdict, reason }
+   *   difference: paired test on shadow PnL − live PnL per decision (PnL = return if entered, else 0)
+   */
+  static compareObservations(observations) {
+    const arm = key => {
+      const taken = observations.filter(o => ShadowTrial.entered(o[key]?.action));
+      const wins = taken.filter(o => o.return_pct > 0).length;
+      const total = taken.reduce((s, o) => s + o.return_pct, 0);
+      return {
+        entries: taken.length,
+        wins,
+        win_rate: taken.length > 0 ? Math.round(wins / taken.length * 10000) / 100 : 0,
+        expectancy: taken.length > 0 ? Math.round(total / taken.length * 100) / 100 : 0,
+        total_return_pct: Math.round(total * 100) / 100
+      };
+    };
+
+    const diffs = observations.map(o => ShadowTrial.pnl(o.shadow, o.return_pct) - ShadowTrial.pnl(o.live, o.return_pct));
+    const disagreements = observations.filter(o => ShadowTrial.entered(o.live?.action) !== ShadowTrial.entered(o.shadow?.action)).length;
+    const difference = ShadowTrial.pairedTest(diffs);
+
+    let verdict, reason;
+    if (disagreements < MIN_DISAGREEMENTS) {
+      verdict = 'insufficient_data';
+      reason = `${disagreements}/${MIN_DISAGREEMENTS} decisions where the candidate would have acted differently`;
+    } else if (difference.p_value < SIGNIFICANCE) {
+      verdict = difference.mean > 0 ? 'candidate_better' : 'candidate_worse';
+      reason = `mean PnL difference ${difference.mean}% per decision (p=${difference.p_value})`;
+    } else {
+      verdict = 'no_significant_difference';
+      reason = `p=${difference.p_value} ≥ ${SIGNIFICANCE}`;
+    }
+
+    return {
+      pairs: observations.length,
+      disagreements,
+      live: arm('live'),
+      shadow: arm('shadow'),
+      difference,
+      verdict,
+      reason
+    };
+  }
+
+  static entered(action) {
+    return typeof action === 'string' && action.startsWith('enter');
+  }
+
+  static pnl(decision, returnPct) {
+    return ShadowTrial.entered(decision?.action) ? returnPct : 0;
+  }
+
+  /**
+   * Paired t-test on per-decision differences (normal approximation for the p-value)
+   * @returns {Object} { n, mean, std, t, p_value, ci95: [low, high] }
+   */
+  static pairedTest(diffs) {
+    const n = diffs.length;
+    if (n < 2) return { n, mean: n ? round4(diffs[0]) : 0, std: null, t: null, p_value: 1, ci95: null };
+
+    const mean = diffs.reduce((s, d) => s + d, 0) / n;
+    const variance = diffs.reduce((s, d) => s + (d - mean) ** 2, 0) / (n - 1);
+    const se = Math.sqrt(variance / n);
+    if (se === 0) {
+      return { n, mean: round4(mean), std: 0, t: null, p_value: mean === 0 ? 1 : 0, ci95: [round4(mean), round4(mean)] };
+    }
+
+    const t = mean / se;
+    return {
+      n,
+      mean: round4(mean),
+      std: round4(Math.sqrt(variance)),
+      t: round4(t),
+      p_value: round4(2 * (1 - normalCdf(Math.abs(t)))),
+      ci95: [round4(mean - 1.96 * se), round4(mean + 1.96 * se)]
+    };
+  }
+
+  // Candidate keys must be known params of the same type as live, numbers within bounds
+  _validate(overrides, liveParams) {
+    const errors = [];
+    const known = new Set([...Object.keys(getParams()), ...Object.keys(liveParams), ...Object.keys(RuleEvolver.PARAM_BOUNDS)]);
+
+    for (const [param, value] of Object.entries(overrides)) {
+      if (!known.has(param)) { errors.push(`unknown param ${param}`); continue; }
+      const current = liveParams[param];
+      if (current !== undefined && typeof value !== typeof current) {
+        errors.push(`${param} must be a ${typeof current}`);
+        continue;
+      }
+      if (typeof value === 'number') {
+        const bounds = RuleEvolver.PARAM_BOUNDS[param];
+        if (!Number.isFinite(value)) errors.push(`${param} must be finite`);
+        else if (bounds && (value < bounds.min || value > bounds.max)) {
+          errors.push(`${param} must be within [${bounds.min}, ${bounds.max}]`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      const err = new Error(`invalid candidate params: ${errors.join('; ')}`);
+      err.code = 'SHADOW_INVALID_PARAMS';
+      throw err;
+    }
+  }
+
+  _requireActive() {
+    const trial = this.active();
+    if (!trial) {
+      const err = new Error('No shadow trial is running');
+      err.code = 'SHADOW_NOT_RUNNING';
+      throw err;
+    }
+    return trial;
+  }
+
+  _observationsFile(trialId) {
+    return path.join(this.dir, `shadow-${trialId}.jsonl`);
+  }
+
+  _write(trial) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(trial, null, 2));
+    fs.renameSync(tmp, this.file);
+    this.cached = trial;
+    this.cachedMtime = fs.statSync(this.file).mtimeMs;
+  }
+}
+
+function round4(x) {
+  return Math.round(x * 10000) / 10000;
+}
+
+// Abramowitz–Stegun 7.1.26
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+module.exports = ShadowTrial;
@@ -0,0 +1,202 @@
+/**
+ * StageTimeline — Token Lifecycle Memory
+ *
+ * DataDrivenCognition labels a token's stage on every think with no memory of
+ * what came before. This records each stage transition per token with
+ * timestamps, and from the pooled history of all tokens derives an empirical
+ * transition matrix and dwell-time distribution per token kind (market-cap
+ * bucket) — e.g. "acceleration usually lasts ~40 min for micro caps, then
+ * 60% of the time goes to exhaustion". ControlSystem reads the per-token
+ * outlook from cognition.stage_context.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../config/dataDir');
+
+const DEFAULT_DATA_DIR = dataPath('brain');
+
+// Market-cap buckets (USD) used as "token kind"
+const KINDS = [
+  { kind: 'micro', max: 10e6 },
+  { kind: 'small', max: 100e6 },
+  { kind: 'mid', max: 1e9 },
+  { kind: 'large', max: Infinity }
+];
+
+class StageTimeline {
+  /**
+   * @param {string|null} dataDir - where stage-timeline.json lives; null = in-memory only (replay)
+   * @param {Object} options - { maxTransitions, minKindSamples }
+   *   minKindSamples: fewer transitions out of a stage than this for a kind → use the all-tokens model
+   */
+  constructor(dataDir = DEFAULT_DATA_DIR, options = {}) {
+    this.file = dataDir ? path.join(dataDir, 'stage-timeline.json') : null;
+    this.maxTransitions = options.maxTransitions || 200;
+    this.minKindSamples = options.minKindSamples || 5;
+    this.tokens = this._load();
+  }
+
+  /**
+   * Record the stage seen for a token — only a change of stage is a transition
+   * @returns {Object|null} the transition if one happened
+   */
+  observe(token, stage, at, kind = 'unknown') {
+    if (!token || !stage) return null;
+    const t = this.tokens[token];
+
+    if (!t) {
+      this.tokens[token] = { kind, current: { stage, since: new Date(at).toISOString() }, transitions: [] };
+      this._save();
+      return null;
+    }
+
+    if (kind !== 'unknown') t.kind = kind;
+    if (t.current.stage === stage) return null;
+
+    const since = new Date(t.current.since).getTime();
+    const transition = {
+      from: t.current.stage,
+      to: stage,
+      at: new Date(at).toISOString(),
+      dwell_minutes: Math.round((at - since) / 60000 * 10) / 10
+    };
+    t.transitions.push(transition);
+    if (t.transitions.length > this.maxTransitions) t.transitions = t.transitions.slice(-this.maxTransitions);
+    t.current = { stage, since: transition.at };
+    this._save();
+    return transition;
+  }
+
+  /**
+   * Bucket a token by market cap (falls back to FDV)
+   */
+  static classifyKind(marketData) {
+    const cap = parseFloat(marketData?.market?.market_cap ?? marketData?.market?.fdv);
+    if (!Number.isFinite(cap) || cap <= 0) return 'unknown';
+    return KINDS.find(k => cap < k.max).kind;
+  }
+
+  /**
+   * Empirical transition probabilities and dwell times per stage
+   * @param {string|null} kind - restrict to tokens of this kind; null = all tokens
+   * @returns {Object} { [stage]: { samples, next: { [stage]: prob }, dwell_minutes: { avg, median } } }
+   */
+  getModel(kind = null) {
+    const byStage = {};
+    for (const t of Object.values(this.tokens)) {
+      if (kind && t.kind !== kind) continue;
+      for (const tr of t.transitions) {
+        const s = byStage[tr.from] || (byStage[tr.from] = { next: {}, dwells: [] });
+        s.next[tr.to] = (s.next[tr.to] || 0) + 1;
+        s.dwells.push(tr.dwell_minutes);
+      }
+    }
+
+    const model = {};
+    for (const [stage, s] of Object.entries(byStage)) {
+      const n = s.dwells.length;
+      const sorted = [...s.dwells].sort((a, b) => a - b);
+      const next = {};
+      for (const [to, count] of Object.entries(s.next)) next[to] = Math.round(count / n * 1000) / 1000;
+      model[stage] = {
+        samples: n,
+        next,
+        dwell_minutes: {
+          avg: Math.round(s.dwells.reduce((a, b) => a + b, 0) / n * 10) / 10,
+          median: n % 2 ? sorted[(n - 1) / 2] : Math.round((sorted[n / 2 - 1] + sorted[n / 2]) / 2 * 10) / 10
+        }
+      };
+    }
+    return model;
+  }
+
+  /**
+   * Where a token is in its current stage relative to history
+   * @returns {Object|null} { stage, since, elapsed_minutes, kind, model_kind, samples,
+   *   expected_dwell_minutes, dwell_progress, next_stage_probs, most_likely_next }
+   */
+  getOutlook(token, now) {
+    const t = this.tokens[token];
+    if (!t) return null;
+
+    const stage = t.current.stage;
+    const kindStats = t.kind !== 'unknown' ? this.getModel(t.kind)[stage] : null;
+    const useKind = kindStats && kindStats.samples >= this.minKindSamples;
+    const stats = useKind ? kindStats : this.getModel()[stage];
+
+    const elapsed = Math.round((now - new Date(t.current.since).getTime()) / 60000 * 10) / 10;
+    const expected = stats?.dwell_minutes.median ?? null;
+    const next = stats?.next || {};
+    const mostLikely = Object.entries(next).sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      stage,
+      since: t.current.since,
+      elapsed_minutes: elapsed,
+      kind: t.kind,
+      model_kind: useKind ? t.kind : 'all',
+      samples: stats?.samples || 0,
+      expected_dwell_minutes: expected,
+      dwell_progress: expected > 0 ? Math.round(elapsed / expected * 100) / 100 : null,
+      next_stage_probs: next,
+      most_likely_next: mostLikely ? mostLikely[0] : null
+    };
+  }
+
+  /**
+   * Stage a token was in at a given time, null if it wasn't tracked yet
+   * (or the transition has aged out of maxTransitions)
+   */
+  stageAt(token, at) {
+    const t = this.tokens[token];
+    if (!t) return null;
+
+    const time = new Date(at).getTime();
+    if (time >= new Date(t.current.since).getTime()) return t.current.stage;
+    for (let i = t.transitions.length - 1; i >= 0; i--) {
+      if (new Date(t.transitions[i].at).getTime() <= time) return t.transitions[i].to;
+    }
+    return null;
+  }
+
+  /**
+   * Full recorded lifecycle of one token
+   */
+  getTimeline(token) {
+    const t = this.tokens[token];
+    return t ? { token, ...t } : null;
+  }
+
+  listTokens() {
+    return Object.entries(this.tokens).map(([token, t]) => ({
+      token,
+      kind: t.kind,
+      stage: t.current.stage,
+      since: t.current.since,
+      transitions: t.transitions.length
+    }));
+  }
+
+  _load() {
+    if (!this.file) return {};
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return data.tokens && typeof data.tokens === 'object' ? data.tokens : {};
+    } catch { return {}; }
+  }
+
+  _save() {
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ tokens: this.tokens, updated_at: new Date().toISOString() }, null, 2));
+    } catch (e) {
+      console.error(`[StageTimeline] Save failed: ${e.message}`);
+    }
+  }
+}
+
+StageTimeline.KINDS = KINDS.map(k => k.kind);
+
+module.exports = StageTimeline;
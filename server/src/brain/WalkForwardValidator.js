@@ -0,0 +1,86 @@
+/**
+ * WalkForwardValidator — Out-of-Sample Gate for Parameter Changes
+ *
+ * Re-scores a proposed control-params change on past verifications:
+ * older trades form the in-sample (train) window, newer trades the
+ * held-out (test) window. Each trade is replayed through
+ * ControlSystem.decide() with baseline and candidate params; a change that
+ * degrades out-of-sample win rate or expectancy is rejected.
+ */
+
+const { ControlSystem } = require('./ControlSystem');
+
+class WalkForwardValidator {
+  /**
+   * @param {Object} options - { holdoutRatio, minTestTrades, winRateTolerance, expectancyTolerance }
+   */
+  constructor(options = {}) {
+    this.holdoutRatio = options.holdoutRatio || 0.3;
+    this.minTestTrades = options.minTestTrades || 10;
+    this.winRateTolerance = options.winRateTolerance || 0;       // percentage points
+    this.expectancyTolerance = options.expectancyTolerance || 0; // pnl % per trade
+  }
+
+  /**
+   * Chronological split — train on older trades, test on newer ones
+   */
+  split(verifications) {
+    const sorted = [...verifications].sort((a, b) =>
+      new Date(a.verified_at || 0).getTime() - new Date(b.verified_at || 0).getTime()
+    );
+    const cut = Math.floor(sorted.length * (1 - this.holdoutRatio));
+    return { train: sorted.slice(0, cut), test: sorted.slice(cut) };
+  }
+
+  /**
+   * Replay trades through ControlSystem with a parameter set
+   * @returns {Object} { trades, wins, win_rate, expectancy } for the trades the params would have taken
+   */
+  score(verifications, params) {
+    const taken = verifications.filter(v => {
+      const marketData = v.market_at_entry || { signal_type: v.signal_type };
+      const cognition = v.cognition_at_entry || { token_stage: v.entry_stage, confidence: v.entry_confidence };
+      const decision = ControlSystem.decide(marketData, cognition, params);
+      return decision.action?.startsWith('enter');
+    });
+
+    const wins = taken.filter(v => v.correct).length;
+    const totalPnl = taken.reduce((s, v) => s + (v.pnl_pct || 0), 0);
+
+    return {
+      trades: taken.length,
+      wins,
+      win_rate: taken.length > 0 ? Math.round(wins / taken.length * 10000) / 100 : 0,
+      expectancy: taken.length > 0 ? Math.round(totalPnl / taken.length * 100) / 100 : 0
+    };
+  }
+
+  /**
+   * Validate a candidate parameter set against the baseline
+   * @returns {Object} { in_sample, out_of_sample, verdict: accepted|rejected|insufficient_data, reason }
+   */
+  validate(verifications, baseParams, candidateParams) {
+    const { train, test } = this.split(verifications);
+
+    const inSample = { baseline: this.score(train, baseParams), candidate: this.score(train, candidateParams) };
+    const outOfSample = { baseline: this.score(test, baseParams), candidate: this.score(test, candidateParams) };
+    const result = { train_size: train.length, test_size: test.length, in_sample: inSample, out_of_sample: outOfSample };
+
+    const base = outOfSample.baseline, cand = outOfSample.candidate;
+    if (cand.trades < this.minTestTrades || base.trades < this.minTestTrades) {
+      return { ...result, verdict: 'insufficient_data', reason: `out-of-sample trades below ${this.minTestTrades} (baseline ${base.trades}, candidate ${cand.trades})` };
+    }
+
+    if (cand.win_rate < base.win_rate - this.winRateTolerance) {
+      return { ...result, verdict: 'rejected', reason: `out-of-sample win rate ${base.win_rate}% → ${cand.win_rate}%` };
+    }
+
+    if (cand.expectancy < base.expectancy - this.expectancyTolerance) {
+      return { ...result, verdict: 'rejected', reason: `out-of-sample expectancy ${base.expectancy}% → ${cand.expectancy}%` };
+    }
+
+    return { ...result, verdict: 'accepted', reason: 'out-of-sample metrics held' };
+  }
+}
+
+module.exports = WalkForwardValidator;
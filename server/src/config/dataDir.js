@@ -0,0 +1,22 @@
+/**
+ * 运行时数据目录
+ *
+ * brain 状态 / 参数版本、AgentBus 事件日志、LLM 审计日志和夹具都写在这里，不写进 src/
+ * 默认 server/data (已加入 .gitignore)
+ *
+ * 环境变量覆盖:
+ *   GALEON_DATA_DIR=/var/lib/galeon
+ */
+
+const path = require('path');
+
+const DATA_DIR = path.resolve(process.env.GALEON_DATA_DIR || path.join(__dirname, '..', '..', 'data'));
+
+/**
+ * 数据目录下的路径，如 dataPath('brain')
+ */
+function dataPath(...segments) {
+  return path.join(DATA_DIR, ...segments);
+}
+
+module.exports = { DATA_DIR, dataPath };
@@ -0,0 +1,62 @@
+/**
+ * LLM 调用方配置
+ *
+ * chain: 按顺序尝试的 provider:model，前一个不可用 / 超时 / 重试耗尽时切换到下一个
+ * 可用 provider: openai / anthropic / vertex / deepseek / mock (本地 mock server)
+ *
+ * 环境变量覆盖 (逗号分隔):
+ *   LLM_CHAIN_SIGNAL_ANALYZER=anthropic:claude-3-5-haiku-latest,deepseek:deepseek-chat
+ */
+
+module.exports = {
+  // 未配置的调用方使用默认配置
+  default: {
+    chain: ['openai:gpt-4o-mini', 'deepseek:deepseek-chat'],
+    timeoutMs: 30000,
+    retries: 1,
+    retryDelayMs: 1000,
+    maxTokens: 1000,
+    temperature: 0.7,
+    json: false
+  },
+
+  // LLMSignalAnalyzer — 跟单信号质量评分
+  signal_analyzer: {
+    chain: ['deepseek:deepseek-chat', 'openai:gpt-4o-mini'],
+    timeoutMs: 15000,
+    maxTokens: 500,
+    temperature: 0.2,
+    json: true
+  },
+
+  // GaleonBrain — 规则引擎无法判断时的 LLM 认知 (Thinker)
+  brain_thinker: {
+    chain: ['anthropic:claude-3-5-sonnet-latest', 'openai:gpt-4o', 'deepseek:deepseek-chat'],
+    timeoutMs: 20000,
+    maxTokens: 800,
+    temperature: 0.2,
+    json: true
+  },
+
+  // AlphaMarketAnalyzer — 信号 AI 推理文本
+  market_reasoning: {
+    chain: ['deepseek:deepseek-chat', 'openai:gpt-4o-mini'],
+    maxTokens: 500,
+    temperature: 0.7
+  },
+
+  // agentService — Agent 对话 (Function Calling 仅 OpenAI 兼容接口支持)
+  agent_chat: {
+    chain: ['openai:gpt-3.5-turbo', 'anthropic:claude-3-5-haiku-latest'],
+    maxTokens: 1000,
+    temperature: 0.7
+  },
+
+  // agentService — 关键词提取
+  agent_keywords: {
+    chain: ['openai:gpt-3.5-turbo', 'deepseek:deepseek-chat'],
+    timeoutMs: 15000,
+    maxTokens: 100,
+    temperature: 0
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * Agent Bus Controller
+ * 查询自动交易 Agent 事件总线 (持久化事件日志)
+ *
+ * API端点:
+ * - GET    /api/agent-bus/status                 Agent 状态 + 日志 offset + 订阅者游标/积压 + 监听器错误
+ * - GET    /api/agent-bus/events?from=&limit=&topic=  按 offset 读取历史事件 (topic 支持 * / # 通配)
+ *
+ * 与实时推送相同的可见范围: 公共 topic + payload.userId 为当前用户的事件
+ */
+
+const AgentBus = require('../autoTrade/core/AgentBus');
+const { EventSchemas } = require('../autoTrade/core/EventSchemas');
+
+/**
+ * GET /api/agent-bus/status
+ */
+exports.getStatus = async (req, res) => {
+  try {
+    res.json({ success: true, status: AgentBus.getStatus(req.userId) });
+  } catch (error) {
+    console.error('❌ Error getting agent bus status:', error);
+    res.status(500).json({ error: 'Failed to get agent bus status', details: error.message });
+  }
+};
+
+/**
+ * GET /api/agent-bus/events?from=1200&limit=100&topic=risk.block.#
+ * 从 from (含) 开始按 offset 顺序读取；不传 from 时返回最近 limit 条
+ */
+exports.getEvents = async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const from = req.query.from !== undefined ? parseInt(req.query.from, 10) : null;
+
+  if (from !== null && !Number.isInteger(from)) {
+    return res.status(400).json({ error: 'from must be an integer offset' });
+  }
+
+  try {
+    const { next_offset, first_offset } = AgentBus.log.getStatus();
+    const start = from ?? Math.max(first_offset, next_offset - limit);
+    const batch = AgentBus.readEvents(start, limit);
+    const events = batch.filter(e =>
+      AgentBus.schemas.isVisibleTo(e, req.userId) &&
+      (!req.query.topic || EventSchemas.matches(req.query.topic, e.event))
+    );
+
+    res.json({
+      success: true,
+      events,
+      first_offset,
+      next_offset,
+      // 继续读取时的 from
+      next_from: batch.length > 0 ? batch[batch.length - 1].offset + 1 : start
+    });
+  } catch (error) {
+    console.error('❌ Error reading agent bus events:', error);
+    res.status(500).json({ error: 'Failed to read agent bus events', details: error.message });
+  }
+};
@@ -0,0 +1,478 @@
+/**
+ * Brain Controller
+ * 处理 Galeon Brain 控制参数相关的API请求
+ *
+ * API端点:
+ * - GET    /api/brain/params                    当前参数 + 版本列表
+ * - GET    /api/brain/params/versions/:version  查看某个版本(含触发报告)
+ * - GET    /api/brain/params/diff?from=&to=     两个版本的参数差异
+ * - GET    /api/brain/params/journal            参数变更日志
+ * - POST   /api/brain/params/rollback           回滚到指定版本(立即生效)
+ * - GET    /api/brain/calibration               置信度校准曲线 + Brier/ECE 历史
+ * - GET    /api/brain/stages?kind=               代币阶段列表 + 阶段转移/停留时长模型
+ * - GET    /api/brain/stages/:token              单个代币的阶段时间线 + 当前阶段展望
+ * - GET    /api/brain/llm-audit                  LLM 审计日志 (?token=&from=&to=&decision_id=&source=)
+ * - GET    /api/brain/llm-audit/:id              单条 LLM 审计记录
+ * - POST   /api/brain/llm-audit/:id/replay       用另一个模型回放，对比决策变化
+ * - GET    /api/brain/decisions                  决策记录 + 规则 trace (?token=&action=&rule=&from=&to=)
+ * - GET    /api/brain/decisions/:id              单个决策的完整 trace
+ * - GET    /api/brain/shadow                     影子 A/B 实验: 当前候选参数 + 与实盘参数的对比统计
+ * - POST   /api/brain/shadow                     启动影子实验 (候选参数影子运行，不执行)
+ * - POST   /api/brain/shadow/stop                停止影子实验
+ * - POST   /api/brain/shadow/promote             一键把候选参数提交为新的实盘版本
+ */
+
+const ParamStore = require('../brain/ParamStore');
+const ConfidenceCalibrator = require('../brain/ConfidenceCalibrator');
+const StageTimeline = require('../brain/StageTimeline');
+const GaleonBrain = require('../brain/GaleonBrain');
+const DecisionLog = require('../brain/DecisionLog');
+const ShadowTrial = require('../brain/ShadowTrial');
+const LLMAuditLog = require('../services/llm/LLMAuditLog');
+const LLMService = require('../services/llm/LLMService');
+
+const paramStore = new ParamStore();
+const llmAuditLog = new LLMAuditLog();
+const decisionLog = new DecisionLog();
+const shadowTrial = new ShadowTrial(undefined, { paramStore });
+
+// 按调用方重新计算回放响应对决策的影响 (未列出的调用方只比较文本)
+// 使用原调用时的参数版本和记录下来的校准模型
+const REPLAY_INTERPRETERS = {
+  brain_thinker: (entry, text) => GaleonBrain.replayThinkerResponse(entry, text, { params: replayParams(entry) })
+};
+
+/**
+ * GET /api/brain/params
+ * 当前参数和全部历史版本
+ */
+exports.getParams = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      current: paramStore.current(),
+      versions: paramStore.list()
+    });
+  } catch (error) {
+    console.error('❌ Error getting brain params:', error);
+    res.status(500).json({ error: 'Failed to get brain params', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/params/versions/:version
+ * 查看某个参数版本的快照
+ */
+exports.getParamsVersion = async (req, res) => {
+  const version = parseInt(req.params.version, 10);
+
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({ error: 'version must be an integer' });
+  }
+
+  try {
+    const snapshot = paramStore.get(version);
+    if (!snapshot) {
+      return res.status(404).json({ error: `Params version ${version} not found` });
+    }
+
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    console.error('❌ Error getting params version:', error);
+    res.status(500).json({ error: 'Failed to get params version', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/params/diff?from=3&to=5
+ * 比较两个参数版本
+ */
+exports.diffParams = async (req, res) => {
+  const from = parseInt(req.query.from, 10);
+  const to = parseInt(req.query.to, 10);
+
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    return res.status(400).json({ error: 'from and to must be integers' });
+  }
+
+  try {
+    for (const version of [from, to]) {
+      if (!paramStore.get(version)) {
+        return res.status(404).json({ error: `Params version ${version} not found` });
+      }
+    }
+
+    const diff = paramStore.diff(from, to);
+    res.json({ success: true, diff });
+  } catch (error) {
+    console.error('❌ Error diffing params:', error);
+    res.status(500).json({ error: 'Failed to diff params', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/params/journal?limit=50
+ * 参数变更日志(每个版本谁改了什么)
+ */
+exports.getParamsJournal = async (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  try {
+    res.json({ success: true, journal: paramStore.journal(limit) });
+  } catch (error) {
+    console.error('❌ Error getting params journal:', error);
+    res.status(500).json({ error: 'Failed to get params journal', details: error.message });
+  }
+};
+
+/**
+ * POST /api/brain/params/rollback
+ * 回滚到指定版本 — 以新版本提交并立即推送到 ControlSystem
+ */
+exports.rollbackParams = async (req, res) => {
+  const { version, reason } = req.body;
+
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({ error: 'version is required' });
+  }
+
+  try {
+    if (!paramStore.get(version)) {
+      return res.status(404).json({ error: `Params version ${version} not found` });
+    }
+
+    const result = await paramStore.rollback(version, reason || null);
+
+    res.json({
+      success: true,
+      message: `Successfully rolled back to params version ${version}`,
+      result
+    });
+
+  } catch (error) {
+    console.error('❌ Error rolling back params:', error);
+    res.status(500).json({ error: 'Failed to rollback', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/calibration
+ * 置信度校准状态(每次拟合的 Brier score / ECE)
+ */
+exports.getCalibration = async (req, res) => {
+  try {
+    // 每次重新读取 calibration.json — 由 brain 进程的 BrainLearning 写入
+    const calibrator = new ConfidenceCalibrator();
+    res.json({ success: true, calibration: calibrator.getStatus() });
+  } catch (error) {
+    console.error('❌ Error getting calibration:', error);
+    res.status(500).json({ error: 'Failed to get calibration', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/stages?kind=micro
+ * 全部代币当前阶段 + 经验阶段转移概率和停留时长
+ */
+exports.getStageModel = async (req, res) => {
+  const kind = req.query.kind || null;
+
+  if (kind && !StageTimeline.KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of: ${StageTimeline.KINDS.join(', ')}` });
+  }
+
+  try {
+    // 每次重新读取 stage-timeline.json — 由 brain 进程写入
+    const timeline = new StageTimeline();
+    res.json({
+      success: true,
+      kind: kind || 'all',
+      model: timeline.getModel(kind),
+      tokens: timeline.listTokens()
+    });
+  } catch (error) {
+    console.error('❌ Error getting stage model:', error);
+    res.status(500).json({ error: 'Failed to get stage model', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/stages/:token
+ * 单个代币的阶段转移记录和当前阶段展望
+ */
+exports.getStageTimeline = async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const timeline = new StageTimeline();
+    const history = timeline.getTimeline(token);
+    if (!history) {
+      return res.status(404).json({ error: `No stage history for ${token}` });
+    }
+
+    res.json({
+      success: true,
+      timeline: history,
+      outlook: timeline.getOutlook(token, Date.now())
+    });
+  } catch (error) {
+    console.error('❌ Error getting stage timeline:', error);
+    res.status(500).json({ error: 'Failed to get stage timeline', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/llm-audit?token=BTC&from=2025-01-01&to=2025-01-02&decision_id=&source=GaleonBrain&limit=100
+ * 查询 LLM 审计日志 (新的在前)
+ */
+exports.getLLMAudit = async (req, res) => {
+  const { token, from, to, source, caller } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+
+  try {
+    const entries = llmAuditLog.query({
+      token,
+      from,
+      to,
+      source,
+      caller,
+      decisionId: req.query.decision_id,
+      includeReplays: req.query.include_replays === 'true',
+      limit
+    });
+    res.json({ success: true, count: entries.length, entries });
+  } catch (error) {
+    console.error('❌ Error querying LLM audit log:', error);
+    res.status(500).json({ error: 'Failed to query LLM audit log', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/llm-audit/:id
+ * 单条审计记录 (含完整提示词和原始响应)
+ */
+exports.getLLMAuditEntry = async (req, res) => {
+  try {
+    const entry = llmAuditLog.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: `LLM audit entry ${req.params.id} not found` });
+    }
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error('❌ Error getting LLM audit entry:', error);
+    res.status(500).json({ error: 'Failed to get LLM audit entry', details: error.message });
+  }
+};
+
+/**
+ * POST /api/brain/llm-audit/:id/replay
+ * Body: { chain: ['anthropic:claude-3-5-sonnet-latest'] } — 需运维 token，模型必须在 src/config/llm.js 中配置过
+ * 用另一个模型重跑同一提示词，按原调用时的参数版本和校准模型重新打分，返回原始 / 回放的解析结果、置信度和动作对比
+ */
+exports.replayLLMAudit = async (req, res) => {
+  const { chain } = req.body;
+
+  if (!Array.isArray(chain) || chain.length === 0 || !chain.every(c => typeof c === 'string' && c.includes(':'))) {
+    return res.status(400).json({ error: 'chain must be a non-empty array of "provider:model"' });
+  }
+  // 只允许 src/config/llm.js 中已配置的模型 (回放会产生真实的 LLM 调用费用)
+  const allowed = LLMService.configuredModels();
+  const unknown = chain.filter(c => !allowed.includes(c));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `chain contains models that are not configured: ${unknown.join(', ')}`, allowed });
+  }
+
+  try {
+    const entry = llmAuditLog.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: `LLM audit entry ${req.params.id} not found` });
+    }
+    if (entry.params_version && !paramStore.get(entry.params_version)) {
+      return res.status(404).json({ error: `Params version ${entry.params_version} used by this entry not found` });
+    }
+
+    const comparison = await llmAuditLog.replay(entry.id, {
+      chain,
+      interpret: REPLAY_INTERPRETERS[entry.caller]
+    });
+
+    res.json({ success: true, comparison });
+  } catch (error) {
+    console.error('❌ Error replaying LLM audit entry:', error);
+    res.status(500).json({ error: 'Failed to replay LLM call', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/decisions?token=BTC&action=wait&rule=gate.confidence_min&from=&to=&limit=100
+ * 决策记录 (新的在前)，每条带 ControlSystem 规则 trace 和 decisive_rule
+ * action=enter 同时匹配 enter_small / enter_full
+ */
+exports.getDecisions = async (req, res) => {
+  const { token, action, rule, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'from and to must be valid dates' });
+  }
+
+  try {
+    const decisions = decisionLog.query({ token, action, rule, from, to, limit });
+    res.json({ success: true, count: decisions.length, decisions });
+  } catch (error) {
+    console.error('❌ Error querying decisions:', error);
+    res.status(500).json({ error: 'Failed to query decisions', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/decisions/:id
+ * 单个决策 (含完整 trace)
+ */
+exports.getDecision = async (req, res) => {
+  try {
+    const decision = decisionLog.get(req.params.id);
+    if (!decision) {
+      return res.status(404).json({ error: `Decision ${req.params.id} not found` });
+    }
+
+    res.json({ success: true, decision });
+  } catch (error) {
+    console.error('❌ Error getting decision:', error);
+    res.status(500).json({ error: 'Failed to get decision', details: error.message });
+  }
+};
+
+/**
+ * GET /api/brain/shadow
+ * 当前影子实验 + 实盘 / 候选参数在相同结果上的对比 (配对检验)
+ */
+exports.getShadowTrial = async (req, res) => {
+  try {
+    const trial = shadowTrial.current();
+    if (!trial) {
+      return res.json({ success: true, trial: null, comparison: null });
+    }
+
+    res.json({
+      success: true,
+      trial,
+      diff: diffAgainstLive(trial.params),
+      comparison: shadowTrial.compare(trial.id)
+    });
+  } catch (error) {
+    console.error('❌ Error getting shadow trial:', error);
+    res.status(500).json({ error: 'Failed to get shadow trial', details: error.message });
+  }
+};
+
+/**
+ * POST /api/brain/shadow
+ * Body: { changes: { confidence_min: 0.6 } } 或 { params: {...完整参数} } 或 { version: 12 }，可选 label / horizon (p1h|p4h|p24h)
+ * 启动影子实验 (替换正在运行的实验)；候选参数合并到当前实盘参数之上，未知参数 / 越界值返回 400
+ */
+exports.startShadowTrial = async (req, res) => {
+  const { params, changes, version, label, horizon } = req.body;
+
+  if (version === undefined && !isPlainObject(params) && !isPlainObject(changes)) {
+    return res.status(400).json({ error: 'params, changes or version is required' });
+  }
+
+  try {
+    let candidate = params;
+    if (version !== undefined) {
+      const snapshot = Number.isInteger(version) ? paramStore.get(version) : null;
+      if (!snapshot) {
+        return res.status(404).json({ error: `Params version ${version} not found` });
+      }
+      candidate = snapshot.params;
+    }
+
+    const trial = shadowTrial.start({ params: candidate, changes, label, horizon });
+    res.json({
+      success: true,
+      message: `Shadow trial ${trial.id} started`,
+      trial,
+      diff: diffAgainstLive(trial.params)
+    });
+  } catch (error) {
+    if (error.code === 'SHADOW_INVALID_HORIZON' || error.code === 'SHADOW_INVALID_PARAMS') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error starting shadow trial:', error);
+    res.status(500).json({ error: 'Failed to start shadow trial', details: error.message });
+  }
+};
+
+/**
+ * POST /api/brain/shadow/stop
+ * Body: { reason }
+ */
+exports.stopShadowTrial = async (req, res) => {
+  try {
+    const trial = shadowTrial.stop(req.body.reason || null);
+    res.json({ success: true, trial, comparison: shadowTrial.compare(trial.id) });
+  } catch (error) {
+    if (error.code === 'SHADOW_NOT_RUNNING') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('❌ Error stopping shadow trial:', error);
+    res.status(500).json({ error: 'Failed to stop shadow trial', details: error.message });
+  }
+};
+
+/**
+ * POST /api/brain/shadow/promote
+ * Body: { reason, force }
+ * 候选参数提交为新版本并立即生效 (brain 进程热加载)；结论不是 candidate_better 或实验开始后实盘参数有变化时需 force
+ */
+exports.promoteShadowTrial = async (req, res) => {
+  const { reason, force } = req.body;
+
+  try {
+    const result = await shadowTrial.promote({ reason: reason || null, force: force === true });
+    res.json({
+      success: true,
+      message: `Promoted shadow trial ${result.trial.id} as params version ${result.snapshot.version}`,
+      ...result
+    });
+  } catch (error) {
+    if (error.code === 'SHADOW_NOT_RUNNING') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === 'PARAM_VERSION_CONFLICT') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'SHADOW_NOT_BETTER') {
+      return res.status(409).json({ error: error.message, code: error.code, comparison: error.comparison });
+    }
+    console.error('❌ Error promoting shadow trial:', error);
+    res.status(500).json({ error: 'Failed to promote shadow trial', details: error.message });
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 候选参数与当前实盘参数的差异 (同 ParamStore.diff 的格式)
+function diffAgainstLive(candidate) {
+  const live = paramStore.current().params;
+  return Object.keys({ ...live, ...candidate })
+    .filter(param => JSON.stringify(live[param]) !== JSON.stringify(candidate[param]))
+    .map(param => ({ param, live: live[param] ?? null, candidate: candidate[param] ?? null }));
+}
+
+// 审计记录对应的参数: v0 = 尚未提交过参数 (ControlSystem 默认值)，未记录版本的旧记录用当前参数
+// (版本不存在时 replayLLMAudit 已返回 404)
+function replayParams(entry) {
+  const version = entry.params_version;
+  if (version === 0) return null;
+  if (version === undefined || version === null) return paramStore.current().params;
+  return paramStore.get(version).params;
+}
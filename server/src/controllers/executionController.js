@@ -0,0 +1,62 @@
+/**
+ * Execution Controller
+ * 自动交易执行质量 (滑点 / 价格冲击 / Gas / 路由) 与批次成交质量
+ *
+ * API端点:
+ * - GET    /api/execution/quality?from=&to=&leg=entry|exit|all&chain=&paper=true|false
+ *                                              按 链 / DEX / 流动性等级 / 时段 (UTC 小时) 汇总的执行质量报告
+ * - GET    /api/execution/batches/:id/fill-quality  单个批次每批的 报价 vs 信号价 / 实际 vs 报价
+ */
+
+const ExecutionQuality = require('../autoTrade/ExecutionQuality');
+const BatchExecutor = require('../autoTrade/BatchExecutor');
+
+const LEGS = ['entry', 'exit', 'all'];
+
+/**
+ * GET /api/execution/quality?from=2026-10-01&leg=exit&chain=BSC
+ * 默认最近 30 天、入场 + 出场、实盘 (paper=true 查看模拟盘)
+ */
+exports.getQualityReport = async (req, res) => {
+  const { from, to, chain } = req.query;
+  const leg = req.query.leg || 'all';
+
+  if (!LEGS.includes(leg)) {
+    return res.status(400).json({ error: `leg must be one of: ${LEGS.join(', ')}` });
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a date` });
+    }
+  }
+
+  try {
+    const report = await ExecutionQuality.getReport({
+      from,
+      to,
+      leg,
+      chain,
+      paper: req.query.paper === 'true'
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('❌ Error building execution quality report:', error);
+    res.status(500).json({ error: 'Failed to build execution quality report', details: error.message });
+  }
+};
+
+/**
+ * GET /api/execution/batches/:id/fill-quality
+ */
+exports.getBatchFillQuality = async (req, res) => {
+  try {
+    const quality = await BatchExecutor.getFillQuality(req.params.id);
+    if (!quality) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json({ success: true, quality });
+  } catch (error) {
+    console.error('❌ Error getting batch fill quality:', error);
+    res.status(500).json({ error: 'Failed to get batch fill quality', details: error.message });
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Metrics Controller
+ * Prometheus 抓取端点 (Agent 决策 / 错误 / 交易 / 出场 / 限流等待 / 耗时直方图 / AgentBus / 健康状态)
+ *
+ * API端点:
+ * - GET    /metrics    Prometheus 文本格式；需带 Authorization: Bearer <METRICS_TOKEN>，未配置 METRICS_TOKEN 时拒绝抓取
+ */
+
+const Metrics = require('../autoTrade/core/Metrics');
+// 加载 AgentBus 以注册其抓取时指标
+require('../autoTrade/core/AgentBus');
+
+/**
+ * GET /metrics
+ */
+exports.getMetrics = async (req, res) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Metrics token not configured' });
+  }
+  if (req.header('Authorization') !== `Bearer ${expected}`) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(Metrics.render());
+  } catch (error) {
+    console.error('❌ Error rendering metrics:', error);
+    res.status(500).json({ error: 'Failed to render metrics', details: error.message });
+  }
+};
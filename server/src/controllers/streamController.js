@@ -0,0 +1,43 @@
+/**
+ * Stream Controller
+ * AgentBus 实时事件推送 (SSE)；WebSocket 由 EventStreamService.attach() 直接挂在 HTTP server 上
+ *
+ * API端点:
+ * - GET    /api/stream/events?token=&topics=&scope=&from=   SSE 事件流 (token 走 query，EventSource 不能带请求头)
+ * - GET    /api/stream/status                               当前连接数 / 投递统计 + 自己的连接
+ */
+
+const EventStreamService = require('../services/EventStreamService');
+
+/**
+ * GET /api/stream/events?token=<jwt>&topics=alpha.#,position.#&scope=mine
+ */
+exports.streamEvents = async (req, res) => {
+  let userId;
+  try {
+    userId = EventStreamService.authenticate(req.query.token || req.header('Authorization')?.replace('Bearer ', ''));
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
+
+  try {
+    EventStreamService.openSSE(req, res, userId);
+  } catch (error) {
+    console.error('❌ Error opening event stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open event stream', details: error.message });
+    }
+  }
+};
+
+/**
+ * GET /api/stream/status
+ */
+exports.getStatus = async (req, res) => {
+  try {
+    res.json({ success: true, status: EventStreamService.getStatus(req.userId) });
+  } catch (error) {
+    console.error('❌ Error getting stream status:', error);
+    res.status(500).json({ error: 'Failed to get stream status', details: error.message });
+  }
+};
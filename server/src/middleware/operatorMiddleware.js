@@ -0,0 +1,16 @@
+// 运维操作 (参数回滚、LLM 审计回放、影子实验启动 / 停止 / 上线) 只允许持有运维 token 的调用方
+// 未配置 BRAIN_OPERATOR_TOKEN 时全部拒绝
+const operatorMiddleware = (req, res, next) => {
+  const expected = process.env.BRAIN_OPERATOR_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Operator token not configured' });
+  }
+
+  if (req.header('X-Operator-Token') !== expected) {
+    return res.status(403).json({ error: 'Operator token required' });
+  }
+
+  next();
+};
+
+module.exports = operatorMiddleware;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const agentBusController = require('../controllers/agentBusController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+router.get('/status', agentBusController.getStatus);
+router.get('/events', agentBusController.getEvents);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const brainController = require('../controllers/brainController');
+const authMiddleware = require('../middleware/authMiddleware');
+const operatorMiddleware = require('../middleware/operatorMiddleware');
+
+router.use(authMiddleware);
+
+router.get('/params', brainController.getParams);
+router.get('/params/versions/:version', brainController.getParamsVersion);
+router.get('/params/diff', brainController.diffParams);
+router.get('/params/journal', brainController.getParamsJournal);
+router.get('/calibration', brainController.getCalibration);
+router.get('/stages', brainController.getStageModel);
+router.get('/stages/:token', brainController.getStageTimeline);
+router.get('/llm-audit', brainController.getLLMAudit);
+router.get('/llm-audit/:id', brainController.getLLMAuditEntry);
+router.get('/decisions', brainController.getDecisions);
+router.get('/decisions/:id', brainController.getDecision);
+router.get('/shadow', brainController.getShadowTrial);
+// 改变实盘决策 / 产生 LLM 调用费用的操作需额外的运维 token (X-Operator-Token)
+router.post('/llm-audit/:id/replay', operatorMiddleware, brainController.replayLLMAudit);
+router.post('/params/rollback', operatorMiddleware, brainController.rollbackParams);
+router.post('/shadow', operatorMiddleware, brainController.startShadowTrial);
+router.post('/shadow/stop', operatorMiddleware, brainController.stopShadowTrial);
+router.post('/shadow/promote', operatorMiddleware, brainController.promoteShadowTrial);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const executionController = require('../controllers/executionController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+router.get('/quality', executionController.getQualityReport);
+router.get('/batches/:id/fill-quality', executionController.getBatchFillQuality);
+
+module.exports = router;
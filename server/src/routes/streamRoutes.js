@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const streamController = require('../controllers/streamController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// SSE 自己校验 ?token= (EventSource 不能带 Authorization 头)
+router.get('/events', streamController.streamEvents);
+
+router.get('/status', authMiddleware, streamController.getStatus);
+
+module.exports = router;
@@ -19,9 +19,11 @@
 const BinanceAlphaService = require('./BinanceAlphaService');
 const DatabaseService = require('./databaseService');
 const UUID = require('uuid');
-const DeepSeekService = require('./deepseekService');
+const LLMService = require('./llm/LLMService');
+const LLMAuditLog = require('./llm/LLMAuditLog');
 const SignalAuditService = require('./SignalAuditService');
 const AutoTradeService = require('./autoTrade/AutoTradeService');
+const AgentBus = require('./autoTrade/core/AgentBus');
 const KnowledgeProviderFactory = require('./knowledge/KnowledgeProviderFactory');
 
 class AlphaMarketAnalyzer {
@@ -63,6 +65,9 @@ class AlphaMarketAnalyzer {
     this.enableHistoricalLearning = true;
     this.enableDynamicWeights = true; // 启用动态权重学习
 
+    // LLM 审计日志（提示词 / 响应 / 对信号的影响，按 signalId 查询）
+    this.llmAuditLog = new LLMAuditLog();
+
     console.log('✅ AlphaMarketAnalyzer initialized');
     console.log(`   🤖 AI Enhanced: ${this.enableAI ? 'ON' : 'OFF'}`);
     console.log(`   📚 Historical Learning: ${this.enableHistoricalLearning ? 'ON' : 'OFF'}`);
@@ -437,12 +442,16 @@ class AlphaMarketAnalyzer {
         console.log(`   📈 Confidence: ${confidence}% → ${adjustedConfidence}% (${confidenceAdjustment > 0 ? '+' : ''}${confidenceAdjustment})`);
       }
 
-      // 8. 生成推理（AI增强或传统方式）- 包含知识见解
-      const reasoning = await this.generateReasoningWithAI(scores, data, signalType, symbol, [], knowledgeInsight);
+      // 8. 生成推理（AI增强或传统方式）- 包含知识见解，按信号 id 记录 LLM 审计
+      const signalId = this.generateSignalId(symbol);
+      const reasoning = await this.generateReasoningWithAI(scores, data, signalType, symbol, [], knowledgeInsight, {
+        decisionId: signalId,
+        confidence: adjustedConfidence
+      });
 
       // 9. Build signal object with FLock insights
       const signal = {
-        signalId: this.generateSignalId(symbol),
+        signalId,
         tokenSymbol: symbol,
         contractAddress: data.contractAddress || null,
         signalType,
@@ -504,6 +513,19 @@ class AlphaMarketAnalyzer {
       // 9. 保存到数据库
       await this.saveSignal(signal);
 
+      // 推送给前端实时订阅 (alpha.signal.created)
+      AgentBus.publish('Alpha Market Analyzer', 'alpha.signal.created', {
+        signalId,
+        tokenSymbol: symbol,
+        signalType,
+        confidence: signal.confidence,
+        riskLevel: signal.riskLevel,
+        currentPrice: Number.isFinite(signal.currentPrice) ? signal.currentPrice : null,
+        status: signal.status,
+        createdAt: signal.createdAt.toISOString(),
+        expiresAt: signal.expiresAt.toISOString()
+      });
+
       // 显示信号信息（包括 NEUTRAL）
       const signalEmoji = signalType === 'LONG' ? '📈' : signalType === 'SHORT' ? '📉' :
                           signalType === 'BUY' ? '💰' : signalType === 'SELL' ? '💸' : '⚖️';
@@ -2215,11 +2237,12 @@ class AlphaMarketAnalyzer {
 
   /**
    * AI增强推理生成
-   * 结合技术分析 + 历史知识 + DeepSeek AI
+   * 结合技术分析 + 历史知识 + LLM (模型 / fallback 链见 src/config/llm.js market_reasoning)
+   * @param {Object} audit - { decisionId, confidence } 传入时记录 LLM 审计日志
    */
-  async generateReasoningWithAI(scores, data, signalType, symbol, historicalCases = [], knowledgeInsight = null) {
+  async generateReasoningWithAI(scores, data, signalType, symbol, historicalCases = [], knowledgeInsight = null, audit = null) {
     // 如果AI未启用，使用传统方式
-    if (!this.enableAI || !DeepSeekService.isAvailable) {
+    if (!this.enableAI || !LLMService.isAvailable('market_reasoning')) {
       // 即使不使用AI，也可以附加知识见解
       let reasoning = this.generateReasoning(scores, data, signalType);
       if (knowledgeInsight) {
@@ -2240,21 +2263,27 @@ class AlphaMarketAnalyzer {
       // 3. 构建AI提示词（包含新的知识见解）
       const prompt = this.buildAIPrompt(symbol, signalType, technicalSummary, historicalSummary, knowledgeInsight);
 
-      // 4. 调用DeepSeek AI
-      const aiReasoning = await DeepSeekService.createChatCompletion(
-        [
-          {
-            role: 'system',
-            content: 'You are a professional cryptocurrency trading analyst specializing in technical analysis and market forecasting. Based on the provided technical indicators and historical data, provide concise and professional trading analysis. IMPORTANT: Always respond in English only, never use Chinese or other languages.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        'deepseek-chat',
-        500 // 限制500 tokens，保持简洁
-      );
+      // 4. 调用LLM
+      const messages = [
+        {
+          role: 'system',
+          content: 'You are a professional cryptocurrency trading analyst specializing in technical analysis and market forecasting. Based on the provided technical indicators and historical data, provide concise and professional trading analysis. IMPORTANT: Always respond in English only, never use Chinese or other languages.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ];
+
+      let response;
+      try {
+        response = await LLMService.complete('market_reasoning', messages);
+      } catch (error) {
+        if (audit) this.auditReasoning(audit, symbol, signalType, messages, null, error);
+        throw error;
+      }
+      if (audit) this.auditReasoning(audit, symbol, signalType, messages, response);
+      const aiReasoning = response.text;
 
       console.log(`   ✅ AI reasoning generated (${aiReasoning.length} chars)`);
 
@@ -2267,6 +2296,23 @@ class AlphaMarketAnalyzer {
     }
   }
 
+  /**
+   * 记录 AI 推理的 LLM 审计 (推理文本不改变置信度，effect 记录生成时的置信度)
+   */
+  auditReasoning(audit, symbol, signalType, messages, response, error = null) {
+    this.llmAuditLog.record({
+      decision_id: audit.decisionId,
+      source: 'AlphaMarketAnalyzer',
+      caller: 'market_reasoning',
+      token: symbol,
+      request: { messages },
+      response: LLMAuditLog.summarizeResponse(response),
+      error: error ? error.message : null,
+      parsed: response ? { reasoning: response.text } : null,
+      effect: { confidence: audit.confidence, confidence_delta: 0, signal_type: signalType, used_ai: !!response }
+    });
+  }
+
   /**
    * 构建技术分析摘要
    */
@@ -0,0 +1,273 @@
+/**
+ * 实时事件推送 (WebSocket + SSE)
+ * 功能:
+ * 1. 把 AgentBus 事件 (alpha 信号 / 持仓更新 / 大脑决策 / 风控 / 交易) 推送给前端
+ * 2. JWT 鉴权 (?token=，浏览器 WebSocket / EventSource 不能带 Authorization 头)
+ * 3. 按 topic pattern 过滤 (* 一段 / # 多段)，按用户过滤:
+ *    公共 topic (EventSchemas.PUBLIC_TOPICS) 推给所有连接，其余只推给 payload.userId 对应的用户
+ *    scope=mine 时只推当前用户自己的事件
+ * 4. 断线续传: 带上最后收到的 offset (WS: ?from=，SSE: Last-Event-ID) 从持久化日志补发
+ *
+ * 连接:
+ *   WebSocket  ws(s)://<host>/api/stream?token=&topics=alpha.#,position.#&scope=all|mine&from=
+ *     服务端 → { type: 'ready' | 'event' | 'error' | 'pong', ... }
+ *     客户端 → { type: 'subscribe', topics: [...], scope } 修改订阅 / { type: 'ping' }
+ *   SSE        GET /api/stream/events?token=&topics=&scope=&from=
+ */
+
+const jwt = require('jsonwebtoken');
+const AgentBus = require('../autoTrade/core/AgentBus');
+const EventSchemas = require('../autoTrade/core/EventSchemas');
+const Metrics = require('../autoTrade/core/Metrics');
+const { matches } = EventSchemas.EventSchemas;
+
+const WS_PATH = '/api/stream';
+const HEARTBEAT_MS = 25000;
+const MAX_BUFFERED_BYTES = 1024 * 1024;   // 客户端读不动时断开，避免内存堆积
+const MAX_BACKFILL = 1000;                // 续传最多补发多少条
+
+class EventStreamService {
+  constructor() {
+    this.clients = new Set();
+    this.wss = null;
+    this.unlisten = null;
+    this.heartbeat = null;
+    this.stats = { connected: 0, delivered: 0, dropped: 0, rejected: 0 };
+
+    Metrics.collect(() => [{
+      name: 'galeon_stream_clients',
+      help: 'Open dashboard stream connections',
+      type: 'gauge',
+      samples: ['ws', 'sse'].map(transport => ({
+        labels: { transport },
+        value: [...this.clients].filter(c => c.transport === transport).length
+      }))
+    }]);
+  }
+
+  /**
+   * 挂到 HTTP server 上 (server.js 启动时调用)
+   */
+  attach(server) {
+    const { WebSocketServer } = require('ws');
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== WS_PATH) return;
+
+      let userId;
+      try {
+        userId = this.authenticate(url.searchParams.get('token'));
+      } catch (error) {
+        this.stats.rejected++;
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, ws => this._acceptWebSocket(ws, userId, url.searchParams));
+    });
+
+    this._listen();
+    console.log(`[EventStream] WebSocket listening on ${WS_PATH}`);
+  }
+
+  /**
+   * 校验 JWT，返回 userId (与 authMiddleware 相同的密钥和字段)
+   */
+  authenticate(token) {
+    if (!token) {
+      const err = new Error('No token provided');
+      err.code = 'STREAM_UNAUTHORIZED';
+      throw err;
+    }
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET).id;
+    } catch (error) {
+      const err = new Error('Token is not valid');
+      err.code = 'STREAM_UNAUTHORIZED';
+      throw err;
+    }
+  }
+
+  /**
+   * SSE 连接 (streamController 鉴权后调用)
+   */
+  openSSE(req, res, userId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'     // nginx 不缓冲
+    });
+
+    const lastEventId = req.header('Last-Event-ID');
+    const from = lastEventId ? parseInt(lastEventId, 10) + 1 : EventStreamService.parseOffset(req.query.from);
+
+    const client = this._addClient({
+      transport: 'sse',
+      userId,
+      topics: EventStreamService.parseTopics(req.query.topics),
+      scope: req.query.scope === 'mine' ? 'mine' : 'all',
+      send: message => {
+        if (message.type === 'event') {
+          const id = message.event.offset !== null ? `id: ${message.event.offset}\n` : '';
+          res.write(`${id}event: ${message.event.event}\ndata: ${JSON.stringify(message.event)}\n\n`);
+        } else {
+          res.write(`event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+        }
+      },
+      ping: () => res.write(': ping\n\n'),
+      close: () => res.end()
+    });
+
+    req.on('close', () => this._removeClient(client));
+    this._ready(client, from);
+  }
+
+  _acceptWebSocket(ws, userId, params) {
+    const client = this._addClient({
+      transport: 'ws',
+      userId,
+      topics: EventStreamService.parseTopics(params.get('topics')),
+      scope: params.get('scope') === 'mine' ? 'mine' : 'all',
+      send: message => {
+        if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+          this.stats.dropped++;
+          ws.terminate();
+          return;
+        }
+        ws.send(JSON.stringify(message));
+      },
+      ping: () => {
+        if (!client.alive) return ws.terminate();
+        client.alive = false;
+        ws.ping();
+      },
+      close: () => ws.close()
+    });
+    client.alive = true;
+
+    ws.on('pong', () => { client.alive = true; });
+    ws.on('close', () => this._removeClient(client));
+    ws.on('error', () => this._removeClient(client));
+    ws.on('message', data => {
+      let message;
+      try { message = JSON.parse(data.toString()); }
+      catch { return client.send({ type: 'error', error: 'Invalid JSON message' }); }
+
+      if (message.type === 'ping') {
+        client.send({ type: 'pong' });
+      } else if (message.type === 'subscribe') {
+        client.topics = EventStreamService.parseTopics(message.topics);
+        if (message.scope) client.scope = message.scope === 'mine' ? 'mine' : 'all';
+        client.send({ type: 'subscribed', topics: client.topics, scope: client.scope });
+      }
+    });
+
+    this._ready(client, EventStreamService.parseOffset(params.get('from')));
+  }
+
+  _addClient(client) {
+    this.clients.add(client);
+    this.stats.connected++;
+    this._listen();
+    return client;
+  }
+
+  _removeClient(client) {
+    this.clients.delete(client);
+  }
+
+  /**
+   * 连接建立: 先补发 from 之后的历史事件，再发 ready
+   */
+  _ready(client, from) {
+    const { next_offset, first_offset } = AgentBus.log.getStatus();
+    let backfilled = 0;
+
+    if (from !== null && from < next_offset) {
+      const start = Math.max(from, first_offset, next_offset - MAX_BACKFILL);
+      for (const event of AgentBus.readEvents(start, MAX_BACKFILL)) {
+        if (this._visible(client, event)) {
+          client.send({ type: 'event', event });
+          backfilled++;
+        }
+      }
+    }
+
+    client.send({ type: 'ready', userId: client.userId, topics: client.topics, scope: client.scope, next_offset, backfilled });
+  }
+
+  /**
+   * 订阅 AgentBus (只挂一次) + 心跳
+   */
+  _listen() {
+    if (this.unlisten) return;
+    this.unlisten = AgentBus.on('#', event => this._broadcast(event), { name: 'event-stream' });
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        try { client.ping(); } catch { this._removeClient(client); }
+      }
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  _broadcast(event) {
+    for (const client of this.clients) {
+      if (!this._visible(client, event)) continue;
+      try {
+        client.send({ type: 'event', event });
+        this.stats.delivered++;
+      } catch (error) {
+        // 单个连接出错只断开它自己
+        this._removeClient(client);
+      }
+    }
+  }
+
+  /**
+   * 该连接是否能看到这个事件 (topic 过滤 + 用户可见范围)
+   */
+  _visible(client, event) {
+    if (!client.topics.some(pattern => matches(pattern, event.event))) return false;
+
+    if (client.scope === 'mine') {
+      const owner = event.payload?.userId;
+      return owner !== undefined && owner !== null && String(owner) === String(client.userId);
+    }
+    return EventSchemas.isVisibleTo(event, client.userId);
+  }
+
+  /**
+   * 连接统计 — 其他用户只计数，连接详情只返回 userId 自己的
+   */
+  getStatus(userId) {
+    const byTransport = {};
+    const mine = [];
+    for (const c of this.clients) {
+      byTransport[c.transport] = (byTransport[c.transport] || 0) + 1;
+      if (userId !== undefined && userId !== null && String(c.userId) === String(userId)) {
+        mine.push({ transport: c.transport, topics: c.topics, scope: c.scope });
+      }
+    }
+    return { ...this.stats, active: this.clients.size, by_transport: byTransport, mine };
+  }
+
+  /**
+   * "alpha.#,position.*" / ['alpha.#'] → pattern 列表，默认全部
+   */
+  static parseTopics(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const topics = list.map(t => String(t).trim()).filter(Boolean);
+    return topics.length > 0 ? topics : ['#'];
+  }
+
+  static parseOffset(value) {
+    const offset = parseInt(value, 10);
+    return Number.isInteger(offset) && offset > 0 ? offset : null;
+  }
+}
+
+module.exports = new EventStreamService();
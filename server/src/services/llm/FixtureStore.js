@@ -0,0 +1,112 @@
+/**
+ * LLM 响应夹具 (fixture)
+ * 按 调用方 + 请求内容 的哈希保存响应，用于离线确定性回放:
+ *   record: 正常调用 provider，同时保存响应
+ *   replay: 只读夹具，不发起任何网络请求
+ * 文件: <dir>/<caller>/<key>.json
+ *
+ * 指纹前先去掉每次调用都会变的部分 (id / 时间戳 / _ 开头的附加上下文，如 _pt_context)，
+ * 数值保留 6 位有效数字，同一行情输入回放时才能命中录制的夹具
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath } = require('../../config/dataDir');
+
+const DEFAULT_FIXTURE_DIR = dataPath('llm-fixtures');
+
+// JSON 消息中不参与指纹的字段: _xxx 附加上下文, id / xxx_id, xxx_at, timestamp
+const VOLATILE_KEY = /^_|^id$|_id$|_at$|^(timestamp|ts|now)$/i;
+
+// 文本消息中的易变片段
+const VOLATILE_TEXT = [
+  [/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g, '<time>'],
+  [/\b1\d{9}(\d{3})?\b/g, '<time>'],                                                    // unix 秒 / 毫秒
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>'],
+  [/\b[a-z]+_\d{10,}_[a-z0-9]+\b/gi, '<id>']                                                 // sig_<ms>_<rand> 这类生成的 id
+];
+
+class FixtureStore {
+  constructor(dir = DEFAULT_FIXTURE_DIR) {
+    this.dir = dir;
+  }
+
+  /**
+   * 请求指纹 — 调用方 + 归一化后的消息 + 可用函数 (不含 provider / model / 生成参数，改配置后夹具仍可回放)
+   */
+  static key(caller, request) {
+    const payload = JSON.stringify({
+      caller,
+      messages: (request.messages || []).map(m => ({ role: m.role, content: FixtureStore.normalizeContent(m.content) })),
+      functions: (request.functions || []).map(f => f.name)
+    });
+    return crypto.createHash('sha256').update(payload).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * 消息内容归一化 — JSON 内容按字段过滤，其它文本替换易变片段
+   */
+  static normalizeContent(content) {
+    if (typeof content !== 'string') return FixtureStore.normalizeValue(content);
+    try {
+      return FixtureStore.normalizeValue(JSON.parse(content));
+    } catch {
+      return VOLATILE_TEXT.reduce((text, [pattern, token]) => text.replace(pattern, token), content);
+    }
+  }
+
+  static normalizeValue(value) {
+    if (Array.isArray(value)) return value.map(v => FixtureStore.normalizeValue(v));
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const k of Object.keys(value).sort()) {
+        if (!VOLATILE_KEY.test(k)) out[k] = FixtureStore.normalizeValue(value[k]);
+      }
+      return out;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) return Number(value.toPrecision(6));
+    if (typeof value === 'string') return FixtureStore.normalizeContent(value);
+    return value;
+  }
+
+  get(caller, request) {
+    try {
+      const file = path.join(this.dir, caller, `${FixtureStore.key(caller, request)}.json`);
+      return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+    } catch { return null; }
+  }
+
+  put(caller, request, response) {
+    const key = FixtureStore.key(caller, request);
+    try {
+      fs.mkdirSync(path.join(this.dir, caller), { recursive: true });
+      fs.writeFileSync(path.join(this.dir, caller, `${key}.json`), JSON.stringify({
+        caller,
+        key,
+        request: { messages: request.messages },
+        response: {
+          text: response.text,
+          message: response.message,
+          provider: response.provider,
+          model: response.model
+        },
+        recorded_at: new Date().toISOString()
+      }, null, 2));
+    } catch (e) {
+      console.error(`[FixtureStore] 保存夹具失败 ${caller}/${key}: ${e.message}`);
+    }
+    return key;
+  }
+
+  /**
+   * 该调用方是否录制过夹具
+   */
+  has(caller) {
+    try {
+      return fs.readdirSync(path.join(this.dir, caller)).some(f => f.endsWith('.json'));
+    } catch { return false; }
+  }
+}
+
+module.exports = FixtureStore;
@@ -0,0 +1,197 @@
+/**
+ * LLM 决策审计日志
+ * 功能:
+ * 1. 追加写入 (只追加不修改)，按决策 id 记录: 提示词、原始响应、解析结果、对置信度/决策的最终影响
+ * 2. 按 代币 / 决策 id / 来源 / 时间范围 查询
+ * 3. 回放: 用另一个模型重跑同一提示词，对比决策会如何变化 (回放结果也追加为审计记录)
+ *
+ * 文件: data/llm-audit/llm-audit-YYYY-MM-DD.jsonl (按 UTC 日期分文件，时间范围查询只读相关日期)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../../config/dataDir');
+
+const DEFAULT_DATA_DIR = dataPath('llm-audit');
+const FILE_PREFIX = 'llm-audit-';
+
+class LLMAuditLog {
+  /**
+   * @param {string} dataDir
+   */
+  constructor(dataDir = DEFAULT_DATA_DIR) {
+    this.dir = dataDir;
+  }
+
+  /**
+   * 追加一条审计记录
+   * @param {Object} entry - { decision_id, source, caller, token, request, response, parsed, effect, params_version, context, error, replay_of }
+   * @returns {Object} 完整记录 (含 id / created_at)
+   */
+  record(entry) {
+    const createdAt = entry.created_at || new Date().toISOString();
+    const full = {
+      id: `llm_${Date.parse(createdAt)}_${Math.random().toString(36).substr(2, 6)}`,
+      created_at: createdAt,
+      replay_of: null,
+      error: null,
+      ...entry
+    };
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(this._fileFor(createdAt), JSON.stringify(full) + '\n');
+    } catch (e) {
+      console.error(`[LLMAuditLog] 写入失败 ${full.decision_id}: ${e.message}`);
+    }
+    return full;
+  }
+
+  /**
+   * 查询 (新的在前)
+   * @param {Object} filter - { token, decisionId, source, caller, from, to, includeReplays, limit }
+   *   from / to: ISO 时间或毫秒时间戳
+   */
+  query(filter = {}) {
+    const from = filter.from ? new Date(filter.from).getTime() : -Infinity;
+    const to = filter.to ? new Date(filter.to).getTime() : Infinity;
+    const limit = filter.limit || 100;
+    const token = filter.token ? filter.token.toUpperCase() : null;
+
+    const results = [];
+    for (const file of this._filesInRange(from, to)) {
+      for (const entry of this._readFile(file).reverse()) {
+        const at = Date.parse(entry.created_at);
+        if (at < from || at > to) continue;
+        if (token && (entry.token || '').toUpperCase() !== token) continue;
+        if (filter.decisionId && entry.decision_id !== filter.decisionId) continue;
+        if (filter.source && entry.source !== filter.source) continue;
+        if (filter.caller && entry.caller !== filter.caller) continue;
+        if (!filter.includeReplays && entry.replay_of) continue;
+        results.push(entry);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 按审计记录 id 查找 (id 中含时间戳，直接定位日期文件)
+   */
+  get(id) {
+    const at = parseInt((id || '').split('_')[1], 10);
+    const files = Number.isFinite(at) ? [this._fileFor(new Date(at).toISOString())] : this._filesInRange(-Infinity, Infinity);
+    for (const file of files) {
+      const entry = this._readFile(file).find(e => e.id === id);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * 用另一个模型重跑审计记录中的提示词
+   * @param {string} id - 审计记录 id
+   * @param {Object} options
+   *   - chain: 回放使用的 provider:model 列表，如 ['anthropic:claude-3-5-sonnet-latest']
+   *   - llm: LLMService 实例 (默认全局单例)
+   *   - interpret: (entry, text) => { parsed, effect } 按调用方重新计算对决策的影响；不传则只比较文本
+   * @returns {Promise<Object>} { entry_id, decision_id, original, replay, changed }
+   */
+  async replay(id, options = {}) {
+    const entry = this.get(id);
+    if (!entry) {
+      const err = new Error(`LLM audit entry ${id} not found`);
+      err.code = 'AUDIT_ENTRY_NOT_FOUND';
+      throw err;
+    }
+    if (!entry.request?.messages) {
+      const err = new Error(`LLM audit entry ${id} has no recorded prompt`);
+      err.code = 'AUDIT_ENTRY_NOT_REPLAYABLE';
+      throw err;
+    }
+
+    const llm = options.llm || require('./LLMService');
+    const response = await llm.complete(entry.caller, entry.request.messages, options.chain ? { chain: options.chain } : {});
+    const interpreted = options.interpret ? options.interpret(entry, response.text) : { parsed: null, effect: null };
+
+    const replayed = this.record({
+      decision_id: entry.decision_id,
+      source: entry.source,
+      caller: entry.caller,
+      token: entry.token,
+      replay_of: entry.id,
+      request: { messages: entry.request.messages, chain: options.chain || null },
+      response: LLMAuditLog.summarizeResponse(response),
+      parsed: interpreted.parsed,
+      effect: interpreted.effect,
+      params_version: entry.params_version ?? null
+    });
+
+    const before = entry.effect || {};
+    const after = interpreted.effect || {};
+    return {
+      entry_id: entry.id,
+      decision_id: entry.decision_id,
+      original: { response: entry.response, parsed: entry.parsed, effect: entry.effect },
+      replay: { id: replayed.id, response: replayed.response, parsed: replayed.parsed, effect: replayed.effect },
+      changed: {
+        text: (entry.response?.text || '') !== response.text,
+        action: before.action !== undefined && after.action !== undefined ? before.action !== after.action : null,
+        confidence_delta: typeof before.confidence === 'number' && typeof after.confidence === 'number'
+          ? Math.round((after.confidence - before.confidence) * 10000) / 10000
+          : null
+      }
+    };
+  }
+
+  /**
+   * LLMService.complete() 结果 → 审计记录中的 response 字段
+   */
+  static summarizeResponse(response) {
+    if (!response) return null;
+    return {
+      text: response.text,
+      provider: response.provider,
+      model: response.model,
+      latency_ms: response.latency_ms,
+      attempts: response.attempts,
+      fallback: response.fallback,
+      fixture: response.fixture
+    };
+  }
+
+  _fileFor(isoTime) {
+    return path.join(this.dir, `${FILE_PREFIX}${isoTime.substring(0, 10)}.jsonl`);
+  }
+
+  /**
+   * 时间范围内的日期文件 (新的在前)
+   */
+  _filesInRange(from, to) {
+    let files;
+    try {
+      files = fs.readdirSync(this.dir).filter(f => f.startsWith(FILE_PREFIX) && f.endsWith('.jsonl'));
+    } catch { return []; }
+
+    return files
+      .filter(f => {
+        const dayStart = Date.parse(f.substring(FILE_PREFIX.length, FILE_PREFIX.length + 10));
+        return dayStart + 24 * 60 * 60 * 1000 > from && dayStart <= to;
+      })
+      .sort()
+      .reverse()
+      .map(f => path.join(this.dir, f));
+  }
+
+  _readFile(file) {
+    try {
+      return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })
+        .filter(Boolean);
+    } catch { return []; }
+  }
+}
+
+module.exports = LLMAuditLog;
@@ -0,0 +1,225 @@
+/**
+ * LLM 服务 — 统一的多 provider 调用层
+ * 功能:
+ * 1. 适配器: OpenAI / Anthropic / Vertex / DeepSeek / 本地 mock server
+ * 2. 按调用方选择模型 (src/config/llm.js，可用环境变量覆盖)
+ * 3. 单次调用超时 + 可重试错误 (超时 / 429 / 5xx / 网络) 指数退避重试
+ * 4. fallback 链: 当前 provider 不可用或重试耗尽时切换下一个
+ * 5. 夹具模式 (LLM_FIXTURE_MODE=record|replay): 离线确定性回放，用于测试大脑 LLM 路径
+ *
+ * 使用:
+ *   const LLMService = require('./llm/LLMService');
+ *   const res = await LLMService.complete('signal_analyzer', messages);
+ *   res.text / res.provider / res.model
+ */
+
+const CALLERS = require('../../config/llm');
+const OpenAIProvider = require('./providers/OpenAIProvider');
+const AnthropicProvider = require('./providers/AnthropicProvider');
+const VertexProvider = require('./providers/VertexProvider');
+const DeepSeekProvider = require('./providers/DeepSeekProvider');
+const MockProvider = require('./providers/MockProvider');
+const FixtureStore = require('./FixtureStore');
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+class LLMService {
+  /**
+   * @param {Object} options - { providers, callers, fixtureMode, fixtureDir }
+   */
+  constructor(options = {}) {
+    this.providers = options.providers || {
+      openai: new OpenAIProvider(),
+      anthropic: new AnthropicProvider(),
+      vertex: new VertexProvider(),
+      deepseek: new DeepSeekProvider(),
+      mock: new MockProvider()
+    };
+    this.callers = options.callers || CALLERS;
+
+    this.fixtureMode = options.fixtureMode || process.env.LLM_FIXTURE_MODE || 'off';
+    if (!FIXTURE_MODES.includes(this.fixtureMode)) {
+      throw new Error(`Invalid LLM fixture mode: ${this.fixtureMode} (${FIXTURE_MODES.join(' / ')})`);
+    }
+    this.fixtures = new FixtureStore(options.fixtureDir || process.env.LLM_FIXTURE_DIR || undefined);
+
+    this.stats = {};
+  }
+
+  /**
+   * 注册 / 替换 provider
+   * @param {Object} provider - { name, isAvailable(), complete(request) }
+   */
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  /**
+   * 调用方配置 = 默认配置 + 调用方配置 + 环境变量 fallback 链
+   */
+  getCallerConfig(caller) {
+    const config = { ...this.callers.default, ...(this.callers[caller] || {}) };
+    const envChain = process.env[`LLM_CHAIN_${caller.toUpperCase()}`];
+    if (envChain) config.chain = envChain.split(',').map(s => s.trim()).filter(Boolean);
+    return config;
+  }
+
+  /**
+   * 所有调用方 fallback 链中配置的 provider:model (含环境变量覆盖)，用于限制外部指定的模型
+   * @returns {string[]}
+   */
+  configuredModels() {
+    const models = new Set();
+    for (const caller of Object.keys(this.callers)) {
+      for (const entry of this.getCallerConfig(caller).chain || []) models.add(entry);
+    }
+    return [...models].sort();
+  }
+
+  /**
+   * 该调用方是否有可用的 provider (回放模式下看是否录制过夹具)
+   */
+  isAvailable(caller) {
+    if (this.fixtureMode === 'replay') return this.fixtures.has(caller);
+    return LLMService.parseChain(this.getCallerConfig(caller).chain)
+      .some(({ provider }) => this.providers[provider]?.isAvailable());
+  }
+
+  /**
+   * 调用 LLM
+   * @param {string} caller - 调用方 (src/config/llm.js 中的 key)
+   * @param {Array} messages - OpenAI 格式消息
+   * @param {Object} overrides - 覆盖调用方配置 { chain, timeoutMs, retries, maxTokens, temperature, json, functions }
+   * @returns {Promise<Object>} { text, message, provider, model, usage, attempts, latency_ms, fallback, fixture }
+   */
+  async complete(caller, messages, overrides = {}) {
+    const config = { ...this.getCallerConfig(caller), ...overrides };
+    const request = {
+      messages,
+      maxTokens: config.maxTokens,
+      temperature: config.temperature,
+      json: config.json,
+      functions: config.functions
+    };
+    const stats = this._getStats(caller);
+    stats.calls++;
+
+    if (this.fixtureMode === 'replay') {
+      const saved = this.fixtures.get(caller, request);
+      if (!saved) {
+        stats.failures++;
+        const err = new Error(`No LLM fixture for ${caller} (${FixtureStore.key(caller, request)})`);
+        err.code = 'LLM_FIXTURE_MISSING';
+        throw err;
+      }
+      stats.success++;
+      return { ...saved, usage: null, attempts: 0, latency_ms: 0, fallback: false, fixture: true };
+    }
+
+    const errors = [];
+    let attempts = 0;
+
+    for (const { provider: name, model } of LLMService.parseChain(config.chain)) {
+      const provider = this.providers[name];
+      const fallback = errors.length > 0;   // 同一 provider 重试成功不算 fallback
+      if (!provider || !provider.isAvailable()) {
+        errors.push(`${name}: unavailable`);
+        continue;
+      }
+
+      for (let retry = 0; retry <= config.retries; retry++) {
+        attempts++;
+        const startTime = Date.now();
+        try {
+          const res = await LLMService.withTimeout(
+            provider.complete({ ...request, model, timeoutMs: config.timeoutMs }),
+            config.timeoutMs,
+            `${name}:${model}`
+          );
+
+          const result = {
+            text: res.text,
+            message: res.message || { role: 'assistant', content: res.text },
+            provider: name,
+            model: res.model || model,
+            usage: res.usage || null,
+            attempts,
+            latency_ms: Date.now() - startTime,
+            fallback,
+            fixture: false
+          };
+
+          if (this.fixtureMode === 'record') this.fixtures.put(caller, request, result);
+
+          stats.success++;
+          if (result.fallback) stats.fallbacks++;
+          stats.by_provider[name] = (stats.by_provider[name] || 0) + 1;
+          return result;
+
+        } catch (error) {
+          errors.push(`${name}:${model} → ${error.message}`);
+          console.warn(`⚠️ [LLMService] ${caller} ${name}:${model} 第 ${retry + 1} 次调用失败: ${error.message}`);
+
+          if (!LLMService.isRetryable(error) || retry === config.retries) break;
+          await new Promise(resolve => setTimeout(resolve, config.retryDelayMs * 2 ** retry));
+        }
+      }
+    }
+
+    stats.failures++;
+    const err = new Error(`All LLM providers failed for ${caller}: ${errors.join('; ') || 'empty chain'}`);
+    err.code = 'LLM_ALL_PROVIDERS_FAILED';
+    err.errors = errors;
+    throw err;
+  }
+
+  getStatus() {
+    return {
+      fixture_mode: this.fixtureMode,
+      providers: Object.fromEntries(Object.entries(this.providers).map(([name, p]) => [name, p.isAvailable()])),
+      callers: this.stats
+    };
+  }
+
+  _getStats(caller) {
+    if (!this.stats[caller]) {
+      this.stats[caller] = { calls: 0, success: 0, failures: 0, fallbacks: 0, by_provider: {} };
+    }
+    return this.stats[caller];
+  }
+
+  /**
+   * 'anthropic:claude-3-5-sonnet-latest' → { provider, model }
+   */
+  static parseChain(chain = []) {
+    return chain.map(entry => {
+      const [provider, ...model] = entry.split(':');
+      return { provider, model: model.join(':') || null };
+    });
+  }
+
+  /**
+   * 超时、限流、服务端错误、网络错误可重试；4xx 参数 / 鉴权错误不重试
+   */
+  static isRetryable(error) {
+    if (error.code === 'LLM_TIMEOUT') return true;
+    const status = error.status || error.response?.status;
+    if (!status) return true;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  static withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error(`${label} timed out after ${ms}ms`);
+        err.code = 'LLM_TIMEOUT';
+        reject(err);
+      }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = new LLMService();
+module.exports.LLMService = LLMService;
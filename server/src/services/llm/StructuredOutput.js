@@ -0,0 +1,117 @@
+/**
+ * LLM 结构化输出校验 + 修复
+ *
+ * schema 格式 (字段 → 规则):
+ *   { score: { type: 'number', min: 0, max: 1, required: true },
+ *     suggestion: { type: 'string', enum: ['BUY', 'SKIP', 'NEUTRAL'], required: true } }
+ *
+ * parse() 结果状态:
+ *   valid    — 原样符合 schema
+ *   repaired — 经过本地修复 (去除 ```json 代码块 / 尾逗号，数字字符串转数字，枚举大小写) 后符合
+ *   failed   — 无法解析或不符合 schema，errors 给出原因 (可把 errors 发回模型重试)
+ */
+
+class StructuredOutput {
+  /**
+   * @param {string} text - 模型原始输出
+   * @param {Object} schema
+   * @returns {Object} { status, value, errors, repairs }
+   */
+  static parse(text, schema) {
+    const repairs = [];
+    const raw = StructuredOutput.extractJSON(text || '', repairs);
+    if (raw === null) {
+      return { status: 'failed', value: null, errors: ['no JSON object in response'], repairs };
+    }
+
+    let obj;
+    try {
+      obj = JSON.parse(raw);
+    } catch {
+      // 常见格式问题: 尾逗号
+      try {
+        obj = JSON.parse(raw.replace(/,\s*([}\]])/g, '$1'));
+        repairs.push('trailing comma');
+      } catch (e) {
+        return { status: 'failed', value: null, errors: [`invalid JSON: ${e.message}`], repairs };
+      }
+    }
+
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      return { status: 'failed', value: null, errors: ['response is not a JSON object'], repairs };
+    }
+
+    const { value, errors } = StructuredOutput.validate(obj, schema, repairs);
+    if (errors.length > 0) return { status: 'failed', value: null, errors, repairs };
+    return { status: repairs.length > 0 ? 'repaired' : 'valid', value, errors: [], repairs };
+  }
+
+  /**
+   * 取出 JSON 对象文本；不是纯 JSON 时记录修复项
+   */
+  static extractJSON(text, repairs = []) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') && trimmed.endsWith('}')) return trimmed;
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const body = fenced ? fenced[1].trim() : trimmed;
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    repairs.push(fenced ? 'code fence' : 'surrounding text');
+    return body.substring(start, end + 1);
+  }
+
+  /**
+   * 按 schema 校验并做无歧义的类型修正
+   * @returns {Object} { value, errors }
+   */
+  static validate(obj, schema, repairs = []) {
+    const value = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+      let v = obj[field];
+
+      if (v === undefined || v === null || v === '') {
+        if (rule.required) errors.push(`${field} is required`);
+        else if (rule.default !== undefined) value[field] = rule.default;
+        continue;
+      }
+
+      if (rule.type === 'number' && typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) {
+        v = Number(v);
+        repairs.push(`${field} string → number`);
+      }
+      if (rule.enum && typeof v === 'string' && !rule.enum.includes(v) && rule.enum.includes(v.toUpperCase())) {
+        v = v.toUpperCase();
+        repairs.push(`${field} case`);
+      }
+
+      if (rule.type === 'number' && (typeof v !== 'number' || !Number.isFinite(v))) {
+        errors.push(`${field} must be a number`);
+        continue;
+      }
+      if (rule.type === 'string' && typeof v !== 'string') {
+        errors.push(`${field} must be a string`);
+        continue;
+      }
+      if (rule.min !== undefined && v < rule.min) errors.push(`${field} must be >= ${rule.min}`);
+      else if (rule.max !== undefined && v > rule.max) errors.push(`${field} must be <= ${rule.max}`);
+      else if (rule.enum && !rule.enum.includes(v)) errors.push(`${field} must be one of ${rule.enum.join('|')}`);
+      else value[field] = v;
+    }
+
+    return { value, errors };
+  }
+
+  /**
+   * 发回模型的修复提示
+   */
+  static repairPrompt(errors) {
+    return `Your previous response was invalid: ${errors.join('; ')}. Reply with ONLY the corrected JSON object, no other text.`;
+  }
+}
+
+module.exports = StructuredOutput;
@@ -0,0 +1,68 @@
+/**
+ * 本地 LLM mock server (OpenAI 兼容 /v1/chat/completions)
+ * 用于本地联调和测试，不消耗 API 额度；MockProvider 指向此服务
+ *
+ * 启动:
+ *   node src/services/llm/mockServer.js [port]
+ *   LLM_MOCK_URL=http://localhost:8089/v1 LLM_CHAIN_SIGNAL_ANALYZER=mock:mock npm start
+ *
+ * 响应规则 (LLM_MOCK_RESPONSES 指向的 JSON 文件，可选):
+ *   { "rules": [{ "match": "Signal Data", "response": "{\"score\":0.7}" }], "default": "..." }
+ * 按顺序匹配最后一条 user 消息，均不匹配时返回 default
+ */
+
+const http = require('http');
+const fs = require('fs');
+
+const DEFAULT_RESPONSE = '{"score":0.5,"risk_level":"MEDIUM","analysis":"mock response","suggestion":"NEUTRAL"}';
+
+function loadResponses() {
+  const file = process.env.LLM_MOCK_RESPONSES;
+  if (!file) return { rules: [], default: DEFAULT_RESPONSE };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { rules: data.rules || [], default: data.default ?? DEFAULT_RESPONSE };
+}
+
+function createMockServer(responses = loadResponses()) {
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'Not found' } }));
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let request;
+      try { request = JSON.parse(body); }
+      catch {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: 'Invalid JSON' } }));
+      }
+
+      const lastUser = [...(request.messages || [])].reverse().find(m => m.role === 'user');
+      const prompt = lastUser?.content || '';
+      const rule = responses.rules.find(r => prompt.includes(r.match));
+      const content = rule ? rule.response : responses.default;
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: request.model || 'mock',
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      }));
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.LLM_MOCK_PORT, 10) || 8089;
+  createMockServer().listen(port, () => {
+    console.log(`✅ LLM mock server listening on http://localhost:${port}/v1`);
+  });
+}
+
+module.exports = { createMockServer };
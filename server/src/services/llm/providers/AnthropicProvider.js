@@ -0,0 +1,74 @@
+/**
+ * Anthropic 适配器
+ * system 消息合并为 system 参数；不支持 OpenAI Function Calling，函数调用记录转为普通文本
+ */
+
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey ?? process.env.ANTHROPIC_API_KEY;
+    this.defaultModel = options.defaultModel || 'claude-3-5-sonnet-latest';
+    this.client = null;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * @param {Object} request - { messages, model, maxTokens, temperature, timeoutMs }
+   * @returns {Promise<Object>} { text, message, model, usage }
+   */
+  async complete(request) {
+    const system = request.messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const params = {
+      model: request.model || this.defaultModel,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      messages: AnthropicProvider.toAnthropicMessages(request.messages)
+    };
+    if (system) params.system = system;
+
+    const response = await this._getClient().messages.create(params, { timeout: request.timeoutMs });
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      text,
+      message: { role: 'assistant', content: text },
+      model: response.model || params.model,
+      usage: response.usage
+        ? { prompt_tokens: response.usage.input_tokens, completion_tokens: response.usage.output_tokens }
+        : null
+    };
+  }
+
+  /**
+   * OpenAI 格式 → Anthropic 格式 (function 消息转为 user 文本)
+   */
+  static toAnthropicMessages(messages) {
+    return messages
+      .filter(m => m.role !== 'system')
+      .map(m => {
+        if (m.role === 'function') return { role: 'user', content: `[${m.name} result] ${m.content}` };
+        if (m.function_call) return { role: 'assistant', content: `[called ${m.function_call.name}(${m.function_call.arguments || ''})]` };
+        return { role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content || '' };
+      });
+  }
+
+  _getClient() {
+    if (!this.client) {
+      const { Anthropic } = require('@anthropic-ai/sdk');
+      this.client = new Anthropic({ apiKey: this.apiKey, maxRetries: 0 });
+    }
+    return this.client;
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,18 @@
+/**
+ * DeepSeek 适配器 (OpenAI 兼容接口)
+ */
+
+const OpenAIProvider = require('./OpenAIProvider');
+
+class DeepSeekProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'deepseek',
+      apiKey: options.apiKey ?? process.env.DEEPSEEK_API_KEY,
+      baseURL: options.baseURL || process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com',
+      defaultModel: options.defaultModel || 'deepseek-chat'
+    });
+  }
+}
+
+module.exports = DeepSeekProvider;
@@ -0,0 +1,23 @@
+/**
+ * 本地 mock server 适配器 (OpenAI 兼容接口)
+ * 配合 src/services/llm/mockServer.js 使用，设置 LLM_MOCK_URL 后可用
+ */
+
+const OpenAIProvider = require('./OpenAIProvider');
+
+class MockProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'mock',
+      apiKey: 'mock',
+      baseURL: options.baseURL || process.env.LLM_MOCK_URL,
+      defaultModel: options.defaultModel || 'mock'
+    });
+  }
+
+  isAvailable() {
+    return !!this.baseURL;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,60 @@
+/**
+ * OpenAI 适配器
+ * 同时作为 OpenAI 兼容接口 (DeepSeek / 本地 mock server) 的基类
+ */
+
+class OpenAIProvider {
+  /**
+   * @param {Object} options - { name, apiKey, baseURL, defaultModel }
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.apiKey = options.apiKey ?? process.env.OPENAI_API_KEY;
+    this.baseURL = options.baseURL || process.env.OPENAI_BASE_URL || undefined;
+    this.defaultModel = options.defaultModel || 'gpt-4o-mini';
+    this.client = null;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * @param {Object} request - { messages, model, maxTokens, temperature, json, functions, timeoutMs }
+   * @returns {Promise<Object>} { text, message, model, usage }
+   */
+  async complete(request) {
+    const params = {
+      model: request.model || this.defaultModel,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature
+    };
+    if (request.json) params.response_format = { type: 'json_object' };
+    if (request.functions?.length) {
+      params.functions = request.functions;
+      params.function_call = 'auto';
+    }
+
+    // 重试 / 超时由 LLMService 统一控制
+    const completion = await this._getClient().chat.completions.create(params, { timeout: request.timeoutMs });
+    const message = completion.choices[0].message;
+
+    return {
+      text: message.content || '',
+      message,
+      model: completion.model || params.model,
+      usage: completion.usage || null
+    };
+  }
+
+  _getClient() {
+    if (!this.client) {
+      const { OpenAI } = require('openai');
+      this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL, maxRetries: 0 });
+    }
+    return this.client;
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,73 @@
+/**
+ * Google Vertex AI (Gemini) 适配器
+ * 使用 Application Default Credentials，需配置 GOOGLE_CLOUD_PROJECT
+ */
+
+const AnthropicProvider = require('./AnthropicProvider');
+
+class VertexProvider {
+  constructor(options = {}) {
+    this.name = 'vertex';
+    this.project = options.project || process.env.GOOGLE_CLOUD_PROJECT;
+    this.location = options.location || process.env.VERTEX_LOCATION || 'us-central1';
+    this.defaultModel = options.defaultModel || 'gemini-1.5-flash';
+    this.client = null;
+  }
+
+  isAvailable() {
+    return !!this.project;
+  }
+
+  /**
+   * @param {Object} request - { messages, model, maxTokens, temperature, json }
+   *   超时由 LLMService 控制 (SDK 不支持单次请求超时)
+   * @returns {Promise<Object>} { text, message, model, usage }
+   */
+  async complete(request) {
+    const modelName = request.model || this.defaultModel;
+    const system = request.messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const model = this._getClient().getGenerativeModel({
+      model: modelName,
+      systemInstruction: system ? { role: 'system', parts: [{ text: system }] } : undefined,
+      generationConfig: {
+        maxOutputTokens: request.maxTokens,
+        temperature: request.temperature,
+        responseMimeType: request.json ? 'application/json' : undefined
+      }
+    });
+
+    // 与 Anthropic 相同的角色转换，assistant → model
+    const contents = AnthropicProvider.toAnthropicMessages(request.messages).map(m => ({
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: m.content }]
+    }));
+
+    const result = await model.generateContent({ contents });
+    const candidate = result.response.candidates?.[0];
+    const text = (candidate?.content?.parts || []).map(p => p.text || '').join('');
+    const usage = result.response.usageMetadata;
+
+    return {
+      text,
+      message: { role: 'assistant', content: text },
+      model: modelName,
+      usage: usage
+        ? { prompt_tokens: usage.promptTokenCount, completion_tokens: usage.candidatesTokenCount }
+        : null
+    };
+  }
+
+  _getClient() {
+    if (!this.client) {
+      const { VertexAI } = require('@google-cloud/vertexai');
+      this.client = new VertexAI({ project: this.project, location: this.location });
+    }
+    return this.client;
+  }
+}
+
+module.exports = VertexProvider;
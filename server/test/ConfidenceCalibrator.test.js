@@ -0,0 +1,99 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const ConfidenceCalibrator = require('../src/brain/ConfidenceCalibrator');
+
+// Deterministic samples: a call at confidence c is right with probability hitRate(c)
+function samples(n, hitRate) {
+  let seed = 42;
+  const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  return Array.from({ length: n }, () => {
+    const confidence = Math.round(random() * 100) / 100;
+    return { confidence, correct: random() < hitRate(confidence) };
+  });
+}
+
+const isNonDecreasing = values => values.every((v, i) => i === 0 || v >= values[i - 1]);
+
+describe('ConfidenceCalibrator isotonic (PAV)', () => {
+  test('pools adjacent violators into a monotone curve', () => {
+    const points = ConfidenceCalibrator._fitIsotonic([
+      { confidence: 0.3, correct: false },
+      { confidence: 0.1, correct: false },
+      { confidence: 0.2, correct: true },
+      { confidence: 0.4, correct: true },
+      { confidence: 0.5, correct: true }
+    ]);
+    assert.deepStrictEqual(points, [{ x: 0.1, y: 0 }, { x: 0.25, y: 0.5 }, { x: 0.4, y: 1 }, { x: 0.5, y: 1 }]);
+  });
+
+  test('interpolates between points and clamps to [0.02, 0.98]', () => {
+    const model = { method: 'isotonic', points: [{ x: 0.1, y: 0 }, { x: 0.25, y: 0.5 }, { x: 0.4, y: 1 }] };
+    assert.strictEqual(ConfidenceCalibrator.apply(model, 0.175), 0.25);
+    assert.strictEqual(ConfidenceCalibrator.apply(model, 0.05), 0.02);
+    assert.strictEqual(ConfidenceCalibrator.apply(model, 0.9), 0.98);
+    assert.strictEqual(ConfidenceCalibrator.apply(null, 0.9), 0.9);
+  });
+
+  test('fitted curve is monotone on noisy data', () => {
+    const points = ConfidenceCalibrator._fitIsotonic(samples(300, c => c * 0.6));
+    assert.ok(isNonDecreasing(points.map(p => p.y)));
+    assert.ok(isNonDecreasing(points.map(p => p.x)));
+  });
+});
+
+describe('ConfidenceCalibrator Platt', () => {
+  test('fits an increasing curve when higher confidence wins more often', () => {
+    const { a, b } = ConfidenceCalibrator._fitPlatt(samples(400, c => 0.2 + c * 0.6));
+    assert.ok(a < 0);
+    const model = { method: 'platt', a, b };
+    const curve = [0.1, 0.3, 0.5, 0.7, 0.9].map(c => ConfidenceCalibrator.apply(model, c));
+    assert.ok(isNonDecreasing(curve));
+    assert.ok(Math.abs(ConfidenceCalibrator.apply(model, 0.5) - 0.5) < 0.1);
+  });
+});
+
+describe('ConfidenceCalibrator.fit', () => {
+  test('needs enough training and held-out samples', () => {
+    const calibrator = new ConfidenceCalibrator(null);
+    assert.strictEqual(calibrator.fit(samples(40, c => c)), null);
+    assert.strictEqual(calibrator.model, null);
+  });
+
+  test('scores on the most recent slice and applies a better model', () => {
+    const calibrator = new ConfidenceCalibrator(null, { method: 'platt' });
+    const record = calibrator.fit(samples(200, c => c * 0.5));   // overconfident
+
+    assert.strictEqual(record.train_size, 140);
+    assert.strictEqual(record.holdout_size, 60);
+    assert.strictEqual(record.brier_live, record.brier_raw);
+    assert.ok(record.brier < record.brier_raw);
+    assert.strictEqual(record.applied, true);
+    assert.strictEqual(calibrator.model.method, 'platt');
+  });
+
+  test('keeps the live model when the candidate does not improve on it', () => {
+    const calibrator = new ConfidenceCalibrator(null, { method: 'platt' });
+    const data = samples(200, c => c * 0.5);
+    calibrator.fit(data);
+    const live = calibrator.model;
+
+    const record = calibrator.fit(data);
+    assert.strictEqual(record.applied, false);
+    assert.strictEqual(calibrator.model, live);
+    assert.strictEqual(calibrator.getStatus().history.length, 2);
+  });
+
+  test('does not replace raw confidence that is already calibrated', () => {
+    const calibrator = new ConfidenceCalibrator(null);
+    const record = calibrator.fit(samples(200, c => c));
+    assert.ok(record.brier >= record.brier_raw);
+    assert.strictEqual(record.applied, false);
+    assert.strictEqual(calibrator.model, null);
+  });
+
+  test('split holds out the last fraction in order', () => {
+    const data = Array.from({ length: 10 }, (_, i) => i);
+    assert.deepStrictEqual(ConfidenceCalibrator.split(data, 0.3), { train: [0, 1, 2, 3, 4, 5, 6], holdout: [7, 8, 9] });
+  });
+});
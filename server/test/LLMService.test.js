@@ -0,0 +1,158 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LLMService } = require('../src/services/llm/LLMService');
+const MockProvider = require('../src/services/llm/providers/MockProvider');
+const { createMockServer } = require('../src/services/llm/mockServer');
+
+const CALLERS = {
+  default: { chain: ['mock:mock'], timeoutMs: 5000, retries: 1, retryDelayMs: 1, maxTokens: 100, temperature: 0, json: true }
+};
+
+const messages = (prompt, at = '2026-01-01T00:00:00Z') => [
+  { role: 'system', content: 'Score the signal' },
+  { role: 'user', content: JSON.stringify({ prompt, created_at: at }) }
+];
+
+function fakeProvider(name, complete, available = true) {
+  const provider = { name, calls: 0, isAvailable: () => available };
+  provider.complete = async request => {
+    provider.calls++;
+    return complete(request, provider.calls);
+  };
+  return provider;
+}
+
+function httpError(status) {
+  const err = new Error(`HTTP ${status}`);
+  err.status = status;
+  return err;
+}
+
+describe('LLMService fixtures with the mock provider', () => {
+  let server, baseURL, fixtureDir;
+
+  before(async () => {
+    server = createMockServer({ rules: [{ match: 'ping', response: '{"score":0.8}' }], default: '{"score":0.1}' });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('record mode calls the mock server and saves the response', async () => {
+    const llm = new LLMService({
+      providers: { mock: new MockProvider({ baseURL }) },
+      callers: CALLERS,
+      fixtureMode: 'record',
+      fixtureDir
+    });
+    const res = await llm.complete('signal_analyzer', messages('ping'));
+    assert.strictEqual(res.text, '{"score":0.8}');
+    assert.strictEqual(res.provider, 'mock');
+    assert.strictEqual(res.fixture, false);
+    assert.ok(llm.fixtures.has('signal_analyzer'));
+  });
+
+  test('replay mode returns the recorded response without any provider', async () => {
+    const llm = new LLMService({ providers: {}, callers: CALLERS, fixtureMode: 'replay', fixtureDir });
+    // timestamps are not part of the fingerprint
+    const res = await llm.complete('signal_analyzer', messages('ping', '2026-03-04T05:06:07Z'));
+    assert.strictEqual(res.text, '{"score":0.8}');
+    assert.strictEqual(res.fixture, true);
+    assert.strictEqual(res.attempts, 0);
+  });
+
+  test('replay mode fails with LLM_FIXTURE_MISSING on an unrecorded request', async () => {
+    const llm = new LLMService({ providers: {}, callers: CALLERS, fixtureMode: 'replay', fixtureDir });
+    await assert.rejects(llm.complete('signal_analyzer', messages('pong')), { code: 'LLM_FIXTURE_MISSING' });
+    assert.strictEqual(llm.isAvailable('other_caller'), false);
+    assert.strictEqual(llm.getStatus().callers.signal_analyzer.failures, 1);
+  });
+});
+
+describe('LLMService fallback chain', () => {
+  const callers = {
+    default: { chain: ['down:a', 'flaky:b', 'ok:c'], timeoutMs: 1000, retries: 1, retryDelayMs: 1, json: false }
+  };
+
+  test('skips unavailable providers and falls back after retries are exhausted', async () => {
+    const down = fakeProvider('down', () => assert.fail('unavailable provider called'), false);
+    const flaky = fakeProvider('flaky', () => { throw httpError(503); });
+    const ok = fakeProvider('ok', request => ({ text: `from ${request.model}` }));
+    const llm = new LLMService({ providers: { down, flaky, ok }, callers, fixtureMode: 'off' });
+
+    const res = await llm.complete('caller', messages('x'));
+    assert.strictEqual(res.text, 'from c');
+    assert.strictEqual(res.provider, 'ok');
+    assert.strictEqual(res.fallback, true);
+    assert.strictEqual(flaky.calls, 2);
+    assert.strictEqual(res.attempts, 3);
+    assert.strictEqual(llm.getStatus().callers.caller.fallbacks, 1);
+  });
+
+  test('does not retry a non-retryable error before falling back', async () => {
+    const flaky = fakeProvider('flaky', () => { throw httpError(401); });
+    const ok = fakeProvider('ok', () => ({ text: 'ok' }));
+    const llm = new LLMService({ providers: { flaky, ok }, callers, fixtureMode: 'off' });
+
+    await llm.complete('caller', messages('x'));
+    assert.strictEqual(flaky.calls, 1);
+  });
+
+  test('retries on the same provider after a retryable error', async () => {
+    const flaky = fakeProvider('flaky', (request, call) => {
+      if (call === 1) throw httpError(429);
+      return { text: 'second try' };
+    });
+    const llm = new LLMService({ providers: { flaky }, callers, fixtureMode: 'off' });
+
+    const res = await llm.complete('caller', messages('x'), { chain: ['flaky:b'] });
+    assert.strictEqual(res.text, 'second try');
+    assert.strictEqual(res.fallback, false);
+    assert.strictEqual(res.attempts, 2);
+  });
+
+  test('times out a hanging provider and reports every failure', async () => {
+    const hang = fakeProvider('hang', () => new Promise(() => {}));
+    const llm = new LLMService({ providers: { hang }, callers, fixtureMode: 'off' });
+
+    await assert.rejects(
+      llm.complete('caller', messages('x'), { chain: ['hang:h', 'missing:m'], timeoutMs: 20, retries: 0 }),
+      err => {
+        assert.strictEqual(err.code, 'LLM_ALL_PROVIDERS_FAILED');
+        assert.match(err.errors[0], /timed out after 20ms/);
+        assert.strictEqual(err.errors[1], 'missing: unavailable');
+        return true;
+      }
+    );
+  });
+});
+
+describe('LLMService.isRetryable', () => {
+  test('retries timeouts, rate limits, server and network errors', () => {
+    const timeout = new Error('timeout');
+    timeout.code = 'LLM_TIMEOUT';
+    assert.strictEqual(LLMService.isRetryable(timeout), true);
+    assert.strictEqual(LLMService.isRetryable(new Error('ECONNRESET')), true);
+    for (const status of [408, 429, 500, 502, 503]) {
+      assert.strictEqual(LLMService.isRetryable(httpError(status)), true, `status ${status}`);
+    }
+    const axiosStyle = new Error('bad gateway');
+    axiosStyle.response = { status: 502 };
+    assert.strictEqual(LLMService.isRetryable(axiosStyle), true);
+  });
+
+  test('does not retry request or auth errors', () => {
+    for (const status of [400, 401, 403, 404, 422]) {
+      assert.strictEqual(LLMService.isRetryable(httpError(status)), false, `status ${status}`);
+    }
+  });
+});
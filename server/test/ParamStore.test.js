@@ -0,0 +1,87 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ParamStore = require('../src/brain/ParamStore');
+
+describe('ParamStore', () => {
+  let dir, store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'param-store-'));
+    store = new ParamStore(dir);
+  });
+
+  afterEach(() => {
+    store.unwatch();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('commit writes a new version with its parent and journal entry', async () => {
+    assert.strictEqual(store.current().version, 0);
+    const v1 = await store.commit({ MIN_CONFIDENCE: 0.6 }, { source: 'test' });
+    const v2 = await store.commit({ MIN_CONFIDENCE: 0.65 }, { source: 'test', expectedVersion: 1 });
+
+    assert.strictEqual(v1.version, 1);
+    assert.strictEqual(v2.parent_version, 1);
+    assert.deepStrictEqual(store.current().params, { MIN_CONFIDENCE: 0.65 });
+    assert.deepStrictEqual(store.get(1).params, { MIN_CONFIDENCE: 0.6 });
+    assert.deepStrictEqual(store.journal()[0].changes, { MIN_CONFIDENCE: { from: 0.6, to: 0.65 } });
+  });
+
+  test('commit rejects a stale expectedVersion without touching the current version', async () => {
+    await store.commit({ MIN_CONFIDENCE: 0.6 }, { source: 'test' });
+    await store.commit({ MIN_CONFIDENCE: 0.7 }, { source: 'other', expectedVersion: 1 });
+
+    await assert.rejects(
+      store.commit({ MIN_CONFIDENCE: 0.5 }, { source: 'test', expectedVersion: 1 }),
+      { code: 'PARAM_VERSION_CONFLICT' }
+    );
+    assert.strictEqual(store.current().version, 2);
+    assert.deepStrictEqual(store.current().params, { MIN_CONFIDENCE: 0.7 });
+    assert.strictEqual(store.get(3), null);
+  });
+
+  test('concurrent updates retry on conflict instead of losing a write', async () => {
+    await store.commit({ counter: 0 }, { source: 'test' });
+    const other = new ParamStore(dir);
+    const increment = params => ({ params: { ...params, counter: params.counter + 1 }, report: null });
+
+    await Promise.all([store.update(increment, 'a'), other.update(increment, 'b')]);
+
+    assert.strictEqual(store.current().version, 3);
+    assert.strictEqual(store.current().params.counter, 2);
+    assert.deepStrictEqual(store.journal().map(j => j.parent_version), [2, 1, null]);
+  });
+
+  test('update skips the commit when mutate returns null', async () => {
+    assert.strictEqual(await store.update(() => null, 'test'), null);
+    assert.strictEqual(store.current().version, 0);
+  });
+
+  test('rollback commits the old params as a new version', async () => {
+    await store.commit({ MIN_CONFIDENCE: 0.6 }, { source: 'test' });
+    await store.commit({ MIN_CONFIDENCE: 0.7 }, { source: 'test' });
+    const snapshot = await store.rollback(1, 'too strict');
+
+    assert.strictEqual(snapshot.version, 3);
+    assert.strictEqual(snapshot.rollback_of, 1);
+    assert.deepStrictEqual(snapshot.params, { MIN_CONFIDENCE: 0.6 });
+    assert.throws(() => store.rollback(9), /not found/);
+  });
+
+  test('unwatch leaves other watchers on the params file running', async () => {
+    store.watch(20);
+    let fired = 0;
+    const listener = () => { fired++; };
+    fs.watchFile(store.paramsFile, { interval: 20 }, listener);
+    store.unwatch();
+
+    await new ParamStore(dir).commit({ MIN_CONFIDENCE: 0.6 }, { source: 'test' });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    fs.unwatchFile(store.paramsFile, listener);
+    assert.ok(fired > 0);
+  });
+});
@@ -0,0 +1,41 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const ShadowTrial = require('../src/brain/ShadowTrial');
+
+describe('ShadowTrial.pairedTest', () => {
+  test('returns no verdict for fewer than two pairs', () => {
+    assert.deepStrictEqual(ShadowTrial.pairedTest([]), { n: 0, mean: 0, std: null, t: null, p_value: 1, ci95: null });
+    assert.strictEqual(ShadowTrial.pairedTest([0.5]).mean, 0.5);
+  });
+
+  test('computes the t statistic, p-value and confidence interval', () => {
+    const res = ShadowTrial.pairedTest([1, 2, 3, 4, 5]);
+    assert.strictEqual(res.n, 5);
+    assert.strictEqual(res.mean, 3);
+    assert.strictEqual(res.std, 1.5811);
+    assert.strictEqual(res.t, 4.2426);
+    assert.ok(res.p_value < 0.001);
+    assert.deepStrictEqual(res.ci95, [1.6141, 4.3859]);
+  });
+
+  test('finds no difference when gains and losses cancel out', () => {
+    const res = ShadowTrial.pairedTest([1, -1, 1, -1]);
+    assert.strictEqual(res.mean, 0);
+    assert.strictEqual(res.t, 0);
+    assert.strictEqual(res.p_value, 1);
+  });
+
+  test('handles zero variance', () => {
+    assert.strictEqual(ShadowTrial.pairedTest([2, 2, 2]).p_value, 0);
+    assert.strictEqual(ShadowTrial.pairedTest([0, 0, 0]).p_value, 1);
+  });
+
+  test('is symmetric in the sign of the differences', () => {
+    const up = ShadowTrial.pairedTest([0.5, 1.2, -0.3, 0.8, 0.1, 0.9]);
+    const down = ShadowTrial.pairedTest([-0.5, -1.2, 0.3, -0.8, -0.1, -0.9]);
+    assert.strictEqual(up.p_value, down.p_value);
+    assert.strictEqual(up.t, -down.t);
+    assert.ok(up.p_value > 0 && up.p_value < 0.1);
+  });
+});
@@ -0,0 +1,48 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const StructuredOutput = require('../src/services/llm/StructuredOutput');
+
+const SCHEMA = {
+  score: { type: 'number', min: 0, max: 1, required: true },
+  suggestion: { type: 'string', enum: ['BUY', 'SKIP', 'NEUTRAL'], required: true },
+  analysis: { type: 'string', default: '' }
+};
+
+describe('StructuredOutput.parse', () => {
+  test('accepts a valid object as is', () => {
+    const res = StructuredOutput.parse('{"score":0.7,"suggestion":"BUY","analysis":"ok"}', SCHEMA);
+    assert.strictEqual(res.status, 'valid');
+    assert.deepStrictEqual(res.value, { score: 0.7, suggestion: 'BUY', analysis: 'ok' });
+    assert.deepStrictEqual(res.repairs, []);
+  });
+
+  test('repairs code fences, trailing commas, numeric strings and enum case', () => {
+    const text = 'Here you go:\n```json\n{"score": "0.4", "suggestion": "skip",}\n```';
+    const res = StructuredOutput.parse(text, SCHEMA);
+    assert.strictEqual(res.status, 'repaired');
+    assert.deepStrictEqual(res.value, { score: 0.4, suggestion: 'SKIP', analysis: '' });
+    assert.deepStrictEqual(res.repairs, ['code fence', 'trailing comma', 'score string → number', 'suggestion case']);
+  });
+
+  test('extracts an object from surrounding text', () => {
+    const res = StructuredOutput.parse('Result: {"score":1,"suggestion":"NEUTRAL"} done', SCHEMA);
+    assert.strictEqual(res.status, 'repaired');
+    assert.deepStrictEqual(res.repairs, ['surrounding text']);
+  });
+
+  test('fails with errors that can be sent back to the model', () => {
+    const res = StructuredOutput.parse('{"score":1.5,"suggestion":"HOLD"}', SCHEMA);
+    assert.strictEqual(res.status, 'failed');
+    assert.strictEqual(res.value, null);
+    assert.deepStrictEqual(res.errors, ['score must be <= 1', 'suggestion must be one of BUY|SKIP|NEUTRAL']);
+    assert.match(StructuredOutput.repairPrompt(res.errors), /score must be <= 1; suggestion must be one of/);
+  });
+
+  test('fails on missing required fields, non-JSON and non-object responses', () => {
+    assert.deepStrictEqual(StructuredOutput.parse('{"suggestion":"BUY"}', SCHEMA).errors, ['score is required']);
+    assert.deepStrictEqual(StructuredOutput.parse('no json here', SCHEMA).errors, ['no JSON object in response']);
+    assert.match(StructuredOutput.parse('{"score": 0.5, suggestion}', SCHEMA).errors[0], /^invalid JSON/);
+    assert.strictEqual(StructuredOutput.parse('', SCHEMA).status, 'failed');
+  });
+});